@@ -0,0 +1,104 @@
+const { getUsers } = require('./sell');
+const { allowedDomains } = require('./auth');
+
+// Contrato del actor (CONTRATO_API_WIDGET_BACKEND.md §3): toda acción de valor lleva
+//   { "actor": { "sell_user_id": 12345, "email": "agente@clinyco.cl", "name": "Nombre Apellido" }, "source": "sell_widget" }
+// El correo tiene que ser de AUTH_ALLOWED_DOMAINS. Para el widget además sell_user_id es obligatorio y se verifica
+// contra los usuarios activos de Sell (mismo correo); en el portal se completa desde Sell cuando existe.
+
+const SELL_USERS_TTL_MS = 5 * 60 * 1000;
+
+function actorError(code, message, httpStatus = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = httpStatus;
+  return err;
+}
+
+// Usuarios de Sell en caché 5 min; si Sell falla se usa la última lista (null si nunca se pudo leer)
+let _sellUsers = null;
+async function sellUsers() {
+  if (!_sellUsers || Date.now() - _sellUsers.at > SELL_USERS_TTL_MS) {
+    try {
+      _sellUsers = { at: Date.now(), users: await getUsers() };
+    } catch (e) {
+      console.warn(`[actor] no se pudieron leer los usuarios de Sell: ${e.message || String(e)}`);
+      if (!_sellUsers) return null;
+    }
+  }
+  return _sellUsers.users;
+}
+
+/**
+ * Usuario activo de Sell por id o por correo; null si no existe o Sell no responde.
+ */
+async function findSellUser({ id = null, email = null }) {
+  const users = await sellUsers();
+  if (!users) return null;
+  const mail = String(email || '').trim().toLowerCase();
+  return users.find(u => (id ? Number(u.id) === Number(id) : String(u.email || '').trim().toLowerCase() === mail)) || null;
+}
+
+// source va al lado de actor en el body ("sell_widget", "tampermonkey", ...); sin uno válido queda el de la ruta
+function cleanSource(value, fallback) {
+  const s = String(value || '').trim().toLowerCase();
+  return /^[a-z][a-z0-9_-]{0,29}$/.test(s) ? s : fallback;
+}
+
+/**
+ * Actor validado { sell_user_id, email, name, source }.
+ * Lanza MISSING_ACTOR | INVALID_ACTOR | ACTOR_DOMAIN_NOT_ALLOWED (400/403) y, con requireSellUser,
+ * MISSING_SELL_USER_ID | UNKNOWN_SELL_USER | ACTOR_MISMATCH | ACTOR_UNVERIFIED (Sell no responde, 503).
+ */
+async function resolveActor(raw, { source = 'portal', requireSellUser = false } = {}) {
+  if (!raw || typeof raw !== 'object') throw actorError('MISSING_ACTOR', 'Falta el objeto actor ({ sell_user_id, email, name }).');
+  const email = String(raw.email || '').trim().toLowerCase();
+  if (!email) throw actorError('MISSING_ACTOR', 'Falta actor.email.');
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw actorError('INVALID_ACTOR', 'actor.email no es un correo válido.');
+  const domains = allowedDomains();
+  if (!domains.includes(email.split('@')[1])) {
+    throw actorError('ACTOR_DOMAIN_NOT_ALLOWED', `actor.email debe ser de ${domains.map(d => `@${d}`).join(', ')}.`, 403);
+  }
+
+  const rawId = raw.sell_user_id ?? raw.id ?? null;
+  let sellUserId = null;
+  if (rawId !== null && rawId !== '') {
+    sellUserId = Number(rawId);
+    if (!Number.isInteger(sellUserId) || sellUserId <= 0) throw actorError('INVALID_ACTOR', 'actor.sell_user_id debe ser un ID de usuario de Sell.');
+  }
+  let name = String(raw.name || '').trim().slice(0, 120) || null;
+
+  if (requireSellUser) {
+    if (!sellUserId) throw actorError('MISSING_SELL_USER_ID', 'Falta actor.sell_user_id (usuario de Sell que ejecuta la acción).');
+    if (!(await sellUsers())) throw actorError('ACTOR_UNVERIFIED', 'No se pudo verificar el actor contra los usuarios de Sell.', 503);
+    const user = await findSellUser({ id: sellUserId });
+    if (!user) throw actorError('UNKNOWN_SELL_USER', `El usuario de Sell #${sellUserId} no existe o no está activo.`, 403);
+    if (String(user.email || '').trim().toLowerCase() !== email) {
+      throw actorError('ACTOR_MISMATCH', `actor.email no corresponde al usuario de Sell #${sellUserId}.`, 403);
+    }
+    name = name || user.name || null;
+  } else if (!sellUserId) {
+    const user = await findSellUser({ email });
+    if (user) {
+      sellUserId = Number(user.id);
+      name = name || user.name || null;
+    }
+  }
+
+  return { sell_user_id: sellUserId, email, name, source: cleanSource(source, 'portal') };
+}
+
+/**
+ * "Nombre <correo> (Sell #id)" para notas y logs.
+ */
+function actorLabel(actor) {
+  if (!actor) return 'sin identificar';
+  const who = actor.name && actor.email ? `${actor.name} <${actor.email}>` : String(actor.name || actor.email || actor.id || '?');
+  return actor.sell_user_id ? `${who} (Sell #${actor.sell_user_id})` : who;
+}
+
+module.exports = {
+  findSellUser,
+  resolveActor,
+  actorLabel,
+};
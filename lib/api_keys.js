@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonlStore, dataDir } = require('./jsonl_store');
+
+// API keys por cliente para /v1 (widget de Sell, Tampermonkey, automatizaciones), cada una con scopes, expiración y revocación.
+// Solo se guarda el SHA-256 de la key; el texto plano se muestra una vez al crearla.
+// Dos orígenes:
+//   - DATA_DIR/api_keys.jsonl: eventos create / revoke de POST /api/api-keys (admin del portal)
+//   - API_KEYS_JSON (inline) o API_KEYS_FILE: [{ "name": "widget", "sha256": "<hex>", "scopes": ["config:read"], "expires_at": "2027-01-01" }]
+//     para discos efímeros (Render sin disco persistente); `node lib/api_keys.js <name>` genera una key y su hash.
+// BACKEND_API_KEY (o RENDER_API_KEY) sigue aceptándose como key "legacy" con todos los scopes.
+// Contadores de uso por key en DATA_DIR/api_keys_usage.json (se escriben a lo más cada 10 s).
+
+const SCOPES = ['config:read', 'drive:write', 'render'];
+const KEY_PREFIX = 'ck_';
+const USAGE_FLUSH_MS = 10 * 1000;
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('api_keys');
+  return _store;
+}
+
+function keysError(code, message, httpStatus = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = httpStatus;
+  return err;
+}
+
+function hashKey(plain) {
+  return crypto.createHash('sha256').update(String(plain)).digest('hex');
+}
+
+function newPlainKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function isProduction() {
+  return String(process.env.NODE_ENV || '').toLowerCase() === 'production' || String(process.env.RENDER || '').toLowerCase() === 'true';
+}
+
+function normalizeScopes(scopes, where) {
+  const list = Array.from(new Set((Array.isArray(scopes) ? scopes : []).map(s => String(s).trim()).filter(Boolean)));
+  const bad = list.filter(s => !SCOPES.includes(s));
+  if (bad.length) throw keysError('INVALID_SCOPES', `Scopes inválidos en ${where}: ${bad.join(', ')} (usa ${SCOPES.join(', ')})`);
+  if (!list.length) throw keysError('INVALID_SCOPES', `${where} sin scopes (usa ${SCOPES.join(', ')})`);
+  return list;
+}
+
+function normalizeExpiry(value, where) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = Date.parse(String(value));
+  if (!Number.isFinite(t)) throw keysError('INVALID_EXPIRES_AT', `expires_at inválido en ${where}`);
+  return new Date(t).toISOString();
+}
+
+function readEnvSource() {
+  const inline = String(process.env.API_KEYS_JSON || '').trim();
+  if (inline) return { raw: inline, origin: 'API_KEYS_JSON' };
+
+  const file = String(process.env.API_KEYS_FILE || '').trim();
+  if (!file) return null;
+  try {
+    return { raw: fs.readFileSync(path.resolve(file), 'utf8'), origin: file };
+  } catch (e) {
+    throw keysError('INVALID_API_KEYS_CONFIG', `No se pudo leer API_KEYS_FILE (${file}): ${e.message || String(e)}`, 500);
+  }
+}
+
+function envKeys() {
+  const out = [];
+  const src = readEnvSource();
+  if (src) {
+    let parsed;
+    try {
+      parsed = JSON.parse(src.raw);
+    } catch (e) {
+      throw keysError('INVALID_API_KEYS_CONFIG', `${src.origin} inválido: ${e.message || String(e)}`, 500);
+    }
+    if (!Array.isArray(parsed)) throw keysError('INVALID_API_KEYS_CONFIG', `${src.origin} debe ser un array de keys`, 500);
+    parsed.forEach((k, idx) => {
+      const where = `${src.origin} (#${idx + 1})`;
+      const name = String(k?.name || '').trim();
+      const hash = String(k?.sha256 || '').trim().toLowerCase();
+      if (!name) throw keysError('INVALID_API_KEYS_CONFIG', `Key sin name en ${where}`, 500);
+      if (!/^[0-9a-f]{64}$/.test(hash)) throw keysError('INVALID_API_KEYS_CONFIG', `sha256 inválido en ${where}`, 500);
+      out.push({
+        id: `env:${name}`,
+        name,
+        source: 'env',
+        hash,
+        prefix: null,
+        scopes: normalizeScopes(k.scopes, where),
+        expires_at: normalizeExpiry(k.expires_at, where),
+        created_at: null,
+        created_by: null,
+      });
+    });
+  }
+
+  const legacy = String(process.env.BACKEND_API_KEY || process.env.RENDER_API_KEY || '').trim();
+  if (legacy) {
+    out.push({ id: 'env:legacy', name: 'legacy', source: 'legacy', hash: hashKey(legacy), prefix: null, scopes: SCOPES.slice(), expires_at: null, created_at: null, created_by: null });
+  }
+  return out;
+}
+
+/**
+ * Todas las keys (env + store) con su estado: { id, name, source, hash, prefix, scopes, expires_at, revoked_at, ... }.
+ */
+async function listApiKeys() {
+  const events = await store().list();
+  const keys = new Map(envKeys().map(k => [k.id, { ...k, revoked_at: null, revoked_by: null }]));
+  for (const ev of events) {
+    if (ev.type === 'create') {
+      keys.set(ev.id, {
+        id: ev.id,
+        name: ev.name,
+        source: 'portal',
+        hash: ev.hash,
+        prefix: ev.prefix,
+        scopes: ev.scopes,
+        expires_at: ev.expires_at,
+        created_at: ev.created_at,
+        created_by: ev.created_by,
+        revoked_at: null,
+        revoked_by: null,
+      });
+    } else if (ev.type === 'revoke' && keys.has(ev.id)) {
+      Object.assign(keys.get(ev.id), { revoked_at: ev.revoked_at, revoked_by: ev.revoked_by });
+    }
+  }
+  return Array.from(keys.values());
+}
+
+/**
+ * Crea una key: { key (texto plano, solo esta vez), api_key }.
+ */
+async function createApiKey({ name, scopes, expiresAt = null, actor = null }) {
+  const cleanName = String(name || '').trim();
+  if (!cleanName) throw keysError('MISSING_NAME', 'Indica un nombre para la key (ej: widget, tampermonkey).');
+  const record = {
+    type: 'create',
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name: cleanName.slice(0, 60),
+    scopes: normalizeScopes(scopes, 'scopes'),
+    expires_at: normalizeExpiry(expiresAt, 'expires_at'),
+    created_at: new Date().toISOString(),
+    created_by: actor?.email || null,
+  };
+  if (record.expires_at && Date.parse(record.expires_at) <= Date.now()) throw keysError('INVALID_EXPIRES_AT', 'expires_at ya pasó.');
+  const key = newPlainKey();
+  await store().append({ ...record, hash: hashKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) });
+  const created = (await listApiKeys()).find(k => k.id === record.id);
+  return { key, api_key: publicApiKey(created) };
+}
+
+async function revokeApiKey(id, { actor = null } = {}) {
+  const key = (await listApiKeys()).find(k => k.id === String(id));
+  if (!key) throw keysError('API_KEY_NOT_FOUND', 'API key no encontrada.', 404);
+  if (key.revoked_at) throw keysError('API_KEY_REVOKED', 'La API key ya estaba revocada.', 409);
+  await store().append({ type: 'revoke', id: key.id, revoked_at: new Date().toISOString(), revoked_by: actor?.email || null });
+  return publicApiKey((await listApiKeys()).find(k => k.id === key.id));
+}
+
+// ---- uso por key ----
+
+let _usage = null;
+let _flushTimer = null;
+
+function usageFile() {
+  return path.join(dataDir(), 'api_keys_usage.json');
+}
+
+function usage() {
+  if (!_usage) {
+    try {
+      _usage = JSON.parse(fs.readFileSync(usageFile(), 'utf8'));
+    } catch (_e) {
+      _usage = {};
+    }
+  }
+  return _usage;
+}
+
+function flushUsage() {
+  _flushTimer = null;
+  fs.promises.mkdir(path.dirname(usageFile()), { recursive: true })
+    .then(() => fs.promises.writeFile(usageFile(), JSON.stringify(usage())))
+    .catch(err => console.error('api_keys_usage: no se pudo guardar', err.message || err));
+}
+
+function recordUsage(keyId, scope, status) {
+  const all = usage();
+  const u = all[keyId] || (all[keyId] = { count: 0, denied: 0, by_scope: {}, last_used_at: null });
+  if (status === 'ok') {
+    u.count += 1;
+    u.by_scope[scope] = (u.by_scope[scope] || 0) + 1;
+    u.last_used_at = new Date().toISOString();
+  } else {
+    u.denied += 1;
+  }
+  if (!_flushTimer) {
+    _flushTimer = setTimeout(flushUsage, USAGE_FLUSH_MS);
+    _flushTimer.unref();
+  }
+}
+
+function publicApiKey(k) {
+  if (!k) return null;
+  const { hash: _hash, ...rest } = k;
+  const now = Date.now();
+  const status = k.revoked_at ? 'revoked' : (k.expires_at && Date.parse(k.expires_at) <= now ? 'expired' : 'active');
+  return { ...rest, status, usage: usage()[k.id] || { count: 0, denied: 0, by_scope: {}, last_used_at: null } };
+}
+
+/**
+ * Valida la key de un request para un scope: { ok, key, error, status }.
+ * error: MISSING_API_KEY | INVALID_API_KEY | API_KEY_REVOKED | API_KEY_EXPIRED | INSUFFICIENT_SCOPE | API_KEYS_NOT_CONFIGURED.
+ * Sin ninguna key configurada deja pasar (key null) salvo en producción (NODE_ENV=production o Render): ahí falla cerrado.
+ */
+async function checkApiKey(plain, scope) {
+  const keys = await listApiKeys();
+  if (!keys.length) {
+    if (isProduction() && String(process.env.API_KEYS_OPTIONAL || '').toLowerCase() !== 'true') {
+      return { ok: false, key: null, status: 503, error: 'API_KEYS_NOT_CONFIGURED' };
+    }
+    return { ok: true, key: null };
+  }
+
+  const got = String(plain || '').trim();
+  if (!got) return { ok: false, key: null, status: 401, error: 'MISSING_API_KEY' };
+  const hash = hashKey(got);
+  const key = keys.find(k => crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), Buffer.from(hash, 'hex')));
+  if (!key) return { ok: false, key: null, status: 403, error: 'INVALID_API_KEY' };
+
+  let error = null;
+  if (key.revoked_at) error = 'API_KEY_REVOKED';
+  else if (key.expires_at && Date.parse(key.expires_at) <= Date.now()) error = 'API_KEY_EXPIRED';
+  else if (!key.scopes.includes(scope)) error = 'INSUFFICIENT_SCOPE';
+  recordUsage(key.id, scope, error ? 'denied' : 'ok');
+  if (error) return { ok: false, key: publicApiKey(key), status: 403, error };
+  return { ok: true, key: publicApiKey(key) };
+}
+
+module.exports = {
+  SCOPES,
+  isProduction,
+  hashKey,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  publicApiKey,
+  checkApiKey,
+};
+
+// node lib/api_keys.js widget → key nueva y la entrada para API_KEYS_JSON
+if (require.main === module) {
+  const name = process.argv[2] || 'widget';
+  const key = newPlainKey();
+  console.log(`key:    ${key}`);
+  console.log(`config: ${JSON.stringify({ name, sha256: hashKey(key), scopes: SCOPES })}`);
+}
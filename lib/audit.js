@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl_store');
+const { normalizePatientId } = require('./patient_id');
+const { sessionActor } = require('./auth');
+const { isProduction } = require('./api_keys');
+
+// Bitácora de auditoría append-only (DATA_DIR/audit.jsonl): una entrada por request a las rutas de server.js
+// (portal, /v1, webhooks, login) con actor, ruta, inputs, resultado e IDs de Sell/Drive. GET /api/audit la filtra.
+// El RUT no queda en claro: en inputs va enmascarado (**.***.228-K) y rut_hash (HMAC-SHA256 del canon con
+// AUDIT_HASH_SECRET) sirve para buscarlo. Sin el secreto en producción falla cerrado. Códigos OAuth, tokens y
+// secretos de los inputs quedan como "[redactado]".
+// No se registran los polls ni las descargas automáticas (SKIP_ROUTES): no son acciones de una persona.
+
+const SKIP_ROUTES = new Set([
+  'GET /health',
+  'GET /auth/me',
+  'GET /api/sell/status',
+  'GET /api/docs/jobs/:id',
+  'GET /api/rut-scan/:id',
+  'GET /api/docs/images/:token',
+]);
+const AUDITED_PREFIXES = ['/api/', '/v1/', '/webhooks/', '/auth/', '/verify/'];
+const MAX_STRING = 300;
+const MAX_ITEMS = 20;
+const MAX_DEPTH = 4;
+// Claves que traen el RUT con otro nombre (RUN, "RUT o ID", rol único); además se enmascara todo string con forma de RUT
+const RUT_KEY = /rut|(^|[^a-z])run([^a-z]|$)|rol.?[uú]nico/i;
+const RUT_SHAPE = /^\d{1,2}(\.?\d{3}){2}-?[\dk]$/i;
+// Credenciales que no pueden quedar en el log: code/state de /auth/callback (OAuth + PKCE), tokens, secretos, claves
+const SECRET_KEY = /token|secret|code_verifier|password|^code$|^state$/i;
+const REDACTED = '[redactado]';
+const DEV_HASH_SECRET = 'dev-audit-hash';
+
+let _store = null;
+function store() {
+  // Sin cache: una entrada por request, no se acumula en memoria; las consultas leen el archivo línea a línea
+  if (!_store) _store = createJsonlStore('audit', { cache: false });
+  return _store;
+}
+
+function auditError(code, message, httpStatus = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = httpStatus;
+  return err;
+}
+
+function parseId({ value, type = null, country = null }) {
+  try {
+    const id = normalizePatientId({ type, value, country });
+    return id.canonical ? id : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * RUT / ID del paciente enmascarado: quedan visibles los últimos 3 caracteres y el DV (**.***.228-K).
+ */
+function maskPatientId(value) {
+  const id = parseId({ value });
+  const shown = id ? (id.type === 'rut' ? id.human : id.canonical) : String(value || '').trim();
+  if (!shown) return shown;
+  const body = id?.type === 'rut' ? shown.slice(0, -2) : shown;
+  const tail = id?.type === 'rut' ? shown.slice(-2) : '';
+  let keep = 3;
+  const masked = body.split('').reverse().map(ch => {
+    if (!/[0-9a-z]/i.test(ch)) return ch;
+    if (keep > 0) {
+      keep -= 1;
+      return ch;
+    }
+    return '*';
+  }).reverse().join('');
+  return `${masked}${tail}`;
+}
+
+/**
+ * Secreto del hash de RUT. En producción es obligatorio (503 MISSING_AUDIT_HASH_SECRET); en dev, uno fijo.
+ */
+function auditHashSecret() {
+  const secret = String(process.env.AUDIT_HASH_SECRET || '').trim();
+  if (secret) return secret;
+  if (isProduction()) {
+    throw auditError('MISSING_AUDIT_HASH_SECRET', 'Falta AUDIT_HASH_SECRET: la auditoría no se abre sin él en producción.', 503);
+  }
+  return DEV_HASH_SECRET;
+}
+
+/**
+ * Hash para buscar por RUT sin guardarlo: HMAC-SHA256 del canon (16927228k) con AUDIT_HASH_SECRET. null si no se reconoce.
+ */
+function patientIdHash(value, { type = null, country = null } = {}) {
+  const id = parseId({ value, type, country });
+  return id ? crypto.createHmac('sha256', auditHashSecret()).update(id.canonical).digest('hex') : null;
+}
+
+function looksLikeRut(value) {
+  return RUT_SHAPE.test(value.trim()) && parseId({ value, type: 'rut' }) !== null;
+}
+
+function sanitize(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (Buffer.isBuffer(value)) return { bytes: value.length };
+  if (SECRET_KEY.test(key)) return REDACTED;
+  if (RUT_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) return maskPatientId(value);
+  if (typeof value === 'string' && looksLikeRut(value)) return maskPatientId(value);
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length}]` : '{…}';
+  if (Array.isArray(value)) return value.slice(0, MAX_ITEMS).map(v => sanitize(v, key, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === 'actor') continue;
+    out[k] = sanitize(v, k, depth + 1);
+  }
+  return out;
+}
+
+function addId(set, v) {
+  const n = Number(v);
+  if (Number.isInteger(n) && n > 0) set.add(n);
+}
+
+// IDs de Sell/Drive del request (params, body, query) y de la respuesta JSON (primer nivel)
+function collectIds(route, req, resBody) {
+  const contacts = new Set();
+  const deals = new Set();
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  const r = resBody && typeof resBody === 'object' ? resBody : {};
+
+  if (route.startsWith('/api/contacts/')) addId(contacts, req.params?.id);
+  if (route.startsWith('/api/deals/')) addId(deals, req.params?.id);
+  for (const src of [body, req.query || {}, r]) {
+    addId(contacts, src.contact_id ?? src.contactId);
+    addId(deals, src.deal_id ?? src.dealId);
+  }
+  addId(contacts, body.contact?.id);
+  addId(deals, body.deal?.id);
+  addId(contacts, r.contact?.id);
+  addId(deals, r.deal?.id);
+  for (const c of Array.isArray(r.contacts) ? r.contacts : []) addId(contacts, c?.id);
+  for (const d of Array.isArray(r.deals) ? r.deals : []) addId(deals, d?.id);
+
+  const ids = {
+    contact_ids: Array.from(contacts),
+    deal_ids: Array.from(deals),
+    job_id: r.job_id || r.job?.id || null,
+    folder_id: r.folder_id || null,
+    doc_file_id: r.doc_file_id || null,
+    pdf_file_id: r.pdf_file_id || null,
+    note_id: r.note?.id ?? null,
+    note_outbox_id: r.note?.outbox_id || null,
+    verification_code: r.verification_code || null,
+    api_key_id: r.api_key?.id || (route.startsWith('/api/api-keys/') ? req.params?.id : null) || null,
+  };
+  for (const k of Object.keys(ids)) {
+    if (ids[k] === null || (Array.isArray(ids[k]) && !ids[k].length)) delete ids[k];
+  }
+  return ids;
+}
+
+function rutHashOf(req, resBody) {
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  const q = req.query || {};
+  const input = body.rut ?? body.rut_input ?? body.object?.rut ?? q.rut ?? null;
+  if (input) {
+    const h = patientIdHash(input, { type: body.id_type ?? q.id_type, country: body.id_country ?? q.id_country });
+    if (h) return h;
+  }
+  const out = resBody && typeof resBody === 'object' ? resBody : {};
+  const stored = out.rut_normalizado || out.rut_normalized_no_dash || null;
+  return stored ? patientIdHash(stored) : null;
+}
+
+// Quién: el actor validado (requireActor), si no la sesión, si no el actor que dice el body (claimed: sin verificar)
+function actorOf(req) {
+  const role = req.user?.role || (req.user?.guest ? 'guest' : null);
+  const verified = req.actor || sessionActor(req.user);
+  if (verified) {
+    return {
+      email: verified.email || null,
+      name: verified.name || null,
+      sell_user_id: verified.sell_user_id ?? verified.id ?? req.user?.sell_user_id ?? null,
+      source: verified.source || null,
+      role,
+    };
+  }
+  if (req.user?.guest) return { email: null, name: 'Invitado', sell_user_id: null, source: null, role: 'guest' };
+  const raw = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body.actor : null;
+  if (raw && typeof raw === 'object' && raw.email) {
+    return {
+      email: String(raw.email).trim().toLowerCase().slice(0, 120),
+      name: raw.name ? String(raw.name).slice(0, 120) : null,
+      sell_user_id: Number(raw.sell_user_id ?? raw.id) || null,
+      source: null,
+      role,
+      claimed: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Entrada de auditoría de un request terminado (null si la ruta no se audita). resBody: el JSON respondido, si hubo.
+ */
+function auditEntry(req, res, { startedAt, resBody = null }) {
+  const pathOnly = String(req.originalUrl || req.url || '').split('?')[0];
+  const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : pathOnly;
+  if (!req.route && !AUDITED_PREFIXES.some(p => pathOnly.startsWith(p))) return null;
+  if (SKIP_ROUTES.has(`${req.method} ${route}`)) return null;
+
+  const r = resBody && typeof resBody === 'object' ? resBody : {};
+  const dry = String(req.query?.dry_run || '').toLowerCase();
+  return {
+    at: new Date(startedAt).toISOString(),
+    method: req.method,
+    route,
+    status: res.statusCode,
+    ok: res.statusCode < 400,
+    error: r.error || null,
+    duration_ms: Date.now() - startedAt,
+    dry_run: dry === '1' || dry === 'true',
+    actor: actorOf(req),
+    api_key: req.apiKey?.name || null,
+    inputs: sanitize({ params: req.params, query: req.query, body: req.body }),
+    rut_hash: rutHashOf(req, resBody),
+    ids: collectIds(route, req, resBody),
+  };
+}
+
+function recordAudit(entry) {
+  return store().append(entry);
+}
+
+function parseDateBound(value, { end = false } = {}) {
+  if (!value) return null;
+  const s = String(value).trim();
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) throw auditError('INVALID_DATE', `Fecha inválida: ${s} (usa YYYY-MM-DD o ISO).`);
+  // Solo la fecha: "to" incluye todo ese día (UTC)
+  return end && /^\d{4}-\d{2}-\d{2}$/.test(s) ? t + 24 * 60 * 60 * 1000 : t + (end ? 1 : 0);
+}
+
+/**
+ * Entradas que calzan con los filtros, más nuevas primero: { total, items, by_actor }.
+ * actor: correo o sell_user_id · deal_id / contact_id · rut (cualquier formato) · from / to (YYYY-MM-DD o ISO) · route.
+ */
+async function listAudit({ actor = null, dealId = null, contactId = null, rut = null, from = null, to = null, route = null, limit = 200 } = {}) {
+  const fromT = parseDateBound(from);
+  const toT = parseDateBound(to, { end: true });
+  let hash = null;
+  if (rut) {
+    hash = patientIdHash(rut);
+    if (!hash) throw auditError('INVALID_RUT', 'RUT / ID inválido para filtrar.');
+  }
+  const who = actor ? String(actor).trim().toLowerCase() : null;
+  const whoId = who && /^\d+$/.test(who) ? Number(who) : null;
+  const deal = Number(dealId) || null;
+  const contact = Number(contactId) || null;
+
+  const matches = (e) => {
+    const t = Date.parse(e.at);
+    if (fromT !== null && t < fromT) return false;
+    if (toT !== null && t >= toT) return false;
+    if (who && !(whoId ? Number(e.actor?.sell_user_id) === whoId : e.actor?.email === who)) return false;
+    if (deal && !(e.ids?.deal_ids || []).includes(deal)) return false;
+    if (contact && !(e.ids?.contact_ids || []).includes(contact)) return false;
+    if (hash && e.rut_hash !== hash) return false;
+    if (route && e.route !== route) return false;
+    return true;
+  };
+
+  // En memoria solo las últimas `max` coincidencias y los contadores
+  const max = Math.min(Math.max(Number(limit) || 200, 1), 1000);
+  const newest = [];
+  const byActor = new Map();
+  let total = 0;
+  await store().forEach((e) => {
+    if (!matches(e)) return;
+    total += 1;
+    newest.push(e);
+    if (newest.length > max) newest.shift();
+    const key = e.actor?.email || (e.actor?.role === 'guest' ? 'invitado' : 'sin identificar');
+    const row = byActor.get(key) || { actor: key, total: 0, ok: 0, writes: 0 };
+    row.total += 1;
+    if (e.ok) row.ok += 1;
+    if (e.ok && e.method !== 'GET' && !e.dry_run) row.writes += 1;
+    byActor.set(key, row);
+  });
+
+  return { total, items: newest.reverse(), by_actor: Array.from(byActor.values()).sort((a, b) => b.total - a.total) };
+}
+
+module.exports = {
+  maskPatientId,
+  auditHashSecret,
+  patientIdHash,
+  auditEntry,
+  recordAudit,
+  listAudit,
+};
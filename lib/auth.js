@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { isProduction } = require('./api_keys');
+
+// Login del portal con Google Workspace (OIDC, authorization code + PKCE) restringido a AUTH_ALLOWED_DOMAINS.
+// Se activa con GOOGLE_OAUTH_CLIENT_ID + GOOGLE_OAUTH_CLIENT_SECRET; sin ellos el portal queda abierto como antes (dev).
+// La sesión es una cookie firmada con HMAC-SHA256 (SESSION_SECRET), sin estado en el servidor:
+//   { email, name, sub, hd, guest, exp }. guest=true es el modo "Invitado" del contrato (solo lectura).
+
+const SESSION_COOKIE = 'portal_session';
+const OAUTH_COOKIE = 'portal_oauth';
+const OAUTH_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_SESSION_HOURS = 12;
+
+function authError(code, message, httpStatus = 401) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = httpStatus;
+  return err;
+}
+
+function oauthClientId() {
+  return String(process.env.GOOGLE_OAUTH_CLIENT_ID || '').trim();
+}
+
+function authEnabled() {
+  return Boolean(oauthClientId());
+}
+
+function guestAllowed() {
+  return String(process.env.AUTH_GUEST_ENABLED ?? 'true').toLowerCase() !== 'false';
+}
+
+function allowedDomains() {
+  return String(process.env.AUTH_ALLOWED_DOMAINS || 'clinyco.cl')
+    .split(',')
+    .map(s => s.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+function sessionTtlMs() {
+  const hours = Number(process.env.AUTH_SESSION_HOURS || DEFAULT_SESSION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_HOURS) * 3600 * 1000;
+}
+
+// Sin SESSION_SECRET en dev, uno aleatorio por proceso (las sesiones no sobreviven un reinicio). En producción falla
+// cerrado (503 SESSION_SECRET_MISSING): cada reinicio cerraría todas las sesiones y con 2+ instancias no se validarían.
+let _processSecret = null;
+function sessionSecret() {
+  const fromEnv = String(process.env.SESSION_SECRET || '').trim();
+  if (fromEnv) return fromEnv;
+  if (isProduction()) throw authError('SESSION_SECRET_MISSING', 'Falta SESSION_SECRET: el login no se abre sin él en producción.', 503);
+  if (!_processSecret) _processSecret = crypto.randomBytes(32).toString('hex');
+  return _processSecret;
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+function unsign(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const out = Object.create(null);
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k || k in out) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_e) {
+      out[k] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+function cookieHeader(name, value, { maxAgeMs, secure }) {
+  const attrs = [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    // Lax: el navegador no manda la cookie en POST cross-site (CSRF), sí al volver de Google por GET
+    'SameSite=Lax',
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/**
+ * Sesión de la cookie ({ email, name, sub, hd, guest }) o null si no hay, la firma no calza o expiró.
+ */
+function readSession(cookieHeaderValue) {
+  const payload = unsign(parseCookies(cookieHeaderValue)[SESSION_COOKIE]);
+  if (!payload) return null;
+  return {
+    email: payload.email || null,
+    name: payload.name || null,
+    sub: payload.sub || null,
+    hd: payload.hd || null,
+    guest: Boolean(payload.guest),
+  };
+}
+
+/**
+ * Set-Cookie de una sesión nueva (user de completeLogin, o { guest: true }).
+ */
+function sessionCookie(user, { secure = false } = {}) {
+  const ttl = sessionTtlMs();
+  const payload = user.guest
+    ? { guest: true, exp: Date.now() + ttl }
+    : { email: user.email, name: user.name || null, sub: user.sub || null, hd: user.hd || null, exp: Date.now() + ttl };
+  return cookieHeader(SESSION_COOKIE, sign(payload), { maxAgeMs: ttl, secure });
+}
+
+function clearSessionCookie({ secure = false } = {}) {
+  return cookieHeader(SESSION_COOKIE, '', { maxAgeMs: 0, secure });
+}
+
+// return_to solo como path relativo del portal (no open redirect)
+function safeReturnTo(value) {
+  const s = String(value || '').trim();
+  return /^\/(?![/\\])/.test(s) ? s : '/';
+}
+
+function oauthClient(redirectUri) {
+  const secret = String(process.env.GOOGLE_OAUTH_CLIENT_SECRET || '').trim();
+  if (!oauthClientId() || !secret) {
+    throw authError('AUTH_NOT_CONFIGURED', 'Login no configurado: faltan GOOGLE_OAUTH_CLIENT_ID / GOOGLE_OAUTH_CLIENT_SECRET.', 500);
+  }
+  return new google.auth.OAuth2(oauthClientId(), secret, redirectUri);
+}
+
+/**
+ * Inicio del login: { url, cookie }. state, nonce y el code_verifier PKCE van en una cookie firmada de 10 min.
+ */
+async function beginLogin({ redirectUri, returnTo, secure = false }) {
+  const client = oauthClient(redirectUri);
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+  const domains = allowedDomains();
+
+  const url = client.generateAuthUrl({
+    scope: ['openid', 'email', 'profile'],
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+    // hd solo filtra el selector de cuentas de Google; el dominio se vuelve a validar en el callback
+    ...(domains.length === 1 ? { hd: domains[0] } : {}),
+  });
+  const cookie = cookieHeader(OAUTH_COOKIE, sign({ state, nonce, cv: codeVerifier, rt: safeReturnTo(returnTo), exp: Date.now() + OAUTH_TTL_MS }), { maxAgeMs: OAUTH_TTL_MS, secure });
+  return { url, cookie };
+}
+
+/**
+ * Valida el payload del id_token contra el dominio permitido. Returns { email, name, sub, hd } o lanza
+ * EMAIL_NOT_VERIFIED | DOMAIN_NOT_ALLOWED.
+ */
+function userFromIdTokenPayload(payload) {
+  const email = String(payload?.email || '').trim().toLowerCase();
+  if (!email || payload.email_verified === false || payload.email_verified === 'false') {
+    throw authError('EMAIL_NOT_VERIFIED', 'La cuenta de Google no tiene un correo verificado.', 403);
+  }
+  const domains = allowedDomains();
+  const emailDomain = email.split('@')[1] || '';
+  // hd es el claim de Google Workspace: una cuenta @gmail con ese correo no lo trae
+  const hd = String(payload.hd || '').trim().toLowerCase();
+  if (!domains.includes(emailDomain) || !domains.includes(hd)) {
+    throw authError('DOMAIN_NOT_ALLOWED', `Solo cuentas de ${domains.map(d => `@${d}`).join(', ')} pueden entrar al portal.`, 403);
+  }
+  return {
+    email,
+    name: String(payload.name || '').trim() || null,
+    sub: String(payload.sub || '') || null,
+    hd,
+  };
+}
+
+/**
+ * Callback de Google: canjea el code, verifica el id_token (firma, aud, iss, exp, nonce) y el dominio.
+ * Returns { user, returnTo }.
+ */
+async function completeLogin({ redirectUri, code, state, cookieHeaderValue }) {
+  const pending = unsign(parseCookies(cookieHeaderValue)[OAUTH_COOKIE]);
+  if (!pending || !state || pending.state !== String(state)) {
+    throw authError('INVALID_OAUTH_STATE', 'El login expiró o no se inició desde este navegador. Vuelve a intentarlo.');
+  }
+  if (!code) throw authError('MISSING_OAUTH_CODE', 'Google no devolvió el código de autorización.');
+
+  const client = oauthClient(redirectUri);
+  let payload;
+  try {
+    const { tokens } = await client.getToken({ code: String(code), codeVerifier: pending.cv });
+    const ticket = await client.verifyIdToken({ idToken: tokens.id_token, audience: oauthClientId() });
+    payload = ticket.getPayload();
+  } catch (e) {
+    throw authError('INVALID_ID_TOKEN', `No se pudo validar el login con Google: ${e.message || String(e)}`);
+  }
+  if (payload?.nonce !== pending.nonce) throw authError('INVALID_ID_TOKEN', 'El id_token no corresponde a este login (nonce).');
+
+  return { user: userFromIdTokenPayload(payload), returnTo: pending.rt || '/' };
+}
+
+function clearOAuthCookie({ secure = false } = {}) {
+  return cookieHeader(OAUTH_COOKIE, '', { maxAgeMs: 0, secure });
+}
+
+/**
+ * Actor del contrato para notas y headers a partir de la sesión (null si no hay usuario logueado);
+ * id es el usuario de Sell cuando lib/roles.js lo encontró.
+ */
+function sessionActor(user) {
+  if (!user || user.guest || !user.email) return null;
+  return { email: user.email, name: user.name || null, id: user.sell_user_id || null };
+}
+
+module.exports = {
+  authEnabled,
+  sessionSecret,
+  guestAllowed,
+  allowedDomains,
+  readSession,
+  sessionCookie,
+  clearSessionCookie,
+  safeReturnTo,
+  beginLogin,
+  completeLogin,
+  clearOAuthCookie,
+  userFromIdTokenPayload,
+  sessionActor,
+};
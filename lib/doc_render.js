@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { DOCX_MIME, renderDocx, embedDocxImages, docxToText, ensureDocxDealAgentHeader, docxToPdfBuffer } = require('./docx');
+const { stampVerificationPdf } = require('./pdf');
+
+// Per-template rendering engine:
+//   google → Drive copy + Docs replaceAllText + Drive PDF export (5+ API calls per template)
+//   docx   → .docx filled and converted to PDF in this process; only the uploads hit Drive
+// Uploaded .docx templates always use "docx"; Google Docs opt in via DOC_TEMPLATE_ENGINES_JSON or the request.
+// With DOCS_STORAGE=local|s3 there is no Google: the storage adapter renders natively ("storage").
+
+const ENGINES = ['google', 'docx'];
+
+function parseTemplateEnginesEnv() {
+  const raw = String(process.env.DOC_TEMPLATE_ENGINES_JSON || '').trim();
+  if (!raw) return {};
+  try {
+    const obj = JSON.parse(raw);
+    return obj && typeof obj === 'object' ? obj : {};
+  } catch (_e) {
+    console.error('DOC_TEMPLATE_ENGINES_JSON inválido (se ignora)');
+    return {};
+  }
+}
+
+function normalizeEngine(v) {
+  const e = String(v || '').trim().toLowerCase();
+  return ENGINES.includes(e) ? e : null;
+}
+
+function resolveTemplateEngine({ storage, templateFileId, slug = null, mimeType = null, requested = null }) {
+  if (storage.kind !== 'drive') return 'storage';
+  if (mimeType === DOCX_MIME) return 'docx';
+
+  const fromRequest = normalizeEngine(requested);
+  if (fromRequest) return fromRequest;
+
+  const map = parseTemplateEnginesEnv();
+  const fromEnv = normalizeEngine(map[templateFileId]) || (slug ? normalizeEngine(map[slug]) : null);
+  if (fromEnv) return fromEnv;
+
+  return normalizeEngine(process.env.DOC_RENDER_ENGINE) || 'google';
+}
+
+function docxTemplatesDir() {
+  const v = String(process.env.DOCX_TEMPLATES_DIR || '').trim();
+  return v ? path.resolve(v) : null;
+}
+
+function docxCacheDir() {
+  return path.resolve(String(process.env.DOCX_TEMPLATE_CACHE_DIR || '').trim() || path.join(__dirname, '..', 'data', 'docx_cache'));
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * .docx bytes for a template: DOCX_TEMPLATES_DIR/<id>.docx if present, otherwise downloaded once from Drive
+ * and cached on disk per modifiedTime (editing the template in Drive invalidates the cache).
+ */
+async function loadDocxTemplate({ storage, templateFileId }) {
+  const id = String(templateFileId || '').trim();
+  const safeId = id.replace(/[^\w.-]/g, '_');
+
+  const dir = docxTemplatesDir();
+  if (dir) {
+    const local = await readIfExists(path.join(dir, `${safeId}.docx`));
+    if (local) return local;
+  }
+
+  const meta = await storage.getFileMetadata({ fileId: id });
+  const version = String(meta?.modifiedTime || 'v0').replace(/[^\w]/g, '');
+  const cacheFile = path.join(docxCacheDir(), `${safeId}-${version}.docx`);
+  const cached = await readIfExists(cacheFile);
+  if (cached) return cached;
+
+  const buffer = await storage.downloadFileAsDocx({ fileId: id, mimeType: meta?.mimeType });
+  await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+  await fs.writeFile(cacheFile, buffer);
+  return buffer;
+}
+
+/**
+ * Plain text of a template (body, tables, headers, footers) for placeholder discovery.
+ * Uploaded .docx in Drive go through the same cache as rendering.
+ */
+async function readTemplateText({ storage, templateFileId, mimeType = null }) {
+  if (storage.kind === 'drive' && mimeType === DOCX_MIME) {
+    const { headerLines, bodyLines, footerLines } = docxToText(await loadDocxTemplate({ storage, templateFileId }));
+    return [...headerLines, ...bodyLines, ...footerLines].join('\n');
+  }
+  return storage.getDocumentText({ documentId: templateFileId });
+}
+
+/**
+ * Render one template into the patient's folders.
+ * verification = { code, url } adds VERIF.<code> to the header and the QR/code stamp to every PDF page.
+ * images = resolveImagePlaceholders(...).images fills {{image.<key>}} (signatures, stamps).
+ * Returns { engine, doc: {id,name}, pdf: {id,name}, doc_url, pdf_url, pdf_sha256 } (hash of the uploaded PDF bytes).
+ */
+async function renderDocument({
+  storage,
+  engine,
+  templateFileId,
+  docName,
+  pdfName,
+  docsFolderId,
+  pdfFolderId,
+  placeholders,
+  preserveMissingPlaceholders = true,
+  dealId = null,
+  agentEmail = '',
+  verification = null,
+  images = null,
+}) {
+  const verificationCode = verification?.code || null;
+  const stamp = async buffer => (verification ? stampVerificationPdf(buffer, verification) : buffer);
+  const pdfHash = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+  if (engine === 'docx') {
+    const template = await loadDocxTemplate({ storage, templateFileId });
+    let buffer = renderDocx(template, placeholders, { preserveMissingPlaceholders });
+    if (images) buffer = embedDocxImages(buffer, images);
+    if (dealId) buffer = ensureDocxDealAgentHeader(buffer, { dealId, agentEmail, verificationCode }).buffer;
+
+    const doc = await storage.uploadFileToFolder({
+      buffer,
+      name: `${docName}.docx`,
+      mimeType: DOCX_MIME,
+      parentFolderId: docsFolderId,
+    });
+    const pdfBuffer = await stamp(await docxToPdfBuffer(buffer, { title: docName, images }));
+    const pdf = await storage.uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId: pdfFolderId });
+    return { engine, doc, pdf, doc_url: storage.fileUrl(doc.id), pdf_url: storage.fileUrl(pdf.id), pdf_sha256: pdfHash(pdfBuffer) };
+  }
+
+  const doc = await storage.copyTemplateToFolder({
+    templateFileId,
+    newName: docName,
+    parentFolderId: docsFolderId,
+  });
+
+  await storage.replacePlaceholdersInDoc({
+    documentId: doc.id,
+    placeholders,
+    preserveMissingPlaceholders,
+  });
+  if (images) await storage.replaceImagePlaceholdersInDoc({ documentId: doc.id, images });
+
+  if (dealId) {
+    await storage.ensureDealAgentHeader({
+      documentId: doc.id,
+      dealId,
+      agentEmail,
+      verificationCode,
+    });
+  }
+
+  const pdfBuffer = await stamp(await storage.exportDocAsPdfBuffer({ fileId: doc.id, images }));
+  const pdf = await storage.uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId: pdfFolderId });
+  return { engine, doc, pdf, doc_url: storage.docUrl(doc.id), pdf_url: storage.fileUrl(pdf.id), pdf_sha256: pdfHash(pdfBuffer) };
+}
+
+module.exports = {
+  ENGINES,
+  resolveTemplateEngine,
+  loadDocxTemplate,
+  readTemplateText,
+  renderDocument,
+};
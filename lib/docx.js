@@ -0,0 +1,531 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const PizZip = require('pizzip');
+const { textToPdfBuffer } = require('./pdf');
+const {
+  hasTemplateBlocks,
+  inlineOps,
+  parseBlocks,
+  flattenBlocks,
+  rowBlock,
+  evalCondition,
+  listFor,
+  childScope,
+  isScalarPlaceholder,
+} = require('./template_blocks');
+
+// Minimal .docx template engine: fills {{...}} placeholders in the document, headers and footers
+// (Word often splits a token across several runs, so runs are merged per placeholder first).
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const PARAGRAPH_RE = /<w:p[ >][\s\S]*?<\/w:p>/g;
+const TEXT_NODE_RE = /(<w:t(?:\s[^>]*)?>)([\s\S]*?)(<\/w:t>)/g;
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function loadZip(buffer) {
+  try {
+    return new PizZip(buffer);
+  } catch (e) {
+    const err = new Error(`Template .docx inválido: ${e.message || String(e)}`);
+    err.code = 'INVALID_DOCX_TEMPLATE';
+    throw err;
+  }
+}
+
+// document.xml + header*.xml + footer*.xml
+function templateParts(zip) {
+  return Object.keys(zip.files)
+    .filter(name => /^word\/(document|header\d*|footer\d*)\.xml$/.test(name))
+    .sort();
+}
+
+/**
+ * Move the pieces of every placeholder split across <w:t> nodes into the node where it starts.
+ * The paragraph text is unchanged; only the run boundaries move.
+ */
+function mergeSplitPlaceholders(paragraphXml) {
+  const nodes = [];
+  paragraphXml.replace(TEXT_NODE_RE, (_m, open, text) => {
+    nodes.push({ open, text: decodeXml(text) });
+    return _m;
+  });
+  if (nodes.length < 2) return paragraphXml;
+
+  const full = nodes.map(n => n.text).join('');
+  if (!full.includes('{{')) return paragraphXml;
+
+  const re = /\{\{[\s\S]*?\}\}/g;
+  let m;
+  let changed = false;
+  while ((m = re.exec(full))) {
+    const start = m.index;
+    const end = start + m[0].length;
+    let offset = 0;
+    let first = -1;
+    for (let i = 0; i < nodes.length; i++) {
+      const len = nodes[i].text.length;
+      if (first === -1 && start < offset + len) first = i;
+      if (first !== -1 && end <= offset + len) {
+        if (i !== first) {
+          const cut = end - offset;
+          for (let k = first + 1; k < i; k++) {
+            nodes[first].text += nodes[k].text;
+            nodes[k].text = '';
+          }
+          nodes[first].text += nodes[i].text.slice(0, cut);
+          nodes[i].text = nodes[i].text.slice(cut);
+          changed = true;
+        }
+        break;
+      }
+      offset += len;
+    }
+  }
+  if (!changed) return paragraphXml;
+
+  let idx = 0;
+  return paragraphXml.replace(TEXT_NODE_RE, () => {
+    const n = nodes[idx++];
+    const open = n.open.includes('xml:space') ? n.open : n.open.replace('<w:t', '<w:t xml:space="preserve"');
+    return `${open}${encodeXml(n.text)}</w:t>`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// {{#if}} / {{#each}} blocks (lib/template_blocks.js) over the WordprocessingML tree
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a container's XML into its top-level children named in `names` (depth-aware, so text boxes
+ * and nested tables stay inside their parent). Anything in between is returned as raw segments.
+ */
+function splitChildren(xml, names) {
+  const re = new RegExp(`<(/?)(${names.join('|')})(?=[\\s>/])[^>]*?(/?)>`, 'g');
+  const out = [];
+  let last = 0;
+  let depth = 0;
+  let current = null;
+  let start = 0;
+  let m;
+  while ((m = re.exec(xml))) {
+    const [tag, closing, name, selfClosing] = m;
+    if (!depth) {
+      if (closing) continue;
+      if (m.index > last) out.push({ name: null, xml: xml.slice(last, m.index) });
+      if (selfClosing) {
+        out.push({ name, xml: tag });
+        last = re.lastIndex;
+        continue;
+      }
+      current = name;
+      start = m.index;
+      depth = 1;
+      continue;
+    }
+    if (name !== current) continue;
+    if (closing) depth -= 1;
+    else if (!selfClosing) depth += 1;
+    if (!depth) {
+      out.push({ name, xml: xml.slice(start, re.lastIndex) });
+      last = re.lastIndex;
+    }
+  }
+  if (last < xml.length) out.push({ name: null, xml: xml.slice(last) });
+  return out;
+}
+
+function textNodesOf(xml) {
+  const nodes = [];
+  xml.replace(TEXT_NODE_RE, (_m, open, text) => {
+    nodes.push({ open, text: decodeXml(text) });
+    return _m;
+  });
+  return nodes;
+}
+
+function writeTextNodes(xml, nodes) {
+  let idx = 0;
+  return xml.replace(TEXT_NODE_RE, () => {
+    const n = nodes[idx++];
+    const open = n.open.includes('xml:space') ? n.open : n.open.replace('<w:t', '<w:t xml:space="preserve"');
+    return `${open}${encodeXml(n.text)}</w:t>`;
+  });
+}
+
+function xmlText(xml) {
+  return textNodesOf(xml).map(n => n.text).join('');
+}
+
+// Apply text ops (paragraph coordinates) across the run texts; inserted text goes into the run where the op starts
+function applyOpsToNodes(nodes, ops) {
+  for (const op of [...ops].sort((a, b) => b.start - a.start)) {
+    let offset = 0;
+    let inserted = false;
+    for (let i = 0; i < nodes.length; i++) {
+      const n = nodes[i];
+      const len = n.text.length;
+      const from = Math.max(op.start, offset);
+      const to = Math.min(op.end, offset + len);
+      const startsHere = op.start >= offset && (op.start < offset + len || i === nodes.length - 1);
+      if (from < to || startsHere) {
+        const a = Math.max(0, from - offset);
+        const b = Math.max(a, to - offset);
+        n.text = n.text.slice(0, a) + (startsHere && !inserted ? op.text : '') + n.text.slice(b);
+        if (startsHere) inserted = true;
+      }
+      offset += len;
+      if (offset >= op.end && inserted) break;
+    }
+  }
+}
+
+function renderParagraph(pXml, scope) {
+  if (!pXml.includes('{{')) return pXml;
+  const nodes = textNodesOf(pXml);
+  const ops = inlineOps(nodes.map(n => n.text).join(''), scope);
+  if (!ops.length) return pXml;
+  applyOpsToNodes(nodes, ops);
+  return writeTextNodes(pXml, nodes);
+}
+
+// Remove the first occurrence of `open` and the last of `close` (row-level block tags)
+function stripRowTags(rowXml, open, close) {
+  const nodes = textNodesOf(rowXml);
+  const first = nodes.findIndex(n => n.text.includes(open));
+  if (first !== -1) nodes[first].text = nodes[first].text.replace(open, '');
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const at = nodes[i].text.lastIndexOf(close);
+    if (at !== -1) {
+      nodes[i].text = nodes[i].text.slice(0, at) + nodes[i].text.slice(at + close.length);
+      break;
+    }
+  }
+  return writeTextNodes(rowXml, nodes);
+}
+
+function renderRow(trXml, scope) {
+  return splitChildren(trXml.slice(trXml.indexOf('>') + 1, trXml.lastIndexOf('</w:tr>')), ['w:tc'])
+    .reduce((acc, seg) => {
+      if (seg.name !== 'w:tc' || seg.xml.endsWith('/>')) return acc + seg.xml;
+      const openEnd = seg.xml.indexOf('>') + 1;
+      const closeAt = seg.xml.lastIndexOf('</w:tc>');
+      return acc + seg.xml.slice(0, openEnd) + renderContainer(seg.xml.slice(openEnd, closeAt), scope) + seg.xml.slice(closeAt);
+    }, trXml.slice(0, trXml.indexOf('>') + 1)) + '</w:tr>';
+}
+
+function renderTable(tblXml, scope) {
+  if (!tblXml.includes('{{')) return tblXml;
+  const openEnd = tblXml.indexOf('>') + 1;
+  const closeAt = tblXml.lastIndexOf('</w:tbl>');
+  const body = splitChildren(tblXml.slice(openEnd, closeAt), ['w:tr']).map((seg) => {
+    if (seg.name !== 'w:tr' || seg.xml.endsWith('/>')) return seg.xml;
+    const block = rowBlock(xmlText(seg.xml));
+    if (!block) return renderRow(seg.xml, scope);
+    const row = stripRowTags(seg.xml, block.open, block.close);
+    if (block.type === 'if') return evalCondition(block.cond, scope) ? renderRow(row, scope) : '';
+    return listFor(block.key, scope).map(item => renderRow(row, childScope(scope, item))).join('');
+  }).join('');
+  return tblXml.slice(0, openEnd) + body + tblXml.slice(closeAt);
+}
+
+// Body / header / footer / table cell content
+function renderContainer(xml, scope) {
+  if (!xml.includes('{{')) return xml;
+  const segs = splitChildren(xml, ['w:p', 'w:tbl']);
+  const tree = parseBlocks(segs.map(seg => (seg.name === 'w:p' ? xmlText(seg.xml) : null)));
+  return flattenBlocks(tree, scope).map(({ at, scope: s }) => {
+    const seg = segs[at];
+    if (seg.name === 'w:p') return renderParagraph(seg.xml, s);
+    if (seg.name === 'w:tbl') return renderTable(seg.xml, s);
+    return seg.xml;
+  }).join('');
+}
+
+function renderBlocksInPart(xml, placeholders) {
+  const m = xml.match(/<(w:body|w:hdr|w:ftr)\b[^>]*>/);
+  if (!m) return xml;
+  const openEnd = m.index + m[0].length;
+  const closeAt = xml.lastIndexOf(`</${m[1]}>`);
+  if (closeAt < openEnd) return xml;
+  const scope = { placeholders: placeholders || {}, item: undefined };
+  return xml.slice(0, openEnd) + renderContainer(xml.slice(openEnd, closeAt), scope) + xml.slice(closeAt);
+}
+
+function replaceInTextNodes(xml, placeholders, preserveMissingPlaceholders) {
+  const entries = Object.entries(placeholders || {}).filter(([, v]) => {
+    if (!isScalarPlaceholder(v)) return false;
+    if (preserveMissingPlaceholders && String(v).trim() === '') return false;
+    return true;
+  });
+
+  return xml.replace(TEXT_NODE_RE, (whole, open, text, close) => {
+    let t = decodeXml(text);
+    if (!t.includes('{{')) return whole;
+    for (const [k, v] of entries) t = t.split(`{{${k}}}`).join(String(v));
+    const o = open.includes('xml:space') ? open : open.replace('<w:t', '<w:t xml:space="preserve"');
+    return `${o}${encodeXml(t)}${close}`;
+  });
+}
+
+function renderDocx(buffer, placeholders, { preserveMissingPlaceholders = false } = {}) {
+  const zip = loadZip(buffer);
+  for (const name of templateParts(zip)) {
+    let xml = zip.file(name).asText();
+    xml = xml.replace(PARAGRAPH_RE, mergeSplitPlaceholders);
+    if (hasTemplateBlocks(xml)) xml = renderBlocksInPart(xml, placeholders);
+    xml = replaceInTextNodes(xml, placeholders, preserveMissingPlaceholders);
+    zip.file(name, xml);
+  }
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Images inserted by embedDocxImages keep their token as alt text, so text views (and the text PDF) still see them
+const TEXT_OR_IMAGE_RE = new RegExp(`${TEXT_NODE_RE.source}|<wp:docPr\\b[^>]*\\bdescr="(\\{\\{image\\.[\\w.]+\\}\\})"`, 'g');
+
+function paragraphsText(xml) {
+  return (xml.match(PARAGRAPH_RE) || []).map((p) => {
+    const chunks = [];
+    p.replace(TEXT_OR_IMAGE_RE, (_m, _o, text, _c, imageToken) => { chunks.push(imageToken || decodeXml(text)); return _m; });
+    return chunks.join('');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// {{image.<key>}} → inline picture (lib/signatures.js resolves the images)
+// ---------------------------------------------------------------------------
+
+const RUN_RE = /<w:r\b[^>]*>[\s\S]*?<\/w:r>/g;
+const IMAGE_SPLIT_RE = /\{\{\s*image\.([\w.]+)\s*\}\}/;
+const EMU_PER_PT = 12700;
+const REL_IMAGE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const ROOT_NAMESPACES = {
+  'xmlns:r': 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  'xmlns:wp': 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+};
+
+function drawingXml({ relId, docPrId, key, widthPt, heightPt }) {
+  const cx = Math.round(widthPt * EMU_PER_PT);
+  const cy = Math.round(heightPt * EMU_PER_PT);
+  return `<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`
+    + `<wp:docPr id="${docPrId}" name="image.${key}" descr="{{image.${key}}}"/>`
+    + '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">'
+    + '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">'
+    + '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">'
+    + `<pic:nvPicPr><pic:cNvPr id="${docPrId}" name="${key}"/><pic:cNvPicPr/></pic:nvPicPr>`
+    + `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+    + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+    + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+}
+
+function relsNameFor(partName) {
+  return partName.replace(/^word\//, 'word/_rels/') + '.rels';
+}
+
+function addImageRelationship(zip, partName, target) {
+  const relsName = relsNameFor(partName);
+  let rels = zip.file(relsName)?.asText()
+    || '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  const existing = (rels.match(/<Relationship\b[^>]*\/>/g) || []).find(r => r.includes(`Target="${target}"`) && r.includes(REL_IMAGE));
+  if (existing) return (existing.match(/Id="([^"]+)"/) || [])[1];
+
+  let n = 1;
+  while (rels.includes(`Id="rIdImg${n}"`)) n += 1;
+  const id = `rIdImg${n}`;
+  rels = rels.replace('</Relationships>', `<Relationship Id="${id}" Type="${REL_IMAGE}" Target="${target}"/></Relationships>`);
+  zip.file(relsName, rels);
+  return id;
+}
+
+function ensureContentType(zip, ext, mimeType) {
+  const xml = zip.file('[Content_Types].xml')?.asText();
+  if (!xml || new RegExp(`<Default\\b[^>]*Extension="${ext}"`, 'i').test(xml)) return;
+  zip.file('[Content_Types].xml', xml.replace('</Types>', `<Default Extension="${ext}" ContentType="${mimeType}"/></Types>`));
+}
+
+function ensureRootNamespaces(xml) {
+  return xml.replace(/<(w:document|w:hdr|w:ftr)\b([^>]*)>/, (whole, tag, attrs) => {
+    const missing = Object.entries(ROOT_NAMESPACES).filter(([ns]) => !attrs.includes(`${ns}=`));
+    return missing.length ? `<${tag}${attrs}${missing.map(([ns, uri]) => ` ${ns}="${uri}"`).join('')}>` : whole;
+  });
+}
+
+// Split the run at each image token: text before stays in the run, each image gets its own run (same run style)
+function runWithImages(runXml, images, drawingFor) {
+  const rPr = (runXml.match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [''])[0];
+  return runXml.replace(TEXT_NODE_RE, (whole, _open, text) => {
+    const parts = decodeXml(text).split(IMAGE_SPLIT_RE);
+    if (parts.length === 1 || !parts.some((p, i) => i % 2 === 1 && Object.prototype.hasOwnProperty.call(images, p))) return whole;
+    let out = '';
+    parts.forEach((p, i) => {
+      if (i % 2 === 1) {
+        const known = Object.prototype.hasOwnProperty.call(images, p);
+        out += `<w:r>${rPr}${known ? drawingFor(p) : `<w:t xml:space="preserve">${encodeXml(`{{image.${p}}}`)}</w:t>`}</w:r>`;
+        return;
+      }
+      out += `${i ? `<w:r>${rPr}` : ''}<w:t xml:space="preserve">${encodeXml(p)}</w:t>${i < parts.length - 1 ? '</w:r>' : ''}`;
+    });
+    return out;
+  });
+}
+
+/**
+ * Replace {{image.<key>}} tokens with inline pictures.
+ * images: { key: { buffer, ext, mimeType, widthPt, heightPt } | null }; null removes the token.
+ */
+function embedDocxImages(buffer, images) {
+  if (!images || !Object.keys(images).length) return buffer;
+  const zip = loadZip(buffer);
+  let docPrId = 9000;
+  let changed = false;
+
+  for (const name of templateParts(zip)) {
+    const xml = zip.file(name).asText();
+    if (!IMAGE_SPLIT_RE.test(xml)) continue;
+
+    const drawingFor = (key) => {
+      const img = images[key];
+      if (!img) return '';
+      const target = `media/image_${key.replace(/[^\w]/g, '_')}.${img.ext}`;
+      zip.file(`word/${target}`, img.buffer);
+      ensureContentType(zip, img.ext, img.mimeType);
+      const relId = addImageRelationship(zip, name, target);
+      docPrId += 1;
+      return drawingXml({ relId, docPrId, key, widthPt: img.widthPt, heightPt: img.heightPt });
+    };
+
+    const next = xml.replace(PARAGRAPH_RE, mergeSplitPlaceholders)
+      .replace(RUN_RE, run => (IMAGE_SPLIT_RE.test(run) ? runWithImages(run, images, drawingFor) : run));
+    if (next !== xml) {
+      zip.file(name, ensureRootNamespaces(next));
+      changed = true;
+    }
+  }
+  return changed ? zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' }) : buffer;
+}
+
+/**
+ * Plain text view of a .docx: { headerLines, bodyLines, footerLines }.
+ */
+function docxToText(buffer) {
+  const zip = loadZip(buffer);
+  const out = { headerLines: [], bodyLines: [], footerLines: [] };
+  for (const name of templateParts(zip)) {
+    const lines = paragraphsText(zip.file(name).asText());
+    if (name.startsWith('word/header')) out.headerLines.push(...lines.filter(Boolean));
+    else if (name.startsWith('word/footer')) out.footerLines.push(...lines.filter(Boolean));
+    else out.bodyLines.push(...lines);
+  }
+  return out;
+}
+
+function grayParagraph(text) {
+  return '<w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r><w:rPr><w:color w:val="999999"/><w:sz w:val="18"/></w:rPr>'
+    + `<w:t xml:space="preserve">${encodeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function defaultHeaderPart(zip) {
+  const doc = zip.file('word/document.xml')?.asText() || '';
+  const ref = doc.match(/<w:headerReference\b[^>]*w:type="default"[^>]*\/>/) || doc.match(/<w:headerReference\b[^>]*\/>/);
+  const rid = ref ? (ref[0].match(/r:id="([^"]+)"/) || [])[1] : null;
+  if (!rid) return null;
+  const rels = zip.file('word/_rels/document.xml.rels')?.asText() || '';
+  const rel = (rels.match(/<Relationship\b[^>]*\/>/g) || []).find(r => r.includes(`Id="${rid}"`));
+  const target = rel ? (rel.match(/Target="([^"]+)"/) || [])[1] : null;
+  if (!target) return null;
+  const name = `word/${target.replace(/^\/?word\//, '')}`;
+  return zip.file(name) ? name : null;
+}
+
+/**
+ * Same contract as drive_docs.ensureDealAgentHeader, for .docx buffers:
+ * gray 9pt "DEAL.<dealId> <agentEmail> [VERIF.<code>]" in the default header (or top of the body if there is none).
+ */
+function ensureDocxDealAgentHeader(buffer, { dealId, agentEmail, verificationCode = null }) {
+  const safeDealId = String(dealId || '').trim();
+  if (!safeDealId) return { buffer, skipped: true };
+  const safeEmail = String(agentEmail || '').trim();
+  const headerText = [`DEAL.${safeDealId}`, safeEmail, verificationCode ? `VERIF.${verificationCode}` : ''].filter(Boolean).join(' ');
+
+  const zip = loadZip(buffer);
+  const headerName = defaultHeaderPart(zip);
+  if (headerName) {
+    const xml = zip.file(headerName).asText();
+    if (paragraphsText(xml).join('\n').includes(`DEAL.${safeDealId}`)) return { buffer, skipped: true };
+    zip.file(headerName, xml.replace(/(<w:hdr\b[^>]*>)/, `$1${grayParagraph(headerText)}`));
+  } else {
+    const xml = zip.file('word/document.xml').asText();
+    if (paragraphsText(xml).join('\n').includes(`DEAL.${safeDealId}`)) return { buffer, skipped: true };
+    zip.file('word/document.xml', xml.replace(/(<w:body\b[^>]*>)/, `$1${grayParagraph(headerText)}`));
+  }
+  return { buffer: zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' }) };
+}
+
+function runSoffice(bin, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: timeoutMs }, (err, _stdout, stderr) => {
+      if (err) {
+        const e = new Error(`LibreOffice falló convirtiendo a PDF: ${stderr || err.message}`);
+        e.code = 'DOCX_PDF_CONVERT_FAILED';
+        return reject(e);
+      }
+      return resolve();
+    });
+  });
+}
+
+/**
+ * .docx -> PDF.
+ * DOCX_PDF_CONVERTER=soffice uses LibreOffice headless (SOFFICE_BIN, default "soffice") for a faithful layout;
+ * default "text" lays out the document text with pdf-lib (no external binaries; {{image.*}} pictures are drawn from `images`).
+ */
+async function docxToPdfBuffer(buffer, { title = null, images = null } = {}) {
+  const converter = String(process.env.DOCX_PDF_CONVERTER || 'text').trim().toLowerCase();
+
+  if (converter === 'soffice') {
+    const bin = String(process.env.SOFFICE_BIN || 'soffice').trim();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docx-pdf-'));
+    try {
+      const input = path.join(dir, 'document.docx');
+      await fs.writeFile(input, buffer);
+      await runSoffice(bin, ['--headless', '--convert-to', 'pdf', '--outdir', dir, input], 60 * 1000);
+      return await fs.readFile(path.join(dir, 'document.pdf'));
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  const { headerLines, bodyLines, footerLines } = docxToText(buffer);
+  return textToPdfBuffer({
+    text: [...bodyLines, ...(footerLines.length ? ['', ...footerLines] : [])].join('\n'),
+    headerLines,
+    title,
+    images,
+  });
+}
+
+module.exports = {
+  DOCX_MIME,
+  renderDocx,
+  embedDocxImages,
+  docxToText,
+  ensureDocxDealAgentHeader,
+  docxToPdfBuffer,
+};
@@ -1,5 +1,10 @@
 const { Readable } = require('stream');
 const { getDrive, getDocs } = require('./google');
+const { DOCX_MIME } = require('./docx');
+const { isScalarPlaceholder } = require('./template_blocks');
+const { expandTemplateBlocksInDoc } = require('./gdocs_blocks');
+
+const GOOGLE_DOC_MIME = 'application/vnd.google-apps.document';
 
 function mustRootFolderId() {
   const id = String(process.env.GOOGLE_ROOT_FOLDER_ID || process.env.ROOT_FOLDER_ID || '').trim();
@@ -98,9 +103,12 @@ async function copyTemplateToFolder({ templateFileId, newName, parentFolderId })
 async function replacePlaceholdersInDoc({ documentId, placeholders, preserveMissingPlaceholders = false }) {
   const docs = getDocs();
 
+  // {{#if}} / {{#each}} first (lists are not replaced as text)
+  await expandTemplateBlocksInDoc({ documentId, placeholders });
+
   const requests = Object.entries(placeholders || {})
     .filter(([, v]) => {
-      if (v === undefined || v === null) return false;
+      if (!isScalarPlaceholder(v)) return false;
       if (preserveMissingPlaceholders && String(v).trim() === '') return false;
       return true;
     })
@@ -119,17 +127,87 @@ async function replacePlaceholdersInDoc({ documentId, placeholders, preserveMiss
   });
 }
 
+const IMAGE_TOKEN_RE = /\{\{\s*image\.([\w.]+)\s*\}\}/g;
+
+// {{image.<key>}} occurrences in a structural element list (paragraphs + tables): [{ segmentId, start, end, key }]
+function imageTokenRanges(content, segmentId, images, out) {
+  for (const el of (Array.isArray(content) ? content : [])) {
+    if (el?.paragraph) {
+      // Paragraph text aligned with document indexes (inline objects count as one char)
+      let text = '';
+      for (const it of (el.paragraph.elements || [])) {
+        const len = Math.max(0, (it.endIndex ?? 0) - (it.startIndex ?? 0));
+        const t = it.textRun?.content;
+        text += typeof t === 'string' && t.length === len ? t : '\uFFFC'.repeat(len);
+      }
+      IMAGE_TOKEN_RE.lastIndex = 0;
+      let m;
+      while ((m = IMAGE_TOKEN_RE.exec(text))) {
+        if (!Object.prototype.hasOwnProperty.call(images, m[1])) continue;
+        out.push({ segmentId, start: el.startIndex + m.index, end: el.startIndex + m.index + m[0].length, key: m[1] });
+      }
+    }
+    for (const row of (el?.table?.tableRows || [])) {
+      for (const cell of (row?.tableCells || [])) imageTokenRanges(cell?.content, segmentId, images, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Replace {{image.<key>}} with inline images (body, tables, headers, footers).
+ * images: { key: { url, widthPt, heightPt } | null }; Google downloads each url (must be public), null removes the token.
+ */
+async function replaceImagePlaceholdersInDoc({ documentId, images }) {
+  if (!images || !Object.keys(images).length) return { replaced: 0 };
+  const docs = getDocs();
+  const doc = (await docs.documents.get({ documentId, fields: 'body,headers,footers' })).data || {};
+
+  const ranges = imageTokenRanges(doc.body?.content, null, images, []);
+  for (const group of [doc.headers, doc.footers]) {
+    for (const [id, seg] of Object.entries(group || {})) imageTokenRanges(seg?.content, id, images, ranges);
+  }
+  if (!ranges.length) return { replaced: 0 };
+
+  // Bottom-up per segment so earlier indexes stay valid
+  ranges.sort((a, b) => String(a.segmentId || '').localeCompare(String(b.segmentId || '')) || b.start - a.start);
+  const requests = [];
+  for (const r of ranges) {
+    const range = { startIndex: r.start, endIndex: r.end };
+    const location = { index: r.start };
+    if (r.segmentId) {
+      range.segmentId = r.segmentId;
+      location.segmentId = r.segmentId;
+    }
+    requests.push({ deleteContentRange: { range } });
+    const img = images[r.key];
+    if (!img) continue;
+    requests.push({
+      insertInlineImage: {
+        location,
+        uri: img.url,
+        objectSize: {
+          width: { magnitude: img.widthPt, unit: 'PT' },
+          height: { magnitude: img.heightPt, unit: 'PT' },
+        },
+      },
+    });
+  }
+
+  await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+  return { replaced: ranges.length };
+}
 
 /**
  * Ensure header exists and inserts a gray small text:
- *   DEAL.<dealId> <agentEmail>
+ *   DEAL.<dealId> <agentEmail> [VERIF.<verificationCode>]
  */
-async function ensureDealAgentHeader({ documentId, dealId, agentEmail }) {
+async function ensureDealAgentHeader({ documentId, dealId, agentEmail, verificationCode = null }) {
   const docs = getDocs();
   const safeDealId = String(dealId || '').trim();
   if (!safeDealId) return null;
   const safeEmail = String(agentEmail || '').trim();
-  const headerText = `${safeEmail ? `DEAL.${safeDealId} ${safeEmail}` : `DEAL.${safeDealId}`}\n`;
+  const headerText = `${[`DEAL.${safeDealId}`, safeEmail, verificationCode ? `VERIF.${verificationCode}` : ''].filter(Boolean).join(' ')}\n`;
 
   const readDoc = async () => docs.documents.get({
     documentId,
@@ -212,6 +290,40 @@ async function ensureDealAgentHeader({ documentId, dealId, agentEmail }) {
   return { headerId };
 }
 
+// Text of a Docs structural element list (paragraphs + tables, recursively)
+function structuralText(content) {
+  const chunks = [];
+  for (const el of (Array.isArray(content) ? content : [])) {
+    const pe = Array.isArray(el?.paragraph?.elements) ? el.paragraph.elements : [];
+    for (const it of pe) {
+      const t = it?.textRun?.content;
+      if (typeof t === 'string') chunks.push(t);
+    }
+    for (const row of (el?.table?.tableRows || [])) {
+      for (const cell of (row?.tableCells || [])) chunks.push(structuralText(cell?.content));
+    }
+    if (el?.tableOfContents) chunks.push(structuralText(el.tableOfContents.content));
+  }
+  return chunks.join('');
+}
+
+/**
+ * Plain text of a Google Doc: body (incl. tables), headers, footers and footnotes.
+ */
+async function getDocumentText({ documentId }) {
+  const docs = getDocs();
+  const res = await docs.documents.get({
+    documentId,
+    fields: 'body,headers,footers,footnotes',
+  });
+  const d = res?.data || {};
+  const parts = [structuralText(d.body?.content)];
+  for (const group of [d.headers, d.footers, d.footnotes]) {
+    for (const seg of Object.values(group || {})) parts.push(structuralText(seg?.content));
+  }
+  return parts.join('\n');
+}
+
 async function exportDocAsPdfBuffer({ fileId }) {
   const drive = getDrive();
   const res = await drive.files.export(
@@ -221,18 +333,18 @@ async function exportDocAsPdfBuffer({ fileId }) {
   return Buffer.from(res?.data);
 }
 
-async function uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId }) {
+async function uploadFileToFolder({ buffer, name, mimeType, parentFolderId }) {
   const drive = getDrive();
 
   const res = await drive.files.create({
     requestBody: {
-      name: pdfName,
+      name,
       parents: [parentFolderId],
-      mimeType: 'application/pdf',
+      mimeType,
     },
     media: {
-      mimeType: 'application/pdf',
-      body: Readable.from(pdfBuffer),
+      mimeType,
+      body: Readable.from(buffer),
     },
     fields: 'id,name',
     supportsAllDrives: true,
@@ -241,6 +353,41 @@ async function uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId }) {
   return res?.data;
 }
 
+async function uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId }) {
+  return uploadFileToFolder({
+    buffer: pdfBuffer,
+    name: pdfName,
+    mimeType: 'application/pdf',
+    parentFolderId,
+  });
+}
+
+async function getFileMetadata({ fileId }) {
+  const drive = getDrive();
+  const res = await drive.files.get({
+    fileId,
+    fields: 'id,name,mimeType,modifiedTime',
+    supportsAllDrives: true,
+  });
+  return res?.data;
+}
+
+async function downloadFileBuffer({ fileId }) {
+  const drive = getDrive();
+  const res = await drive.files.get({ fileId, alt: 'media', supportsAllDrives: true }, { responseType: 'arraybuffer' });
+  return Buffer.from(res?.data);
+}
+
+/**
+ * Download a template as .docx bytes: Google Docs are exported, uploaded .docx files are read as-is.
+ */
+async function downloadFileAsDocx({ fileId, mimeType }) {
+  if (mimeType !== GOOGLE_DOC_MIME) return downloadFileBuffer({ fileId });
+  const drive = getDrive();
+  const res = await drive.files.export({ fileId, mimeType: DOCX_MIME }, { responseType: 'arraybuffer' });
+  return Buffer.from(res?.data);
+}
+
 async function listTemplatesInFolder({ folderId, pageSize = 200 } = {}) {
   const drive = getDrive();
   const id = String(folderId || '').trim();
@@ -250,11 +397,11 @@ async function listTemplatesInFolder({ folderId, pageSize = 200 } = {}) {
     throw err;
   }
 
-  // Only Google Docs templates (expandable)
+  // Google Docs templates (expandable) + uploaded .docx (rendered locally, see lib/doc_render.js)
   const q = [
     `'${id}' in parents`,
     `trashed=false`,
-    `mimeType='application/vnd.google-apps.document'`,
+    `(mimeType='${GOOGLE_DOC_MIME}' or mimeType='${DOCX_MIME}')`,
   ].join(' and ');
 
   const res = await drive.files.list({
@@ -271,7 +418,7 @@ async function listTemplatesInFolder({ folderId, pageSize = 200 } = {}) {
     name: f.name,
     mimeType: f.mimeType,
     modifiedTime: f.modifiedTime,
-    docs_url: docsEditUrl(f.id),
+    docs_url: f.mimeType === GOOGLE_DOC_MIME ? docsEditUrl(f.id) : driveFileUrl(f.id),
   }));
 }
 
@@ -280,9 +427,16 @@ module.exports = {
   ensurePatientFolders,
   copyTemplateToFolder,
   replacePlaceholdersInDoc,
+  replaceImagePlaceholdersInDoc,
   ensureDealAgentHeader,
+  getDocumentText,
   exportDocAsPdfBuffer,
+  uploadFileToFolder,
   uploadPdfToFolder,
+  getFileMetadata,
+  downloadFileBuffer,
+  downloadFileAsDocx,
+  GOOGLE_DOC_MIME,
   driveFolderUrl,
   driveFileUrl,
   docsEditUrl,
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl_store');
+const { getDealsByContactId, getNotes, createNote, updateDeal, addTags } = require('./sell');
+
+// Fusión de duplicados por RUT (2+ contactos, o 2+ deals del mismo pipeline): el supervisor elige el sobreviviente.
+// Contactos: los deals de los duplicados pasan al sobreviviente. Notas: Sell no permite cambiar el recurso de una nota,
+// así que se copian al sobreviviente (con origen y fecha) y la original queda en el duplicado.
+// Los duplicados no se borran: quedan etiquetados con DUPLICATE_TAG (default "DUPLICADO") y con una nota que apunta al
+// sobreviviente. Cada fusión queda en DATA_DIR/duplicate_merges.jsonl.
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('duplicate_merges');
+  return _store;
+}
+
+function duplicateTag() {
+  return String(process.env.DUPLICATE_TAG || '').trim() || 'DUPLICADO';
+}
+
+const LABELS = { contact: 'contacto', deal: 'deal' };
+
+function copiedNoteContent(kind, fromId, note) {
+  const when = note.created_at ? ` · ${note.created_at}` : '';
+  return `[Copiada desde ${LABELS[kind]} duplicado ${fromId}${when}]\n${note.content || ''}`;
+}
+
+/**
+ * Lo que haría la fusión, sin tocar Sell: [{ type: 'move_deal' | 'copy_note' | 'tag' | 'note', ... }].
+ */
+async function planMerge({ kind, survivorId, loserIds }) {
+  const tag = duplicateTag();
+  const actions = [];
+  for (const loserId of loserIds) {
+    if (kind === 'contact') {
+      for (const d of await getDealsByContactId(loserId)) {
+        actions.push({ type: 'move_deal', deal_id: d.id, deal_name: d.name || null, from: loserId, to: survivorId });
+      }
+    }
+    for (const n of await getNotes(kind, loserId)) {
+      actions.push({ type: 'copy_note', note_id: n.id, from: loserId, to: survivorId, content: copiedNoteContent(kind, loserId, n) });
+    }
+    actions.push({ type: 'tag', resource: kind, id: loserId, tag });
+    actions.push({
+      type: 'note',
+      resource: kind,
+      id: loserId,
+      content: `Duplicado por RUT: este ${LABELS[kind]} se fusionó en ${LABELS[kind]} ${survivorId}. No usar; trabajar en el sobreviviente.`,
+    });
+  }
+  return actions;
+}
+
+async function runAction(kind, action) {
+  switch (action.type) {
+    case 'move_deal':
+      return updateDeal(action.deal_id, { data: { contact_id: Number(action.to) } });
+    case 'copy_note':
+      return createNote(kind, action.to, action.content);
+    case 'tag':
+      return addTags(`${action.resource}s`, action.id, [action.tag]);
+    case 'note':
+      return createNote(action.resource, action.id, action.content);
+    default:
+      throw new Error(`Acción desconocida: ${action.type}`);
+  }
+}
+
+// El log de auditoría no guarda el texto de las notas (datos clínicos), solo qué se movió
+function auditAction({ content: _content, ...rest }) {
+  return rest;
+}
+
+/**
+ * Fusiona loserIds en survivorId. Sigue aunque falle una acción (cada una queda con ok/error) y registra todo.
+ * Returns { merge (registro de auditoría), actions } — con dryRun solo el plan, sin registrar.
+ */
+async function mergeDuplicates({ kind, rut, pipelineId = null, survivorId, loserIds, actor, dryRun = false }) {
+  const actions = await planMerge({ kind, survivorId, loserIds });
+  if (dryRun) return { merge: null, actions: actions.map(a => ({ ...a, status: 'dry_run' })) };
+
+  const done = [];
+  for (const action of actions) {
+    try {
+      await runAction(kind, action);
+      done.push({ ...auditAction(action), ok: true });
+    } catch (err) {
+      done.push({ ...auditAction(action), ok: false, error: err.message || String(err) });
+    }
+  }
+
+  const merge = await store().append({
+    id: crypto.randomUUID(),
+    created_at: new Date().toISOString(),
+    kind,
+    rut,
+    pipeline_id: pipelineId,
+    survivor_id: Number(survivorId),
+    loser_ids: loserIds.map(Number),
+    actor,
+    ok: done.every(a => a.ok),
+    actions: done,
+  });
+  return { merge, actions: done };
+}
+
+async function listMerges({ rut = null } = {}) {
+  const all = await store().list();
+  return all.filter(m => !rut || m.rut === rut);
+}
+
+module.exports = {
+  duplicateTag,
+  planMerge,
+  mergeDuplicates,
+  listMerges,
+};
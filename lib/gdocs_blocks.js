@@ -0,0 +1,300 @@
+const { getDocs } = require('./google');
+const {
+  hasTemplateBlocks,
+  inlineOps,
+  renderInline,
+  parseBlocks,
+  flattenBlocks,
+  rowBlock,
+  evalCondition,
+  listFor,
+  childScope,
+} = require('./template_blocks');
+
+// Google Docs side of lib/template_blocks.js, run on the generated copy before replaceAllText:
+//   pass 1 (one documents.get + one batchUpdate): {{#if}} paragraphs/inline/rows and paragraph-level {{#each}}
+//   pass 2: every {{#each}} table row → insertTableRow + cell text (get + 2 batchUpdates per loop row)
+// Edits are applied bottom-up so the indexes read in the get stay valid.
+// A paragraph-level {{#each}} is re-inserted as text (it takes the style of the first paragraph of the block);
+// repeating tables or images needs the docx engine.
+
+const MAX_ROW_LOOPS = 50;
+const OBJECT_CHAR = '\uFFFC';
+
+function unsupported(message) {
+  const err = new Error(`Template no soportado en Google Docs: ${message} (usa engine "docx")`);
+  err.code = 'TEMPLATE_UNSUPPORTED';
+  return err;
+}
+
+// Paragraph text aligned with document indexes (inline objects → U+FFFC)
+function paragraphText(el, masks = []) {
+  let out = '';
+  for (const it of (el.paragraph?.elements || [])) {
+    const len = Math.max(0, (it.endIndex ?? 0) - (it.startIndex ?? 0));
+    const t = it.textRun?.content;
+    out += typeof t === 'string' && t.length === len ? t : OBJECT_CHAR.repeat(len);
+  }
+  if (!masks.length) return out;
+  const base = el.startIndex ?? 0;
+  return Array.from(out, (ch, i) => (masks.some(m => base + i >= m.start && base + i < m.end) ? ' ' : ch)).join('');
+}
+
+function contentText(content) {
+  return (content || []).map((el) => {
+    if (el.paragraph) return paragraphText(el);
+    if (el.table) return (el.table.tableRows || []).map(rowText).join('');
+    return '';
+  }).join('');
+}
+
+function rowText(row) {
+  return (row.tableCells || []).map(c => contentText(c.content)).join('');
+}
+
+function cleanInserted(text) {
+  return String(text || '').split(OBJECT_CHAR).join('');
+}
+
+// Doc range of the first (or last) occurrence of `needle` in the row's cell paragraphs
+function findInRow(row, needle, last = false) {
+  let hit = null;
+  for (const cell of (row.tableCells || [])) {
+    for (const el of (cell.content || [])) {
+      if (!el.paragraph) continue;
+      const text = paragraphText(el);
+      const at = last ? text.lastIndexOf(needle) : text.indexOf(needle);
+      if (at === -1) continue;
+      const range = { start: el.startIndex + at, end: el.startIndex + at + needle.length };
+      if (!last) return range;
+      hit = range;
+    }
+  }
+  return hit;
+}
+
+function tableOps(el, segmentId, scope, ops) {
+  (el.table.tableRows || []).forEach((row, rowIndex) => {
+    const block = rowBlock(rowText(row));
+    if (block?.type === 'each') {
+      if (scope.item !== undefined) throw unsupported('fila {{#each}} dentro de otro {{#each}}');
+      return; // pass 2
+    }
+
+    let masks = [];
+    if (block?.type === 'if') {
+      if (!evalCondition(block.cond, scope)) {
+        ops.push({ segmentId, kind: 'deleteRow', start: row.startIndex, tableStart: el.startIndex, rowIndex });
+        return;
+      }
+      masks = [findInRow(row, block.open), findInRow(row, block.close, true)].filter(Boolean);
+      for (const m of masks) ops.push({ segmentId, start: m.start, end: m.end, text: '' });
+    }
+    for (const cell of (row.tableCells || [])) containerOps(cell.content, segmentId, scope, ops, masks);
+  });
+}
+
+/**
+ * Ops for a list of structural elements (body, header, footer or table cell content).
+ * op: { segmentId, start, end, text } or { segmentId, kind: 'deleteRow', start, tableStart, rowIndex }
+ */
+function containerOps(content, segmentId, scope, ops, masks = []) {
+  const els = Array.isArray(content) ? content : [];
+  const texts = els.map(el => (el.paragraph ? paragraphText(el, masks) : null));
+
+  // Docs won't delete the newline before a table or the last one of a segment/cell: keep it as an empty paragraph
+  const deleteUnits = (from, to) => {
+    const start = els[from].startIndex ?? 0;
+    const next = els[to + 1];
+    const end = els[to].endIndex - (!next || next.table ? 1 : 0);
+    if (end > start) ops.push({ segmentId, start, end, text: '' });
+  };
+
+  const walk = (nodes, s) => {
+    for (const node of nodes) {
+      if (node.type === 'unit') {
+        const el = els[node.at];
+        if (el.table) tableOps(el, segmentId, s, ops);
+        if (!el.paragraph || !texts[node.at].includes('{{')) continue;
+        for (const op of inlineOps(texts[node.at], s)) {
+          ops.push({ segmentId, start: el.startIndex + op.start, end: el.startIndex + op.end, text: cleanInserted(op.text) });
+        }
+      } else if (node.type === 'if') {
+        const hasElse = node.else !== null;
+        if (evalCondition(node.cond, s)) {
+          deleteUnits(node.open, node.open);
+          walk(node.then, s);
+          deleteUnits(hasElse ? node.else : node.close, node.close);
+        } else {
+          deleteUnits(node.open, hasElse ? node.else : node.close);
+          if (hasElse) {
+            walk(node.otherwise, s);
+            deleteUnits(node.close, node.close);
+          }
+        }
+      } else {
+        const entries = [];
+        for (const item of listFor(node.key, s)) entries.push(...flattenBlocks(node.children, childScope(s, item)));
+        const text = entries.map((e) => {
+          if (!els[e.at].paragraph) throw unsupported('tabla dentro de un {{#each}} de párrafos');
+          return renderInline(texts[e.at], e.scope);
+        }).join('');
+        // Keep the closing paragraph's newline (it may precede a table)
+        const start = els[node.open].startIndex;
+        const end = els[node.close].endIndex - 1;
+        ops.push({ segmentId, start, end, text: cleanInserted(text).replace(/\n$/, '') });
+      }
+    }
+  };
+
+  walk(parseBlocks(texts), scope);
+}
+
+function segmentLocation(segmentId, index) {
+  return segmentId ? { segmentId, index } : { index };
+}
+
+function opsToRequests(ops) {
+  const sorted = [...ops].sort((a, b) => String(a.segmentId || '').localeCompare(String(b.segmentId || '')) || b.start - a.start);
+  const requests = [];
+  for (const op of sorted) {
+    if (op.kind === 'deleteRow') {
+      requests.push({
+        deleteTableRow: {
+          tableCellLocation: { tableStartLocation: segmentLocation(op.segmentId, op.tableStart), rowIndex: op.rowIndex, columnIndex: 0 },
+        },
+      });
+      continue;
+    }
+    if (op.end > op.start) {
+      const range = { startIndex: op.start, endIndex: op.end };
+      if (op.segmentId) range.segmentId = op.segmentId;
+      requests.push({ deleteContentRange: { range } });
+    }
+    if (op.text) requests.push({ insertText: { location: segmentLocation(op.segmentId, op.start), text: op.text } });
+  }
+  return requests;
+}
+
+function segmentsOf(doc) {
+  const out = [{ segmentId: null, content: doc.body?.content }];
+  for (const group of [doc.headers, doc.footers]) {
+    for (const [id, seg] of Object.entries(group || {})) out.push({ segmentId: id, content: seg?.content });
+  }
+  return out;
+}
+
+function findEachRow(content, segmentId) {
+  for (const el of (content || [])) {
+    if (!el.table) continue;
+    const rows = el.table.tableRows || [];
+    for (let r = 0; r < rows.length; r++) {
+      const block = rowBlock(rowText(rows[r]));
+      if (block?.type === 'each') return { segmentId, table: el, rowIndex: r, row: rows[r], block };
+      for (const cell of (rows[r].tableCells || [])) {
+        const hit = findEachRow(cell.content, segmentId);
+        if (hit) return hit;
+      }
+    }
+  }
+  return null;
+}
+
+function findTableAt(content, startIndex) {
+  for (const el of (content || [])) {
+    if (!el.table) continue;
+    if (el.startIndex === startIndex) return el;
+    for (const row of (el.table.tableRows || [])) {
+      for (const cell of (row.tableCells || [])) {
+        const hit = findTableAt(cell.content, startIndex);
+        if (hit) return hit;
+      }
+    }
+  }
+  return null;
+}
+
+async function expandEachRow(docs, documentId, hit, scope) {
+  const { segmentId, rowIndex, block } = hit;
+  const tableStart = hit.table.startIndex;
+  const cellLocation = { tableStartLocation: segmentLocation(segmentId, tableStart), rowIndex, columnIndex: 0 };
+  const items = listFor(block.key, scope);
+
+  if (!items.length) {
+    await docs.documents.batchUpdate({ documentId, requestBody: { requests: [{ deleteTableRow: { tableCellLocation: cellLocation } }] } });
+    return;
+  }
+
+  // Cell templates: text of the loop row without the {{#each}} / {{/each}} tags
+  const cellTexts = (hit.row.tableCells || []).map(c => contentText(c.content).replace(/\n$/, ''));
+  const first = cellTexts.findIndex(t => t.includes(block.open));
+  if (first !== -1) cellTexts[first] = cellTexts[first].replace(block.open, '');
+  for (let c = cellTexts.length - 1; c >= 0; c--) {
+    const at = cellTexts[c].lastIndexOf(block.close);
+    if (at === -1) continue;
+    cellTexts[c] = cellTexts[c].slice(0, at) + cellTexts[c].slice(at + block.close.length);
+    break;
+  }
+
+  if (items.length > 1) {
+    await docs.documents.batchUpdate({
+      documentId,
+      requestBody: { requests: items.slice(1).map(() => ({ insertTableRow: { tableCellLocation: cellLocation, insertBelow: true } })) },
+    });
+  }
+
+  const fresh = (await docs.documents.get({ documentId })).data || {};
+  const seg = segmentsOf(fresh).find(s => (s.segmentId || null) === (segmentId || null));
+  const table = findTableAt(seg?.content, tableStart);
+  if (!table) throw unsupported('no se encontró la tabla del {{#each}} tras insertar filas');
+  const rows = (table.table.tableRows || []).slice(rowIndex, rowIndex + items.length);
+
+  const ops = [];
+  rows.forEach((row, i) => {
+    (row.tableCells || []).forEach((cell, c) => {
+      const content = cell.content || [];
+      if (!content.length) return;
+      const start = content[0].startIndex;
+      const end = content[content.length - 1].endIndex - 1;
+      const text = renderInline(cellTexts[c] || '', childScope(scope, items[i]));
+      ops.push({ segmentId, start, end, text: cleanInserted(text) });
+    });
+  });
+  const requests = opsToRequests(ops);
+  if (requests.length) await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+}
+
+/**
+ * Expand {{#if}} / {{#each}} blocks in a Google Doc (before replacePlaceholdersInDoc).
+ * Returns { changed }; templates without blocks cost a single documents.get.
+ */
+async function expandTemplateBlocksInDoc({ documentId, placeholders }) {
+  const docs = getDocs();
+  const scope = { placeholders: placeholders || {}, item: undefined };
+
+  const doc = (await docs.documents.get({ documentId })).data || {};
+  const segments = segmentsOf(doc);
+  if (!segments.some(s => hasTemplateBlocks(contentText(s.content)))) return { changed: false };
+
+  const ops = [];
+  for (const s of segments) containerOps(s.content, s.segmentId, scope, ops);
+  const requests = opsToRequests(ops);
+  if (requests.length) await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+  if (!segments.some(s => findEachRow(s.content, s.segmentId))) return { changed: requests.length > 0 };
+
+  for (let i = 0; i < MAX_ROW_LOOPS; i++) {
+    const current = (await docs.documents.get({ documentId })).data || {};
+    let hit = null;
+    for (const s of segmentsOf(current)) {
+      hit = findEachRow(s.content, s.segmentId);
+      if (hit) break;
+    }
+    if (!hit) break;
+    await expandEachRow(docs, documentId, hit, scope);
+  }
+  return { changed: true };
+}
+
+module.exports = {
+  expandTemplateBlocksInDoc,
+};
@@ -35,12 +35,21 @@ function getAuth() {
   });
 }
 
+// Tests/dev: force injected clients ({ drive, docs }, e.g. createFakeGoogle() from lib/google_fake.js); null resets to googleapis
+let _pinned = null;
+
+function setGoogleClients(clients) {
+  _pinned = clients || null;
+}
+
 function getDrive() {
+  if (_pinned) return _pinned.drive;
   const auth = getAuth();
   return google.drive({ version: 'v3', auth });
 }
 
 function getDocs() {
+  if (_pinned) return _pinned.docs;
   const auth = getAuth();
   return google.docs({ version: 'v1', auth });
 }
@@ -48,4 +57,5 @@ function getDocs() {
 module.exports = {
   getDrive,
   getDocs,
+  setGoogleClients,
 };
@@ -0,0 +1,399 @@
+const { textToPdfBuffer } = require('./pdf');
+
+// Fake in-memory Drive v3 + Docs v1 with the calls lib/drive_docs.js and lib/gdocs_blocks.js make, so document generation
+// runs end-to-end without Google credentials:
+//   const fake = createFakeGoogle(); setGoogleClients(fake);   // lib/google.js
+// Drive: files.list (q with parents / name / mimeType / trashed), create (folders, uploads, empty Docs), copy, get, export.
+// Docs: documents.get and batchUpdate with replaceAllText, insertText, deleteContentRange, updateTextStyle, createHeader
+// and insertInlineImage. Documents are plain text per segment (body, headers, footers) with Google's index rules:
+// the body starts at index 1, headers/footers at 0, and the final newline of a segment can't be touched.
+// Not modelled: tables (insertTableRow/deleteTableRow fail), paragraph styles, and export to .docx.
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const GOOGLE_DOC_MIME = 'application/vnd.google-apps.document';
+const OBJECT_CHAR = '\uFFFC';
+
+// Same shape as googleapis (gaxios) errors: numeric err.code = HTTP status
+function googleError(status, message) {
+  const err = new Error(message);
+  err.code = status;
+  err.status = status;
+  err.response = { status, data: { error: { code: status, message } } };
+  return err;
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+async function readBody(body) {
+  if (!body) return Buffer.alloc(0);
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body, 'utf8');
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+// ---- Docs: segment text ↔ structural elements ----
+
+function segmentOffset(segmentId) {
+  return segmentId ? 0 : 1;
+}
+
+function paragraphElements(text, start) {
+  const elements = [];
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === OBJECT_CHAR) {
+      elements.push({ startIndex: start + i, endIndex: start + i + 1, inlineObjectElement: { inlineObjectId: `obj.${start + i}` } });
+      i += 1;
+      continue;
+    }
+    const next = text.indexOf(OBJECT_CHAR, i);
+    const end = next === -1 ? text.length : next;
+    elements.push({ startIndex: start + i, endIndex: start + end, textRun: { content: text.slice(i, end), textStyle: {} } });
+    i = end;
+  }
+  return elements;
+}
+
+function segmentContent(text, segmentId) {
+  const offset = segmentOffset(segmentId);
+  const content = segmentId ? [] : [{ startIndex: 0, endIndex: 1, sectionBreak: {} }];
+  let pos = 0;
+  for (const line of text.split('\n').slice(0, -1)) {
+    const para = `${line}\n`;
+    const start = offset + pos;
+    content.push({ startIndex: start, endIndex: start + para.length, paragraph: { elements: paragraphElements(para, start) } });
+    pos += para.length;
+  }
+  return content;
+}
+
+function docResource(doc) {
+  const segments = (group, key) => Object.fromEntries(Object.entries(group).map(([id, text]) => [id, { [key]: id, content: segmentContent(text, id) }]));
+  return {
+    documentId: doc.id,
+    title: doc.title,
+    body: { content: segmentContent(doc.body, null) },
+    headers: segments(doc.headers, 'headerId'),
+    footers: segments(doc.footers, 'footerId'),
+    documentStyle: { defaultHeaderId: doc.defaultHeaderId || undefined, defaultFooterId: doc.defaultFooterId || undefined },
+    inlineObjects: clone(doc.inlineObjects),
+  };
+}
+
+function normalizeSegmentText(text) {
+  const t = String(text || '').replace(/\r\n/g, '\n');
+  return t.endsWith('\n') ? t : `${t}\n`;
+}
+
+/**
+ * Fake Google (Drive + Docs). files: seeds [{ id?, name, mimeType?, parents?, text? | body?/headers?/footers? | buffer? }]
+ * (a Google Doc from text or body/headers/footers, a binary file from buffer). Folder "root" always exists.
+ * Returns { drive, docs, files, calls, addFolder, addDoc, addFile, readDoc, reset }.
+ */
+function createFakeGoogle({ files: seedFiles = [] } = {}) {
+  const files = new Map();
+  const calls = [];
+  let seq = 0;
+  const newId = prefix => `${prefix}${String(++seq).padStart(6, '0')}`;
+  const now = () => new Date().toISOString();
+
+  function put(file) {
+    const f = {
+      id: file.id || newId('fake-file-'),
+      name: String(file.name || 'Untitled'),
+      mimeType: file.mimeType,
+      parents: file.parents || ['root'],
+      trashed: Boolean(file.trashed),
+      modifiedTime: file.modifiedTime || now(),
+      buffer: file.buffer || null,
+      doc: file.doc || null,
+    };
+    files.set(f.id, f);
+    return f;
+  }
+
+  function addFolder({ id, name, parents } = {}) {
+    return put({ id, name, parents, mimeType: FOLDER_MIME });
+  }
+
+  function addDoc({ id, name, parents, text = '', body = null, headers = {}, footers = {}, modifiedTime } = {}) {
+    const docId = id || newId('fake-doc-');
+    const headerEntries = Object.entries(headers || {}).map(([hid, t]) => [hid, normalizeSegmentText(t)]);
+    const footerEntries = Object.entries(footers || {}).map(([fid, t]) => [fid, normalizeSegmentText(t)]);
+    return put({
+      id: docId,
+      name,
+      parents,
+      modifiedTime,
+      mimeType: GOOGLE_DOC_MIME,
+      doc: {
+        id: docId,
+        title: name,
+        body: normalizeSegmentText(body ?? text),
+        headers: Object.fromEntries(headerEntries),
+        footers: Object.fromEntries(footerEntries),
+        defaultHeaderId: headerEntries[0]?.[0] || null,
+        defaultFooterId: footerEntries[0]?.[0] || null,
+        inlineObjects: {},
+        styles: [],
+      },
+    });
+  }
+
+  function addFile({ id, name, parents, mimeType = 'application/octet-stream', buffer = Buffer.alloc(0), modifiedTime } = {}) {
+    return put({ id, name, parents, mimeType, modifiedTime, buffer: Buffer.from(buffer) });
+  }
+
+  function seed(list) {
+    for (const f of list || []) {
+      if (f.mimeType === FOLDER_MIME) addFolder(f);
+      else if (f.buffer) addFile(f);
+      else addDoc(f);
+    }
+  }
+
+  function reset() {
+    files.clear();
+    calls.length = 0;
+    addFolder({ id: 'root', name: 'Mi unidad', parents: [] });
+    seed(seedFiles);
+  }
+
+  reset();
+
+  function mustFile(fileId) {
+    const f = files.get(String(fileId || ''));
+    if (!f || f.trashed) throw googleError(404, `File not found: ${fileId}.`);
+    return f;
+  }
+
+  function mustDoc(documentId) {
+    const f = files.get(String(documentId || ''));
+    if (!f || f.trashed || !f.doc) throw googleError(404, `Requested entity was not found (document ${documentId}).`);
+    return f;
+  }
+
+  function meta(f) {
+    return { id: f.id, name: f.name, mimeType: f.mimeType, parents: f.parents.slice(), modifiedTime: f.modifiedTime, trashed: f.trashed };
+  }
+
+  // Subset of Drive's query language: clauses joined by "and"; "(mimeType='a' or mimeType='b')" is an OR of mime types
+  function matchesQuery(f, q) {
+    const query = String(q || '');
+    for (const m of query.matchAll(/'([^']+)' in parents/g)) {
+      if (!f.parents.includes(m[1])) return false;
+    }
+    const name = query.match(/name\s*=\s*'((?:\\'|[^'])*)'/);
+    if (name && f.name !== name[1].replace(/\\'/g, "'")) return false;
+    const mimes = Array.from(query.matchAll(/mimeType\s*=\s*'([^']+)'/g)).map(m => m[1]);
+    if (mimes.length && !mimes.includes(f.mimeType)) return false;
+    const trashed = query.match(/trashed\s*=\s*(true|false)/);
+    if (trashed && f.trashed !== (trashed[1] === 'true')) return false;
+    return true;
+  }
+
+  const drive = {
+    files: {
+      async list(params = {}) {
+        calls.push({ api: 'drive.files.list', params: clone(params) });
+        let rows = Array.from(files.values()).filter(f => f.id !== 'root' && matchesQuery(f, params.q));
+        if (!/trashed\s*=/.test(String(params.q || ''))) rows = rows.filter(f => !f.trashed);
+        if (String(params.orderBy || '').startsWith('name')) rows.sort((a, b) => a.name.localeCompare(b.name));
+        return { status: 200, data: { files: rows.slice(0, params.pageSize || 100).map(meta) } };
+      },
+
+      async create(params = {}) {
+        const rb = params.requestBody || {};
+        calls.push({ api: 'drive.files.create', params: { requestBody: clone(rb), media: params.media ? { mimeType: params.media.mimeType } : null } });
+        const parents = rb.parents || ['root'];
+        for (const p of parents) {
+          const parent = files.get(p);
+          if (!parent || parent.mimeType !== FOLDER_MIME) throw googleError(404, `File not found: ${p}.`);
+        }
+        if (rb.mimeType === FOLDER_MIME) return { status: 200, data: meta(addFolder({ name: rb.name, parents })) };
+        if (rb.mimeType === GOOGLE_DOC_MIME && !params.media) return { status: 200, data: meta(addDoc({ name: rb.name, parents })) };
+        const buffer = await readBody(params.media?.body);
+        const f = addFile({ name: rb.name, parents, mimeType: rb.mimeType || params.media?.mimeType, buffer });
+        return { status: 200, data: meta(f) };
+      },
+
+      async copy(params = {}) {
+        calls.push({ api: 'drive.files.copy', params: clone(params) });
+        const src = mustFile(params.fileId);
+        const rb = params.requestBody || {};
+        const copy = put({
+          ...src,
+          id: src.doc ? newId('fake-doc-') : newId('fake-file-'),
+          name: rb.name || `Copy of ${src.name}`,
+          parents: rb.parents || src.parents.slice(),
+          modifiedTime: now(),
+          buffer: src.buffer ? Buffer.from(src.buffer) : null,
+          doc: null,
+        });
+        if (src.doc) copy.doc = { ...clone(src.doc), id: copy.id, title: copy.name };
+        return { status: 200, data: meta(copy) };
+      },
+
+      async get(params = {}) {
+        calls.push({ api: 'drive.files.get', params: clone(params) });
+        const f = mustFile(params.fileId);
+        if (params.alt !== 'media') return { status: 200, data: meta(f) };
+        if (f.doc) throw googleError(403, 'Only files with binary content can be downloaded. Use Export with Docs Editors files.');
+        if (!f.buffer) throw googleError(403, `File ${f.id} has no content.`);
+        return { status: 200, data: Buffer.from(f.buffer) };
+      },
+
+      async export(params = {}) {
+        calls.push({ api: 'drive.files.export', params: clone(params) });
+        const f = mustFile(params.fileId);
+        if (!f.doc) throw googleError(403, 'Export only supports Docs Editors files.');
+        const { doc } = f;
+        const strip = t => t.split(OBJECT_CHAR).join('');
+        if (params.mimeType === 'text/plain') return { status: 200, data: Buffer.from(strip(doc.body), 'utf8') };
+        if (params.mimeType !== 'application/pdf') throw googleError(400, `Fake: export to ${params.mimeType} is not supported.`);
+        const headerLines = Object.values(doc.headers).flatMap(t => strip(t).split('\n').filter(Boolean));
+        const pdf = await textToPdfBuffer({ text: strip(doc.body).replace(/\n$/, ''), headerLines, title: f.name });
+        return { status: 200, data: Buffer.from(pdf) };
+      },
+    },
+  };
+
+  // ---- Docs batchUpdate ----
+
+  function segmentRef(doc, segmentId, where) {
+    if (!segmentId) return { key: 'body', id: null };
+    if (doc.headers[segmentId] !== undefined) return { key: 'headers', id: segmentId };
+    if (doc.footers[segmentId] !== undefined) return { key: 'footers', id: segmentId };
+    throw googleError(400, `Invalid ${where}: segment ${segmentId} not found.`);
+  }
+
+  const readSeg = (doc, ref) => (ref.id ? doc[ref.key][ref.id] : doc.body);
+  const writeSeg = (doc, ref, text) => {
+    if (ref.id) doc[ref.key][ref.id] = text;
+    else doc.body = text;
+  };
+
+  function insertAt(doc, location, text, where) {
+    const ref = segmentRef(doc, location?.segmentId, where);
+    const seg = readSeg(doc, ref);
+    const pos = Number(location?.index) - segmentOffset(ref.id);
+    if (!Number.isInteger(pos) || pos < 0 || pos > seg.length - 1) {
+      throw googleError(400, `Invalid ${where}: Index ${location?.index} must be inside the bounds of an existing paragraph.`);
+    }
+    writeSeg(doc, ref, seg.slice(0, pos) + text + seg.slice(pos));
+    return pos + segmentOffset(ref.id);
+  }
+
+  function applyRequest(doc, request, i) {
+    const [kind] = Object.keys(request || {});
+    const r = request[kind] || {};
+    const where = `requests[${i}].${kind}`;
+
+    if (kind === 'replaceAllText') {
+      const needle = String(r.containsText?.text || '');
+      if (!needle) throw googleError(400, `Invalid ${where}: containsText.text is empty.`);
+      const re = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), r.containsText?.matchCase ? 'g' : 'gi');
+      let occurrencesChanged = 0;
+      const replace = (t) => t.replace(re, () => {
+        occurrencesChanged += 1;
+        return String(r.replaceText ?? '');
+      });
+      doc.body = replace(doc.body);
+      for (const group of [doc.headers, doc.footers]) {
+        for (const id of Object.keys(group)) group[id] = replace(group[id]);
+      }
+      return { replaceAllText: { occurrencesChanged } };
+    }
+
+    if (kind === 'insertText') {
+      const location = r.endOfSegmentLocation
+        ? { segmentId: r.endOfSegmentLocation.segmentId, index: readSeg(doc, segmentRef(doc, r.endOfSegmentLocation.segmentId, where)).length - 1 + segmentOffset(r.endOfSegmentLocation.segmentId) }
+        : r.location;
+      insertAt(doc, location, String(r.text || ''), where);
+      return {};
+    }
+
+    if (kind === 'deleteContentRange') {
+      const ref = segmentRef(doc, r.range?.segmentId, where);
+      const seg = readSeg(doc, ref);
+      const start = Number(r.range?.startIndex) - segmentOffset(ref.id);
+      const end = Number(r.range?.endIndex) - segmentOffset(ref.id);
+      if (!(start >= 0 && end > start && end <= seg.length - 1)) {
+        throw googleError(400, `Invalid ${where}: The range cannot include the last newline character of the segment.`);
+      }
+      writeSeg(doc, ref, seg.slice(0, start) + seg.slice(end));
+      return {};
+    }
+
+    if (kind === 'updateTextStyle') {
+      const ref = segmentRef(doc, r.range?.segmentId, where);
+      const seg = readSeg(doc, ref);
+      const end = Number(r.range?.endIndex) - segmentOffset(ref.id);
+      if (!(end <= seg.length)) throw googleError(400, `Invalid ${where}: Index ${r.range?.endIndex} must be less than the end index of the segment.`);
+      doc.styles.push(clone(r));
+      return {};
+    }
+
+    if (kind === 'createHeader') {
+      if (doc.defaultHeaderId) throw googleError(400, `Invalid ${where}: A default header already exists.`);
+      const headerId = newId('kix.fakeheader');
+      doc.headers[headerId] = '\n';
+      doc.defaultHeaderId = headerId;
+      return { createHeader: { headerId } };
+    }
+
+    if (kind === 'insertInlineImage') {
+      const index = insertAt(doc, r.location, OBJECT_CHAR, where);
+      const id = newId('kix.fakeimage');
+      doc.inlineObjects[id] = { uri: r.uri, objectSize: clone(r.objectSize || {}), segmentId: r.location?.segmentId || null, index };
+      return { insertInlineImage: { objectId: id } };
+    }
+
+    throw googleError(400, `Fake: ${kind || 'empty request'} is not supported (${where}).`);
+  }
+
+  const docs = {
+    documents: {
+      async get(params = {}) {
+        calls.push({ api: 'docs.documents.get', params: clone(params) });
+        return { status: 200, data: docResource(mustDoc(params.documentId).doc) };
+      },
+
+      // Atomic like Docs: if one request fails nothing is applied
+      async batchUpdate(params = {}) {
+        const requests = params.requestBody?.requests || [];
+        calls.push({ api: 'docs.documents.batchUpdate', params: clone(params) });
+        const f = mustDoc(params.documentId);
+        const working = clone(f.doc);
+        const replies = requests.map((req, i) => applyRequest(working, req, i));
+        f.doc = working;
+        f.modifiedTime = now();
+        return { status: 200, data: { documentId: f.id, replies } };
+      },
+    },
+  };
+
+  /**
+   * Text of a Doc per segment: { body, headers: [..], footers: [..], images: [{ uri, ... }], styles }.
+   */
+  function readDoc(documentId) {
+    const { doc } = mustDoc(documentId);
+    return {
+      body: doc.body,
+      headers: Object.values(doc.headers),
+      footers: Object.values(doc.footers),
+      images: Object.values(doc.inlineObjects),
+      styles: doc.styles.slice(),
+    };
+  }
+
+  return { drive, docs, files, calls, addFolder, addDoc, addFile, readDoc, reset };
+}
+
+module.exports = {
+  createFakeGoogle,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+// In-memory job queue (one Render instance): a job is a list of items processed sequentially,
+// each with its own status pending → running → done | error. Failed items can be retried alone.
+
+const JOB_TTL_MS = 24 * 60 * 60 * 1000; // 24 h
+const MAX_JOBS = 500;
+
+const _jobs = new Map();
+const _queue = [];
+let _running = 0;
+
+function concurrency() {
+  const n = Number(process.env.DOCS_JOBS_CONCURRENCY || 2);
+  return Number.isFinite(n) && n > 0 ? n : 2;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of _jobs) {
+    if (job.status !== 'running' && job.status !== 'pending' && Date.parse(job.updated_at) < cutoff) _jobs.delete(id);
+  }
+  // Hard cap: drop the oldest finished jobs
+  if (_jobs.size > MAX_JOBS) {
+    const finished = Array.from(_jobs.values())
+      .filter(j => j.status !== 'running' && j.status !== 'pending')
+      .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+    for (const j of finished.slice(0, _jobs.size - MAX_JOBS)) _jobs.delete(j.id);
+  }
+}
+
+function jobStatusFromItems(items) {
+  if (items.some(it => it.status === 'pending' || it.status === 'running')) return 'running';
+  return items.some(it => it.status === 'error') ? 'error' : 'done';
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.updated_at = nowIso();
+  const processed = [];
+
+  for (const item of job.items) {
+    if (item.status !== 'pending') continue;
+    item.status = 'running';
+    item.attempts += 1;
+    item.started_at = nowIso();
+    job.updated_at = item.started_at;
+    try {
+      item.result = await job._runItem(item, job);
+      item.status = 'done';
+      item.error = null;
+    } catch (err) {
+      console.error(`job ${job.id} item ${item.key} error`, err);
+      item.status = 'error';
+      item.error = { code: err.code || 'ERROR', message: err.message || String(err) };
+    }
+    item.finished_at = nowIso();
+    job.updated_at = item.finished_at;
+    processed.push(item);
+  }
+
+  if (job._onSettled) {
+    try {
+      await job._onSettled(job, processed);
+    } catch (err) {
+      console.error(`job ${job.id} onSettled error`, err);
+    }
+  }
+
+  job.status = jobStatusFromItems(job.items);
+  job.finished_at = nowIso();
+  job.updated_at = job.finished_at;
+}
+
+function pump() {
+  while (_running < concurrency() && _queue.length) {
+    const job = _queue.shift();
+    _running += 1;
+    runJob(job)
+      .catch(err => console.error(`job ${job.id} crashed`, err))
+      .finally(() => {
+        _running -= 1;
+        pump();
+      });
+  }
+}
+
+function schedule(job) {
+  job.status = 'pending';
+  job.updated_at = nowIso();
+  _queue.push(job);
+  setImmediate(pump);
+}
+
+/**
+ * Create and enqueue a job.
+ * items: [{ key, label, ...data }]; runItem(item, job) returns the item result or throws;
+ * onSettled(job, processedItems) runs after every pass (first run and each retry).
+ */
+function createJob({ type, items, meta = {}, context = null, runItem, onSettled = null }) {
+  pruneJobs();
+  const ts = nowIso();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'pending',
+    created_at: ts,
+    updated_at: ts,
+    finished_at: null,
+    meta,
+    items: (items || []).map((it, idx) => ({
+      ...it,
+      key: String(it.key ?? idx),
+      status: 'pending',
+      attempts: 0,
+      result: null,
+      error: null,
+      started_at: null,
+      finished_at: null,
+    })),
+    context,
+    _runItem: runItem,
+    _onSettled: onSettled,
+  };
+  _jobs.set(job.id, job);
+  schedule(job);
+  return job;
+}
+
+function getJob(id) {
+  return _jobs.get(String(id || '')) || null;
+}
+
+/**
+ * Re-enqueue only the failed items. Returns null if the job doesn't exist,
+ * { job, retried: 0 } if it is still running or has nothing to retry.
+ */
+function retryJob(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  if (job.status === 'pending' || job.status === 'running') return { job, retried: 0 };
+
+  const failed = job.items.filter(it => it.status === 'error');
+  for (const it of failed) {
+    it.status = 'pending';
+    it.error = null;
+  }
+  if (failed.length) schedule(job);
+  return { job, retried: failed.length };
+}
+
+function jobProgress(job) {
+  const counts = { total: job.items.length, pending: 0, running: 0, done: 0, error: 0 };
+  for (const it of job.items) counts[it.status] += 1;
+  return counts;
+}
+
+// Serializable view (no context/callbacks)
+function publicJob(job) {
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at,
+    progress: jobProgress(job),
+    meta: job.meta,
+    items: job.items.map(it => ({
+      key: it.key,
+      label: it.label || null,
+      status: it.status,
+      attempts: it.attempts,
+      started_at: it.started_at,
+      finished_at: it.finished_at,
+      result: it.result,
+      error: it.error,
+    })),
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  retryJob,
+  publicJob,
+  jobProgress,
+};
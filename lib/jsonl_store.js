@@ -0,0 +1,105 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Append-only JSON Lines files under DATA_DIR (default ./data): one record per line, loaded once into memory.
+// Logs that grow with every request (audit) use { cache: false }: nothing is kept in memory and reads stream the file.
+// On Render the disk is ephemeral unless DATA_DIR points to a persistent disk.
+
+function dataDir() {
+  return path.resolve(String(process.env.DATA_DIR || '').trim() || path.join(__dirname, '..', 'data'));
+}
+
+function parseLine(line, file, lineNo) {
+  if (!line.trim()) return undefined;
+  try {
+    return JSON.parse(line);
+  } catch (_e) {
+    console.error(`${file}:${lineNo} línea JSON inválida (se ignora)`);
+    return undefined;
+  }
+}
+
+function parseLines(raw, file) {
+  const out = [];
+  String(raw || '').split('\n').forEach((line, i) => {
+    const value = parseLine(line, file, i + 1);
+    if (value !== undefined) out.push(value);
+  });
+  return out;
+}
+
+/**
+ * createJsonlStore('verifications') -> { file, append(record), list(), forEach(fn) } backed by DATA_DIR/verifications.jsonl.
+ * Appends are serialized so concurrent writers never interleave lines; append(records => record) builds the
+ * record from the current list inside that critical section (e.g. to chain hashes).
+ * cache: false keeps nothing in memory (append only writes; list/forEach read the file, after pending appends);
+ * append(records => record) is not available then.
+ */
+function createJsonlStore(name, { cache = true } = {}) {
+  const file = path.join(dataDir(), `${name}.jsonl`);
+  let records = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (records) return records;
+    let raw = '';
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    records = records || parseLines(raw, file);
+    return records;
+  }
+
+  function append(record) {
+    if (!cache && typeof record === 'function') throw new Error(`${name}: append(fn) requiere cache`);
+    const run = queue.then(async () => {
+      const all = cache ? await load() : null;
+      const value = typeof record === 'function' ? record(all) : record;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(value)}\n`);
+      if (all) all.push(value);
+      return value;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // fn(record) por cada registro, del más antiguo al más nuevo; sin cache lee el archivo línea a línea
+  async function forEach(fn) {
+    if (cache) {
+      for (const r of await load()) fn(r);
+      return;
+    }
+    await queue;
+    const input = createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNo = 0;
+    try {
+      for await (const line of lines) {
+        lineNo += 1;
+        const value = parseLine(line, file, lineNo);
+        if (value !== undefined) fn(value);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async function list() {
+    if (cache) return (await load()).slice();
+    const out = [];
+    await forEach(r => out.push(r));
+    return out;
+  }
+
+  return { file, append, list, forEach };
+}
+
+module.exports = {
+  dataDir,
+  createJsonlStore,
+};
@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { dataDir } = require('./jsonl_store');
+
+// Last successful answer of a Sell lookup (pipelines, owners...), kept in memory and in DATA_DIR/last_good/<name>.json
+// so the portal can still serve it when Sell is down, even right after a restart.
+
+const _memory = new Map();
+
+function fileFor(name) {
+  return path.join(dataDir(), 'last_good', `${String(name).replace(/[^\w-]/g, '_')}.json`);
+}
+
+async function rememberLastGood(name, value) {
+  const entry = { saved_at: new Date().toISOString(), value };
+  _memory.set(name, entry);
+  try {
+    await fs.mkdir(path.dirname(fileFor(name)), { recursive: true });
+    await fs.writeFile(fileFor(name), JSON.stringify(entry));
+  } catch (err) {
+    console.error(`last_good ${name}: no se pudo guardar`, err.message || err);
+  }
+  return entry;
+}
+
+/**
+ * { saved_at, value } or null when nothing was ever saved.
+ */
+async function getLastGood(name) {
+  if (_memory.has(name)) return _memory.get(name);
+  try {
+    const entry = JSON.parse(await fs.readFile(fileFor(name), 'utf8'));
+    _memory.set(name, entry);
+    return entry;
+  } catch (_e) {
+    return null;
+  }
+}
+
+module.exports = {
+  rememberLastGood,
+  getLastGood,
+};
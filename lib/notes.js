@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { createNote } = require('./sell');
+const { createJsonlStore } = require('./jsonl_store');
+const { actorLabel } = require('./actor');
+
+// Notas de Sell de las acciones de valor (crear contacto/deal, carpeta Drive, render, documentos): texto estructurado
+// con acción, agente, origen y datos. Si Sell falla la nota no se pierde: queda en DATA_DIR/notes_outbox.jsonl
+// (eventos queued / attempt / sent / failed) y se reintenta con backoff exponencial (1 min, 2, 4... tope 1 h)
+// hasta NOTES_MAX_ATTEMPTS (12); después queda failed y solo se reintenta a mano (POST /api/notes/outbox/retry).
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('notes_outbox');
+  return _store;
+}
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function maxAttempts() {
+  return envInt('NOTES_MAX_ATTEMPTS', 12);
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Texto de la nota: título, acción, agente, origen, fields ([etiqueta, valor], se omiten los vacíos) y fecha.
+ */
+function buildActionNote({ title, action, actor = null, fields = [] }) {
+  return [
+    title,
+    `Acción: ${action}`,
+    `Agente: ${actorLabel(actor)}`,
+    `Origen: ${actor?.source || 'portal'}`,
+    ...fields.filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== '').map(([k, v]) => `${k}: ${v}`),
+    `Fecha: ${new Date().toISOString()}`,
+  ].join('\n');
+}
+
+/**
+ * Estado actual del outbox (los eventos reducidos por nota), más recientes primero.
+ * status: pending | sent | failed.
+ */
+async function listOutbox({ status = null } = {}) {
+  const items = new Map();
+  for (const ev of await store().list()) {
+    if (ev.type === 'queued') {
+      items.set(ev.id, {
+        id: ev.id,
+        resource: ev.resource,
+        resource_id: ev.resource_id,
+        action: ev.action,
+        content: ev.content,
+        status: 'pending',
+        attempts: 1,
+        last_error: ev.error,
+        queued_at: ev.at,
+        next_attempt_at: new Date(Date.parse(ev.at) + retryDelayMs(1)).toISOString(),
+        sent_at: null,
+        note_id: null,
+      });
+      continue;
+    }
+    const item = items.get(ev.id);
+    if (!item) continue;
+    if (ev.type === 'attempt') {
+      item.status = 'pending';
+      item.attempts += 1;
+      item.last_error = ev.error;
+      item.next_attempt_at = new Date(Date.parse(ev.at) + retryDelayMs(item.attempts)).toISOString();
+    } else if (ev.type === 'sent') {
+      Object.assign(item, { status: 'sent', attempts: item.attempts + 1, sent_at: ev.at, note_id: ev.note_id, next_attempt_at: null });
+    } else if (ev.type === 'failed') {
+      Object.assign(item, { status: 'failed', attempts: item.attempts + 1, last_error: ev.error, next_attempt_at: null });
+    }
+  }
+  const all = Array.from(items.values()).reverse();
+  return status ? all.filter(it => it.status === status) : all;
+}
+
+/**
+ * Escribe la nota en el deal/contacto: { id } si Sell la creó, { queued: true, outbox_id, error } si quedó en el outbox.
+ * Nunca lanza: la acción principal ya se hizo en Sell. Si tampoco se puede encolar (disco lleno, DATA_DIR sin
+ * permisos) se registra en el log y vuelve { queued: false, error }.
+ */
+async function writeNote({ resource, id, content, action }) {
+  let error;
+  try {
+    const note = await createNote(resource, id, content);
+    return { id: note?.id ?? null, queued: false };
+  } catch (e) {
+    error = e.message || String(e);
+  }
+  try {
+    const record = await store().append({
+      type: 'queued',
+      id: `note_${crypto.randomBytes(6).toString('hex')}`,
+      resource,
+      resource_id: Number(id),
+      action,
+      content,
+      error,
+      at: new Date().toISOString(),
+    });
+    console.warn(`[notes] ${action} ${resource} #${id}: nota en cola (${error})`);
+    return { queued: true, outbox_id: record.id, error };
+  } catch (e) {
+    console.error(`[notes] ${action} ${resource} #${id}: nota perdida, no se pudo encolar (${e.message || e}); Sell: ${error}`);
+    return { id: null, queued: false, error };
+  }
+}
+
+let _running = null;
+
+/**
+ * Reintenta las notas pendientes cuyo backoff ya venció. force: todas las pendientes y también las failed
+ * (ids limita a esas notas). Devuelve { attempted, sent, failed }.
+ */
+function retryOutbox({ force = false, ids = null } = {}) {
+  if (_running) return _running;
+  _running = (async () => {
+    const now = Date.now();
+    const wanted = ids ? new Set(ids.map(String)) : null;
+    const due = (await listOutbox()).filter(it => {
+      if (wanted && !wanted.has(it.id)) return false;
+      if (it.status === 'failed') return force;
+      return it.status === 'pending' && (force || Date.parse(it.next_attempt_at) <= now);
+    });
+    const summary = { attempted: due.length, sent: 0, failed: 0 };
+    for (const it of due) {
+      const at = new Date().toISOString();
+      try {
+        const note = await createNote(it.resource, it.resource_id, it.content);
+        await store().append({ type: 'sent', id: it.id, note_id: note?.id ?? null, at });
+        summary.sent += 1;
+      } catch (e) {
+        const error = e.message || String(e);
+        const giveUp = it.attempts + 1 >= maxAttempts();
+        await store().append({ type: giveUp ? 'failed' : 'attempt', id: it.id, error, at });
+        if (giveUp) {
+          summary.failed += 1;
+          console.error(`[notes] ${it.id} (${it.action} ${it.resource} #${it.resource_id}) sin enviar tras ${it.attempts + 1} intentos: ${error}`);
+        }
+      }
+    }
+    return summary;
+  })().finally(() => {
+    _running = null;
+  });
+  return _running;
+}
+
+/**
+ * Reintentos en segundo plano cada NOTES_RETRY_INTERVAL_S (60 s). Solo lo arranca server.js al levantar el puerto.
+ */
+function startNoteRetries() {
+  const timer = setInterval(() => {
+    retryOutbox().catch(e => console.error('[notes] reintento falló', e.message || e));
+  }, envInt('NOTES_RETRY_INTERVAL_S', 60) * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  buildActionNote,
+  writeNote,
+  listOutbox,
+  retryOutbox,
+  startNoteRetries,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+// Template packages: named bundles of templates per pipeline/procedure ("Pre-op Bariátrica", "Balón intragástrico"...).
+// Source: DOC_PACKAGES_JSON (inline) or DOC_PACKAGES_FILE (path to a .json file), both an array of
+//   { "id": "preop_bariatrica", "name": "Pre-op Bariátrica", "pipeline_ids": [1290779], "templates": ["orden_examenes", "1AAA..."] }
+// "templates" accepts template file IDs, template slugs (name in TEMPLATE_FOLDER_ID) or DOC_TEMPLATES_JSON keys.
+// Empty/missing pipeline_ids = available in every pipeline.
+
+function readPackagesSource() {
+  const inline = String(process.env.DOC_PACKAGES_JSON || '').trim();
+  if (inline) return { raw: inline, origin: 'DOC_PACKAGES_JSON' };
+
+  const file = String(process.env.DOC_PACKAGES_FILE || '').trim();
+  if (!file) return null;
+  try {
+    return { raw: fs.readFileSync(path.resolve(file), 'utf8'), origin: file };
+  } catch (e) {
+    const err = new Error(`No se pudo leer DOC_PACKAGES_FILE (${file}): ${e.message || String(e)}`);
+    err.code = 'INVALID_DOC_PACKAGES';
+    throw err;
+  }
+}
+
+function toIdList(v) {
+  const arr = Array.isArray(v) ? v : (v === undefined || v === null || v === '' ? [] : [v]);
+  return arr.map(x => String(x).trim()).filter(Boolean);
+}
+
+function normalizePackage(p, idx, origin) {
+  const id = String(p?.id || p?.key || '').trim();
+  if (!id) {
+    const err = new Error(`Paquete #${idx + 1} sin id en ${origin}`);
+    err.code = 'INVALID_DOC_PACKAGES';
+    throw err;
+  }
+  return {
+    id,
+    name: String(p.name || id).trim(),
+    description: p.description ? String(p.description) : null,
+    pipeline_ids: toIdList(p.pipeline_ids ?? p.pipeline_id).map(Number).filter(Number.isFinite),
+    templates: toIdList(p.templates ?? p.template_ids),
+  };
+}
+
+/**
+ * All configured packages ([] when none). Throws INVALID_DOC_PACKAGES on bad JSON/shape.
+ */
+function loadPackages() {
+  const src = readPackagesSource();
+  if (!src) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(src.raw);
+  } catch (e) {
+    const err = new Error(`${src.origin} inválido: ${e.message || String(e)}`);
+    err.code = 'INVALID_DOC_PACKAGES';
+    throw err;
+  }
+  if (!Array.isArray(parsed)) {
+    const err = new Error(`${src.origin} debe ser un array de paquetes`);
+    err.code = 'INVALID_DOC_PACKAGES';
+    throw err;
+  }
+
+  const seen = new Set();
+  return parsed.map((p, idx) => normalizePackage(p, idx, src.origin)).filter((p) => {
+    if (seen.has(p.id)) return false;
+    seen.add(p.id);
+    return true;
+  });
+}
+
+function packageMatchesPipeline(pkg, pipelineId) {
+  const n = Number(pipelineId);
+  if (!pipelineId || !Number.isFinite(n)) return true;
+  return !pkg.pipeline_ids.length || pkg.pipeline_ids.includes(n);
+}
+
+function listPackages({ pipelineId = null } = {}) {
+  return loadPackages().filter(p => packageMatchesPipeline(p, pipelineId));
+}
+
+function getPackage(id) {
+  const want = String(id || '').trim();
+  if (!want) return null;
+  return loadPackages().find(p => p.id === want) || null;
+}
+
+module.exports = {
+  loadPackages,
+  listPackages,
+  getPackage,
+  packageMatchesPipeline,
+};
@@ -0,0 +1,129 @@
+const { normalizeRut, formatRutHumanFromNoDashLower } = require('./rut');
+
+// Identificador del paciente: RUT chileno, pasaporte (con país) o ID provisorio. Se guarda en los mismos custom fields:
+//   RUT_normalizado (canon, lo que se busca)  /  RUT o ID (humano)
+//   rut:         16927228k             /  16.927.228-K
+//   passport:    pas-ar-ab1234567      /  AB1234567 (Pasaporte AR)
+//   provisional: prov-12345            /  PROV-12345
+// Los prefijos del canon no chocan con un RUT (solo dígitos + DV), así que las reglas de duplicados funcionan igual.
+
+const ID_TYPES = ['rut', 'passport', 'provisional'];
+const ID_TYPE_LABELS = { rut: 'RUT', passport: 'Pasaporte', provisional: 'ID provisorio' };
+const RUT_ERROR_CODES = ['INVALID_RUT_DV', 'MISSING_RUT_DV'];
+const ID_ERROR_CODES = ['INVALID_ID_TYPE', 'MISSING_ID_COUNTRY', 'INVALID_ID_COUNTRY', 'INVALID_PASSPORT', 'INVALID_PROVISIONAL_ID'];
+
+const PASSPORT_CANON_RE = /^pas-([a-z]{2})-([a-z0-9]+)$/i;
+const PASSPORT_HUMAN_RE = /^([a-z0-9]+)\s*\(\s*pasaporte\s+([a-z]{2})\s*\)$/i;
+const PROVISIONAL_RE = /^prov[-\s]*/i;
+
+function idError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = 400;
+  return err;
+}
+
+// Errores de validación del identificador (RUT incluido): responden 400
+function isPatientIdError(err) {
+  return Boolean(err) && (RUT_ERROR_CODES.includes(err.code) || ID_ERROR_CODES.includes(err.code));
+}
+
+function compactId(value) {
+  return String(value || '').toUpperCase().replace(/[\s.\-_/]/g, '');
+}
+
+function normalizeIdType(type) {
+  const t = String(type || '').trim().toLowerCase();
+  if (!t) return null;
+  if (['rut', 'run'].includes(t)) return 'rut';
+  if (['passport', 'pasaporte', 'dni'].includes(t)) return 'passport';
+  if (['provisional', 'provisorio', 'prov'].includes(t)) return 'provisional';
+  throw idError('INVALID_ID_TYPE', `Tipo de identificador inválido: "${type}". Debe ser rut, passport o provisional.`);
+}
+
+// Sin tipo explícito: un canon/humano de pasaporte o provisorio se reconoce por su forma; lo demás es RUT
+function detectIdType(value) {
+  const v = String(value || '').trim();
+  if (PASSPORT_CANON_RE.test(v) || PASSPORT_HUMAN_RE.test(v)) return 'passport';
+  if (PROVISIONAL_RE.test(v)) return 'provisional';
+  return 'rut';
+}
+
+function normalizePassport(value, country) {
+  const v = String(value || '').trim();
+  const canon = v.match(PASSPORT_CANON_RE);
+  const human = v.match(PASSPORT_HUMAN_RE);
+  let number = v;
+  let cc = country;
+  if (canon) [, cc, number] = canon;
+  else if (human) [, number, cc] = human;
+
+  cc = String(cc || '').trim().toUpperCase();
+  if (!cc) throw idError('MISSING_ID_COUNTRY', 'Falta el país del pasaporte (código ISO de 2 letras, ej: AR, PE, VE).');
+  if (!/^[A-Z]{2}$/.test(cc)) throw idError('INVALID_ID_COUNTRY', `País del pasaporte inválido: "${cc}". Usa el código ISO de 2 letras (ej: AR, PE, VE).`);
+
+  number = compactId(number);
+  if (!/^[A-Z0-9]{5,20}$/.test(number)) {
+    throw idError('INVALID_PASSPORT', 'Pasaporte/DNI inválido: 5 a 20 letras o números (sin contar puntos, guiones ni espacios).');
+  }
+  const canonical = `pas-${cc.toLowerCase()}-${number.toLowerCase()}`;
+  return { country: cc, number, canonical, human: `${number} (Pasaporte ${cc})` };
+}
+
+function normalizeProvisional(value) {
+  const number = compactId(String(value || '').trim().replace(PROVISIONAL_RE, ''));
+  if (!/^[A-Z0-9]{3,20}$/.test(number)) {
+    throw idError('INVALID_PROVISIONAL_ID', 'ID provisorio inválido: 3 a 20 letras o números (ej: PROV-12345).');
+  }
+  return { country: null, number, canonical: `prov-${number.toLowerCase()}`, human: `PROV-${number}` };
+}
+
+/**
+ * Normaliza un identificador. type: 'rut' | 'passport' | 'provisional' (o alias; vacío = se detecta por la forma).
+ * Returns { type, country, number, canonical (RUT_normalizado), human (RUT o ID), normalized, normalizedNoDash } —
+ * normalized/normalizedNoDash tienen la misma forma que normalizeRut (para un RUT: "16927228-K" / "16927228K";
+ * para los demás, el canon). Valor vacío → canonical ''. Lanza con err.code y http_status 400 si es inválido.
+ */
+function normalizePatientId({ type = null, value, country = null } = {}) {
+  const raw = String(value || '').trim();
+  const t = normalizeIdType(type) || detectIdType(raw);
+  const empty = { type: t, country: null, number: '', canonical: '', human: '', normalized: '', normalizedNoDash: '' };
+  if (!raw) return empty;
+
+  if (t === 'rut') {
+    const n = normalizeRut(value);
+    if (!n.normalized) return empty;
+    const canonical = n.normalizedNoDash.toLowerCase();
+    return { type: t, country: null, ...n, canonical, human: formatRutHumanFromNoDashLower(canonical) };
+  }
+
+  const id = t === 'passport' ? normalizePassport(raw, country) : normalizeProvisional(raw);
+  return { type: t, ...id, normalized: id.canonical, normalizedNoDash: id.canonical };
+}
+
+/**
+ * Lee un valor ya guardado (canon o humano, cualquier tipo). null si no se reconoce.
+ */
+function parseStoredPatientId(value) {
+  try {
+    const id = normalizePatientId({ value });
+    return id.canonical ? id : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+// Variantes con que puede estar guardado en RUT_normalizado (RUT: canon "16927228k" + legacy con/sin guion en mayúscula)
+function patientIdSearchValues(id) {
+  if (id.type !== 'rut') return [id.canonical];
+  return Array.from(new Set([id.canonical, id.normalizedNoDash, id.normalized]));
+}
+
+module.exports = {
+  ID_TYPES,
+  ID_TYPE_LABELS,
+  isPatientIdError,
+  normalizePatientId,
+  parseStoredPatientId,
+  patientIdSearchValues,
+};
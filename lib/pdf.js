@@ -0,0 +1,253 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const QRCode = require('qrcode');
+
+// A4 en puntos
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const FONT_SIZE = 11;
+const LINE_HEIGHT = 15;
+
+// Helvetica (WinAnsi) no codifica todo Unicode: reemplazamos lo que no soporta
+function toEncodableText(font, text) {
+  let out = '';
+  for (const ch of String(text || '')) {
+    try {
+      font.encodeText(ch);
+      out += ch;
+    } catch (_e) {
+      out += '?';
+    }
+  }
+  return out;
+}
+
+function wrapLine(font, line, size, maxWidth) {
+  const words = line.split(/(\s+)/);
+  const lines = [];
+  let current = '';
+  for (const w of words) {
+    const candidate = current + w;
+    if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(current.trimEnd());
+      current = w.trimStart();
+    } else {
+      current = candidate;
+    }
+  }
+  lines.push(current.trimEnd());
+  return lines;
+}
+
+const IMAGE_TOKEN_SPLIT_RE = /\{\{\s*image\.([\w.]+)\s*\}\}/;
+
+// Line with {{image.<key>}} tokens (keys present in images) → its text without them + the images below it
+function splitImageTokens(raw, images) {
+  if (!images || !IMAGE_TOKEN_SPLIT_RE.test(raw)) return null;
+  const parts = raw.split(IMAGE_TOKEN_SPLIT_RE);
+  let text = '';
+  const keys = [];
+  parts.forEach((p, i) => {
+    if (i % 2 === 0) text += p;
+    else if (Object.prototype.hasOwnProperty.call(images, p)) keys.push(p);
+    else text += `{{image.${p}}}`;
+  });
+  return keys.length ? { text, keys } : null;
+}
+
+async function embedImage(pdf, img) {
+  return img.mimeType === 'image/png' ? pdf.embedPng(img.buffer) : pdf.embedJpg(img.buffer);
+}
+
+/**
+ * Render plain text (one paragraph per line) into a simple A4 PDF.
+ * headerLines are drawn small and gray at the top of every page.
+ * images ({ key: { buffer, mimeType, widthPt, heightPt } | null }) are drawn where their {{image.<key>}} token is.
+ */
+async function textToPdfBuffer({ text, headerLines = [], title = null, images = null }) {
+  const pdf = await PDFDocument.create();
+  if (title) pdf.setTitle(String(title));
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const maxWidth = PAGE_WIDTH - MARGIN * 2;
+
+  const header = (headerLines || []).map(h => toEncodableText(font, h)).filter(Boolean);
+  const embedded = new Map();
+  const body = [];
+  for (const raw of String(text || '').replace(/\r\n/g, '\n').split('\n')) {
+    const withImages = splitImageTokens(raw, images);
+    if (!withImages) {
+      body.push(...wrapLine(font, toEncodableText(font, raw), FONT_SIZE, maxWidth));
+      continue;
+    }
+    if (withImages.text.trim()) body.push(...wrapLine(font, toEncodableText(font, withImages.text), FONT_SIZE, maxWidth));
+    for (const key of withImages.keys) {
+      const img = images[key];
+      if (!img) continue;
+      if (!embedded.has(key)) embedded.set(key, await embedImage(pdf, img));
+      const scale = Math.min(1, maxWidth / img.widthPt);
+      body.push({ image: embedded.get(key), width: img.widthPt * scale, height: img.heightPt * scale });
+    }
+  }
+
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+    for (const h of header) {
+      page.drawText(h, { x: MARGIN, y: PAGE_HEIGHT - MARGIN / 2, size: 9, font, color: rgb(0.6, 0.6, 0.6) });
+    }
+  };
+
+  newPage();
+  for (const line of body) {
+    if (line && line.image) {
+      // y is the next baseline: the image hangs from the top of that line
+      if (y + FONT_SIZE - line.height < MARGIN) newPage();
+      page.drawImage(line.image, { x: MARGIN, y: y + FONT_SIZE - line.height, width: line.width, height: line.height });
+      y -= line.height + (LINE_HEIGHT - FONT_SIZE);
+      continue;
+    }
+    if (y < MARGIN) newPage();
+    if (line) page.drawText(line, { x: MARGIN, y, size: FONT_SIZE, font });
+    y -= LINE_HEIGHT;
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+function formatIndexLine(font, left, right, size, maxWidth) {
+  const rightWidth = font.widthOfTextAtSize(right, size);
+  let label = left;
+  while (label.length > 1 && font.widthOfTextAtSize(`${label} `, size) + rightWidth > maxWidth) label = `${label.slice(0, -2)}…`;
+  return label;
+}
+
+/**
+ * Cover page(s): title, "label: value" lines and the document index with the page where each one starts.
+ * With pdf = null only counts the pages it would take (the index needs that count first).
+ */
+function drawCover({ pdf, fonts, title, info, entries }) {
+  const maxWidth = PAGE_WIDTH - MARGIN * 2;
+  const { regular, bold } = fonts;
+  let pages = 0;
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    pages += 1;
+    page = pdf ? pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]) : null;
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const line = (text, { font = regular, size = FONT_SIZE, height = LINE_HEIGHT, right = null } = {}) => {
+    if (y < MARGIN) newPage();
+    if (page) {
+      const left = right ? formatIndexLine(font, text, right, size, maxWidth) : text;
+      page.drawText(left, { x: MARGIN, y, size, font });
+      if (right) page.drawText(right, { x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(right, size), y, size, font });
+    }
+    y -= height;
+  };
+
+  newPage();
+  line(toEncodableText(bold, title), { font: bold, size: 18, height: 30 });
+  for (const [label, value] of info) {
+    for (const l of wrapLine(regular, toEncodableText(regular, `${label}: ${value ?? ''}`), FONT_SIZE, maxWidth)) line(l);
+  }
+  y -= LINE_HEIGHT;
+  line('Índice', { font: bold, size: 13, height: 22 });
+  entries.forEach((e, i) => line(toEncodableText(regular, `${i + 1}. ${e.title}`), { right: `pág. ${e.page}` }));
+  return pages;
+}
+
+/**
+ * Merge several PDFs into one dossier with a generated cover page.
+ * documents: [{ title, buffer }] in order; info: [[label, value], ...] printed on the cover.
+ * verification ({ code, url }) is stamped on the cover only: the merged pages keep their own QR.
+ */
+async function buildDossierPdf({ title = 'Dossier de documentos', info = [], documents = [], verification = null }) {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(String(title));
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+  };
+
+  const sources = [];
+  for (const d of documents) {
+    try {
+      sources.push({ title: String(d.title || ''), doc: await PDFDocument.load(d.buffer, { ignoreEncryption: true }) });
+    } catch (e) {
+      const err = new Error(`No se pudo leer el PDF "${d.title}": ${e.message || String(e)}`);
+      err.code = 'PDF_MERGE_FAILED';
+      throw err;
+    }
+  }
+
+  const coverPages = drawCover({ pdf: null, fonts, title, info, entries: sources.map(s => ({ title: s.title, page: 0 })) });
+  let next = coverPages + 1;
+  const entries = sources.map((s) => {
+    const entry = { title: s.title, page: next };
+    next += s.doc.getPageCount();
+    return entry;
+  });
+  drawCover({ pdf, fonts, title, info, entries });
+  if (verification) await drawVerificationStamp(pdf, verification, pdf.getPages().slice(0, coverPages));
+
+  for (const s of sources) {
+    const pages = await pdf.copyPages(s.doc, s.doc.getPageIndices());
+    for (const p of pages) pdf.addPage(p);
+  }
+  return Buffer.from(await pdf.save());
+}
+
+// QR drawn as vector squares (no image embedding); bottom-right corner, inside the page margin
+const QR_SIZE = 46;
+const STAMP_MARGIN = 14;
+
+function drawQr(page, modules, { x, y, size }) {
+  const n = modules.size;
+  const cell = size / n;
+  page.drawRectangle({ x: x - cell, y: y - cell, width: size + cell * 2, height: size + cell * 2, color: rgb(1, 1, 1) });
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!modules.get(r, c)) continue;
+      page.drawRectangle({ x: x + c * cell, y: y + size - (r + 1) * cell, width: cell, height: cell, color: rgb(0, 0, 0) });
+    }
+  }
+}
+
+// QR + code on the given pages (default: all of them)
+async function drawVerificationStamp(pdf, { code, url }, pages = pdf.getPages()) {
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const { modules } = QRCode.create(String(url), { errorCorrectionLevel: 'M' });
+  const label = toEncodableText(font, `Verificación: ${code}`);
+  const size = 7;
+
+  for (const page of pages) {
+    const { width } = page.getSize();
+    const x = width - STAMP_MARGIN - QR_SIZE;
+    drawQr(page, modules, { x, y: STAMP_MARGIN + 10, size: QR_SIZE });
+    page.drawText(label, {
+      x: width - STAMP_MARGIN - font.widthOfTextAtSize(label, size),
+      y: STAMP_MARGIN,
+      size,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  }
+}
+
+/**
+ * Stamp the verification QR (→ url) and code on every page of an existing PDF.
+ */
+async function stampVerificationPdf(pdfBuffer, verification) {
+  const pdf = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  await drawVerificationStamp(pdf, verification);
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  textToPdfBuffer,
+  buildDossierPdf,
+  stampVerificationPdf,
+};
@@ -0,0 +1,266 @@
+const { scanTags, parseCondition } = require('./template_blocks');
+const { imagePlaceholderKeys } = require('./signatures');
+
+// Template placeholders: the values the portal fills ({{RUT}}, {{object.nombres}}...) and
+// discovery/validation of the tokens a template actually contains.
+
+function compactSpaces(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Placeholders filled by /api/docs/generate-batch from the Sell deal + contact.
+ */
+function buildBatchPlaceholders({
+  dealId = '',
+  contactId = '',
+  deal = null,
+  contact = null,
+  rutHuman = '',
+  rutNormNoDash = '',
+  dob = '',
+  prevision = '',
+  dealUrl = '',
+  contactUrl = '',
+  fecha = '',
+  edad = null,
+} = {}) {
+  const firstName = contact?.first_name || '';
+  const lastName = contact?.last_name || '';
+  const telefono1 = contact?.phone || '';
+  const telefono2 = contact?.mobile || telefono1;
+  const telefonoMovil = telefono2 || telefono1;
+  const direccion = (typeof contact?.address === 'string' ? contact.address : (contact?.address?.line1 || contact?.address?.line_1 || contact?.address?.line || ''));
+  const comuna = contact?.address?.city || '';
+
+  return {
+    // Legacy placeholders (portal histórico)
+    RUT: rutHuman || '',
+    RUT_NORMALIZADO: rutNormNoDash || '',
+    NOMBRES: firstName,
+    APELLIDOS: lastName,
+    NOMBRE: firstName,
+    APELLIDO: lastName,
+    RUT_O_ID: rutHuman || '',
+    TELEFONO: telefono1,
+    NOMBRE_COMPLETO: compactSpaces(`${firstName} ${lastName}`),
+    FECHA_NACIMIENTO: dob || '',
+    EMAIL: contact?.email || '',
+    TELEFONO1: telefono1,
+    TELEFONO2: telefono2,
+    DIRECCION: direccion,
+    COMUNA: comuna,
+    PREVISION: prevision || '',
+    DEAL_ID: String(dealId),
+    CONTACT_ID: String(contactId),
+    DEAL_NAME: deal?.name || '',
+    DEAL_URL: dealUrl,
+    CONTACT_URL: contactUrl,
+    FECHA_HOY: fecha,
+
+    // Widget-style placeholders (contrato unificado)
+    fecha,
+    'object.nombres': firstName,
+    'object.paterno': lastName,
+    'object.run': rutHuman || '',
+    'object.fecha_nacimiento': dob || '',
+    'object.prevision': prevision || '',
+    'object.telefono_movil': telefonoMovil,
+    'object.email': contact?.email || '',
+    'object.comuna': comuna,
+    'object.direccion': direccion,
+    'object.get_edad()': edad !== null ? String(edad) : '',
+    'object.edad': edad !== null ? String(edad) : '',
+  };
+}
+
+/**
+ * Placeholders filled by /v1/render: {{fecha}}, {{object.*}} (whatever the widget sends) and {{object.get_edad()}}.
+ */
+function buildRenderPlaceholders({ fecha, object = {}, edad = null }) {
+  const obj = object || {};
+  const placeholders = { fecha };
+  for (const [k, v] of Object.entries(obj)) {
+    // Lists/objects stay as-is for {{#each object.x}} / {{this.campo}}
+    placeholders[`object.${k}`] = (v === null || v === undefined) ? '' : (typeof v === 'object' ? v : String(v));
+  }
+  placeholders['object.telefono_movil'] = String(obj.telefono_movil || obj.telefono1 || obj.telefono2 || '').trim();
+  placeholders['object.get_edad()'] = edad !== null ? String(edad) : '';
+  return placeholders;
+}
+
+const BATCH_PLACEHOLDER_KEYS = Object.keys(buildBatchPlaceholders());
+const RENDER_FIXED_KEYS = Object.keys(buildRenderPlaceholders({ fecha: '' }));
+
+// Extra keys template authors may use (e.g. fields only the widget sends): DOC_EXTRA_PLACEHOLDERS="object.materno,object.cirugia"
+function extraPlaceholderKeys() {
+  return String(process.env.DOC_EXTRA_PLACEHOLDERS || '')
+    .split(',')
+    .map(x => x.trim())
+    .filter(Boolean);
+}
+
+function knownPlaceholderSources() {
+  const sources = new Map();
+  const add = (key, source) => {
+    if (!sources.has(key)) sources.set(key, []);
+    if (!sources.get(key).includes(source)) sources.get(key).push(source);
+  };
+  for (const k of BATCH_PLACEHOLDER_KEYS) {
+    add(k, 'generate-batch');
+    // /v1/render passes every object.* the widget sends (same contract keys)
+    if (k === 'fecha' || k.startsWith('object.')) add(k, 'v1/render');
+  }
+  for (const k of RENDER_FIXED_KEYS) add(k, 'v1/render');
+  for (const k of extraPlaceholderKeys()) add(k, 'extra');
+  for (const k of imagePlaceholderKeys()) add(k, 'image');
+  return sources;
+}
+
+function levenshtein(a, b) {
+  const m = a.length;
+  const n = b.length;
+  if (!m) return n;
+  if (!n) return m;
+  let prev = Array.from({ length: n + 1 }, (_, j) => j);
+  for (let i = 1; i <= m; i++) {
+    const cur = [i];
+    for (let j = 1; j <= n; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[n];
+}
+
+function suggestPlaceholder(key, knownKeys) {
+  const trimmed = String(key || '').trim();
+  if (knownKeys.includes(trimmed)) return trimmed;
+  const ci = knownKeys.find(k => k.toLowerCase() === trimmed.toLowerCase());
+  if (ci) return ci;
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const k of knownKeys) {
+    const d = levenshtein(trimmed.toLowerCase(), k.toLowerCase());
+    if (d < bestDist) {
+      best = k;
+      bestDist = d;
+    }
+  }
+  return bestDist <= Math.max(2, Math.floor(trimmed.length / 4)) ? best : null;
+}
+
+/**
+ * Every {{...}} token in a template's text, with count and a short context.
+ * Also reports stray "{{" / "}}" that never close (placeholders that replaceAllText will never match).
+ */
+function extractPlaceholders(text) {
+  const src = String(text || '');
+  const byKey = new Map();
+  const re = /\{\{([^{}]*)\}\}/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const key = m[1];
+    // {{#if}}/{{#each}}/{{else}}/{{/...}} and {{this.*}} are template syntax (see extractBlockTags)
+    if (/^\s*(#|\/|else\s*$|this\b)/.test(key)) continue;
+    if (!byKey.has(key)) {
+      const from = Math.max(0, m.index - 30);
+      byKey.set(key, {
+        token: m[0],
+        key,
+        count: 0,
+        context: src.slice(from, m.index + m[0].length + 30).replace(/\s+/g, ' ').trim(),
+      });
+    }
+    byKey.get(key).count += 1;
+  }
+
+  // Mask well-formed tokens (same length) so stray braces keep their position in the original text
+  const rest = src.replace(re, t => ' '.repeat(t.length));
+  const malformed = [];
+  const strayRe = /\{\{|\}\}/g;
+  while ((m = strayRe.exec(rest))) {
+    const from = Math.max(0, m.index - 20);
+    malformed.push({ fragment: src.slice(from, m.index + 30).replace(/\s+/g, ' ').trim() });
+  }
+
+  return { placeholders: Array.from(byKey.values()), malformed };
+}
+
+/**
+ * {{#if}} / {{#each}} tags: the keys they read, plus nesting errors (unclosed blocks, stray {{else}}...).
+ */
+function extractBlockTags(text) {
+  const tags = scanTags(text);
+  const blocks = [];
+  const errors = [];
+  const stack = [];
+  for (const tag of tags) {
+    if (tag.type === '#if' || tag.type === '#each') {
+      stack.push(tag);
+      let key = null;
+      try {
+        key = tag.type === '#if' ? parseCondition(tag.expr).key : String(tag.expr || '').trim();
+      } catch (e) {
+        errors.push({ fragment: tag.raw, message: e.message });
+      }
+      if (key) blocks.push({ token: tag.raw, type: tag.type.slice(1), key });
+    } else if (tag.type === 'else') {
+      if (!stack.length || stack[stack.length - 1].type !== '#if') errors.push({ fragment: tag.raw, message: '{{else}} fuera de un {{#if}}' });
+    } else {
+      const want = tag.type === '/if' ? '#if' : '#each';
+      if (!stack.length || stack[stack.length - 1].type !== want) errors.push({ fragment: tag.raw, message: `${tag.raw} sin su apertura` });
+      else stack.pop();
+    }
+  }
+  for (const open of stack) errors.push({ fragment: open.raw, message: `falta {{/${open.type.slice(1)}}}` });
+  return { blocks, errors };
+}
+
+/**
+ * Validate a template's text against what the portal can fill.
+ * status per placeholder: ok | unknown (typo / unsupported) | malformed (spaces inside the braces).
+ * health: ok | error
+ */
+function analyzeTemplateText(text) {
+  const sources = knownPlaceholderSources();
+  const knownKeys = Array.from(sources.keys());
+  const { placeholders, malformed } = extractPlaceholders(text);
+
+  const items = placeholders.map((p) => {
+    if (sources.has(p.key)) return { ...p, status: 'ok', sources: sources.get(p.key), suggestion: null };
+    const suggestion = suggestPlaceholder(p.key, knownKeys);
+    const status = (p.key !== p.key.trim() && sources.has(p.key.trim())) ? 'malformed' : 'unknown';
+    return { ...p, status, sources: [], suggestion };
+  });
+
+  const { blocks, errors } = extractBlockTags(text);
+  const blockItems = blocks.map((b) => {
+    const known = b.key === 'this' || b.key.startsWith('this.') || sources.has(b.key);
+    return { ...b, status: known ? 'ok' : 'unknown', suggestion: known ? null : suggestPlaceholder(b.key, knownKeys) };
+  });
+
+  const problems = [...items, ...blockItems].filter(p => p.status !== 'ok');
+  const allMalformed = [...malformed, ...errors];
+  return {
+    health: problems.length || allMalformed.length ? 'error' : 'ok',
+    placeholders_count: items.length,
+    unknown_count: problems.length,
+    placeholders: items,
+    blocks: blockItems,
+    problems: problems.map(p => ({ token: p.token, status: p.status, suggestion: p.suggestion })),
+    malformed: allMalformed,
+  };
+}
+
+module.exports = {
+  buildBatchPlaceholders,
+  buildRenderPlaceholders,
+  BATCH_PLACEHOLDER_KEYS,
+  knownPlaceholderSources,
+  extractPlaceholders,
+  extractBlockTags,
+  analyzeTemplateText,
+  suggestPlaceholder,
+};
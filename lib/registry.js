@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl_store');
+
+// Registry of issued documents (DATA_DIR/doc_registry.jsonl), one entry per generated PDF.
+// Tamper-evident: every entry stores prev_hash (hash of the previous entry) and its own hash over all its fields,
+// so editing or deleting a line breaks the chain from that point on (verifyRegistryChain).
+
+const GENESIS_HASH = '0'.repeat(64);
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('doc_registry');
+  return _store;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// JSON with sorted keys: the same values always hash the same
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function entryHash(entry) {
+  const { hash: _hash, ...rest } = entry;
+  return sha256(canonicalJson(rest));
+}
+
+function hashPlaceholders(placeholders) {
+  return sha256(canonicalJson(placeholders || {}));
+}
+
+/**
+ * Append an issued document:
+ * { source, deal_id, contact_id, template_file_id, template_name, template_modified_time, engine,
+ *   doc_file_id, pdf_file_id, pdf_name, pdf_sha256, placeholders (hashed, not stored), verification_code, actor }
+ */
+async function recordIssuedDocument({ placeholders, ...fields }) {
+  return store().append((entries) => {
+    const prev = entries[entries.length - 1];
+    const entry = {
+      seq: (prev?.seq || 0) + 1,
+      created_at: new Date().toISOString(),
+      ...fields,
+      deal_id: fields.deal_id ? String(fields.deal_id) : null,
+      contact_id: fields.contact_id ? String(fields.contact_id) : null,
+      placeholders_sha256: hashPlaceholders(placeholders),
+      prev_hash: prev?.hash || GENESIS_HASH,
+    };
+    entry.hash = entryHash(entry);
+    return entry;
+  });
+}
+
+async function listRegistry({ dealId = null, contactId = null } = {}) {
+  const entries = await store().list();
+  return entries.filter(e => (!dealId || e.deal_id === String(dealId)) && (!contactId || e.contact_id === String(contactId)));
+}
+
+/**
+ * Walk the whole chain. Returns { ok, entries, broken_at: seq | null, reason }.
+ */
+async function verifyRegistryChain() {
+  const entries = await store().list();
+  let prevHash = GENESIS_HASH;
+  for (const e of entries) {
+    if (e.prev_hash !== prevHash) return { ok: false, entries: entries.length, broken_at: e.seq ?? null, reason: 'prev_hash no coincide (entrada borrada o reordenada)' };
+    if (entryHash(e) !== e.hash) return { ok: false, entries: entries.length, broken_at: e.seq ?? null, reason: 'hash no coincide (entrada modificada)' };
+    prevHash = e.hash;
+  }
+  return { ok: true, entries: entries.length, broken_at: null, reason: null };
+}
+
+/**
+ * Compare a PDF against the registry: by pdf_file_id when known, otherwise by content hash.
+ * Returns { sha256, match, entry } (entry = the registry entry for that file/hash, if any).
+ */
+async function checkPdfAgainstRegistry({ buffer, pdfFileId = null }) {
+  const digest = sha256(buffer);
+  const entries = await store().list();
+  if (pdfFileId) {
+    const entry = entries.filter(e => e.pdf_file_id === String(pdfFileId)).pop() || null;
+    return { sha256: digest, match: Boolean(entry) && entry.pdf_sha256 === digest, entry };
+  }
+  const entry = entries.filter(e => e.pdf_sha256 === digest).pop() || null;
+  return { sha256: digest, match: Boolean(entry), entry };
+}
+
+module.exports = {
+  sha256,
+  hashPlaceholders,
+  recordIssuedDocument,
+  listRegistry,
+  verifyRegistryChain,
+  checkPdfAgainstRegistry,
+};
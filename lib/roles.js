@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { findSellUser } = require('./actor');
+
+// Roles del portal con login (lib/auth.js): guest < agent < supervisor < admin. Cada rol incluye los permisos de los anteriores.
+// Config: ROLES_JSON (inline) o ROLES_FILE (path a un .json), todo opcional:
+//   {
+//     "roles": {
+//       "admin":      { "emails": ["ti@clinyco.cl"], "sell_roles": ["admin"] },
+//       "supervisor": { "sell_user_ids": [502], "sell_groups": ["Supervisores"] },
+//       "agent":      { "sell_users": true }
+//     },
+//     "default_role": "agent",
+//     "permissions": { "deal.create@1290779": "supervisor" }
+//   }
+// Un usuario queda con el rol más alto que calce (por correo, o por su usuario de Sell buscado por correo: id, role,
+// group o cualquiera activo con sell_users); si ninguno calza, default_role. ADMIN_EMAILS y SUPERVISOR_EMAILS se suman
+// a los correos de admin/supervisor. permissions pisa DEFAULT_PERMISSIONS; "<acción>@<pipeline_id>" aplica solo a ese pipeline.
+
+const ROLE_ORDER = ['guest', 'agent', 'supervisor', 'admin'];
+
+const DEFAULT_PERMISSIONS = {
+  'patient.read': 'agent', // búsquedas por RUT, duplicados, contexto del deal, jobs y registro de documentos
+  'contact.create': 'agent',
+  'contact.update': 'agent',
+  'deal.create': 'agent',
+  'deal.create@1290779': 'supervisor', // Bariátrica
+  'deal.update': 'agent',
+  intake: 'agent',
+  'docs.generate': 'agent',
+  'duplicates.merge': 'supervisor',
+  'rut_scan.run': 'supervisor',
+  'notes.retry': 'supervisor',
+  'audit.read': 'supervisor',
+  'rut_scan.apply': 'admin',
+  'api_keys.manage': 'admin',
+  'webhooks.read': 'admin', // eventos del webhook de Sell (con deal_id) y la tabla de reglas
+};
+
+function rolesError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_ROLES_CONFIG';
+  return err;
+}
+
+function emailList(raw) {
+  return String(raw || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function readRolesSource() {
+  const inline = String(process.env.ROLES_JSON || '').trim();
+  if (inline) return { raw: inline, origin: 'ROLES_JSON' };
+
+  const file = String(process.env.ROLES_FILE || '').trim();
+  if (!file) return null;
+  try {
+    return { raw: fs.readFileSync(path.resolve(file), 'utf8'), origin: file };
+  } catch (e) {
+    throw rolesError(`No se pudo leer ROLES_FILE (${file}): ${e.message || String(e)}`);
+  }
+}
+
+function checkRole(role, where) {
+  if (!ROLE_ORDER.includes(role)) throw rolesError(`Rol "${role}" inválido en ${where} (usa ${ROLE_ORDER.join(', ')})`);
+  return role;
+}
+
+/**
+ * Config efectiva: { roles: { admin|supervisor|agent: { emails, sell_user_ids, sell_roles, sell_groups, sell_users } },
+ * default_role, permissions }. Lanza INVALID_ROLES_CONFIG si el JSON o un rol son inválidos.
+ */
+function loadRolesConfig() {
+  const src = readRolesSource();
+  let parsed = {};
+  if (src) {
+    try {
+      parsed = JSON.parse(src.raw);
+    } catch (e) {
+      throw rolesError(`${src.origin} inválido: ${e.message || String(e)}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw rolesError(`${src.origin} debe ser un objeto`);
+  }
+  const origin = src ? src.origin : 'la config de roles';
+
+  const roles = {};
+  for (const name of Object.keys(parsed.roles || {})) {
+    if (checkRole(name, origin) === 'guest') throw rolesError(`El rol guest no se asigna por reglas (${origin})`);
+  }
+  for (const name of ['admin', 'supervisor', 'agent']) {
+    const r = (parsed.roles || {})[name] || {};
+    roles[name] = {
+      emails: (Array.isArray(r.emails) ? r.emails : []).map(e => String(e).trim().toLowerCase()).filter(Boolean),
+      sell_user_ids: (Array.isArray(r.sell_user_ids) ? r.sell_user_ids : []).map(Number).filter(Number.isFinite),
+      sell_roles: (Array.isArray(r.sell_roles) ? r.sell_roles : []).map(s => String(s).trim().toLowerCase()).filter(Boolean),
+      sell_groups: (Array.isArray(r.sell_groups) ? r.sell_groups : []).map(s => String(s).trim().toLowerCase()).filter(Boolean),
+      sell_users: Boolean(r.sell_users),
+    };
+  }
+  roles.admin.emails.push(...emailList(process.env.ADMIN_EMAILS));
+  roles.supervisor.emails.push(...emailList(process.env.SUPERVISOR_EMAILS));
+
+  const permissions = { ...DEFAULT_PERMISSIONS };
+  for (const [action, role] of Object.entries(parsed.permissions || {})) {
+    permissions[action] = checkRole(String(role), `${origin} (permissions.${action})`);
+  }
+
+  return {
+    roles,
+    default_role: checkRole(String(parsed.default_role || 'agent'), `${origin} (default_role)`),
+    permissions,
+  };
+}
+
+function needsSellUser(config) {
+  return Object.values(config.roles).some(r => r.sell_users || r.sell_user_ids.length || r.sell_roles.length || r.sell_groups.length);
+}
+
+function matchesRole(rule, email, sellUser) {
+  if (rule.emails.includes(email)) return true;
+  if (!sellUser) return false;
+  return rule.sell_users ||
+    rule.sell_user_ids.includes(Number(sellUser.id)) ||
+    rule.sell_roles.includes(String(sellUser.role || '').toLowerCase()) ||
+    rule.sell_groups.includes(String(sellUser.group?.name || '').trim().toLowerCase());
+}
+
+/**
+ * Rol de una sesión de lib/auth.js: { role, sell_user_id }. El invitado siempre es guest.
+ */
+async function resolveRole(user, config = loadRolesConfig()) {
+  if (!user || user.guest || !user.email) return { role: 'guest', sell_user_id: null };
+  const email = String(user.email).toLowerCase();
+  const sellUser = needsSellUser(config) ? await findSellUser({ email }) : null;
+  const role = ['admin', 'supervisor', 'agent'].find(name => matchesRole(config.roles[name], email, sellUser)) || config.default_role;
+  return { role, sell_user_id: sellUser ? Number(sellUser.id) : null };
+}
+
+/**
+ * Rol mínimo para la acción (primero "<acción>@<pipeline_id>"); una acción sin permiso configurado es solo admin.
+ */
+function requiredRole(action, { pipelineId = null, config = loadRolesConfig() } = {}) {
+  const scoped = pipelineId ? config.permissions[`${action}@${Number(pipelineId)}`] : null;
+  return scoped || config.permissions[action] || 'admin';
+}
+
+function roleAllows(role, required) {
+  return ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(required);
+}
+
+module.exports = {
+  ROLE_ORDER,
+  DEFAULT_PERMISSIONS,
+  loadRolesConfig,
+  resolveRole,
+  requiredRole,
+  roleAllows,
+};
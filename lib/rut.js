@@ -48,7 +48,20 @@ function normalizeRut(input) {
   return { normalized, normalizedNoDash, number, dv };
 }
 
+function formatRutHumanFromNoDashLower(noDashLower) {
+  // input: "16927228k" or "123456789"
+  const raw = String(noDashLower || '').toUpperCase().replace(/[^0-9K]/g, '');
+  if (raw.length < 2) return '';
+  const dv = raw.slice(-1);
+  let num = raw.slice(0, -1);
+  let out = '';
+  while (num.length > 3) { out = '.' + num.slice(-3) + out; num = num.slice(0, -3); }
+  out = num + out;
+  return `${out}-${dv}`;
+}
+
 module.exports = {
   computeDv,
   normalizeRut,
+  formatRutHumanFromNoDashLower,
 };
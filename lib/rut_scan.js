@@ -0,0 +1,161 @@
+const { normalizePatientId } = require('./patient_id');
+const { listContactsPage, listDealsPage, getContactById, getDealById, updateContact, updateDeal } = require('./sell');
+const { createJob } = require('./jobs');
+const { buildActionNote, writeNote } = require('./notes');
+
+// Calidad de RUT en todo Sell: recorre contactos y deals página a página (job en segundo plano, un item por recurso)
+// y reporta DV inválidos, RUT_normalizado fuera de la forma canónica (13580388k: sin puntos ni guion, DV en minúscula;
+// el legado trae 13580388-K, 13580388K...) y diferencias entre RUT_normalizado y "RUT o ID".
+// Pasaportes e IDs provisorios (lib/patient_id.js) se reconocen por su forma y se validan con sus propias reglas.
+// El escaneo no escribe nada; applyRutScan reescribe solo los no canónicos que encontró un escaneo y deja una nota
+// estructurada (por el outbox de lib/notes.js) en cada registro reescrito.
+
+const PER_PAGE = 100;
+const MAX_RECORDS = 5000; // registros con problemas guardados por recurso (los contadores siguen)
+
+const RESOURCES = {
+  contacts: { kind: 'contact', listPage: listContactsPage, get: getContactById, update: updateContact },
+  deals: { kind: 'deal', listPage: listDealsPage, get: getDealById, update: updateDeal },
+};
+
+function readRut(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  if (!raw.trim()) return { raw, canonical: null, error: null };
+  try {
+    const id = normalizePatientId({ value: raw });
+    if (!id.canonical) return { raw, canonical: null, error: 'unreadable' };
+    return { raw, canonical: id.canonical, error: null };
+  } catch (err) {
+    return { raw, canonical: null, error: err.code === 'INVALID_RUT_DV' || err.code === 'MISSING_RUT_DV' ? 'invalid_dv' : 'unreadable' };
+  }
+}
+
+/**
+ * Problemas de RUT de un registro: [{ type: 'invalid_dv' | 'unreadable' | 'non_canonical' | 'mismatch', field, value, canonical?, expected? }].
+ * fields: { rutNormField, rutHumanField } (rutHumanField null si el recurso no lo tiene).
+ */
+function rutIssues(customFields, { rutNormField, rutHumanField }) {
+  const cf = customFields || {};
+  const norm = readRut(cf[rutNormField]);
+  const human = rutHumanField ? readRut(cf[rutHumanField]) : readRut(null);
+  const issues = [];
+
+  if (norm.error) issues.push({ type: norm.error, field: rutNormField, value: norm.raw });
+  if (human.error) issues.push({ type: human.error, field: rutHumanField, value: human.raw });
+  if (norm.canonical && norm.raw !== norm.canonical) {
+    issues.push({ type: 'non_canonical', field: rutNormField, value: norm.raw, canonical: norm.canonical });
+  }
+  if (norm.canonical && human.canonical && norm.canonical !== human.canonical) {
+    issues.push({ type: 'mismatch', field: rutHumanField, value: human.raw, canonical: human.canonical, expected: norm.canonical });
+  }
+  return issues;
+}
+
+async function scanResource(item, job) {
+  const { fields, maxPages } = job.context;
+  const r = RESOURCES[item.resource];
+  const f = fields[item.resource];
+  const counts = { scanned: 0, with_rut: 0, ok: 0, invalid_dv: 0, unreadable: 0, non_canonical: 0, mismatch: 0, records_with_issues: 0 };
+  const records = [];
+  job.meta.counts[item.resource] = counts; // progreso visible mientras el item corre
+
+  for (let page = 1; !maxPages || page <= maxPages; page += 1) {
+    const rows = await r.listPage(page, PER_PAGE);
+    for (const row of rows) {
+      counts.scanned += 1;
+      const cf = row.custom_fields || {};
+      if (!String(cf[f.rutNormField] ?? '').trim() && !(f.rutHumanField && String(cf[f.rutHumanField] ?? '').trim())) continue;
+      counts.with_rut += 1;
+
+      const issues = rutIssues(cf, f);
+      if (!issues.length) {
+        counts.ok += 1;
+        continue;
+      }
+      counts.records_with_issues += 1;
+      for (const i of issues) counts[i.type] += 1;
+      if (records.length < MAX_RECORDS) {
+        const name = row.name || `${row.first_name || ''} ${row.last_name || ''}`.trim() || null;
+        records.push({ id: row.id, name, issues });
+      }
+    }
+    job.meta.pages[item.resource] = page;
+    if (rows.length < PER_PAGE) break;
+  }
+  return { counts, records, truncated: counts.records_with_issues > records.length };
+}
+
+/**
+ * Lanza el escaneo. fields: { contacts: { rutNormField, rutHumanField }, deals: {...} }; maxPages limita páginas por recurso.
+ */
+function startRutScan({ fields, resources = Object.keys(RESOURCES), maxPages = null }) {
+  return createJob({
+    type: 'rut-scan',
+    items: resources.map(resource => ({ key: resource, label: resource, resource })),
+    meta: { resources, max_pages: maxPages, pages: {}, counts: {} },
+    context: { fields, maxPages },
+    runItem: scanResource,
+  });
+}
+
+/**
+ * Reescrituras que propone un escaneo terminado: [{ key, resource, id, field, from, to }].
+ */
+function rutScanFixes(scanJob) {
+  const out = [];
+  for (const item of scanJob.items) {
+    if (item.status !== 'done' || !item.result) continue;
+    for (const rec of item.result.records) {
+      for (const i of rec.issues) {
+        if (i.type !== 'non_canonical') continue;
+        out.push({ key: `${item.resource}:${rec.id}`, label: `${RESOURCES[item.resource].kind} ${rec.id}`, resource: item.resource, id: rec.id, field: i.field, from: i.value, to: i.canonical });
+      }
+    }
+  }
+  return out;
+}
+
+async function applyFix(item, actor) {
+  const r = RESOURCES[item.resource];
+  // Se relee el registro: si el valor cambió desde el escaneo no se pisa
+  const current = await r.get(item.id);
+  const value = current?.custom_fields?.[item.field];
+  const now = value === null || value === undefined ? '' : String(value);
+  if (now !== item.from) {
+    const err = new Error(`El valor cambió desde el escaneo ("${item.from}" → "${now}"); vuelve a escanear.`);
+    err.code = 'STALE_VALUE';
+    throw err;
+  }
+  await r.update(item.id, { data: { custom_fields: { [item.field]: item.to } } });
+  const note = await writeNote({
+    resource: r.kind,
+    id: item.id,
+    action: 'rut_scan.apply',
+    content: buildActionNote({
+      title: '🪪 RUT normalizado',
+      action: 'rut_scan.apply',
+      actor,
+      fields: [['Campo', item.field], ['Antes', item.from], ['Ahora', item.to]],
+    }),
+  });
+  return { from: item.from, to: item.to, note };
+}
+
+/**
+ * Reescribe a la forma canónica (job en segundo plano, un item por registro). actor: quien lo pidió (va en las notas).
+ */
+function applyRutScan(scanJob, fixes = rutScanFixes(scanJob), { actor = null } = {}) {
+  return createJob({
+    type: 'rut-scan.apply',
+    items: fixes,
+    meta: { scan_job_id: scanJob.id },
+    runItem: item => applyFix(item, actor),
+  });
+}
+
+module.exports = {
+  rutIssues,
+  startRutScan,
+  rutScanFixes,
+  applyRutScan,
+};
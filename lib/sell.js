@@ -18,35 +18,182 @@ async function safeReadText(res) {
   }
 }
 
+// ---- Resilience: timeout per attempt, retries with backoff, 429 Retry-After, circuit breaker ----
+// Retries only for idempotent calls (GET/PUT/DELETE, or options.idempotent like the read-only search POSTs);
+// a 429 is retried for any method (Sell rejected it without processing). Knobs (env):
+//   SELL_TIMEOUT_MS (15000), SELL_MAX_RETRIES (3), SELL_RETRY_BASE_MS (300), SELL_RETRY_MAX_MS (5000),
+//   SELL_RETRY_AFTER_MAX_MS (20000: longer Retry-After fails fast), SELL_BREAKER_THRESHOLD (5), SELL_BREAKER_COOLDOWN_MS (30000)
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+function envNumber(name, def) {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === '') return def;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// half_open lets exactly one probe through; every other call fails fast until the probe settles the state
+const _breaker = { state: 'closed', failures: 0, openedAt: 0, lastError: null, probing: false };
+let _pausedUntil = 0; // rate limit: every call waits until Sell's window resets
+
+function breakerBeforeCall() {
+  if (_breaker.state === 'closed') return;
+  const cooldown = envNumber('SELL_BREAKER_COOLDOWN_MS', 30000);
+  if (_breaker.state === 'open' && Date.now() - _breaker.openedAt >= cooldown) _breaker.state = 'half_open';
+  if (_breaker.state === 'half_open' && !_breaker.probing) {
+    _breaker.probing = true;
+    return;
+  }
+  const err = new Error(_breaker.state === 'half_open'
+    ? `Sell API no disponible (circuito semiabierto: esperando la llamada de prueba; último error: ${_breaker.lastError})`
+    : `Sell API no disponible (circuito abierto tras ${_breaker.failures} fallos seguidos: ${_breaker.lastError})`);
+  err.code = 'SELL_UNAVAILABLE';
+  err.http_status = 503;
+  throw err;
+}
+
+function breakerSuccess() {
+  _breaker.state = 'closed';
+  _breaker.failures = 0;
+  _breaker.probing = false;
+}
+
+function breakerFailure(err) {
+  _breaker.failures += 1;
+  _breaker.lastError = err.message || String(err);
+  _breaker.probing = false;
+  if (_breaker.state === 'half_open' || _breaker.failures >= envNumber('SELL_BREAKER_THRESHOLD', 5)) {
+    _breaker.state = 'open';
+    _breaker.openedAt = Date.now();
+  }
+}
+
+function sellStatus() {
+  return {
+    circuit: _breaker.state,
+    consecutive_failures: _breaker.failures,
+    opened_at: _breaker.state === 'open' ? new Date(_breaker.openedAt).toISOString() : null,
+    last_error: _breaker.lastError,
+    rate_limited_until: _pausedUntil > Date.now() ? new Date(_pausedUntil).toISOString() : null,
+  };
+}
+
+// Retry-After: seconds or HTTP date → ms (null if absent/unparseable)
+function retryAfterMs(res) {
+  const v = String(res.headers.get('retry-after') || '').trim();
+  if (!v) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Math.round(Number(v) * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// x-ratelimit-remaining: 0 → pause until x-ratelimit-reset (seconds from now, or epoch seconds)
+function noteRateLimit(res) {
+  if (String(res.headers.get('x-ratelimit-remaining') || '').trim() !== '0') return;
+  const reset = Number(res.headers.get('x-ratelimit-reset'));
+  if (!Number.isFinite(reset) || reset <= 0) return;
+  const until = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+  _pausedUntil = Math.max(_pausedUntil, until);
+}
+
+function backoffMs(attempt) {
+  const base = envNumber('SELL_RETRY_BASE_MS', 300);
+  const cap = envNumber('SELL_RETRY_MAX_MS', 5000);
+  return Math.round(Math.random() * Math.min(cap, base * 2 ** attempt)); // full jitter
+}
+
+async function fetchOnce(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    const text = await res.text();
+    return { res, text };
+  } catch (e) {
+    const err = new Error(controller.signal.aborted
+      ? `Sell API no respondió en ${timeoutMs} ms`
+      : `Sell API inaccesible: ${e.cause?.code || e.message || String(e)}`);
+    err.code = controller.signal.aborted ? 'SELL_TIMEOUT' : 'SELL_NETWORK_ERROR';
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 async function sellFetch(path, options = {}) {
   requireToken();
+  const { idempotent, timeoutMs, ...fetchOptions } = options;
   const url = `${BASE}${path}`;
-  const res = await fetch(url, {
-    ...options,
+  const method = String(fetchOptions.method || 'GET').toUpperCase();
+  const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const maxRetries = envNumber('SELL_MAX_RETRIES', 3);
+  const retryAfterMax = envNumber('SELL_RETRY_AFTER_MAX_MS', 20000);
+  const init = {
+    ...fetchOptions,
     headers: {
       Accept: 'application/json',
       'Content-Type': 'application/json',
       Authorization: `Bearer ${TOKEN}`,
-      ...(options.headers || {}),
+      ...(fetchOptions.headers || {}),
     },
-  });
+  };
 
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = { raw: text };
-  }
+  breakerBeforeCall();
+
+  for (let attempt = 0; ; attempt++) {
+    const paused = _pausedUntil - Date.now();
+    if (paused > 0) await sleep(Math.min(paused, retryAfterMax));
+
+    let res;
+    let text;
+    try {
+      ({ res, text } = await fetchOnce(url, init, timeoutMs ?? envNumber('SELL_TIMEOUT_MS', 15000)));
+    } catch (err) {
+      if (canRetry && attempt < maxRetries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      err.attempts = attempt + 1;
+      breakerFailure(err);
+      throw err;
+    }
+
+    noteRateLimit(res);
+    let json;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = { raw: text };
+    }
+    if (res.ok) {
+      breakerSuccess();
+      return json;
+    }
 
-  if (!res.ok) {
     const err = new Error(`Sell API ${res.status}: ${text}`);
     err.code = 'SELL_API_ERROR';
     err.http_status = res.status;
     err.payload = json;
+    err.attempts = attempt + 1;
+
+    if (RETRY_STATUSES.includes(res.status)) {
+      const wait = retryAfterMs(res);
+      if (res.status === 429 && wait !== null) _pausedUntil = Math.max(_pausedUntil, Date.now() + wait);
+      const retryable = (canRetry || res.status === 429) && attempt < maxRetries && (wait === null || wait <= retryAfterMax);
+      if (retryable) {
+        await sleep(wait ?? backoffMs(attempt));
+        continue;
+      }
+      breakerFailure(err);
+    } else {
+      breakerSuccess(); // 4xx: Sell answered, the request was the problem
+    }
     throw err;
   }
-  return json;
 }
 
 // ---- Custom field mapping cache ----
@@ -135,6 +282,7 @@ async function searchContactsByCustomField(searchApiId, values, perPage = 10) {
 
   const json = await sellFetch('/v3/contacts/search', {
     method: 'POST',
+    idempotent: true, // search: safe to retry
     body: JSON.stringify(body),
   });
 
@@ -160,6 +308,7 @@ async function searchDealsByCustomField(searchApiId, values, perPage = 50) {
 
   const json = await sellFetch('/v3/deals/search', {
     method: 'POST',
+    idempotent: true, // search: safe to retry
     body: JSON.stringify(body),
   });
 
@@ -175,6 +324,51 @@ async function getDealsByIds(ids) {
   return (json?.items || []).map((x) => x.data).filter(Boolean);
 }
 
+async function getContactsByIds(ids) {
+  const unique = Array.from(new Set((ids || []).map((x) => Number(x)).filter((n) => Number.isFinite(n) && n > 0)));
+  if (!unique.length) return [];
+  const json = await sellFetch(`/v2/contacts?ids=${unique.join(',')}`, { method: 'GET' });
+  return (json?.items || []).map((x) => x.data).filter(Boolean);
+}
+
+// Todas las páginas de un listado v2 (page=1..n hasta una página corta). Tope de páginas para no girar en falso
+// si Sell ignorara page; pasarlo es un error, no una lista truncada en silencio.
+const PAGE_SIZE = 100;
+const MAX_PAGES = 100;
+
+async function listAll(pathWithQuery) {
+  const out = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const json = await sellFetch(`${pathWithQuery}&page=${page}&per_page=${PAGE_SIZE}`, { method: 'GET' });
+    const rows = (json?.items || []).map((x) => x.data).filter(Boolean);
+    out.push(...rows);
+    if (rows.length < PAGE_SIZE) return out;
+  }
+  const err = new Error(`Sell devolvió más de ${MAX_PAGES} páginas para ${pathWithQuery.split('?')[0]}`);
+  err.code = 'SELL_TOO_MANY_PAGES';
+  throw err;
+}
+
+async function getDealsByContactId(contactId) {
+  const cid = Number(contactId);
+  if (!Number.isFinite(cid) || cid <= 0) throw new Error('contact id inválido');
+  return listAll(`/v2/deals?contact_id=${cid}&sort_by=id`);
+}
+
+// One page of the full list (sort_by=id keeps paging stable while records are created); [] past the last page
+async function listPage(resource /* 'contacts' | 'deals' */, page = 1, perPage = 100) {
+  const json = await sellFetch(`/v2/${resource}?page=${Number(page) || 1}&per_page=${Number(perPage) || 100}&sort_by=id`, { method: 'GET' });
+  return (json?.items || []).map((x) => x.data).filter(Boolean);
+}
+
+async function listContactsPage(page, perPage) {
+  return listPage('contacts', page, perPage);
+}
+
+async function listDealsPage(page, perPage) {
+  return listPage('deals', page, perPage);
+}
+
 async function getStagesByIds(ids) {
   const unique = Array.from(new Set((ids || []).map((x) => Number(x)).filter((n) => Number.isFinite(n) && n > 0)));
   if (!unique.length) return [];
@@ -208,6 +402,11 @@ async function getPipelinesByIds(ids) {
   return (json?.items || []).map((x) => x.data).filter(Boolean);
 }
 
+async function getUsers() {
+  // Active, confirmed users (deal owners)
+  const json = await sellFetch('/v2/users?status=active&confirmed=true&per_page=100&sort_by=name', { method: 'GET' });
+  return (json?.items || []).map((x) => x.data).filter(Boolean);
+}
 
 async function getContactCustomFields() {
   // Returns array of {id,name,type,choices?...}
@@ -258,13 +457,42 @@ async function getContactById(id) {
   return json && json.data ? json.data : json;
 }
 
-async function createNoteForDeal(dealId, content) {
-  const did = Number(dealId);
-  if (!Number.isFinite(did) || did <= 0) throw new Error('deal id inválido');
+async function updateContact(id, payload) {
+  // payload: { data: { ... } } — Sell only touches the attributes (and custom_fields keys) that are sent
+  const contactId = Number(id);
+  if (!Number.isFinite(contactId) || contactId <= 0) throw new Error('contact id inválido');
+  const json = await sellFetch(`/v2/contacts/${contactId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  return json && json.data ? json.data : json;
+}
+
+async function updateDeal(id, payload) {
+  const dealId = Number(id);
+  if (!Number.isFinite(dealId) || dealId <= 0) throw new Error('deal id inválido');
+  const json = await sellFetch(`/v2/deals/${dealId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  return json && json.data ? json.data : json;
+}
+
+async function getNotes(resourceType /* 'contact' | 'deal' */, resourceId) {
+  const rid = Number(resourceId);
+  if (!Number.isFinite(rid) || rid <= 0) throw new Error(`${resourceType} id inválido`);
+  return listAll(`/v2/notes?resource_type=${encodeURIComponent(resourceType)}&resource_id=${rid}&sort_by=created_at`);
+}
+
+async function createNote(resourceType, resourceId, content) {
+  const rid = Number(resourceId);
+  if (!Number.isFinite(rid) || rid <= 0) throw new Error(`${resourceType} id inválido`);
   const payload = {
     data: {
-      resource_type: 'deal',
-      resource_id: did,
+      resource_type: resourceType,
+      resource_id: rid,
       content: String(content || '').trim(),
     },
   };
@@ -276,21 +504,53 @@ async function createNoteForDeal(dealId, content) {
   return json && json.data ? json.data : json;
 }
 
+async function createNoteForDeal(dealId, content) {
+  const did = Number(dealId);
+  if (!Number.isFinite(did) || did <= 0) throw new Error('deal id inválido');
+  return createNote('deal', did, content);
+}
+
+// Sell replaces the whole tags array on PUT: read the current tags and send the union
+async function addTags(resource /* 'contacts' | 'deals' */, id, tags) {
+  const rid = Number(id);
+  if (!Number.isFinite(rid) || rid <= 0) throw new Error(`${resource} id inválido`);
+  const current = await sellFetch(`/v2/${resource}/${rid}`, { method: 'GET' });
+  const existing = Array.isArray(current?.data?.tags) ? current.data.tags : [];
+  const merged = Array.from(new Set([...existing, ...(tags || []).map(String).filter(Boolean)]));
+  if (merged.length === existing.length) return current?.data || null;
+  const json = await sellFetch(`/v2/${resource}/${rid}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: { tags: merged } }),
+  });
+  return json && json.data ? json.data : json;
+}
 
 module.exports = {
   resolveSearchApiId,
   searchContactsByCustomField,
   searchDealsByCustomField,
   getDealsByIds,
+  getContactsByIds,
+  getDealsByContactId,
+  listContactsPage,
+  listDealsPage,
   getStagesByIds,
   getPipelinesByIds,
   getPipelines,
+  getUsers,
   getContactCustomFields,
   getDealCustomFields,
   createContact,
   createDeal,
+  updateContact,
+  updateDeal,
   getFirstStageIdForPipeline,
   getDealById,
   getContactById,
   createNoteForDeal,
+  getNotes,
+  createNote,
+  addTags,
+  sellStatus,
 };
@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Fake en memoria de la API de Sell (v2/v3), solo los endpoints que usa lib/sell.js:
+// custom_fields (v2 catálogo y v3 mapping), search v3, contacts, deals, stages, pipelines, users y notes.
+// Sirve para correr el portal sin cuenta de Sell (npm run mock:sell + SELL_API_BASE) y para los tests (startSellMock).
+// Los fixtures por defecto usan los IDs de custom fields que el portal tiene fijos (RUT_normalizado 6265931 / 2759433,
+// Previsión 6373567 / 2761582...); seed() reemplaza cualquier colección (contacts, deals, stages...).
+// Igual que Sell: custom_fields por nombre, un custom field desconocido o una opción de lista inexistente → 422.
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+const PREVISION_CHOICES = [
+  'FONASA', 'BANMEDICA', 'COLMENA', 'CONSALUD', 'CRUZ BLANCA', 'CRUZ NORTE', 'NUEVA MAS VIDA',
+  'VIDA TRES', 'ESENCIAL', 'DIPRECA', 'FUERZA ARMADAS', 'PARTICULAR',
+];
+
+function choices(names, firstId) {
+  return names.map((name, i) => ({ id: firstId + i, name }));
+}
+
+/**
+ * Fixtures por defecto: catálogo con los IDs reales, pipeline Bariátrica (1290779) con su etapa CANDIDATO (10693252),
+ * un pipeline más, dos usuarios y un paciente (contacto 1001 + deal 2001).
+ */
+function defaultSellFixtures() {
+  return {
+    contact_custom_fields: [
+      { id: 6265931, name: 'RUT_normalizado', type: 'string' },
+      { id: 5883525, name: 'RUT o ID', type: 'string' },
+      { id: 5863844, name: 'Fecha Nacimiento', type: 'string' },
+      { id: 6236073, name: 'Fecha Nacimiento#1', type: 'date' },
+      { id: 6373567, name: 'Previsión', type: 'list', choices: choices(PREVISION_CHOICES, 1) },
+      { id: 5853892, name: 'Previsión##', type: 'string' },
+      { id: 6235294, name: 'Previsión#1', type: 'string' },
+      { id: 5862966, name: 'Correo electrónico', type: 'string' },
+      { id: 5862996, name: 'Teléfono', type: 'string' },
+      { id: 5862997, name: 'Ciudad', type: 'string' },
+      { id: 6244742, name: 'Edad', type: 'number' },
+    ],
+    deal_custom_fields: [
+      { id: 2759433, name: 'RUT_normalizado', type: 'string' },
+      { id: 2761582, name: 'Previsión', type: 'list', choices: choices(PREVISION_CHOICES, 101) },
+      { id: 2761590, name: 'Modalidad', type: 'string' },
+      { id: 2761591, name: 'RUT o ID', type: 'string' },
+      { id: 2761592, name: 'Correo electrónico', type: 'string' },
+      { id: 2761593, name: 'Teléfono', type: 'string' },
+      { id: 2761594, name: 'Fecha Nacimiento', type: 'string' },
+      { id: 2761595, name: 'Ciudad', type: 'string' },
+      { id: 2761596, name: 'Estatura', type: 'string' },
+      { id: 2761597, name: 'Peso', type: 'string' },
+      { id: 2761598, name: 'IMC', type: 'string' },
+      { id: 2761599, name: 'EDAD', type: 'string' },
+      { id: 2761600, name: 'Fecha Ingresa Formulario', type: 'string' },
+      { id: 2761601, name: 'SUCURSAL', type: 'string' },
+      { id: 2761602, name: 'WhatsApp_Contactar_LINK', type: 'string' },
+      { id: 2761603, name: 'CIRUJANO BARIÁTRICO', type: 'string' },
+      { id: 2761604, name: 'CIRUJANO PLASTICO', type: 'string' },
+    ],
+    pipelines: [
+      { id: 1290779, name: 'Bariátrica' },
+      { id: 4823817, name: 'Cirugía Plástica' },
+    ],
+    stages: [
+      { id: 10693252, name: 'CANDIDATO', pipeline_id: 1290779, position: 1, active: true },
+      { id: 10693253, name: 'Pre-operatorio', pipeline_id: 1290779, position: 2, active: true },
+      { id: 10693254, name: 'Operado', pipeline_id: 1290779, position: 3, active: false },
+      { id: 20000001, name: 'Evaluación', pipeline_id: 4823817, position: 1, active: true },
+    ],
+    users: [
+      { id: 501, name: 'Agente Demo', email: 'agente@clinyco.cl', status: 'active', confirmed: true },
+      { id: 502, name: 'Supervisora Demo', email: 'supervisora@clinyco.cl', status: 'active', confirmed: true },
+    ],
+    contacts: [
+      {
+        id: 1001,
+        first_name: 'Ana',
+        last_name: 'Pérez',
+        email: 'ana.perez@example.com',
+        phone: '+56911112222',
+        address: { line1: 'Av. Grecia 1000', city: 'Antofagasta' },
+        owner_id: 501,
+        custom_fields: {
+          RUT_normalizado: '13580388k',
+          'RUT o ID': '13.580.388-K',
+          'Fecha Nacimiento': '01/02/1990',
+          'Previsión': 'FONASA',
+        },
+      },
+    ],
+    deals: [
+      {
+        id: 2001,
+        name: 'Bariátrica - Ana Pérez',
+        contact_id: 1001,
+        owner_id: 501,
+        stage_id: 10693252,
+        custom_fields: {
+          RUT_normalizado: '13580388k',
+          'Previsión': 'FONASA',
+          Estatura: '160',
+          Peso: '80',
+          IMC: '31.25',
+          'CIRUJANO BARIÁTRICO': 'Dr. Juan Soto',
+        },
+      },
+    ],
+    notes: [],
+  };
+}
+
+const COLLECTIONS = Object.keys(defaultSellFixtures());
+
+// Errores con la forma de Sell: { errors: [{ error: { code, message, details } }], meta }
+function sellError(res, status, code, message, details = null) {
+  return res.status(status).json({
+    errors: [{ error: { code, message, details }, meta: { type: 'error' } }],
+    meta: { type: 'errors', http_status: `${status}`, logref: crypto.randomUUID() },
+  });
+}
+
+function clone(v) {
+  return v === undefined ? v : JSON.parse(JSON.stringify(v));
+}
+
+function idList(raw) {
+  return String(raw || '').split(',').map(x => Number(x.trim())).filter(n => Number.isFinite(n) && n > 0);
+}
+
+function paginate(rows, query) {
+  const perPage = Math.min(Number(query.per_page) || DEFAULT_PER_PAGE, MAX_PER_PAGE);
+  const page = Math.max(Number(query.page) || 1, 1);
+  return rows.slice((page - 1) * perPage, page * perPage);
+}
+
+function sortRows(rows, sortBy) {
+  const [key, dir] = String(sortBy || 'id').split(':');
+  const sign = dir === 'desc' ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const x = a[key] ?? '';
+    const y = b[key] ?? '';
+    return (x < y ? -1 : x > y ? 1 : 0) * sign;
+  });
+}
+
+function collection(type, rows) {
+  return {
+    items: rows.map(data => ({ data, meta: { type } })),
+    meta: { type: 'collection', count: rows.length },
+  };
+}
+
+function one(type, data) {
+  return { data, meta: { type } };
+}
+
+function displayName(c) {
+  return c.name || `${c.first_name || ''} ${c.last_name || ''}`.trim();
+}
+
+/**
+ * Mock de Sell. fixtures: colecciones que reemplazan a las de defaultSellFixtures();
+ * token: si se da, exige `Authorization: Bearer <token>` (si no, cualquier Bearer).
+ * Returns { app, state, requests, seed, reset }: state son las colecciones vivas y requests el log de llamadas.
+ */
+function createSellMock({ fixtures = {}, token = null } = {}) {
+  const state = {};
+  const requests = [];
+  let nextId = 900000;
+
+  function seed(data = {}) {
+    for (const key of COLLECTIONS) {
+      if (data[key] !== undefined) state[key] = clone(data[key]);
+    }
+    const ids = COLLECTIONS.flatMap(k => state[k].map(r => Number(r.id) || 0));
+    nextId = Math.max(nextId, ...ids) + 1;
+    return state;
+  }
+
+  function reset() {
+    requests.length = 0;
+    seed(defaultSellFixtures());
+    return seed(fixtures);
+  }
+
+  reset();
+
+  const now = () => new Date().toISOString();
+  const catalogOf = resource => (resource === 'contacts' || resource === 'contact' ? state.contact_custom_fields : state.deal_custom_fields);
+  const searchApiId = (resource, f) => (resource === 'contacts' ? `custom_fields.contact:${f.id}` : `custom_fields.${f.id}`);
+
+  // Valida y normaliza custom_fields como lo hace Sell (claves = nombres del catálogo; las listas se guardan por nombre)
+  function applyCustomFields(resource, current, incoming) {
+    const out = { ...(current || {}) };
+    const catalog = catalogOf(resource);
+    for (const [name, value] of Object.entries(incoming || {})) {
+      const field = catalog.find(f => f.name === name);
+      if (!field) return { error: `custom field "${name}" no existe en ${resource}` };
+      if (value === null || value === '' || field.type !== 'list') {
+        out[name] = value;
+        continue;
+      }
+      const wanted = typeof value === 'object' ? value : { name: value };
+      const choice = (field.choices || []).find(ch => (wanted.id && ch.id === Number(wanted.id)) || ch.name === wanted.name);
+      if (!choice) return { error: `"${wanted.name ?? wanted.id}" no es una opción de "${name}"` };
+      out[name] = choice.name;
+    }
+    return { value: out };
+  }
+
+  function findRecord(resource, id) {
+    return state[resource].find(r => Number(r.id) === Number(id)) || null;
+  }
+
+  // Filtro v3: { attribute: { name }, parameter: { eq } | { any } | { is_null } }, y and/or anidados
+  function matchesFilter(resource, record, filter) {
+    if (!filter) return true;
+    if (Array.isArray(filter.and)) return filter.and.every(f => matchesFilter(resource, record, f.filter || f));
+    if (Array.isArray(filter.or)) return filter.or.some(f => matchesFilter(resource, record, f.filter || f));
+    const attr = String(filter.attribute?.name || '');
+    const m = attr.match(/^custom_fields\.(?:contact:)?(\d+)$/);
+    let value;
+    if (m) {
+      const field = catalogOf(resource).find(f => f.id === Number(m[1]));
+      value = field ? record.custom_fields?.[field.name] : undefined;
+    } else {
+      value = attr.split('.').reduce((acc, k) => (acc == null ? acc : acc[k]), record);
+    }
+    const p = filter.parameter || {};
+    if (p.is_null !== undefined) return (value === null || value === undefined || value === '') === Boolean(p.is_null);
+    // Sell compara strings sin distinguir mayúsculas: el portal escribe 13580388k y busca 13580388K
+    const wanted = p.any !== undefined ? p.any : [p.eq];
+    return wanted.some(w => String(w).toLowerCase() === String(value ?? '').toLowerCase());
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: clone(req.body) || null });
+    const auth = String(req.headers.authorization || '');
+    const bearer = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+    if (!bearer || (token && bearer !== token)) return sellError(res, 401, 'unauthorized', 'Invalid or missing access token');
+    return next();
+  });
+
+  // ---- Custom fields ----
+  app.get('/v2/:resource(contact|deal)/custom_fields', (req, res) => {
+    res.json(collection('custom_field', clone(catalogOf(req.params.resource))));
+  });
+
+  app.get('/v3/:resource/custom_fields', (req, res) => {
+    const { resource } = req.params;
+    if (!['contacts', 'deals'].includes(resource)) return res.json(collection('custom_field', []));
+    const rows = catalogOf(resource).map(f => ({
+      id: f.id,
+      name: f.name,
+      type: f.type,
+      resource_type: resource === 'contacts' ? 'contact' : 'deal',
+      search_api_id: searchApiId(resource, f),
+    }));
+    return res.json(collection('custom_field', rows));
+  });
+
+  // ---- Search v3 ----
+  app.post('/v3/:resource(contacts|deals)/search', (req, res) => {
+    const { resource } = req.params;
+    const q = req.body?.items?.[0];
+    if (!q?.data?.query) return sellError(res, 422, 'invalid', 'items[0].data.query es obligatorio');
+    const filter = q.data.query.filter?.filter || q.data.query.filter;
+    const perPage = Math.min(Number(q.per_page) || DEFAULT_PER_PAGE, MAX_PER_PAGE);
+    const hits = state[resource].filter(r => matchesFilter(resource, r, filter));
+    const items = hits.slice(0, perPage).map(r => ({
+      data: resource === 'contacts' ? { id: r.id, display_name: displayName(r) } : { id: r.id, name: r.name },
+    }));
+    return res.json({ items: [{ items, meta: { total_count: hits.length, count: items.length } }] });
+  });
+
+  // ---- Contacts / deals ----
+  for (const resource of ['contacts', 'deals']) {
+    const type = resource === 'contacts' ? 'contact' : 'deal';
+
+    app.get(`/v2/${resource}`, (req, res) => {
+      let rows = state[resource];
+      if (req.query.ids) {
+        const ids = idList(req.query.ids);
+        rows = rows.filter(r => ids.includes(Number(r.id)));
+      }
+      if (req.query.contact_id) rows = rows.filter(r => Number(r.contact_id) === Number(req.query.contact_id));
+      if (req.query.stage_id) rows = rows.filter(r => Number(r.stage_id) === Number(req.query.stage_id));
+      res.json(collection(type, clone(paginate(sortRows(rows, req.query.sort_by), req.query))));
+    });
+
+    app.get(`/v2/${resource}/:id`, (req, res) => {
+      const record = findRecord(resource, req.params.id);
+      if (!record) return sellError(res, 404, 'not_found', `${type} ${req.params.id} not found`);
+      return res.json(one(type, clone(record)));
+    });
+
+    app.post(`/v2/${resource}`, (req, res) => {
+      const data = req.body?.data;
+      if (!data || typeof data !== 'object') return sellError(res, 422, 'invalid', 'data es obligatorio');
+      if (type === 'contact' && !data.last_name && !data.name) return sellError(res, 422, 'blank', 'last_name es obligatorio');
+      if (type === 'deal') {
+        if (!data.name) return sellError(res, 422, 'blank', 'name es obligatorio');
+        if (!findRecord('contacts', data.contact_id)) return sellError(res, 422, 'invalid', `contact_id ${data.contact_id} no existe`);
+        if (data.stage_id && !state.stages.some(s => Number(s.id) === Number(data.stage_id))) {
+          return sellError(res, 422, 'invalid', `stage_id ${data.stage_id} no existe`);
+        }
+      }
+      const cf = applyCustomFields(resource, {}, data.custom_fields);
+      if (cf.error) return sellError(res, 422, 'invalid', cf.error);
+      const stageId = type === 'deal' ? (data.stage_id || state.stages.find(s => s.active !== false)?.id || null) : undefined;
+      const record = {
+        ...data,
+        id: nextId++,
+        tags: data.tags || [],
+        custom_fields: cf.value,
+        ...(type === 'deal' ? { stage_id: stageId } : {}),
+        created_at: now(),
+        updated_at: now(),
+      };
+      state[resource].push(record);
+      return res.json(one(type, clone(record)));
+    });
+
+    // PUT: solo cambia lo que viene; custom_fields se mezclan por clave y tags reemplaza el array completo
+    app.put(`/v2/${resource}/:id`, (req, res) => {
+      const record = findRecord(resource, req.params.id);
+      if (!record) return sellError(res, 404, 'not_found', `${type} ${req.params.id} not found`);
+      const data = req.body?.data || {};
+      const cf = applyCustomFields(resource, record.custom_fields, data.custom_fields);
+      if (cf.error) return sellError(res, 422, 'invalid', cf.error);
+      const { id: _id, ...rest } = data;
+      Object.assign(record, rest, { custom_fields: cf.value, updated_at: now() });
+      return res.json(one(type, clone(record)));
+    });
+  }
+
+  // ---- Pipelines / stages / users ----
+  app.get('/v2/pipelines', (req, res) => {
+    let rows = state.pipelines;
+    if (req.query.ids) {
+      const ids = idList(req.query.ids);
+      rows = rows.filter(r => ids.includes(Number(r.id)));
+    }
+    res.json(collection('pipeline', clone(paginate(rows, req.query))));
+  });
+
+  app.get('/v2/stages', (req, res) => {
+    let rows = state.stages;
+    if (req.query.ids) {
+      const ids = idList(req.query.ids);
+      rows = rows.filter(r => ids.includes(Number(r.id)));
+    }
+    if (req.query.pipeline_id) rows = rows.filter(r => Number(r.pipeline_id) === Number(req.query.pipeline_id));
+    if (req.query.active !== undefined) rows = rows.filter(r => (r.active !== false) === (req.query.active === 'true'));
+    res.json(collection('stage', clone(paginate(sortRows(rows, req.query.sort_by), req.query))));
+  });
+
+  app.get('/v2/users', (req, res) => {
+    let rows = state.users;
+    if (req.query.status) rows = rows.filter(u => u.status === req.query.status);
+    if (req.query.confirmed !== undefined) rows = rows.filter(u => Boolean(u.confirmed) === (req.query.confirmed === 'true'));
+    res.json(collection('user', clone(paginate(sortRows(rows, req.query.sort_by), req.query))));
+  });
+
+  // ---- Notes ----
+  app.get('/v2/notes', (req, res) => {
+    let rows = state.notes;
+    if (req.query.resource_type) rows = rows.filter(n => n.resource_type === req.query.resource_type);
+    if (req.query.resource_id) rows = rows.filter(n => Number(n.resource_id) === Number(req.query.resource_id));
+    res.json(collection('note', clone(paginate(sortRows(rows, req.query.sort_by), req.query))));
+  });
+
+  app.post('/v2/notes', (req, res) => {
+    const data = req.body?.data || {};
+    const resource = data.resource_type === 'contact' ? 'contacts' : data.resource_type === 'deal' ? 'deals' : null;
+    if (!resource) return sellError(res, 422, 'invalid', 'resource_type debe ser contact o deal');
+    if (!String(data.content || '').trim()) return sellError(res, 422, 'blank', 'content es obligatorio');
+    if (!findRecord(resource, data.resource_id)) return sellError(res, 422, 'invalid', `${data.resource_type} ${data.resource_id} no existe`);
+    const note = { id: nextId++, resource_type: data.resource_type, resource_id: Number(data.resource_id), content: data.content, created_at: now(), updated_at: now() };
+    state.notes.push(note);
+    return res.json(one('note', clone(note)));
+  });
+
+  app.use((req, res) => sellError(res, 404, 'not_found', `Sell mock: ${req.method} ${req.path} no implementado`));
+
+  return { app, state, requests, seed, reset };
+}
+
+/**
+ * Levanta el mock en un puerto (0 = uno libre). Returns { url, port, close(), ...createSellMock() }.
+ */
+function startSellMock({ port = 0, host = '127.0.0.1', ...opts } = {}) {
+  const mock = createSellMock(opts);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const actual = server.address().port;
+      resolve({
+        ...mock,
+        port: actual,
+        url: `http://${host}:${actual}`,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Fixtures desde archivo (SELL_MOCK_FIXTURES_FILE): mismas claves que defaultSellFixtures()
+function loadFixturesFile(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+if (require.main === module) {
+  const port = Number(process.env.SELL_MOCK_PORT || 4010);
+  startSellMock({ port, fixtures: loadFixturesFile(process.env.SELL_MOCK_FIXTURES_FILE), token: process.env.SELL_MOCK_TOKEN || null })
+    .then(m => console.log(`Sell mock listo en ${m.url} (SELL_API_BASE=${m.url})`))
+    .catch((err) => {
+      console.error('sell mock error', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  defaultSellFixtures,
+  createSellMock,
+  startSellMock,
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonlStore } = require('./jsonl_store');
+
+// Webhook de Sell (POST /webhooks/sell): cambio de etapa de un deal → generación automática de un paquete de templates.
+// Firma: HMAC-SHA256 en base64 de `timestamp + body crudo` con SELL_WEBHOOK_SECRET, en los headers
+// X-Zendesk-Webhook-Signature y X-Zendesk-Webhook-Signature-Timestamp (mismo esquema que los webhooks de Zendesk).
+// Reglas: SELL_WEBHOOK_RULES_JSON (inline) o SELL_WEBHOOK_RULES_FILE (path a un .json), un array de
+//   { "pipeline_id": 1290779, "stage_id": 10 | "stage_name": "Pre-operatorio", "package_id": "preop_bariatrica", "merge_pdf": true }
+// Sin pipeline_id la regla aplica a cualquier pipeline. Cada evento queda en DATA_DIR/sell_webhook_events.jsonl
+// (también sirve para no procesar dos veces el mismo evento cuando Sell reintenta).
+
+const SIGNATURE_HEADER = 'x-zendesk-webhook-signature';
+const TIMESTAMP_HEADER = 'x-zendesk-webhook-signature-timestamp';
+const DEFAULT_TOLERANCE_S = 300;
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('sell_webhook_events');
+  return _store;
+}
+
+function webhookSecret() {
+  return String(process.env.SELL_WEBHOOK_SECRET || '').trim();
+}
+
+function rulesError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_WEBHOOK_RULES';
+  return err;
+}
+
+function readRulesSource() {
+  const inline = String(process.env.SELL_WEBHOOK_RULES_JSON || '').trim();
+  if (inline) return { raw: inline, origin: 'SELL_WEBHOOK_RULES_JSON' };
+
+  const file = String(process.env.SELL_WEBHOOK_RULES_FILE || '').trim();
+  if (!file) return null;
+  try {
+    return { raw: fs.readFileSync(path.resolve(file), 'utf8'), origin: file };
+  } catch (e) {
+    throw rulesError(`No se pudo leer SELL_WEBHOOK_RULES_FILE (${file}): ${e.message || String(e)}`);
+  }
+}
+
+// Igual que normName en lib/signatures.js: mayúsculas, tildes y espacios no importan
+function normName(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reglas configuradas ([] si no hay). Lanza INVALID_WEBHOOK_RULES si el JSON o una regla son inválidos.
+ */
+function loadWebhookRules() {
+  const src = readRulesSource();
+  if (!src) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(src.raw);
+  } catch (e) {
+    throw rulesError(`${src.origin} inválido: ${e.message || String(e)}`);
+  }
+  if (!Array.isArray(parsed)) throw rulesError(`${src.origin} debe ser un array de reglas`);
+
+  return parsed.map((r, idx) => {
+    const pipelineId = r?.pipeline_id === undefined || r?.pipeline_id === null || r?.pipeline_id === '' ? null : Number(r.pipeline_id);
+    const stageId = r?.stage_id === undefined || r?.stage_id === null || r?.stage_id === '' ? null : Number(r.stage_id);
+    const stageName = String(r?.stage_name || '').trim() || null;
+    const packageId = String(r?.package_id || '').trim();
+    if (pipelineId !== null && !Number.isFinite(pipelineId)) throw rulesError(`Regla #${idx + 1}: pipeline_id inválido en ${src.origin}`);
+    if (stageId !== null && !Number.isFinite(stageId)) throw rulesError(`Regla #${idx + 1}: stage_id inválido en ${src.origin}`);
+    if (stageId === null && !stageName) throw rulesError(`Regla #${idx + 1} sin stage_id ni stage_name en ${src.origin}`);
+    if (!packageId) throw rulesError(`Regla #${idx + 1} sin package_id en ${src.origin}`);
+    return {
+      pipeline_id: pipelineId,
+      stage_id: stageId,
+      stage_name: stageName,
+      package_id: packageId,
+      merge_pdf: Boolean(r.merge_pdf),
+    };
+  });
+}
+
+/**
+ * Primera regla que aplica a la etapa ({ id, name, pipeline_id }), o null.
+ */
+function matchWebhookRule(rules, stage) {
+  return rules.find(r =>
+    (r.pipeline_id === null || r.pipeline_id === Number(stage.pipeline_id)) &&
+    (r.stage_id !== null ? r.stage_id === Number(stage.id) : normName(r.stage_name) === normName(stage.name))
+  ) || null;
+}
+
+/**
+ * Verifica la firma. Returns { ok, reason } (reason: MISSING_SIGNATURE | STALE_TIMESTAMP | INVALID_SIGNATURE).
+ */
+function verifyWebhookSignature({ headers, rawBody, secret = webhookSecret(), now = Date.now() }) {
+  const signature = String(headers[SIGNATURE_HEADER] || '').trim();
+  const timestamp = String(headers[TIMESTAMP_HEADER] || '').trim();
+  if (!signature || !timestamp) return { ok: false, reason: 'MISSING_SIGNATURE' };
+
+  // El timestamp va firmado: uno viejo es un reenvío (replay)
+  const tolerance = Number(process.env.SELL_WEBHOOK_TOLERANCE_S || DEFAULT_TOLERANCE_S);
+  const ts = /^\d+$/.test(timestamp) ? Number(timestamp) * 1000 : Date.parse(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > tolerance * 1000) return { ok: false, reason: 'STALE_TIMESTAMP' };
+
+  const expected = crypto.createHmac('sha256', secret).update(timestamp).update(rawBody || Buffer.alloc(0)).digest('base64');
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, reason: 'INVALID_SIGNATURE' };
+  return { ok: true, reason: null };
+}
+
+/**
+ * Eventos del body (uno solo, o { items: [...] }) como
+ * { event_id, resource, event_type, deal_id, stage_id, previous_stage_id, stage_changed }.
+ */
+function parseWebhookEvents(body) {
+  const raw = Array.isArray(body?.items) ? body.items : (Array.isArray(body) ? body : [body]);
+  return raw.filter(Boolean).map((ev) => {
+    const meta = ev.meta || {};
+    const data = ev.data || {};
+    const previous = meta.previous || ev.previous || {};
+    const stageId = Number(data.stage_id) || null;
+    const previousStageId = Number(previous.stage_id) || null;
+    const dealId = Number(data.id) || null;
+    return {
+      event_id: String(meta.event_id || meta.id || '') || `${dealId}:${stageId}:${meta.event_time || data.updated_at || ''}`,
+      resource: String(meta.type || meta.resource_type || '').toLowerCase() || null,
+      event_type: String(meta.event_type || '').toLowerCase() || null,
+      deal_id: dealId,
+      stage_id: stageId,
+      previous_stage_id: previousStageId,
+      stage_changed: Boolean(stageId) && Boolean(previousStageId) && stageId !== previousStageId,
+    };
+  });
+}
+
+const _inFlight = new Set();
+
+/**
+ * Reserva el evento para procesarlo: false si ya se procesó (salvo con error) o se está procesando ahora
+ * (Sell reintenta si no respondemos a tiempo). recordWebhookEvent libera la reserva.
+ */
+async function claimWebhookEvent(eventId) {
+  if (_inFlight.has(eventId)) return false;
+  _inFlight.add(eventId);
+  const all = await store().list();
+  if (all.some(e => e.event_id === eventId && e.outcome !== 'error')) {
+    _inFlight.delete(eventId);
+    return false;
+  }
+  return true;
+}
+
+async function recordWebhookEvent(entry) {
+  try {
+    return await store().append({ id: crypto.randomUUID(), received_at: new Date().toISOString(), ...entry });
+  } finally {
+    _inFlight.delete(entry.event_id);
+  }
+}
+
+async function listWebhookEvents({ dealId = null } = {}) {
+  const all = await store().list();
+  return all.filter(e => !dealId || Number(e.deal_id) === Number(dealId));
+}
+
+module.exports = {
+  webhookSecret,
+  loadWebhookRules,
+  matchWebhookRule,
+  verifyWebhookSignature,
+  parseWebhookEvents,
+  claimWebhookEvent,
+  recordWebhookEvent,
+  listWebhookEvents,
+};
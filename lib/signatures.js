@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Image placeholders {{image.<key>}} (surgeon signature, clinic stamp) → inline image in the generated document.
+// Source: SIGNATURE_IMAGES_JSON (inline) or SIGNATURE_IMAGES_FILE (path to a .json file), an object per key:
+//   { "firma_cirujano": { "fields": ["CIRUJANO BARIÁTRICO", "CIRUJANO PLASTICO"],
+//                         "by_value": { "Dr. Juan Soto": "1AbC...", "Dra. María Rojas": "firmas/rojas.png" }, "width": 140 },
+//     "timbre_clinica": { "file_id": "1XyZ...", "width": 110 } }
+// by_value maps the deal's surgeon field (first non-empty of "fields", default: every CIRUJANO field) to an image file
+// in the document storage (Drive file ID or local/S3 key); file_id is a fixed image. PNG or JPEG; width in points.
+
+const IMAGE_TOKEN_RE = /\{\{\s*image\.([\w.]+)\s*\}\}/g;
+const DEFAULT_SURGEON_FIELDS = ['CIRUJANO BARIÁTRICO', 'CIRUJANO PLASTICO', 'CIRUJANO DE BALON', 'CIRUJANO GENERAL'];
+const DEFAULT_WIDTH_PT = 150;
+const IMAGE_CACHE_TTL_MS = 10 * 60 * 1000;
+const URL_TTL_MS = 15 * 60 * 1000;
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SIGNATURE_IMAGES';
+  return err;
+}
+
+function readConfigSource() {
+  const inline = String(process.env.SIGNATURE_IMAGES_JSON || '').trim();
+  if (inline) return { raw: inline, origin: 'SIGNATURE_IMAGES_JSON' };
+
+  const file = String(process.env.SIGNATURE_IMAGES_FILE || '').trim();
+  if (!file) return null;
+  try {
+    return { raw: fs.readFileSync(path.resolve(file), 'utf8'), origin: file };
+  } catch (e) {
+    throw configError(`No se pudo leer SIGNATURE_IMAGES_FILE (${file}): ${e.message || String(e)}`);
+  }
+}
+
+// Same idea as normKey in server.js: case, accents and spacing don't matter ("Dr.  Soto" == "dr. soto")
+function normName(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * { key: { fields, byValue: Map(normalized value → file id), fileId, width } } ({} when not configured).
+ */
+function loadImageConfig() {
+  const src = readConfigSource();
+  if (!src) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(src.raw);
+  } catch (e) {
+    throw configError(`${src.origin} inválido: ${e.message || String(e)}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw configError(`${src.origin} debe ser un objeto { clave: {...} }`);
+
+  const out = {};
+  for (const [key, v] of Object.entries(parsed)) {
+    if (!/^[\w.]+$/.test(key)) throw configError(`Clave de imagen inválida en ${src.origin}: "${key}"`);
+    const entry = typeof v === 'string' ? { file_id: v } : (v || {});
+    const byValue = new Map(Object.entries(entry.by_value || {}).map(([name, id]) => [normName(name), String(id).trim()]));
+    const fileId = entry.file_id ? String(entry.file_id).trim() : null;
+    if (!fileId && !byValue.size) throw configError(`Imagen "${key}" sin file_id ni by_value en ${src.origin}`);
+    const width = Number(entry.width);
+    out[key] = {
+      fields: Array.isArray(entry.fields) && entry.fields.length ? entry.fields.map(String) : DEFAULT_SURGEON_FIELDS,
+      byValue,
+      fileId,
+      width: Number.isFinite(width) && width > 0 ? width : DEFAULT_WIDTH_PT,
+    };
+  }
+  return out;
+}
+
+function imagePlaceholderKeys() {
+  try {
+    return Object.keys(loadImageConfig()).map(k => `image.${k}`);
+  } catch (_e) {
+    return [];
+  }
+}
+
+function imageTokenKeys(text) {
+  const out = [];
+  IMAGE_TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = IMAGE_TOKEN_RE.exec(String(text || '')))) out.push(m[1]);
+  IMAGE_TOKEN_RE.lastIndex = 0;
+  return out;
+}
+
+function dealFieldValue(customFields, fieldName) {
+  const want = normName(fieldName);
+  for (const [name, value] of Object.entries(customFields || {})) {
+    if (normName(name) !== want) continue;
+    const v = value && typeof value === 'object' ? (value.name ?? value.value ?? '') : value;
+    const s = String(v ?? '').trim();
+    if (s) return s;
+  }
+  return null;
+}
+
+/**
+ * Which image each key gets for a deal: { key: { file_id, field, value, width } | null } (null = nothing to insert).
+ */
+function chooseImagesForDeal(deal, config = loadImageConfig()) {
+  const customFields = deal?.custom_fields || {};
+  const out = {};
+  for (const [key, c] of Object.entries(config)) {
+    let choice = null;
+    if (c.byValue.size) {
+      for (const field of c.fields) {
+        const value = dealFieldValue(customFields, field);
+        if (!value) continue;
+        const fileId = c.byValue.get(normName(value));
+        if (fileId) choice = { file_id: fileId, field, value, width: c.width };
+        break; // first surgeon field with a value decides (even without a mapped image)
+      }
+    }
+    if (!choice && c.fileId) choice = { file_id: c.fileId, field: null, value: null, width: c.width };
+    out[key] = choice;
+  }
+  return out;
+}
+
+// --- image bytes ---
+
+function imageInfo(buffer) {
+  const b = Buffer.from(buffer || []);
+  if (b.length > 24 && b.readUInt32BE(0) === 0x89504e47) {
+    return { mimeType: 'image/png', ext: 'png', width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+  }
+  if (b.length > 4 && b[0] === 0xff && b[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xff) { i += 1; continue; }
+      const marker = b[i + 1];
+      const len = b.readUInt16BE(i + 2);
+      // SOF0..SOF15 except DHT (C4), JPG (C8) and DAC (CC) carry the frame size
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mimeType: 'image/jpeg', ext: 'jpg', width: b.readUInt16BE(i + 7), height: b.readUInt16BE(i + 5) };
+      }
+      i += 2 + len;
+    }
+  }
+  return null;
+}
+
+const _imageCache = new Map();
+
+async function loadImage(storage, fileId) {
+  const cacheKey = `${storage.kind}:${fileId}`;
+  const hit = _imageCache.get(cacheKey);
+  if (hit && Date.now() - hit.at < IMAGE_CACHE_TTL_MS) return hit.image;
+
+  const buffer = await storage.downloadFile({ fileId });
+  const info = imageInfo(buffer);
+  if (!info || !info.width || !info.height) {
+    const err = new Error(`La imagen ${fileId} no es PNG ni JPEG`);
+    err.code = 'IMAGE_UNSUPPORTED';
+    throw err;
+  }
+  const image = { buffer, ...info };
+  _imageCache.set(cacheKey, { at: Date.now(), image });
+  return image;
+}
+
+// --- signed URLs (Google Docs insertInlineImage fetches the image from the portal) ---
+
+let _processSecret = null;
+function urlSecret() {
+  const fromEnv = String(process.env.SIGNATURE_URL_SECRET || '').trim();
+  if (fromEnv) return fromEnv;
+  if (!_processSecret) _processSecret = crypto.randomBytes(32).toString('hex');
+  return _processSecret;
+}
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', urlSecret()).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+function signedImageUrl(baseUrl, fileId) {
+  const token = signToken({ f: fileId, exp: Date.now() + URL_TTL_MS });
+  return `${String(baseUrl || '').replace(/\/+$/, '')}/api/docs/images/${token}`;
+}
+
+/**
+ * File ID behind a signed image token, or null when the signature is wrong or it expired.
+ */
+function verifyImageToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', urlSecret()).update(body).digest('base64url');
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? String(payload.f) : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Images for renderDocument: { images: { key: { buffer, mimeType, ext, width, height, widthPt, heightPt, url } | null },
+ * chosen: { key: { file_id, field, value } | null } }. Returns { images: null } when no image is configured.
+ */
+async function resolveImagePlaceholders({ storage, deal, baseUrl }) {
+  const config = loadImageConfig();
+  if (!Object.keys(config).length) return { images: null, chosen: {} };
+
+  const chosen = chooseImagesForDeal(deal, config);
+  const images = {};
+  for (const [key, choice] of Object.entries(chosen)) {
+    if (!choice) {
+      images[key] = null;
+      continue;
+    }
+    const img = await loadImage(storage, choice.file_id);
+    images[key] = {
+      ...img,
+      widthPt: choice.width,
+      heightPt: Math.round((choice.width * img.height) / img.width),
+      url: storage.kind === 'drive' ? signedImageUrl(baseUrl, choice.file_id) : null,
+    };
+  }
+  const summary = {};
+  for (const [key, choice] of Object.entries(chosen)) summary[key] = choice ? { file_id: choice.file_id, field: choice.field, value: choice.value } : null;
+  return { images, chosen: summary };
+}
+
+module.exports = {
+  IMAGE_TOKEN_RE,
+  loadImageConfig,
+  imagePlaceholderKeys,
+  imageTokenKeys,
+  chooseImagesForDeal,
+  imageInfo,
+  loadImage,
+  signedImageUrl,
+  verifyImageToken,
+  resolveImagePlaceholders,
+};
@@ -0,0 +1,236 @@
+const path = require('path');
+const driveDocs = require('./drive_docs');
+const { createLocalStore } = require('./storage_local');
+const { createS3Store } = require('./storage_s3');
+const { textToPdfBuffer } = require('./pdf');
+const { renderTextBlocks, isScalarPlaceholder } = require('./template_blocks');
+const { DOCX_MIME, renderDocx, embedDocxImages, docxToText, ensureDocxDealAgentHeader, docxToPdfBuffer } = require('./docx');
+
+// Storage adapters for generated documents.
+// Every adapter exposes the same surface as lib/drive_docs.js so routes don't care where files live:
+//   ensurePatientFolders, copyTemplateToFolder, replacePlaceholdersInDoc, replaceImagePlaceholdersInDoc, ensureDealAgentHeader,
+//   getDocumentText, exportDocAsPdfBuffer, uploadFileToFolder, uploadPdfToFolder, downloadFile, listTemplatesInFolder,
+//   folderUrl, fileUrl, docUrl
+// Select with DOCS_STORAGE=drive (default) | local | s3
+
+const STORAGE_KINDS = ['drive', 'local', 's3'];
+
+function createDriveStorage() {
+  return {
+    kind: 'drive',
+    ensurePatientFolders: driveDocs.ensurePatientFolders,
+    copyTemplateToFolder: driveDocs.copyTemplateToFolder,
+    replacePlaceholdersInDoc: driveDocs.replacePlaceholdersInDoc,
+    replaceImagePlaceholdersInDoc: driveDocs.replaceImagePlaceholdersInDoc,
+    ensureDealAgentHeader: driveDocs.ensureDealAgentHeader,
+    getDocumentText: driveDocs.getDocumentText,
+    exportDocAsPdfBuffer: driveDocs.exportDocAsPdfBuffer,
+    uploadFileToFolder: driveDocs.uploadFileToFolder,
+    uploadPdfToFolder: driveDocs.uploadPdfToFolder,
+    listTemplatesInFolder: driveDocs.listTemplatesInFolder,
+    getFileMetadata: driveDocs.getFileMetadata,
+    downloadFile: driveDocs.downloadFileBuffer,
+    downloadFileAsDocx: driveDocs.downloadFileAsDocx,
+    folderUrl: driveDocs.driveFolderUrl,
+    fileUrl: driveDocs.driveFileUrl,
+    docUrl: driveDocs.docsEditUrl,
+  };
+}
+
+// Templates rendered without Google: .docx (lib/docx.js) or plain text (.txt/.md).
+// In text documents the header lines are stored with this prefix.
+const HEADER_MARK = '%% ';
+const TEXT_TEMPLATE_EXTS = ['.txt', '.md'];
+const TEMPLATE_EXTS = ['.docx', ...TEXT_TEMPLATE_EXTS];
+
+function isDocxId(id) {
+  return path.extname(String(id || '')).toLowerCase() === '.docx';
+}
+
+function mimeTypeForId(id) {
+  return isDocxId(id) ? DOCX_MIME : 'text/plain';
+}
+
+function splitHeader(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const headerLines = [];
+  while (lines.length && lines[0].startsWith(HEADER_MARK)) {
+    headerLines.push(lines.shift().slice(HEADER_MARK.length));
+  }
+  return { headerLines, body: lines.join('\n') };
+}
+
+function replaceTextPlaceholders(text, placeholders, preserveMissingPlaceholders) {
+  let out = renderTextBlocks(text, placeholders);
+  for (const [k, v] of Object.entries(placeholders || {})) {
+    if (!isScalarPlaceholder(v)) continue;
+    if (preserveMissingPlaceholders && String(v).trim() === '') continue;
+    out = out.split(`{{${k}}}`).join(String(v));
+  }
+  return out;
+}
+
+/**
+ * Build a docs adapter over a blob store (local filesystem, S3...).
+ * Store primitives: ensureFolder, readFile, statFile, writeFile, overwriteFile, listFiles, fileUrl, folderUrl.
+ */
+function createBlobStorage(store) {
+  const defaultRoot = () => String(process.env.DOCS_ROOT_FOLDER || 'pacientes').trim();
+
+  return {
+    kind: store.kind,
+
+    async ensurePatientFolders({ folderName, rootFolderId = null }) {
+      const rootId = String(rootFolderId || defaultRoot()).trim();
+      const main = await store.ensureFolder(rootId, folderName);
+      const pdf = await store.ensureFolder(main.id, '00_PDF');
+      const docs = await store.ensureFolder(main.id, '01_Docs_Generados');
+      return {
+        folder_id: main.id,
+        pdf_folder_id: pdf.id,
+        docs_folder_id: docs.id,
+        folder_url: store.folderUrl(main.id),
+      };
+    },
+
+    async copyTemplateToFolder({ templateFileId, newName, parentFolderId }) {
+      const buffer = await store.readFile(templateFileId);
+      const ext = path.extname(String(templateFileId));
+      return store.writeFile({ parentId: parentFolderId, name: `${newName}${ext}`, buffer, mimeType: mimeTypeForId(templateFileId) });
+    },
+
+    async replacePlaceholdersInDoc({ documentId, placeholders, preserveMissingPlaceholders = false }) {
+      if (isDocxId(documentId)) {
+        const rendered = renderDocx(await store.readFile(documentId), placeholders, { preserveMissingPlaceholders });
+        await store.overwriteFile(documentId, rendered, DOCX_MIME);
+        return;
+      }
+      const text = (await store.readFile(documentId)).toString('utf8');
+      const replaced = replaceTextPlaceholders(text, placeholders, preserveMissingPlaceholders);
+      if (replaced !== text) await store.overwriteFile(documentId, Buffer.from(replaced, 'utf8'), 'text/plain');
+    },
+
+    // .docx: pictures embedded; text documents keep the token and the PDF export draws the image there
+    async replaceImagePlaceholdersInDoc({ documentId, images }) {
+      if (!images || !isDocxId(documentId)) return { replaced: 0 };
+      const buffer = await store.readFile(documentId);
+      const out = embedDocxImages(buffer, images);
+      if (out !== buffer) await store.overwriteFile(documentId, out, DOCX_MIME);
+      return { replaced: out !== buffer ? 1 : 0 };
+    },
+
+    async ensureDealAgentHeader({ documentId, dealId, agentEmail, verificationCode = null }) {
+      const safeDealId = String(dealId || '').trim();
+      if (!safeDealId) return null;
+      if (isDocxId(documentId)) {
+        const out = ensureDocxDealAgentHeader(await store.readFile(documentId), { dealId: safeDealId, agentEmail, verificationCode });
+        if (out.skipped) return { headerId: 'docx', skipped: true };
+        await store.overwriteFile(documentId, out.buffer, DOCX_MIME);
+        return { headerId: 'docx' };
+      }
+      const safeEmail = String(agentEmail || '').trim();
+      const text = (await store.readFile(documentId)).toString('utf8');
+      const { headerLines } = splitHeader(text);
+      if (headerLines.some(h => h.includes(`DEAL.${safeDealId}`))) return { headerId: 'text', skipped: true };
+
+      const headerText = [`DEAL.${safeDealId}`, safeEmail, verificationCode ? `VERIF.${verificationCode}` : ''].filter(Boolean).join(' ');
+      await store.overwriteFile(documentId, Buffer.from(`${HEADER_MARK}${headerText}\n${text}`, 'utf8'), 'text/plain');
+      return { headerId: 'text' };
+    },
+
+    async getDocumentText({ documentId }) {
+      const buffer = await store.readFile(documentId);
+      if (!isDocxId(documentId)) return buffer.toString('utf8');
+      const { headerLines, bodyLines, footerLines } = docxToText(buffer);
+      return [...headerLines, ...bodyLines, ...footerLines].join('\n');
+    },
+
+    async exportDocAsPdfBuffer({ fileId, images = null }) {
+      if (isDocxId(fileId)) return docxToPdfBuffer(await store.readFile(fileId), { title: path.basename(String(fileId)), images });
+      const text = (await store.readFile(fileId)).toString('utf8');
+      const { headerLines, body } = splitHeader(text);
+      return textToPdfBuffer({ text: body, headerLines, title: path.basename(String(fileId)), images });
+    },
+
+    async uploadFileToFolder({ buffer, name, mimeType, parentFolderId }) {
+      return store.writeFile({ parentId: parentFolderId, name, buffer, mimeType });
+    },
+
+    async uploadPdfToFolder({ pdfBuffer, pdfName, parentFolderId }) {
+      return store.writeFile({ parentId: parentFolderId, name: pdfName, buffer: pdfBuffer, mimeType: 'application/pdf' });
+    },
+
+    async listTemplatesInFolder({ folderId } = {}) {
+      const id = String(folderId || '').trim();
+      if (!id) {
+        const err = new Error('Falta TEMPLATE_FOLDER_ID (o folder_id) para listar templates');
+        err.code = 'MISSING_TEMPLATE_FOLDER_ID';
+        throw err;
+      }
+      const files = await store.listFiles(id);
+      return files
+        .filter(f => TEMPLATE_EXTS.includes(path.extname(f.name).toLowerCase()))
+        .map(f => ({
+          id: f.id,
+          name: path.basename(f.name, path.extname(f.name)),
+          mimeType: mimeTypeForId(f.id),
+          modifiedTime: f.modifiedTime,
+          docs_url: store.fileUrl(f.id),
+        }));
+    },
+
+    async downloadFile({ fileId }) {
+      return store.readFile(fileId);
+    },
+
+    async getFileMetadata({ fileId }) {
+      const st = await store.statFile(fileId);
+      return { id: st.id, name: path.basename(st.name, path.extname(st.name)), mimeType: mimeTypeForId(st.id), modifiedTime: st.modifiedTime };
+    },
+
+    folderUrl: (id) => store.folderUrl(id),
+    fileUrl: (id) => store.fileUrl(id),
+    docUrl: (id) => store.fileUrl(id),
+  };
+}
+
+function storageKindFromEnv() {
+  const kind = String(process.env.DOCS_STORAGE || 'drive').trim().toLowerCase();
+  if (!STORAGE_KINDS.includes(kind)) {
+    const err = new Error(`DOCS_STORAGE inválido: "${kind}" (usa ${STORAGE_KINDS.join(' | ')})`);
+    err.code = 'INVALID_DOCS_STORAGE';
+    throw err;
+  }
+  return kind;
+}
+
+function createStorage(kind) {
+  if (kind === 'local') return createBlobStorage(createLocalStore());
+  if (kind === 's3') return createBlobStorage(createS3Store());
+  return createDriveStorage();
+}
+
+let _storage = null;
+let _pinned = null;
+
+function getStorage() {
+  if (_pinned) return _pinned;
+  const kind = storageKindFromEnv();
+  if (!_storage || _storage.kind !== kind) _storage = createStorage(kind);
+  return _storage;
+}
+
+// Tests/dev: force a specific adapter instance (null resets to env selection)
+function setStorage(adapter) {
+  _pinned = adapter || null;
+}
+
+module.exports = {
+  STORAGE_KINDS,
+  HEADER_MARK,
+  getStorage,
+  setStorage,
+  createStorage,
+  createBlobStorage,
+  createDriveStorage,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local filesystem store: ids are POSIX paths relative to DOCS_LOCAL_ROOT
+
+function localRoot() {
+  return path.resolve(String(process.env.DOCS_LOCAL_ROOT || '').trim() || path.join(__dirname, '..', 'data', 'storage'));
+}
+
+function safeSegment(name) {
+  return String(name || '').replace(/[\/\\]/g, '_').replace(/^\.+/, '_').trim() || '_';
+}
+
+function resolveId(id) {
+  const root = localRoot();
+  const rel = String(id || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  const abs = path.resolve(root, rel);
+  if (abs !== root && !abs.startsWith(root + path.sep)) {
+    const err = new Error(`Ruta fuera de DOCS_LOCAL_ROOT: ${id}`);
+    err.code = 'INVALID_STORAGE_PATH';
+    throw err;
+  }
+  return abs;
+}
+
+function joinId(parentId, name) {
+  const parent = String(parentId || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  return parent ? `${parent}/${safeSegment(name)}` : safeSegment(name);
+}
+
+function notFound(id, err) {
+  const e = new Error(`Archivo no encontrado en storage local: ${id}`);
+  e.code = 'STORAGE_FILE_NOT_FOUND';
+  e.cause = err;
+  return e;
+}
+
+function createLocalStore() {
+  return {
+    kind: 'local',
+
+    async ensureFolder(parentId, name) {
+      const id = joinId(parentId, name);
+      await fs.mkdir(resolveId(id), { recursive: true });
+      return { id, name };
+    },
+
+    async readFile(id) {
+      try {
+        return await fs.readFile(resolveId(id));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw notFound(id, err);
+        throw err;
+      }
+    },
+
+    async statFile(id) {
+      try {
+        const st = await fs.stat(resolveId(id));
+        return { id, name: path.basename(id), modifiedTime: st.mtime.toISOString() };
+      } catch (err) {
+        if (err.code === 'ENOENT') throw notFound(id, err);
+        throw err;
+      }
+    },
+
+    async writeFile({ parentId, name, buffer }) {
+      const id = joinId(parentId, name);
+      const abs = resolveId(id);
+      await fs.mkdir(path.dirname(abs), { recursive: true });
+      await fs.writeFile(abs, buffer);
+      return { id, name: path.basename(id) };
+    },
+
+    async overwriteFile(id, buffer) {
+      await fs.writeFile(resolveId(id), buffer);
+    },
+
+    async listFiles(folderId) {
+      let entries;
+      try {
+        entries = await fs.readdir(resolveId(folderId), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const files = [];
+      for (const ent of entries) {
+        if (!ent.isFile()) continue;
+        const id = joinId(folderId, ent.name);
+        const st = await fs.stat(resolveId(id));
+        files.push({ id, name: ent.name, modifiedTime: st.mtime.toISOString() });
+      }
+      return files.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    fileUrl(id) {
+      return `file://${resolveId(id)}`;
+    },
+
+    folderUrl(id) {
+      return `file://${resolveId(id)}`;
+    },
+  };
+}
+
+module.exports = {
+  createLocalStore,
+  localRoot,
+};
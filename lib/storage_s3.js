@@ -0,0 +1,155 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+// S3-compatible store (AWS S3, MinIO, R2...): ids are object keys, folders are key prefixes
+
+function s3Config() {
+  const bucket = String(process.env.S3_BUCKET || '').trim();
+  if (!bucket) {
+    const err = new Error('Falta S3_BUCKET para DOCS_STORAGE=s3');
+    err.code = 'MISSING_S3_BUCKET';
+    throw err;
+  }
+  const endpoint = String(process.env.S3_ENDPOINT || '').trim() || null;
+  const forcePathStyleRaw = String(process.env.S3_FORCE_PATH_STYLE || '').trim().toLowerCase();
+  return {
+    bucket,
+    endpoint,
+    region: String(process.env.S3_REGION || 'us-east-1').trim(),
+    accessKeyId: String(process.env.S3_ACCESS_KEY_ID || '').trim(),
+    secretAccessKey: String(process.env.S3_SECRET_ACCESS_KEY || '').trim(),
+    // MinIO needs path-style; default to it whenever a custom endpoint is set
+    forcePathStyle: forcePathStyleRaw ? forcePathStyleRaw === 'true' : !!endpoint,
+    publicUrl: String(process.env.S3_PUBLIC_URL || '').trim().replace(/\/$/, '') || null,
+  };
+}
+
+function cleanPrefix(id) {
+  return String(id || '').replace(/^\/+|\/+$/g, '');
+}
+
+function joinKey(parentId, name) {
+  const parent = cleanPrefix(parentId);
+  const safe = String(name || '').replace(/\//g, '_').trim() || '_';
+  return parent ? `${parent}/${safe}` : safe;
+}
+
+function notFoundOr(id, err) {
+  if (err?.name === 'NoSuchKey' || err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404) {
+    const e = new Error(`Objeto no encontrado en S3: ${id}`);
+    e.code = 'STORAGE_FILE_NOT_FOUND';
+    e.cause = err;
+    return e;
+  }
+  return err;
+}
+
+function createS3Store({ client = null } = {}) {
+  const cfg = s3Config();
+  const s3 = client || new S3Client({
+    region: cfg.region,
+    endpoint: cfg.endpoint || undefined,
+    forcePathStyle: cfg.forcePathStyle,
+    credentials: cfg.accessKeyId ? { accessKeyId: cfg.accessKeyId, secretAccessKey: cfg.secretAccessKey } : undefined,
+  });
+
+  const objectUrl = (key) => {
+    const encoded = String(key).split('/').map(encodeURIComponent).join('/');
+    if (cfg.publicUrl) return `${cfg.publicUrl}/${encoded}`;
+    if (cfg.endpoint) return `${cfg.endpoint.replace(/\/$/, '')}/${cfg.bucket}/${encoded}`;
+    return `https://${cfg.bucket}.s3.${cfg.region}.amazonaws.com/${encoded}`;
+  };
+
+  return {
+    kind: 's3',
+
+    async ensureFolder(parentId, name) {
+      const id = joinKey(parentId, name);
+      // Marker object so the "folder" shows up in consoles/listings
+      await s3.send(new PutObjectCommand({ Bucket: cfg.bucket, Key: `${id}/`, Body: '' }));
+      return { id, name };
+    },
+
+    async readFile(id) {
+      try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: cfg.bucket, Key: cleanPrefix(id) }));
+        return Buffer.from(await res.Body.transformToByteArray());
+      } catch (err) {
+        throw notFoundOr(id, err);
+      }
+    },
+
+    async statFile(id) {
+      const key = cleanPrefix(id);
+      try {
+        const res = await s3.send(new HeadObjectCommand({ Bucket: cfg.bucket, Key: key }));
+        return {
+          id: key,
+          name: key.split('/').pop(),
+          modifiedTime: res.LastModified ? new Date(res.LastModified).toISOString() : null,
+        };
+      } catch (err) {
+        throw notFoundOr(id, err);
+      }
+    },
+
+    async writeFile({ parentId, name, buffer, mimeType }) {
+      const id = joinKey(parentId, name);
+      await s3.send(new PutObjectCommand({
+        Bucket: cfg.bucket,
+        Key: id,
+        Body: buffer,
+        ContentType: mimeType || 'application/octet-stream',
+      }));
+      return { id, name: id.split('/').pop() };
+    },
+
+    async overwriteFile(id, buffer, mimeType) {
+      await s3.send(new PutObjectCommand({
+        Bucket: cfg.bucket,
+        Key: cleanPrefix(id),
+        Body: buffer,
+        ContentType: mimeType || 'application/octet-stream',
+      }));
+    },
+
+    async listFiles(folderId) {
+      const prefix = cleanPrefix(folderId) ? `${cleanPrefix(folderId)}/` : '';
+      const files = [];
+      let token;
+      do {
+        const res = await s3.send(new ListObjectsV2Command({
+          Bucket: cfg.bucket,
+          Prefix: prefix,
+          Delimiter: '/',
+          ContinuationToken: token,
+        }));
+        for (const obj of res.Contents || []) {
+          if (!obj.Key || obj.Key.endsWith('/')) continue;
+          files.push({
+            id: obj.Key,
+            name: obj.Key.slice(prefix.length),
+            modifiedTime: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+          });
+        }
+        token = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (token);
+      return files.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    fileUrl: objectUrl,
+
+    folderUrl(id) {
+      return objectUrl(`${cleanPrefix(id)}/`);
+    },
+  };
+}
+
+module.exports = {
+  createS3Store,
+};
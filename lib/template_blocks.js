@@ -0,0 +1,308 @@
+// Template block syntax shared by every render engine (Google Docs, .docx, text):
+//   {{#if object.prevision == "FONASA"}} ... {{else}} ... {{/if}}   (also != and a bare {{#if key}})
+//   {{#each examenes}} {{this.nombre}} - {{this.codigo}} {{/each}}   ({{this}} for lists of plain strings)
+// A tag alone in its paragraph (or line) keeps/drops/repeats whole paragraphs; tags inside a paragraph work inline;
+// a table row that starts with {{#each x}} (or {{#if x}}) and ends with {{/each}} ({{/if}}) repeats (keeps/drops) the row.
+// Comparisons ignore case and surrounding spaces; empty values, empty lists and "false" are falsy.
+
+const TAG_RE = /\{\{\s*(#if|#each|else|\/if|\/each)(?![\w.])\s*([^{}]*?)\s*\}\}/g;
+const THIS_RE = /\{\{\s*(this(?:\.[\w.]+)?)\s*\}\}/g;
+const EXPR_RE = /^([\w.()]+)(?:\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?$/;
+
+function syntaxError(message) {
+  const err = new Error(`Template inválido: ${message}`);
+  err.code = 'TEMPLATE_SYNTAX_ERROR';
+  return err;
+}
+
+function hasTemplateBlocks(text) {
+  const s = String(text || '');
+  TAG_RE.lastIndex = 0;
+  const hit = TAG_RE.test(s);
+  TAG_RE.lastIndex = 0;
+  return hit || /\{\{\s*this\b/.test(s);
+}
+
+function scanTags(text) {
+  const out = [];
+  const src = String(text || '');
+  TAG_RE.lastIndex = 0;
+  let m;
+  while ((m = TAG_RE.exec(src))) {
+    out.push({ type: m[1], expr: m[2], raw: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Google Docs autocorrects typed quotes: {{#if prevision == “FONASA”}} must read as "FONASA"
+function straightQuotes(s) {
+  return String(s || '').replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"').replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'");
+}
+
+function parseCondition(expr) {
+  const m = straightQuotes(expr).trim().match(EXPR_RE);
+  if (!m) throw syntaxError(`condición no soportada en {{#if ${expr}}}`);
+  return { key: m[1], op: m[2] || null, value: m[3] ?? m[4] ?? m[5] ?? null };
+}
+
+function parseEachKey(expr) {
+  const key = String(expr || '').trim();
+  if (!/^[\w.()]+$/.test(key)) throw syntaxError(`lista inválida en {{#each ${expr}}}`);
+  return key;
+}
+
+// scope: { placeholders, item } (item = current {{#each}} element)
+function getPath(obj, pathStr) {
+  let cur = obj;
+  for (const part of String(pathStr || '').split('.').filter(Boolean)) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function lookup(key, scope) {
+  if (key === 'this') return scope.item;
+  if (key.startsWith('this.')) return getPath(scope.item, key.slice(5));
+  const placeholders = scope.placeholders || {};
+  if (Object.prototype.hasOwnProperty.call(placeholders, key)) return placeholders[key];
+  return getPath(placeholders, key);
+}
+
+function isTruthy(v) {
+  if (v === null || v === undefined) return false;
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim();
+  return s !== '' && s.toLowerCase() !== 'false';
+}
+
+function normalizeCompare(v) {
+  return String(v ?? '').trim().toLowerCase();
+}
+
+function evalCondition(cond, scope) {
+  const v = lookup(cond.key, scope);
+  if (!cond.op) return isTruthy(v);
+  const eq = normalizeCompare(v) === normalizeCompare(cond.value);
+  return cond.op === '==' ? eq : !eq;
+}
+
+function listFor(key, scope) {
+  const v = lookup(key, scope);
+  if (Array.isArray(v)) return v;
+  if (v === null || v === undefined || v === '') return [];
+  return [v];
+}
+
+function childScope(scope, item) {
+  return { placeholders: scope.placeholders, item };
+}
+
+function valueToText(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'object') return Array.isArray(v) ? v.join(', ') : '';
+  return String(v);
+}
+
+/**
+ * Nest a flat list of tags: [{ type, expr, ... }] -> tree of if/each nodes.
+ * getTag(i) returns the tag at position i; children are positions between open/close.
+ */
+function buildTree(count, getTag) {
+  const root = { children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+
+  for (let i = 0; i < count; i++) {
+    const tag = getTag(i);
+    if (!tag) {
+      top().children.push({ type: 'unit', at: i });
+      continue;
+    }
+    if (tag.type === '#if') {
+      const node = { type: 'if', open: i, else: null, close: null, cond: parseCondition(tag.expr), then: [], otherwise: [] };
+      node.children = node.then;
+      top().children.push(node);
+      stack.push(node);
+    } else if (tag.type === '#each') {
+      const node = { type: 'each', open: i, close: null, key: parseEachKey(tag.expr), children: [] };
+      top().children.push(node);
+      stack.push(node);
+    } else if (tag.type === 'else') {
+      const node = top();
+      if (node.type !== 'if' || node.else !== null) throw syntaxError('{{else}} fuera de un {{#if}}');
+      node.else = i;
+      node.children = node.otherwise;
+    } else {
+      const node = top();
+      const want = tag.type === '/if' ? 'if' : 'each';
+      if (node.type !== want) throw syntaxError(`${tag.raw || `{{${tag.type}}}`} sin su apertura`);
+      node.close = i;
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw syntaxError(`falta {{/${open.type}}} para ${open.type === 'if' ? '{{#if}}' : '{{#each}}'}`);
+  }
+  return root.children;
+}
+
+// ---------------------------------------------------------------------------
+// Inline (within one string): returns replacement ops [{ start, end, text }] in source coordinates
+// ---------------------------------------------------------------------------
+
+function thisOps(text, from, to, scope, ops) {
+  if (scope.item === undefined) return;
+  THIS_RE.lastIndex = 0;
+  const slice = text.slice(from, to);
+  let m;
+  while ((m = THIS_RE.exec(slice))) {
+    ops.push({ start: from + m.index, end: from + m.index + m[0].length, text: valueToText(lookup(m[1], scope)) });
+  }
+}
+
+function inlineNodeOps(text, tags, nodes, from, to, scope, ops) {
+  let cursor = from;
+  for (const node of nodes) {
+    if (node.type === 'unit') continue;
+    const open = tags[node.open];
+    const close = tags[node.close];
+    thisOps(text, cursor, open.start, scope, ops);
+
+    if (node.type === 'if') {
+      const elseTag = node.else !== null ? tags[node.else] : null;
+      if (evalCondition(node.cond, scope)) {
+        ops.push({ start: open.start, end: open.end, text: '' });
+        inlineNodeOps(text, tags, node.then, open.end, elseTag ? elseTag.start : close.start, scope, ops);
+        ops.push({ start: elseTag ? elseTag.start : close.start, end: close.end, text: '' });
+      } else {
+        ops.push({ start: open.start, end: elseTag ? elseTag.end : close.start, text: '' });
+        if (elseTag) inlineNodeOps(text, tags, node.otherwise, elseTag.end, close.start, scope, ops);
+        ops.push({ start: close.start, end: close.end, text: '' });
+      }
+    } else {
+      const body = text.slice(open.end, close.start);
+      const rendered = listFor(node.key, scope).map(item => renderInline(body, childScope(scope, item))).join('');
+      ops.push({ start: open.start, end: close.end, text: rendered });
+    }
+    cursor = close.end;
+  }
+  thisOps(text, cursor, to, scope, ops);
+}
+
+function inlineOps(text, scope) {
+  const src = String(text || '');
+  if (!src.includes('{{')) return [];
+  const tags = scanTags(src);
+  const nodes = buildTree(tags.length, i => tags[i]);
+  const ops = [];
+  inlineNodeOps(src, tags, nodes, 0, src.length, scope, ops);
+  return ops.sort((a, b) => a.start - b.start);
+}
+
+function applyOps(text, ops) {
+  let out = String(text || '');
+  for (const op of [...ops].sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, op.start) + op.text + out.slice(op.end);
+  }
+  return out;
+}
+
+function renderInline(text, scope) {
+  return applyOps(text, inlineOps(text, scope));
+}
+
+// ---------------------------------------------------------------------------
+// Paragraph level: units = paragraph/line texts (null for tables and other non-text units)
+// ---------------------------------------------------------------------------
+
+function unitTag(text) {
+  if (typeof text !== 'string') return null;
+  const t = text.trim();
+  if (!t.startsWith('{{') || !t.endsWith('}}')) return null;
+  const tags = scanTags(t);
+  return tags.length === 1 && tags[0].start === 0 && tags[0].end === t.length ? tags[0] : null;
+}
+
+function parseBlocks(unitTexts) {
+  const tags = unitTexts.map(unitTag);
+  return buildTree(unitTexts.length, i => tags[i]);
+}
+
+/**
+ * Expand a paragraph-level tree: [{ at, scope }] in output order (control paragraphs removed).
+ */
+function flattenBlocks(nodes, scope) {
+  const out = [];
+  for (const node of nodes) {
+    if (node.type === 'unit') out.push({ at: node.at, scope });
+    else if (node.type === 'if') out.push(...flattenBlocks(evalCondition(node.cond, scope) ? node.then : node.otherwise, scope));
+    else for (const item of listFor(node.key, scope)) out.push(...flattenBlocks(node.children, childScope(scope, item)));
+  }
+  return out;
+}
+
+/**
+ * Table row block: a row whose text starts with {{#each x}}/{{#if x}} and ends with the matching close tag.
+ */
+function rowBlock(rowText) {
+  const t = String(rowText || '').trim();
+  if (!t.startsWith('{{')) return null;
+  const tags = scanTags(t);
+  if (tags.length < 2) return null;
+  const first = tags[0];
+  const last = tags[tags.length - 1];
+  if (first.start !== 0 || last.end !== t.length) return null;
+  if (!((first.type === '#each' && last.type === '/each') || (first.type === '#if' && last.type === '/if'))) return null;
+
+  // The first tag must be closed by the last one (not "{{#if a}}x{{/if}} {{#if b}}y{{/if}}")
+  let depth = 0;
+  for (let i = 0; i < tags.length; i++) {
+    if (tags[i].type === '#if' || tags[i].type === '#each') depth += 1;
+    if (tags[i].type === '/if' || tags[i].type === '/each') depth -= 1;
+    if (depth === 0 && i < tags.length - 1) return null;
+  }
+  return first.type === '#each'
+    ? { type: 'each', key: parseEachKey(first.expr), open: first.raw, close: last.raw }
+    : { type: 'if', cond: parseCondition(first.expr), open: first.raw, close: last.raw };
+}
+
+/**
+ * Plain-text templates: tags on their own line work on whole lines, the rest inline.
+ */
+function renderTextBlocks(text, placeholders) {
+  const src = String(text || '');
+  if (!hasTemplateBlocks(src)) return src;
+  const lines = src.split('\n');
+  const scope = { placeholders: placeholders || {}, item: undefined };
+  return flattenBlocks(parseBlocks(lines), scope)
+    .map(e => renderInline(lines[e.at], e.scope))
+    .join('\n');
+}
+
+// Lists/objects feed {{#each}}; flat replace only takes scalar values
+function isScalarPlaceholder(v) {
+  return v !== null && v !== undefined && typeof v !== 'object';
+}
+
+module.exports = {
+  TAG_RE,
+  hasTemplateBlocks,
+  scanTags,
+  parseCondition,
+  evalCondition,
+  lookup,
+  listFor,
+  childScope,
+  inlineOps,
+  applyOps,
+  renderInline,
+  unitTag,
+  parseBlocks,
+  flattenBlocks,
+  rowBlock,
+  renderTextBlocks,
+  isScalarPlaceholder,
+};
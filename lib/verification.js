@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl_store');
+
+// Verification codes printed on every generated document (gray header line + QR on each PDF page).
+// The QR points to GET /verify/<code>, where a clinic can check who issued the document.
+// Codes: 12 Crockford base32 chars "K7QX-3M9P-2T4A" (no I/L/O/U: easy to read back from paper).
+// DOC_VERIFICATION=false turns the stamp off; records live in DATA_DIR/verifications.jsonl.
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+
+let _store = null;
+function store() {
+  if (!_store) _store = createJsonlStore('verifications');
+  return _store;
+}
+
+function verificationEnabled() {
+  return String(process.env.DOC_VERIFICATION ?? 'true').trim().toLowerCase() !== 'false';
+}
+
+function formatCode(raw) {
+  return raw.match(/.{1,4}/g).join('-');
+}
+
+function newVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let raw = '';
+  for (const b of bytes) raw += ALPHABET[b % ALPHABET.length];
+  return formatCode(raw);
+}
+
+/**
+ * Canonical form of a code typed by hand: case, dashes/spaces and O→0, I/L→1 are forgiven.
+ * Returns null when it can't be one of our codes.
+ */
+function normalizeVerificationCode(input) {
+  const raw = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (raw.length !== CODE_LENGTH || [...raw].some(ch => !ALPHABET.includes(ch))) return null;
+  return formatCode(raw);
+}
+
+function publicBaseUrlFromEnv() {
+  return String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * PUBLIC_BASE_URL for links printed on documents (QR, signed image URLs). Never taken from the request:
+ * a forged Host header would end up inside a signed PDF. Throws MISSING_PUBLIC_BASE_URL (500) when unset.
+ */
+function requirePublicBaseUrl() {
+  const base = publicBaseUrlFromEnv();
+  if (!base) {
+    const err = new Error('Falta PUBLIC_BASE_URL (URL pública del portal): no se generan documentos sin ella.');
+    err.code = 'MISSING_PUBLIC_BASE_URL';
+    err.http_status = 500;
+    throw err;
+  }
+  return base;
+}
+
+function verificationUrl(code, baseUrl) {
+  return `${String(baseUrl || '').replace(/\/+$/, '')}/verify/${encodeURIComponent(code)}`;
+}
+
+/**
+ * Persist what /verify shows for a code:
+ * { code, deal_id, contact_id, template_file_id, template_name, agent_email, doc_file_id, pdf_file_id, pdf_name, created_at }
+ */
+async function saveVerification(record) {
+  return store().append({ ...record, created_at: record.created_at || new Date().toISOString() });
+}
+
+async function findVerification(input) {
+  const code = normalizeVerificationCode(input);
+  if (!code) return null;
+  return (await store().list()).find(r => r.code === code) || null;
+}
+
+module.exports = {
+  verificationEnabled,
+  newVerificationCode,
+  normalizeVerificationCode,
+  publicBaseUrlFromEnv,
+  requirePublicBaseUrl,
+  verificationUrl,
+  saveVerification,
+  findVerification,
+};
@@ -12,41 +12,7 @@ function escapeHtml(s) {
 // Helpers
 // -------------------------
 function $(id) { return document.getElementById(id); }
-
-function cleanText(s) {
-  return String(s || '')
-    .replace(/\*/g, '')
-    .replace(/=/g, ':')
-    .replace(/[ \t]+/g, ' ')
-    .replace(/\r/g, '')
-    .trim();
-}
-
-function normalizeSpaces(s) {
-  return String(s || '').replace(/\s+/g, ' ').trim();
-}
-
-function normKey(s) {
-  return String(s || '')
-    .normalize('NFD').replace(/\p{Diacritic}/gu, '')
-    .toUpperCase()
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function uniq(arr) {
-  const out = [];
-  const seen = new Set();
-  for (const a of arr) {
-    const k = String(a || '').trim();
-    if (!k) continue;
-    const kk = k.toLowerCase();
-    if (seen.has(kk)) continue;
-    seen.add(kk);
-    out.push(k);
-  }
-  return out;
-}
+// cleanText, normKey, normalizePrevision, parseIABox... viven en ia_box.js (se carga antes que este archivo)
 
 // -------------------------
 // Estatura (m): input guard (evita errores tipo 175 vs 1.75)
@@ -81,143 +47,7 @@ function parseHeightCmStrict(raw) {
 }
 
 
-function extractEmailFromLines(lines) {
-  for (const ln of lines) {
-    const m = ln.match(/([A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,})/i);
-    if (m) return m[1].trim();
-  }
-  return '';
-}
-
-function extractRutFromLines(lines) {
-  for (const ln of lines) {
-    const l = ln.trim();
-    const labeled = l.match(/\b(?:RUT|RUN)\b\s*[:\-]\s*([0-9kK\.\- ]{7,14})/i);
-    if (labeled) return normalizeSpaces(labeled[1]).replace(/\s/g, '');
-  }
-  for (const ln of lines) {
-    const l = ln.trim();
-    let m = l.match(/\b(\d{1,2}\.\d{3}\.\d{3}-[0-9kK])\b/);
-    if (m) return m[1];
-    m = l.match(/\b(\d{7,8}-[0-9kK])\b/);
-    if (m) return m[1];
-    m = l.match(/\b(\d{7,8}[0-9kK])\b/);
-    if (m) return m[1];
-  }
-  return '';
-}
-
-function rutParts(rut) {
-  const raw = String(rut || '').toUpperCase().replace(/[^0-9K]/g, '');
-  if (raw.length < 2) return { num: '', dv: '' };
-  return { num: raw.slice(0, -1), dv: raw.slice(-1) };
-}
-
-function parseDobFromLines(lines) {
-  // Accept:
-  // - DD/MM/YYYY or DD-MM-YYYY
-  // - YYYY-MM-DD or YYYY/MM/DD
-  // - 22nov1980, 22 nov 1980, 22-nov-1980
-  const months = {
-    ENE: '01', FEB: '02', MAR: '03', ABR: '04', MAY: '05', JUN: '06',
-    JUL: '07', AGO: '08', SEP: '09', SET: '09', OCT: '10', NOV: '11', DIC: '12',
-  };
-
-  for (const ln of lines) {
-    const l = ln.trim();
-
-    // DD/MM/YYYY or DD-MM-YYYY
-    let m = l.match(/\b(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})\b/);
-    if (m) return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
-
-    // YYYY-MM-DD or YYYY/MM/DD
-    m = l.match(/\b(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})\b/);
-    if (m) return `${String(m[3]).padStart(2, '0')}/${String(m[2]).padStart(2, '0')}/${m[1]}`;
-
-    // 22nov1980
-    m = l.match(/\b(\d{1,2})\s*([A-Za-zÁÉÍÓÚÑáéíóúñ]{3,})\s*(\d{4})\b/);
-    if (m) {
-      const dd = String(m[1]).padStart(2, '0');
-      const mon = normKey(m[2]).slice(0, 3);
-      const mm = months[mon];
-      if (mm) return `${dd}/${mm}/${m[3]}`;
-    }
-  }
-  return '';
-}
-
-function extractPhonesFromLines(lines, rutNum, rutNumPlusDv) {
-  // Prefer labeled lines
-  const keyWords = /(CELULAR|CEL\.|MÓVIL|MOVIL|TELÉFONO|TELEFONO|FONO|WHATSAPP)/i;
-  const candidates = [];
-
-  const addCandidate = (raw) => {
-    let s = String(raw || '').trim();
-    // Keep + and digits
-    s = s.replace(/[^\d+]/g, '');
-    const only = s.replace(/\+/g, '');
-    if (only.length < 8) return;
-    // Exclude rut-related numbers
-    if (only === rutNum || only === rutNumPlusDv) return;
-    // If no + and starts with 56, add +
-    if (!s.startsWith('+') && only.startsWith('56')) s = '+' + only;
-    candidates.push(s);
-  };
-
-  for (const ln of lines) {
-    if (!keyWords.test(ln)) continue;
-    const m = ln.match(/[:\-]\s*(.+)$/);
-    if (m) addCandidate(m[1]);
-    else addCandidate(ln);
-  }
-
-  // Unlabeled: numeric-only lines
-  for (const ln of lines) {
-    const l = ln.trim();
-    // skip lines that include letters (avoid 22nov1980)
-    if (/[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l)) continue;
-    const m = l.match(/^\+?\d[\d(). -]{6,}\d$/);
-    if (m) addCandidate(l);
-  }
-
-  // Also detect +56... inside a line
-  for (const ln of lines) {
-    const ms = ln.match(/(\+?56\d{8,9})/g);
-    if (ms) ms.forEach(addCandidate);
-  }
-
-  const out = uniq(candidates);
-  return [out[0] || '', out[1] || ''];
-}
-
-function splitFullName(full) {
-  const cleaned = normalizeSpaces(full).replace(/[,;]+/g, ' ');
-  const parts = cleaned.split(' ').filter(Boolean);
-  if (parts.length === 0) return { nombres: '', apellidos: '' };
-  if (parts.length === 1) return { nombres: parts[0], apellidos: '' };
-  if (parts.length === 2) return { nombres: parts[0], apellidos: parts[1] };
-  // Heurística Chile: últimos 2 tokens = apellidos
-  const apellidos = parts.slice(-2).join(' ');
-  const nombres = parts.slice(0, -2).join(' ');
-  return { nombres, apellidos };
-}
-
-function extractByLabels(lines, labels) {
-  for (const lab of labels) {
-    const re = new RegExp(`\\b${lab}\\b\\s*[:\\-]\\s*(.+)$`, 'i');
-    for (const ln of lines) {
-      const m = ln.match(re);
-      if (m) return normalizeSpaces(m[1]);
-    }
-  }
-  return '';
-}
-
-const PREVISION_CHOICES = new Set([
-  'BANMEDICA','COLMENA','CONSALUD','CRUZ BLANCA','CRUZ DEL NORTE','DIPRECA','ESENCIAL',
-  'FONASA','FUNDACION','I SALUD - EX CHUQUICAMATA','JEAFOSALE','MEDIMEL-BANMEDICA',
-  'NUEVA MAS VIDA','OTRA DE FUERZAS ARMADAS','PAD FONASA PAD','PARTICULAR','VIDA TRES'
-]);const ASEGURADORA_OPTIONS = [
+const ASEGURADORA_OPTIONS = [
   "Sin aseguradora asociada",
   "BANMEDICA","COLMENA","CONSALUD","CRUZ BLANCA","CRUZ DEL NORTE","DIPRECA","ESENCIAL",
   "FONASA","FUNDACION","I SALUD - EX CHUQUICAMATA","JEAFOSALE","MEDIMEL-BANMEDICA",
@@ -582,164 +412,6 @@ const COMUNAS_OPTIONS = [
 ];
 
 
-function normalizePrevision(s) {
-  let t = normKey(s);
-  t = t.replace(/\s+/g, ' ').trim();
-
-  const aliasMap = {
-    'ISAPRE CRUZBLANCA': 'CRUZ BLANCA',
-    'ISAPRE CRUZ BLANCA': 'CRUZ BLANCA',
-    'CRUZBLANCA': 'CRUZ BLANCA',
-  };
-  t = aliasMap[t] || t;
-
-  // If includes "FONASA", keep only FONASA (tramo goes elsewhere)
-  if (t.includes('FONASA')) return 'FONASA';
-  // If includes any known choice as substring, pick it
-  for (const ch of PREVISION_CHOICES) {
-    if (t === ch) return ch;
-  }
-  // Special: PAD Fonasa PAD
-  if (t.includes('PAD') && t.includes('FONASA')) return 'PAD FONASA PAD';
-  return t;
-}
-
-function extractNameFromWhatsApp(lines) {
-  // First non-empty line with letters and spaces, no @, no digits, not a label line.
-  for (const ln of lines) {
-    const l = ln.trim();
-    if (!l) continue;
-    if (l.includes('@')) continue;
-    if (/[0-9]/.test(l)) continue;
-    if (/^\w+\s*:/i.test(l)) continue;
-    if (l.length < 3) continue;
-    return l;
-  }
-  return '';
-}
-
-function guessAddressAndComuna(lines, rut, email, dob, phone1, phone2, fullName) {
-  const exclude = new Set([normKey(rut), normKey(email), normKey(dob), normKey(phone1), normKey(phone2), normKey(fullName)]);
-  const candidates = lines
-    .map((l) => l.trim())
-    .filter((l) => l && !l.includes('@'))
-    .filter((l) => !exclude.has(normKey(l)));
-
-  // If labels exist, use them
-  let comuna = extractByLabels(lines, ['Comuna', 'Ciudad']);
-  let direccion = extractByLabels(lines, ['Direcci[oó]n', 'Direccion', 'Domicilio']);
-  if (direccion && !comuna) {
-    const mm = direccion.match(/(.+),\s*([A-ZÁÉÍÓÚÑa-záéíóúñ ]{3,})$/);
-    if (mm) {
-      direccion = mm[1].trim();
-      comuna = mm[2].trim();
-    }
-  }
-  if (direccion || comuna) return { direccion, comuna };
-
-  // Guess comuna: last line that is letters only (no digits) and short
-  for (let i = candidates.length - 1; i >= 0; i--) {
-    const l = candidates[i];
-    if (/[0-9]/.test(l)) continue;
-    if (l.length > 30) continue;
-    if (!/[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l)) continue;
-    comuna = l;
-    // Guess dirección: nearest previous line with digits (street number)
-    for (let j = i - 1; j >= 0; j--) {
-      const prev = candidates[j];
-      if (/[0-9]/.test(prev) && /[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(prev)) {
-        direccion = prev;
-        break;
-      }
-    }
-    // fallback address: previous line even without digits
-    if (!direccion && i - 1 >= 0) direccion = candidates[i - 1];
-    break;
-  }
-  return { direccion, comuna };
-}
-
-function parseIABox(raw) {
-  const text = cleanText(raw);
-  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
-
-  const rut = extractRutFromLines(lines);
-  const { num: rutNum, dv } = rutParts(rut);
-  const rutNumPlusDv = rutNum && dv ? (rutNum + dv) : '';
-
-  const email = extractEmailFromLines(lines);
-  const fecha = parseDobFromLines(lines);
-
-  // Names
-  let nombres = extractByLabels(lines, ['Nombres?', 'Nombre\\s*\\(s\\)', 'First\\s*name']);
-  let apellidos = extractByLabels(lines, ['Apellidos?', 'Last\\s*name']);
-  if (!nombres && !apellidos) {
-    const labeledFull = extractByLabels(lines, ['Nombre\\s*completo', 'Nombre', 'Paciente']);
-    const full = labeledFull || extractNameFromWhatsApp(lines);
-    const split = splitFullName(full);
-    nombres = split.nombres;
-    apellidos = split.apellidos;
-  } else if (nombres && !apellidos) {
-    // If "Nombre:" contains full name, split
-    const split = splitFullName(nombres);
-    if (split.apellidos) {
-      nombres = split.nombres;
-      apellidos = split.apellidos;
-    }
-  }
-
-  // Phones (line-based, excludes RUT)
-  const [telefono1, telefono2] = extractPhonesFromLines(lines, rutNum, rutNumPlusDv);
-
-  // Previsión / Aseguradora
-  let aseguradora = extractByLabels(lines, ['Aseguradora', 'Previsi[oó]n', 'Prevision']);
-  if (!aseguradora) {
-    // Try to detect a line that matches a choice
-    for (const ln of lines) {
-      const k = normKey(ln);
-      if (PREVISION_CHOICES.has(k)) { aseguradora = ln; break; }
-      if (k.includes('FONASA')) { aseguradora = 'FONASA'; break; }
-    }
-  }
-  aseguradora = aseguradora ? normalizePrevision(aseguradora) : '';
-
-  let modalidad = extractByLabels(lines, ['Modalidad']);
-  if (!modalidad) modalidad = ''; // don't guess for now
-
-  const fullNameGuess = normalizeSpaces([nombres, apellidos].filter(Boolean).join(' '));
-  const addr = guessAddressAndComuna(lines, rut, email, fecha, telefono1, telefono2, fullNameGuess);
-
-  let direccion = addr.direccion ? addr.direccion : '';
-  let comuna = addr.comuna ? addr.comuna : '';
-
-  comuna = comuna ? normKey(comuna) : '';
-  // Keep accents? We will keep original if present; but for field, uppercase is ok.
-  // If comuna had accents, normKey removes them; but backend canonicalComuna handles accents.
-  // We'll keep the raw comuna if we can find it in original lines (last match).
-  if (comuna) {
-    // Find best original line matching comuna key
-    const key = comuna;
-    for (let i = lines.length - 1; i >= 0; i--) {
-      if (normKey(lines[i]) === key) { comuna = lines[i].toUpperCase().trim(); break; }
-    }
-  }
-
-  return {
-    rut,
-    nombres,
-    apellidos,
-    fecha_nacimiento: fecha,
-    telefono1: telefono1 || '',
-    telefono2: telefono2 || '',
-    email,
-    aseguradora,
-    modalidad,
-    direccion,
-    comuna,
-  };
-}
-
-
 // -------------------------
 // Search by RUT_normalizado
 // -------------------------
@@ -752,9 +424,11 @@ const outEl = $('out');
 // Docs generation UI (from search result)
 const btnCreateDocs = $('btnCreateDocs');
 const docsDryRunEl = $('docsDryRun');
+const docsMergePdfEl = $('docsMergePdf');
 const docsStatusEl = $('docs_status');
 const docsOutEl = $('docs_out');
 const docsLinksEl = $('docs_links');
+const btnRetryDocs = $('btnRetryDocs');
 const docsOwnerIdEl = $('docsOwnerId');
 const docsOwnerHelpEl = $('docsOwnerHelp');
 
@@ -778,11 +452,15 @@ function updateDocsButton() {
 
   const actorOk = !!String(docsOwnerIdEl?.value || '').trim();
   btnCreateDocs.disabled = !(ok && __selectedDealId && actorOk);
+  renderPackages();
 }
 
 let __templatesAll = [];
 let __templatesFiltered = [];
 let __selectedTemplateIds = new Set();
+let __packagesAll = [];
+const docsPackageEl = $('docsPackage');
+const docsPackageHelpEl = $('docsPackageHelp');
 
 function readSavedTemplateSelection() {
   try {
@@ -820,6 +498,68 @@ function updateTemplatesCount() {
     : '';
 }
 
+// Paquetes de templates (DOC_PACKAGES_JSON): filtrados por el pipeline del deal seleccionado
+function renderPackages() {
+  if (!docsPackageEl) return;
+  const pipelineId = Number(__lastSearchJson?.deal?.pipeline_id || 0);
+  const visible = __packagesAll.filter(p => !pipelineId || !(p.pipeline_ids || []).length || p.pipeline_ids.includes(pipelineId));
+  const current = docsPackageEl.value;
+
+  docsPackageEl.innerHTML = '<option value="">Paquete (opcional)...</option>' + visible.map(p => (
+    `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)} (${(p.template_ids || []).length})</option>`
+  )).join('');
+  docsPackageEl.value = visible.some(p => p.id === current) ? current : '';
+  docsPackageEl.style.display = __packagesAll.length ? '' : 'none';
+  updatePackageHelp();
+}
+
+function selectedPackage() {
+  const id = docsPackageEl?.value || '';
+  return id ? (__packagesAll.find(p => p.id === id) || null) : null;
+}
+
+function updatePackageHelp() {
+  if (!docsPackageHelpEl) return;
+  const pkg = selectedPackage();
+  const missing = pkg?.missing_templates || [];
+  docsPackageHelpEl.textContent = missing.length ? `Templates no encontrados en el paquete: ${missing.join(', ')}` : '';
+}
+
+// A manual change that no longer matches the package drops the package
+function syncPackageSelection() {
+  const pkg = selectedPackage();
+  if (!pkg) return;
+  const ids = pkg.template_ids || [];
+  const same = ids.length === __selectedTemplateIds.size && ids.every(id => __selectedTemplateIds.has(id));
+  if (!same) {
+    docsPackageEl.value = '';
+    updatePackageHelp();
+  }
+}
+
+if (docsPackageEl) docsPackageEl.addEventListener('change', () => {
+  const pkg = selectedPackage();
+  updatePackageHelp();
+  if (!pkg) return;
+  __selectedTemplateIds = new Set(pkg.template_ids || []);
+  persistSelectedSet();
+  applyTemplateFilter();
+});
+
+// Placeholder health (/api/docs/templates?health=1)
+function templateHealthBadge(t) {
+  if (!t.health) return '';
+  if (t.health === 'ok') return `<span class="tpl-health ok" title="${escapeHtml(`${t.placeholders_count || 0} placeholders OK`)}">OK</span>`;
+  if (t.health === 'unreadable') return `<span class="tpl-health warn" title="${escapeHtml(t.health_error || '')}">?</span>`;
+  return `<span class="tpl-health error">${escapeHtml(String((t.problems || []).length))} placeholder(s) con problema</span>`;
+}
+
+function templateProblemsLine(t) {
+  if (t.health !== 'error' || !(t.problems || []).length) return '';
+  const parts = t.problems.map(p => (p.suggestion ? `${p.token} → {{${p.suggestion}}}` : p.token));
+  return `<span class="sub tpl-problems">${escapeHtml(parts.join(' · '))}</span>`;
+}
+
 function renderTemplates(list) {
   __templatesFiltered = list || [];
   if (!docsTemplatesEl) return;
@@ -831,8 +571,9 @@ function renderTemplates(list) {
       <label class="templates-item">
         <input type="checkbox" data-template-id="${escapeHtml(t.id)}" ${checked} />
         <span class="meta">
-          <span class="name">${escapeHtml(t.name || t.slug || t.id)}</span>
+          <span class="name">${escapeHtml(t.name || t.slug || t.id)} ${templateHealthBadge(t)}</span>
           <span class="sub">${escapeHtml(sub)} · ${escapeHtml(t.docs_url || '')}</span>
+          ${templateProblemsLine(t)}
         </span>
       </label>
     `;
@@ -846,6 +587,7 @@ function renderTemplates(list) {
       if (cb.checked) __selectedTemplateIds.add(id);
       else __selectedTemplateIds.delete(id);
       persistSelectedSet();
+      syncPackageSelection();
       updateTemplatesCount();
     });
   });
@@ -871,7 +613,7 @@ async function loadTemplates(force = false) {
 
   try {
     setStatus(docsStatusEl, 'Cargando templates...', 'info');
-    const url = force ? '/api/docs/templates?force=1' : '/api/docs/templates';
+    const url = force ? '/api/docs/templates?force=1&health=1' : '/api/docs/templates?health=1';
     const res = await fetch(url);
     const json = await res.json();
     if (!res.ok || !json.ok) {
@@ -884,6 +626,8 @@ async function loadTemplates(force = false) {
     }
 
     __templatesAll = json.items || [];
+    __packagesAll = json.packages || [];
+    renderPackages();
     initSelectedSet(json.default_selected_ids || []);
     applyTemplateFilter(); // renders
     setStatus(docsStatusEl, `Templates cargados: ${json.count}`, 'ok');
@@ -898,24 +642,28 @@ if (btnReloadTemplates) btnReloadTemplates.addEventListener('click', () => loadT
 if (btnSelectAllTemplates) btnSelectAllTemplates.addEventListener('click', () => {
   __selectedTemplateIds = new Set(__templatesAll.map(t => t.id));
   persistSelectedSet();
+  syncPackageSelection();
   applyTemplateFilter();
 });
 
 if (btnSelectNoneTemplates) btnSelectNoneTemplates.addEventListener('click', () => {
   __selectedTemplateIds = new Set();
   persistSelectedSet();
+  syncPackageSelection();
   applyTemplateFilter();
 });
 
 if (btnSelectFilteredTemplates) btnSelectFilteredTemplates.addEventListener('click', () => {
   for (const t of __templatesFiltered) __selectedTemplateIds.add(t.id);
   persistSelectedSet();
+  syncPackageSelection();
   applyTemplateFilter();
 });
 
 if (btnDeselectFilteredTemplates) btnDeselectFilteredTemplates.addEventListener('click', () => {
   for (const t of __templatesFiltered) __selectedTemplateIds.delete(t.id);
   persistSelectedSet();
+  syncPackageSelection();
   applyTemplateFilter();
 });
 
@@ -935,6 +683,9 @@ function renderDocsLinks(json) {
   const header = folderUrl
     ? `<div class="docs-links-head"><a href="${escapeHtml(folderUrl)}" target="_blank" rel="noopener">📁 Abrir carpeta del paciente</a></div>`
     : '';
+  const dossier = json.dossier?.pdf_url
+    ? `<div class="docs-links-head"><a href="${escapeHtml(json.dossier.pdf_url)}" target="_blank" rel="noopener">📚 PDF único (${escapeHtml(String(json.dossier.documents))} documentos)</a></div>`
+    : (json.dossier?.error ? `<div class="docs-links-head muted small">PDF único: ${escapeHtml(json.dossier.message || json.dossier.error)}</div>` : '');
 
   const results = Array.isArray(json.results) ? json.results : [];
   const items = results.map((r) => {
@@ -943,10 +694,13 @@ function renderDocsLinks(json) {
     const pdf = r.pdf_url ? `<a href="${escapeHtml(r.pdf_url)}" target="_blank" rel="noopener">PDF</a>` : '';
     const links = [doc, pdf].filter(Boolean).join(' · ');
     const status = r.status ? `<span class="tag">${escapeHtml(r.status)}</span>` : '';
-    return `<li><span class="doc-name">${name}</span> ${status} <span class="doc-links">${links}</span></li>`;
+    const verif = r.verification_url
+      ? ` <a class="muted small" href="${escapeHtml(r.verification_url)}" target="_blank" rel="noopener">${escapeHtml(r.verification_code)}</a>`
+      : '';
+    return `<li><span class="doc-name">${name}</span> ${status} <span class="doc-links">${links}</span>${verif}</li>`;
   }).join('');
 
-  docsLinksEl.innerHTML = header + (items ? `<ul class="docs-links-list">${items}</ul>` : '<div class="muted small">Sin resultados</div>');
+  docsLinksEl.innerHTML = header + dossier + (items ? `<ul class="docs-links-list">${items}</ul>` : '<div class="muted small">Sin resultados</div>');
 }
 
 function setStatus(el, msg, kind = 'info') {
@@ -1021,6 +775,8 @@ function renderRutLookupPreview(json) {
 
 async function runContactRutLookup({ render = false } = {}) {
   const rutRaw = (fields.rut && fields.rut.value) ? String(fields.rut.value).trim() : '';
+  const idBody = idTypeBody($('c_id_type'), $('c_id_country'));
+  const lookupKey = `${idBody.id_type}|${idBody.id_country || ''}|${rutRaw}`;
   if (!rutRaw) {
     __cRutLookupJson = null;
     __cRutLookupRut = '';
@@ -1029,7 +785,7 @@ async function runContactRutLookup({ render = false } = {}) {
     return null;
   }
 
-  if (!render && __cRutLookupRut && __cRutLookupRut === rutRaw && __cRutLookupJson) {
+  if (!render && __cRutLookupRut && __cRutLookupRut === lookupKey && __cRutLookupJson) {
     return __cRutLookupJson;
   }
 
@@ -1037,15 +793,17 @@ async function runContactRutLookup({ render = false } = {}) {
     const res = await fetch('/api/search-rut', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ rut: rutRaw }),
+      body: JSON.stringify({ rut: rutRaw, ...idBody }),
     });
     const json = await res.json();
 
     __cRutLookupJson = json;
-    __cRutLookupRut = rutRaw;
+    __cRutLookupRut = lookupKey;
 
     const status = Number(json && json.status) || (res.ok ? 200 : res.status);
-    if (status === 400 || String(json.error || '').includes('INVALID_RUT') || String(json.error || '').includes('MISSING_RUT')) {
+    if (status === 400 && idBody.id_type !== 'rut') {
+      setRutMsg('err', `${json.message || 'ID inválido'} ‼️❌`);
+    } else if (status === 400 || String(json.error || '').includes('INVALID_RUT') || String(json.error || '').includes('MISSING_RUT')) {
       setRutMsg('err', 'Rut formato inválido ‼️❌');
     } else if (Number(json.contacts_found || 0) > 0) {
       setRutMsg('warn', 'Rut ya posee contacto no 🚨😩');
@@ -1077,7 +835,7 @@ $('form').addEventListener('submit', async (e) => {
     const res = await fetch('/api/search-rut', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ rut, pipelineId }),
+      body: JSON.stringify({ rut, pipelineId, ...idTypeBody($('idType'), $('idCountry')) }),
     });
 
     const json = await res.json();
@@ -1119,6 +877,8 @@ btnCreateDocs.addEventListener('click', async () => {
   setStatus(docsStatusEl, dry ? 'Preparando vista previa...' : 'Generando documentos...', 'running');
   docsOutEl.textContent = '';
   if (docsLinksEl) docsLinksEl.innerHTML = '';
+  if (btnRetryDocs) btnRetryDocs.style.display = 'none';
+  __docsJobId = null;
 
   try {
     const url = dry ? '/api/docs/generate-batch?dry_run=1' : '/api/docs/generate-batch';
@@ -1135,6 +895,8 @@ const res = await fetch(url, {
   body: JSON.stringify({
     deal_id: __selectedDealId,
     templates: selectedTemplates.map(t => ({ file_id: t.id, name: t.name })),
+    package_id: selectedPackage()?.id || undefined,
+    merge_pdf: !!docsMergePdfEl?.checked,
     actor: { id: ownerId, name: actorName, email: actorEmail },
   }),
 });
@@ -1145,10 +907,86 @@ const json = await res.json();
     renderDocsLinks(json);
     if (!res.ok) {
       setStatus(docsStatusEl, json.message || 'Error', 'error');
+    } else if (dry) {
+      setStatus(docsStatusEl, 'Vista Previa OK… confirma “CREAR DOCUMENTOS”', 'ok');
+    } else if (json.job_id) {
+      pollDocsJob(json.job_id);
     } else {
-      if (dry) setStatus(docsStatusEl, 'Vista Previa OK… confirma “CREAR DOCUMENTOS”', 'ok');
-      else setStatus(docsStatusEl, 'Documentos generados ✅', 'ok');
+      setStatus(docsStatusEl, 'Documentos generados ✅', 'ok');
+    }
+  } catch (err) {
+    setStatus(docsStatusEl, err.message || String(err), 'error');
+  }
+});
+
+// -------------------------
+// Docs job progress (POST /api/docs/generate-batch devuelve job_id)
+// -------------------------
+let __docsJobId = null;
+let __docsPollTimer = null;
+
+function renderDocsJobProgress(json) {
+  const p = json.progress || {};
+  const total = p.total || 0;
+  const finished = (p.done || 0) + (p.error || 0);
+
+  if (json.job_status === 'done') {
+    setStatus(docsStatusEl, `Documentos generados ✅ (${p.done}/${total})`, 'ok');
+  } else if (json.job_status === 'partial') {
+    const missing = (json.results || []).filter(r => r.ok === false).map(r => r.doc_type).join(', ');
+    setStatus(docsStatusEl, `Generados ${p.done}/${total}; no se encontraron: ${missing}`, 'error');
+  } else if (json.job_status === 'error') {
+    setStatus(docsStatusEl, `Terminado con errores: ${p.done} OK · ${p.error} con error de ${total}`, 'error');
+  } else {
+    setStatus(docsStatusEl, `Generando documentos... ${finished}/${total}`, 'running');
+  }
+
+  if (btnRetryDocs) btnRetryDocs.style.display = (json.job_status === 'error') ? '' : 'none';
+}
+
+function pollDocsJob(jobId) {
+  __docsJobId = jobId;
+  if (__docsPollTimer) clearTimeout(__docsPollTimer);
+  if (btnRetryDocs) btnRetryDocs.style.display = 'none';
+
+  const tick = async () => {
+    try {
+      const res = await fetch(`/api/docs/jobs/${encodeURIComponent(jobId)}`);
+      const json = await res.json();
+      if (jobId !== __docsJobId) return; // a newer job replaced this one
+
+      docsOutEl.textContent = JSON.stringify(json, null, 2);
+      if (!res.ok) {
+        setStatus(docsStatusEl, json.message || 'Error consultando el job', 'error');
+        return;
+      }
+      renderDocsLinks(json);
+      renderDocsJobProgress(json);
+      if (json.job_status === 'pending' || json.job_status === 'running') {
+        __docsPollTimer = setTimeout(tick, 2000);
+      }
+    } catch (err) {
+      // Red intermitente: seguimos intentando
+      __docsPollTimer = setTimeout(tick, 4000);
     }
+  };
+
+  tick();
+}
+
+if (btnRetryDocs) btnRetryDocs.addEventListener('click', async () => {
+  if (!__docsJobId) return;
+  btnRetryDocs.style.display = 'none';
+  setStatus(docsStatusEl, 'Reintentando templates con error...', 'running');
+  try {
+    const res = await fetch(`/api/docs/jobs/${encodeURIComponent(__docsJobId)}/retry`, { method: 'POST' });
+    const json = await res.json();
+    docsOutEl.textContent = JSON.stringify(json, null, 2);
+    if (!res.ok) {
+      setStatus(docsStatusEl, json.message || 'Error', 'error');
+      return;
+    }
+    pollDocsJob(__docsJobId);
   } catch (err) {
     setStatus(docsStatusEl, err.message || String(err), 'error');
   }
@@ -1373,9 +1211,33 @@ btnClear.addEventListener('click', () => {
   setStatus(cStatus, '', 'info');
 });
 
+// Tipo de identificador (RUT / pasaporte con país / ID provisorio): el país solo se pide para pasaporte
+function wireIdType(typeEl, countryWrapEl, placeholderEl) {
+  if (!typeEl) return;
+  const placeholders = { rut: 'Ej: 12.345.678-K', passport: 'Ej: AB1234567', provisional: 'Ej: PROV-12345' };
+  const sync = () => {
+    if (countryWrapEl) countryWrapEl.style.display = typeEl.value === 'passport' ? '' : 'none';
+    if (placeholderEl) placeholderEl.placeholder = placeholders[typeEl.value] || placeholders.rut;
+  };
+  typeEl.addEventListener('change', sync);
+  sync();
+}
+
+function idTypeBody(typeEl, countryEl) {
+  const idType = (typeEl && typeEl.value) || 'rut';
+  if (idType === 'rut') return { id_type: 'rut' };
+  return { id_type: idType, id_country: idType === 'passport' ? (countryEl?.value || '').trim().toUpperCase() : undefined };
+}
+
+const cIdType = $('c_id_type');
+const cIdCountry = $('c_id_country');
+wireIdType(cIdType, $('c_id_country_wrap'), fields.rut);
+wireIdType($('idType'), $('idCountryWrap'), rutEl);
+
 function collectContactData() {
   return {
     rut: fields.rut.value.trim(),
+    ...idTypeBody(cIdType, cIdCountry),
     nombres: fields.nombres.value.trim(),
     apellidos: fields.apellidos.value.trim(),
     fecha_nacimiento: fields.fecha_nacimiento.value.trim(),
@@ -1565,10 +1427,10 @@ $('btnCreate').addEventListener('click', () => callCreateContact(false));
 // Auto-check RUT when leaving the field (Tab/click)
 if (fields.rut) {
   fields.rut.addEventListener('blur', () => runContactRutLookup({ render: false }));
+  for (const id of ['c_id_type', 'c_id_country']) $(id)?.addEventListener('change', () => runContactRutLookup({ render: false }));
 }
 
 
-
 // -------------------------
 // Comboboxes (Tom Select)
 // -------------------------
@@ -1611,7 +1473,6 @@ function initComboboxes() {
 document.addEventListener("DOMContentLoaded", initComboboxes);
 
 
-
 // -------------------------
 // Crear DEAL / TRATO (usa último contact_id detectado/creado)
 // -------------------------
@@ -1640,9 +1501,34 @@ function renderDealResult(json) {
     parts.push(`<div class="summary-row"><b>Deals encontrados en el mismo pipeline:</b><ul style="margin:6px 0 0 18px;">${items}</ul></div>`);
   }
 
+  // Deal existente/creado => queda listo para "Ver cambios (actualizar deal)"
+  const updateIdEl = document.getElementById('dealUpdateId');
+  const knownDeal = json.deal || (Array.isArray(json.deals) && json.deals[0]) || null;
+  if (updateIdEl && knownDeal && knownDeal.id && !updateIdEl.value.trim()) updateIdEl.value = String(knownDeal.id);
+
   dSummary.innerHTML = parts.join('') || `<div class="muted small">Sin datos.</div>`;
 }
 
+// Medical deal fields (mismo body para crear y actualizar)
+function collectDealFields(body) {
+  body.sucursal = (document.getElementById('dealSucursal')?.value || '').trim();
+  body.peso = (document.getElementById('dealPeso')?.value || '').trim();
+  body.estatura = (document.getElementById('dealEstatura')?.value || '').trim();
+  body.interes = (document.getElementById('dealInteres')?.value || '').trim();
+  body.url_medinet = (document.getElementById('dealUrlMedinet')?.value || '').trim();
+  body.cirugias_previas = (document.getElementById('dealCirugiasPrevias')?.value || '').trim();
+  body.cirujano_bariatrico = (document.getElementById('dealCirujanoBariatrico')?.value || '').trim();
+  body.cirujano_plastico = (document.getElementById('dealCirujanoPlastico')?.value || '').trim();
+  body.cirujano_balon = (document.getElementById('dealCirujanoBalon')?.value || '').trim();
+  body.cirujano_general = (document.getElementById('dealCirujanoGeneral')?.value || '').trim();
+  body.validacion_pad = (document.getElementById('dealValidacionPad')?.value || '').trim();
+  body.numero_familia_paciente = (document.getElementById('dealNumeroFamilia')?.value || '').trim();
+  body.colaborador1 = (document.getElementById('dealColab1')?.value || '').trim();
+  body.colaborador2 = (document.getElementById('dealColab2')?.value || '').trim();
+  body.colaborador3 = (document.getElementById('dealColab3')?.value || '').trim();
+  return body;
+}
+
 async function callDeal(dryRun) {
   const contactId = Number(window.__lastContactId || 0);
   if (!Number.isFinite(contactId) || contactId <= 0) {
@@ -1672,10 +1558,7 @@ if (!ownerId || !Number.isFinite(ownerId)) {
   body.pipeline_id = pipelineId;
   body.owner_id = ownerId;
 
-  // Medical deal fields
-  body.sucursal = (document.getElementById('dealSucursal')?.value || '').trim();
-  body.peso = (document.getElementById('dealPeso')?.value || '').trim();
-  body.estatura = (document.getElementById('dealEstatura')?.value || '').trim();
+  collectDealFields(body);
 
   // Validación estricta de estatura para evitar errores (ej: 175 en vez de 1.75)
   const estaturaCm = parseHeightCmStrict(body.estatura);
@@ -1686,19 +1569,6 @@ if (!ownerId || !Number.isFinite(ownerId)) {
   }
   body.estatura = estaturaCm;
 
-  body.interes = (document.getElementById('dealInteres')?.value || '').trim();
-  body.url_medinet = (document.getElementById('dealUrlMedinet')?.value || '').trim();
-  body.cirugias_previas = (document.getElementById('dealCirugiasPrevias')?.value || '').trim();
-  body.cirujano_bariatrico = (document.getElementById('dealCirujanoBariatrico')?.value || '').trim();
-  body.cirujano_plastico = (document.getElementById('dealCirujanoPlastico')?.value || '').trim();
-  body.cirujano_balon = (document.getElementById('dealCirujanoBalon')?.value || '').trim();
-  body.cirujano_general = (document.getElementById('dealCirujanoGeneral')?.value || '').trim();
-  body.validacion_pad = (document.getElementById('dealValidacionPad')?.value || '').trim();
-  body.numero_familia_paciente = (document.getElementById('dealNumeroFamilia')?.value || '').trim();
-  body.colaborador1 = (document.getElementById('dealColab1')?.value || '').trim();
-  body.colaborador2 = (document.getElementById('dealColab2')?.value || '').trim();
-  body.colaborador3 = (document.getElementById('dealColab3')?.value || '').trim();
-
   const debug = (typeof techMode !== 'undefined' && techMode.checked) ? '&debug=1' : '';
   const url = dryRun ? `/api/create-deal?dry_run=1${debug}` : `/api/create-deal${debug}`;
 
@@ -1739,11 +1609,140 @@ if (btnDealPreview) btnDealPreview.addEventListener('click', () => callDeal(true
 if (btnDealCreate) btnDealCreate.addEventListener('click', () => callDeal(false));
 
 
+// -------------------------
+// Actualizar Contacto / Deal (PATCH): primero dry_run con el diff antes/después, luego confirmar
+// -------------------------
+function renderUpdateDiff(json) {
+  const parts = [];
+  const diff = json && json.diff;
+  if (diff) {
+    const rows = [...(diff.standard || []), ...(diff.custom_fields || [])];
+    const changed = rows.filter(r => r.changed);
+    if (!changed.length) {
+      parts.push(`<div class="summary-row"><b>Sin cambios</b> respecto de lo que hay en Sell.</div>`);
+    } else {
+      const trs = changed.map(r =>
+        `<tr><td>${escapeHtml(r.field)}</td><td class="before">${escapeHtml(r.before ?? '—')}</td><td class="after">${escapeHtml(r.after ?? '—')}</td></tr>`
+      ).join('');
+      parts.push(
+        `<div class="summary-row"><b>Cambios (${changed.length})</b> <span class="muted small">· ${rows.length - changed.length} campo(s) sin cambios</span></div>` +
+        `<table class="diff-table"><thead><tr><th>Campo</th><th>Antes (Sell)</th><th>Después</th></tr></thead><tbody>${trs}</tbody></table>`
+      );
+    }
+  }
+
+  // 409: el RUT nuevo ya es de otro contacto / deal del pipeline
+  const others = (Array.isArray(json.contacts) && json.contacts) || (Array.isArray(json.deals) && json.deals) || [];
+  if (others.length) {
+    const items = others.slice(0, 10).map(x =>
+      `<li><a href="${escapeHtml(x.desktop_url || '#')}" target="_blank" rel="noreferrer">${escapeHtml(x.display_name || x.name || ('#' + x.id))}</a></li>`
+    ).join('');
+    parts.push(`<div class="summary-row"><b>En conflicto:</b><ul style="margin:6px 0 0 18px;">${items}</ul></div>`);
+  }
+  return parts.join('');
+}
+
+function wireUpdateFlow({ previewBtn, confirmBtn, statusEl, summaryEl, detailsEl, outEl, label, buildRequest }) {
+  if (!previewBtn || !confirmBtn) return;
+  let pending = null; // lo que se previsualizó es exactamente lo que se confirma
+
+  async function run(dryRun) {
+    const req = dryRun ? buildRequest() : pending;
+    if (!req) return;
+    if (req.error) {
+      setStatus(statusEl, req.error, 'error');
+      return;
+    }
+
+    confirmBtn.style.display = 'none';
+    pending = null;
+    setStatus(statusEl, dryRun ? `Calculando cambios del ${label}...` : `Actualizando ${label}...`, 'running');
+
+    const params = new URLSearchParams();
+    if (dryRun) params.set('dry_run', '1');
+    if (techMode && techMode.checked) params.set('debug', '1');
+    const qs = params.toString();
+
+    try {
+      const res = await fetch(`${req.url}${qs ? `?${qs}` : ''}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(req.body),
+      });
+      const json = await res.json();
+
+      summaryEl.innerHTML = renderUpdateDiff(json);
+      if (dryRun && res.ok && Number(json.changed) > 0) {
+        pending = req;
+        confirmBtn.style.display = '';
+        setStatus(statusEl, `Revisa los cambios… confirma “Confirmar actualización”`, 'ok');
+      } else {
+        setStatus(statusEl, json.message || (res.ok ? 'OK' : 'Error'), res.ok ? 'ok' : 'error');
+      }
+
+      if ((techMode && techMode.checked) || !res.ok) {
+        if (detailsEl) detailsEl.open = true;
+        if (outEl) outEl.textContent = JSON.stringify(json, null, 2);
+      }
+    } catch (err) {
+      setStatus(statusEl, err.message || String(err), 'error');
+    }
+  }
+
+  previewBtn.addEventListener('click', () => run(true));
+  confirmBtn.addEventListener('click', () => run(false));
+}
+
+wireUpdateFlow({
+  previewBtn: document.getElementById('btnContactUpdatePreview'),
+  confirmBtn: document.getElementById('btnContactUpdateConfirm'),
+  statusEl: cStatus,
+  summaryEl: cSummary,
+  detailsEl: cDetails,
+  outEl: cOut,
+  label: 'contacto',
+  buildRequest: () => {
+    const contactId = Number(window.__lastContactId || 0);
+    if (!Number.isFinite(contactId) || contactId <= 0) {
+      return { error: 'Primero identifica el contacto (Vista previa con su RUT o crear contacto).' };
+    }
+    return { url: `/api/contacts/${contactId}`, body: collectContactData() };
+  },
+});
+
+wireUpdateFlow({
+  previewBtn: document.getElementById('btnDealUpdatePreview'),
+  confirmBtn: document.getElementById('btnDealUpdateConfirm'),
+  statusEl: dStatus,
+  summaryEl: dSummary,
+  detailsEl: dDetails,
+  outEl: dOut,
+  label: 'deal',
+  buildRequest: () => {
+    const dealId = Number((document.getElementById('dealUpdateId')?.value || '').trim());
+    if (!Number.isFinite(dealId) || dealId <= 0) return { error: 'Ingresa el Deal ID a actualizar.' };
+
+    const body = collectDealFields(collectContactData());
+    if (body.estatura) {
+      const estaturaCm = parseHeightCmStrict(body.estatura);
+      if (estaturaCm === null) return { error: 'Estatura inválida. Usa centimetros enteros (ej: 175). No usar 1,75 o 1.75.' };
+      body.estatura = estaturaCm;
+    }
+    return { url: `/api/deals/${dealId}`, body };
+  },
+});
 
 
 // -------------------------
 // Pipelines selector (por nombre)
 // -------------------------
+// Sell no disponible: el backend responde la última lista guardada (fallback + stale_since)
+function staleListHelp(json, label) {
+  if (!json?.fallback) return '';
+  const when = json.stale_since ? new Date(json.stale_since).toLocaleString('es-CL') : '';
+  return `${label} guardados${when ? ` el ${when}` : ''} (Sell no disponible).`;
+}
+
 async function loadPipelinesForDealForm() {
   const sel = document.getElementById('dealPipelineId');
   if (!sel) return;
@@ -1752,14 +1751,14 @@ async function loadPipelinesForDealForm() {
   try {
     const res = await fetch('/api/pipelines');
     const json = await res.json();
-    if (!res.ok || !json.ok) throw new Error(json.error || 'Error cargando pipelines');
+    if (!res.ok || !json.ok) throw new Error(json.message || json.error || 'Error cargando pipelines');
 
     const pipelines = json.pipelines || [];
     window.__pipelinesById = {};
     pipelines.forEach(p => { window.__pipelinesById[String(p.id)] = p.name; });
 
     const help = document.getElementById('dealPipelineHelp');
-    if (help) help.textContent = '';
+    if (help) help.textContent = staleListHelp(json, 'Pipelines');
 
     sel.innerHTML = `<option value="">Selecciona pipeline...</option>` + pipelines
       .map(p => `<option value="${p.id}">${escapeHtml(p.name)} (${p.id})</option>`)
@@ -1784,7 +1783,6 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-
 // Manual pipeline toggle
 document.addEventListener('DOMContentLoaded', () => {
   const btn = document.getElementById('toggleManualPipeline');
@@ -1810,7 +1808,7 @@ async function loadOwnersForDealForm() {
     const res = await fetch('/api/owners');
     const json = await res.json();
 
-    if (!res.ok || !json.ok) throw new Error(json.error || 'Error cargando dueños');
+    if (!res.ok || !json.ok) throw new Error(json.message || json.error || 'Error cargando dueños');
 
     const owners = json.owners || [];
     window.__ownersById = {};
@@ -1820,7 +1818,7 @@ async function loadOwnersForDealForm() {
       .map(o => `<option value="${o.id}">${escapeHtml(o.name)} (${o.id})</option>`)
       .join('');
 
-    if (help) help.textContent = json.fallback ? 'Dueños cargados por fallback.' : '';
+    if (help) help.textContent = staleListHelp(json, 'Dueños');
   } catch (err) {
     sel.innerHTML = `<option value="">No se pudieron cargar dueños</option>`;
     if (help) help.textContent = err.message || String(err);
@@ -1838,7 +1836,7 @@ async function loadOwnersForDocsForm() {
   try {
     const res = await fetch('/api/owners');
     const json = await res.json();
-    if (!res.ok || !json.ok) throw new Error(json.error || 'Error cargando dueños');
+    if (!res.ok || !json.ok) throw new Error(json.message || json.error || 'Error cargando dueños');
 
     const owners = json.owners || [];
     window.__ownersMeta = {};
@@ -1848,7 +1846,7 @@ async function loadOwnersForDocsForm() {
       .map(o => `<option value="${o.id}">${escapeHtml(o.name)} (${o.id})</option>`)
       .join('');
 
-    if (help) help.textContent = json.fallback ? 'Dueños cargados por fallback.' : '';
+    if (help) help.textContent = staleListHelp(json, 'Dueños');
   } catch (err) {
     sel.innerHTML = `<option value="">No se pudieron cargar dueños</option>`;
     if (help) help.textContent = err.message || String(err);
@@ -1865,7 +1863,6 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-
 async function loadDealListChoices(fieldName, selectId) {
   const sel = document.getElementById(selectId);
   if (!sel) return;
@@ -1901,3 +1898,183 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+
+// -------------------------
+// Duplicados por RUT: vista lado a lado + elegir sobreviviente + fusionar (con vista previa obligatoria)
+// -------------------------
+const dupForm = document.getElementById('dupForm');
+const dupStatus = document.getElementById('dup_status');
+const dupResults = document.getElementById('dup_results');
+const dupDetails = document.getElementById('dup_details');
+const dupOut = document.getElementById('dup_out');
+let __dupLast = null; // última respuesta de /api/duplicates
+
+function dupTableHtml({ key, kind, pipelineId, title, records, fields, standardRows }) {
+  const head = records.map(r =>
+    `<th><label class="chk"><input type="radio" name="dup_${escapeHtml(key)}" value="${escapeHtml(r.id)}" /> Sobreviviente</label>` +
+    `<div><a href="${escapeHtml(r.desktop_url || '#')}" target="_blank" rel="noreferrer">${escapeHtml(r.name || ('#' + r.id))}</a> <span class="mono muted">#${escapeHtml(r.id)}</span></div></th>`
+  ).join('');
+
+  const row = (label, values) => {
+    const differs = new Set(values.map(v => String(v ?? ''))).size > 1;
+    return `<tr class="${differs ? 'differs' : ''}"><td>${escapeHtml(label)}</td>${values.map(v => `<td>${escapeHtml(v ?? '—')}</td>`).join('')}</tr>`;
+  };
+  const rows = [
+    ...standardRows.map(([label, get]) => row(label, records.map(get))),
+    ...fields.map(f => row(f, records.map(r => (r.custom_fields || {})[f]))),
+  ].join('');
+
+  return `<div class="dup-group" data-key="${escapeHtml(key)}" data-kind="${kind}" data-pipeline="${escapeHtml(pipelineId ?? '')}">
+    <div class="summary-row" style="margin-top:12px;"><b>${escapeHtml(title)}</b></div>
+    <div class="dup-scroll"><table class="diff-table dup-table"><thead><tr><th>Campo</th>${head}</tr></thead><tbody>${rows}</tbody></table></div>
+    <div class="row" style="margin-top:8px;">
+      <button type="button" class="secondary" data-action="preview">Vista previa fusión</button>
+      <button type="button" class="danger" data-action="merge" disabled>Fusionar</button>
+    </div>
+    <div class="dup-result summary" style="display:none;"></div>
+  </div>`;
+}
+
+function renderDuplicates(json) {
+  const parts = [];
+  const tags = r => (r.tags || []).join(', ') || null;
+
+  if (json.contact_conflict) {
+    parts.push(dupTableHtml({
+      key: 'contact',
+      kind: 'contact',
+      pipelineId: null,
+      title: `Contactos con el mismo RUT (${json.contacts.length})`,
+      records: json.contacts,
+      fields: (json.fields && json.fields.contact) || [],
+      standardRows: [
+        ['Creado', r => r.created_at], ['Actualizado', r => r.updated_at], ['Correo', r => r.email], ['Teléfono', r => r.phone],
+        ['Dirección', r => r.address], ['Tags', tags], ['Deals con este RUT', r => String(r.deals_with_rut)],
+      ],
+    }));
+  }
+
+  for (const g of json.deal_conflicts || []) {
+    parts.push(dupTableHtml({
+      key: `deal_${g.pipeline_id}`,
+      kind: 'deal',
+      pipelineId: g.pipeline_id,
+      title: `Deals con el mismo RUT en pipeline ${g.pipeline_name || g.pipeline_id} (${g.deals.length})`,
+      records: g.deals,
+      fields: g.fields || [],
+      standardRows: [
+        ['Etapa', r => r.stage_name], ['Contacto', r => r.contact_id], ['Creado', r => r.created_at], ['Actualizado', r => r.updated_at], ['Tags', tags],
+      ],
+    }));
+  }
+
+  if (!parts.length) parts.push(`<div class="summary">Sin duplicados para <span class="mono">${escapeHtml(json.rut_humano || '')}</span> ✅</div>`);
+
+  const merges = json.merges || [];
+  if (merges.length) {
+    const items = merges.slice(0, 10).map(m =>
+      `<li>${escapeHtml(m.created_at)} · ${escapeHtml(m.kind)} → sobreviviente <span class="mono">#${escapeHtml(m.survivor_id)}</span>` +
+      ` (fusionados: ${escapeHtml((m.loser_ids || []).join(', '))}) · ${escapeHtml(m.actor?.email || '')}${m.ok ? '' : ' · ⚠️ con errores'}</li>`
+    ).join('');
+    parts.push(`<div class="summary" style="margin-top:12px;"><b>Fusiones anteriores</b><ul style="margin:6px 0 0 18px;">${items}</ul></div>`);
+  }
+
+  dupResults.innerHTML = parts.join('');
+}
+
+async function loadDuplicates() {
+  const rut = (document.getElementById('dupRut')?.value || '').trim();
+  if (!rut) {
+    setStatus(dupStatus, 'Ingresa un RUT.', 'error');
+    return;
+  }
+  setStatus(dupStatus, 'Buscando duplicados...', 'running');
+  dupResults.innerHTML = '';
+  try {
+    const res = await fetch(`/api/duplicates?rut=${encodeURIComponent(rut)}`);
+    const json = await res.json();
+    __dupLast = res.ok ? json : null;
+    if (res.ok) renderDuplicates(json);
+    const conflicts = (json.contact_conflict ? 1 : 0) + (json.deal_conflicts || []).length;
+    setStatus(dupStatus, res.ok ? (conflicts ? `${conflicts} conflicto(s) para ${json.rut_humano}` : 'Sin duplicados') : (json.message || 'Error'), res.ok ? 'ok' : 'error');
+    if ((techMode && techMode.checked) || !res.ok) {
+      if (dupDetails) dupDetails.open = true;
+      if (dupOut) dupOut.textContent = JSON.stringify(json, null, 2);
+    }
+  } catch (err) {
+    setStatus(dupStatus, err.message || String(err), 'error');
+  }
+}
+
+async function runDuplicateMerge(groupEl, dryRun) {
+  const resultEl = groupEl.querySelector('.dup-result');
+  const mergeBtn = groupEl.querySelector('[data-action="merge"]');
+  const picked = groupEl.querySelector('input[type="radio"]:checked');
+  const actorEmail = (document.getElementById('dupActorEmail')?.value || '').trim();
+  if (!picked) return setStatus(dupStatus, 'Elige el registro sobreviviente.', 'error');
+  if (!actorEmail) return setStatus(dupStatus, 'Ingresa el correo del supervisor.', 'error');
+  if (!__dupLast) return;
+
+  const body = {
+    kind: groupEl.dataset.kind,
+    rut: __dupLast.rut_normalizado,
+    pipeline_id: groupEl.dataset.pipeline ? Number(groupEl.dataset.pipeline) : null,
+    survivor_id: Number(picked.value),
+    actor: { email: actorEmail },
+  };
+
+  // Fusionar solo queda habilitado tras una vista previa con el mismo sobreviviente
+  if (!dryRun && groupEl.dataset.previewed !== String(body.survivor_id)) return;
+  mergeBtn.disabled = true;
+  setStatus(dupStatus, dryRun ? 'Calculando fusión...' : 'Fusionando en Sell...', 'running');
+
+  try {
+    const res = await fetch(`/api/duplicates/merge${dryRun ? '?dry_run=1' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const json = await res.json();
+    const labels = { move_deal: 'Mover deal', copy_note: 'Copiar nota', tag: 'Etiquetar', note: 'Nota en duplicado' };
+    const items = (json.actions || []).map(a => {
+      const target = a.type === 'move_deal' ? `deal #${a.deal_id} → #${a.to}` : a.type === 'copy_note' ? `nota #${a.note_id} → #${a.to}` : `#${a.id}${a.tag ? ` (${a.tag})` : ''}`;
+      const mark = a.ok === false ? ` ❌ ${a.error || ''}` : a.ok === true ? ' ✅' : '';
+      return `<li>${escapeHtml(labels[a.type] || a.type)}: ${escapeHtml(target)}${escapeHtml(mark)}</li>`;
+    }).join('');
+    resultEl.style.display = '';
+    resultEl.innerHTML = `<b>${escapeHtml(json.message || '')}</b>${items ? `<ul style="margin:6px 0 0 18px;">${items}</ul>` : ''}`;
+    setStatus(dupStatus, json.message || (res.ok ? 'OK' : 'Error'), res.ok && !json.partial ? 'ok' : 'error');
+
+    if (dryRun && res.ok) {
+      groupEl.dataset.previewed = String(body.survivor_id);
+      mergeBtn.disabled = false;
+    }
+    if (!dryRun && res.ok) setTimeout(loadDuplicates, 800);
+    if ((techMode && techMode.checked) || !res.ok) {
+      if (dupDetails) dupDetails.open = true;
+      if (dupOut) dupOut.textContent = JSON.stringify(json, null, 2);
+    }
+  } catch (err) {
+    setStatus(dupStatus, err.message || String(err), 'error');
+  }
+}
+
+if (dupForm) dupForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadDuplicates();
+});
+
+if (dupResults) {
+  dupResults.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    runDuplicateMerge(btn.closest('.dup-group'), btn.dataset.action === 'preview');
+  });
+  // Cambiar de sobreviviente invalida la vista previa
+  dupResults.addEventListener('change', (e) => {
+    if (e.target.type !== 'radio') return;
+    const groupEl = e.target.closest('.dup-group');
+    delete groupEl.dataset.previewed;
+    groupEl.querySelector('[data-action="merge"]').disabled = true;
+  });
+}
@@ -0,0 +1,158 @@
+/* Sesión del portal (login Google Workspace, ver lib/auth.js)
+   - Muestra usuario / Invitado en el topbar con Entrar / Salir
+   - Sin sesión (y login activo): panel para entrar con Google o como invitado
+   - Invitado: banner de solo lectura; el backend responde 403 GUEST_READ_ONLY a las escrituras
+   - Rol (lib/roles.js): oculta los botones que el rol no puede usar y deshabilita crear deal en pipelines restringidos
+*/
+
+(function () {
+  "use strict";
+
+  const AUTH_ERRORS = {
+    DOMAIN_NOT_ALLOWED: "Esa cuenta no es del dominio permitido.",
+    EMAIL_NOT_VERIFIED: "La cuenta de Google no tiene el correo verificado.",
+    INVALID_OAUTH_STATE: "El login expiró. Vuelve a intentarlo.",
+    OAUTH_DENIED: "Se canceló el login con Google.",
+  };
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs || {})) {
+      if (k === "class") node.className = v;
+      else if (k.startsWith("on") && typeof v === "function") node.addEventListener(k.slice(2), v);
+      else node.setAttribute(k, String(v));
+    }
+    for (const c of children || []) node.appendChild(typeof c === "string" ? document.createTextNode(c) : c);
+    return node;
+  }
+
+  function loginUrl() {
+    return `/auth/login?return_to=${encodeURIComponent(location.pathname + location.hash)}`;
+  }
+
+  async function post(url) {
+    await fetch(url, { method: "POST" });
+    location.href = "/";
+  }
+
+  function takeAuthError() {
+    const params = new URLSearchParams(location.search);
+    const code = params.get("auth_error");
+    if (!code) return null;
+    params.delete("auth_error");
+    const qs = params.toString();
+    history.replaceState(null, "", `${location.pathname}${qs ? `?${qs}` : ""}${location.hash}`);
+    return AUTH_ERRORS[code] || `No se pudo iniciar sesión (${code}).`;
+  }
+
+  // Botones que escriben → permiso que exige el backend (requirePermission en server.js)
+  const BUTTON_PERMISSIONS = {
+    btnCreate: "contact.create",
+    btnContactUpdateConfirm: "contact.update",
+    btnDealUpdateConfirm: "deal.update",
+    btnCreateDocs: "docs.generate",
+    btnRetryDocs: "docs.generate",
+  };
+
+  // Misma regla que requiredRole/roleAllows en lib/roles.js
+  function can(me, action, pipelineId) {
+    const perms = me.permissions || {};
+    const required = (pipelineId && perms[`${action}@${Number(pipelineId)}`]) || perms[action] || "admin";
+    return me.roles.indexOf(me.user.role) >= me.roles.indexOf(required);
+  }
+
+  function applyPermissions(me) {
+    for (const [id, action] of Object.entries(BUTTON_PERMISSIONS)) {
+      const btn = document.getElementById(id);
+      if (btn && !can(me, action)) btn.classList.add("perm-hidden");
+    }
+    // Fusionar (botones que arma app.js por cada conflicto): la vista previa sigue disponible
+    if (!can(me, "duplicates.merge")) document.body.classList.add("no-duplicates-merge");
+
+    const btnDeal = document.getElementById("btnDealCreate");
+    const pipelineSel = document.getElementById("dealPipelineId");
+    const manual = document.getElementById("manualPipelineId");
+    if (!btnDeal) return;
+    const refresh = () => {
+      const pipelineId = Number((manual && manual.value) || (pipelineSel && pipelineSel.value) || 0) || null;
+      const ok = can(me, "deal.create", pipelineId);
+      btnDeal.disabled = !ok;
+      btnDeal.title = ok ? "" : `Tu rol (${me.user.role}) no puede crear deals en este pipeline`;
+    };
+    if (pipelineSel) pipelineSel.addEventListener("change", refresh);
+    if (manual) manual.addEventListener("input", refresh);
+    refresh();
+  }
+
+  function renderBar(me) {
+    const right = document.querySelector(".topbar-right");
+    if (!right) return;
+    const user = me.user;
+    const bar = el("div", { class: "auth-bar" });
+    if (user && !user.guest) {
+      bar.append(el("span", { class: "muted", title: user.email }, [user.name || user.email]));
+      bar.append(el("span", { class: "badge" }, [user.role]));
+      bar.append(el("button", { type: "button", class: "secondary", onclick: () => post("/auth/logout") }, ["Salir"]));
+    } else if (user && user.guest) {
+      bar.append(el("span", { class: "badge" }, ["Invitado"]));
+      bar.append(el("a", { class: "btn-link", href: loginUrl() }, ["Entrar con Google"]));
+    }
+    right.prepend(bar);
+  }
+
+  function renderLogin(me, error) {
+    const domains = (me.auth.domains || []).map((d) => `@${d}`).join(", ");
+    const card = el("section", { class: "card auth-card" }, [
+      el("h2", {}, ["Iniciar sesión"]),
+      el("p", { class: "muted" }, [`Entra con tu cuenta Google ${domains}.`]),
+    ]);
+    if (error) card.append(el("div", { class: "status error" }, [error]));
+    const row = el("div", { class: "row" }, [el("a", { class: "btn-link", href: loginUrl() }, ["Entrar con Google"])]);
+    if (me.auth.guest_allowed) {
+      row.append(el("button", { type: "button", class: "secondary", onclick: () => post("/auth/guest") }, ["Continuar como invitado"]));
+    }
+    card.append(row);
+
+    const header = document.querySelector(".topbar");
+    document.body.classList.add("auth-locked");
+    if (header) header.insertAdjacentElement("afterend", card);
+  }
+
+  function renderGuestBanner() {
+    const header = document.querySelector(".topbar");
+    const banner = el("div", { class: "status auth-guest" }, [
+      "Modo invitado: puedes recorrer el portal, pero no ver datos de pacientes, crear contactos/deals ni generar documentos.",
+    ]);
+    document.body.classList.add("is-guest");
+    if (header) header.insertAdjacentElement("afterend", banner);
+  }
+
+  async function init() {
+    let me;
+    try {
+      const res = await fetch("/auth/me");
+      me = await res.json();
+    } catch (_e) {
+      return;
+    }
+    if (!me || !me.auth || !me.auth.enabled) return;
+    window.__portalUser = me.user;
+
+    const error = takeAuthError();
+    if (!me.user) return renderLogin(me, error);
+
+    renderBar(me);
+    applyPermissions(me);
+    if (me.user.guest) return renderGuestBanner();
+
+    // Fusión de duplicados: el actor es el usuario logueado (el backend ignora el correo escrito)
+    const dupActor = document.getElementById("dupActorEmail");
+    if (dupActor) {
+      dupActor.value = me.user.email;
+      dupActor.readOnly = true;
+    }
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
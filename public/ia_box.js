@@ -0,0 +1,336 @@
+// Parser del "IA box" (texto pegado desde WhatsApp/formularios → campos del contacto).
+// Script clásico: se carga antes de app.js (las funciones quedan globales); en Node se exporta para los tests.
+
+function cleanText(s) {
+  return String(s || '')
+    .replace(/\*/g, '')
+    .replace(/=/g, ':')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\r/g, '')
+    .trim();
+}
+
+function normalizeSpaces(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim();
+}
+
+function normKey(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/\p{Diacritic}/gu, '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function uniq(arr) {
+  const out = [];
+  const seen = new Set();
+  for (const a of arr) {
+    const k = String(a || '').trim();
+    if (!k) continue;
+    const kk = k.toLowerCase();
+    if (seen.has(kk)) continue;
+    seen.add(kk);
+    out.push(k);
+  }
+  return out;
+}
+
+function extractEmailFromLines(lines) {
+  for (const ln of lines) {
+    const m = ln.match(/([A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,})/i);
+    if (m) return m[1].trim();
+  }
+  return '';
+}
+
+function extractRutFromLines(lines) {
+  for (const ln of lines) {
+    const l = ln.trim();
+    const labeled = l.match(/\b(?:RUT|RUN)\b\s*[:\-]\s*([0-9kK\.\- ]{7,14})/i);
+    if (labeled) return normalizeSpaces(labeled[1]).replace(/\s/g, '');
+  }
+  for (const ln of lines) {
+    const l = ln.trim();
+    let m = l.match(/\b(\d{1,2}\.\d{3}\.\d{3}-[0-9kK])\b/);
+    if (m) return m[1];
+    m = l.match(/\b(\d{7,8}-[0-9kK])\b/);
+    if (m) return m[1];
+    m = l.match(/\b(\d{7,8}[0-9kK])\b/);
+    if (m) return m[1];
+  }
+  return '';
+}
+
+function rutParts(rut) {
+  const raw = String(rut || '').toUpperCase().replace(/[^0-9K]/g, '');
+  if (raw.length < 2) return { num: '', dv: '' };
+  return { num: raw.slice(0, -1), dv: raw.slice(-1) };
+}
+
+function parseDobFromLines(lines) {
+  // Accept:
+  // - DD/MM/YYYY or DD-MM-YYYY
+  // - YYYY-MM-DD or YYYY/MM/DD
+  // - 22nov1980, 22 nov 1980, 22-nov-1980
+  const months = {
+    ENE: '01', FEB: '02', MAR: '03', ABR: '04', MAY: '05', JUN: '06',
+    JUL: '07', AGO: '08', SEP: '09', SET: '09', OCT: '10', NOV: '11', DIC: '12',
+  };
+
+  for (const ln of lines) {
+    const l = ln.trim();
+
+    // DD/MM/YYYY or DD-MM-YYYY
+    let m = l.match(/\b(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})\b/);
+    if (m) return `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}/${m[3]}`;
+
+    // YYYY-MM-DD or YYYY/MM/DD
+    m = l.match(/\b(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})\b/);
+    if (m) return `${String(m[3]).padStart(2, '0')}/${String(m[2]).padStart(2, '0')}/${m[1]}`;
+
+    // 22nov1980
+    m = l.match(/\b(\d{1,2})\s*([A-Za-zÁÉÍÓÚÑáéíóúñ]{3,})\s*(\d{4})\b/);
+    if (m) {
+      const dd = String(m[1]).padStart(2, '0');
+      const mon = normKey(m[2]).slice(0, 3);
+      const mm = months[mon];
+      if (mm) return `${dd}/${mm}/${m[3]}`;
+    }
+  }
+  return '';
+}
+
+function extractPhonesFromLines(lines, rutNum, rutNumPlusDv) {
+  // Prefer labeled lines
+  const keyWords = /(CELULAR|CEL\.|MÓVIL|MOVIL|TELÉFONO|TELEFONO|FONO|WHATSAPP)/i;
+  const candidates = [];
+
+  const addCandidate = (raw) => {
+    let s = String(raw || '').trim();
+    // Keep + and digits
+    s = s.replace(/[^\d+]/g, '');
+    const only = s.replace(/\+/g, '');
+    if (only.length < 8) return;
+    // Exclude rut-related numbers
+    if (only === rutNum || only === rutNumPlusDv) return;
+    // If no + and starts with 56, add +
+    if (!s.startsWith('+') && only.startsWith('56')) s = '+' + only;
+    candidates.push(s);
+  };
+
+  for (const ln of lines) {
+    if (!keyWords.test(ln)) continue;
+    const m = ln.match(/[:\-]\s*(.+)$/);
+    if (m) addCandidate(m[1]);
+    else addCandidate(ln);
+  }
+
+  // Unlabeled: numeric-only lines
+  for (const ln of lines) {
+    const l = ln.trim();
+    // skip lines that include letters (avoid 22nov1980)
+    if (/[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l)) continue;
+    const m = l.match(/^\+?\d[\d(). -]{6,}\d$/);
+    if (m) addCandidate(l);
+  }
+
+  // Also detect +56... inside a line
+  for (const ln of lines) {
+    const ms = ln.match(/(\+?56\d{8,9})/g);
+    if (ms) ms.forEach(addCandidate);
+  }
+
+  const out = uniq(candidates);
+  return [out[0] || '', out[1] || ''];
+}
+
+function splitFullName(full) {
+  const cleaned = normalizeSpaces(full).replace(/[,;]+/g, ' ');
+  const parts = cleaned.split(' ').filter(Boolean);
+  if (parts.length === 0) return { nombres: '', apellidos: '' };
+  if (parts.length === 1) return { nombres: parts[0], apellidos: '' };
+  if (parts.length === 2) return { nombres: parts[0], apellidos: parts[1] };
+  // Heurística Chile: últimos 2 tokens = apellidos
+  const apellidos = parts.slice(-2).join(' ');
+  const nombres = parts.slice(0, -2).join(' ');
+  return { nombres, apellidos };
+}
+
+function extractByLabels(lines, labels) {
+  for (const lab of labels) {
+    const re = new RegExp(`\\b${lab}\\b\\s*[:\\-]\\s*(.+)$`, 'i');
+    for (const ln of lines) {
+      const m = ln.match(re);
+      if (m) return normalizeSpaces(m[1]);
+    }
+  }
+  return '';
+}
+
+const PREVISION_CHOICES = new Set([
+  'BANMEDICA','COLMENA','CONSALUD','CRUZ BLANCA','CRUZ DEL NORTE','DIPRECA','ESENCIAL',
+  'FONASA','FUNDACION','I SALUD - EX CHUQUICAMATA','JEAFOSALE','MEDIMEL-BANMEDICA',
+  'NUEVA MAS VIDA','OTRA DE FUERZAS ARMADAS','PAD FONASA PAD','PARTICULAR','VIDA TRES'
+]);
+
+function normalizePrevision(s) {
+  let t = normKey(s);
+  t = t.replace(/\s+/g, ' ').trim();
+
+  const aliasMap = {
+    'ISAPRE CRUZBLANCA': 'CRUZ BLANCA',
+    'ISAPRE CRUZ BLANCA': 'CRUZ BLANCA',
+    'CRUZBLANCA': 'CRUZ BLANCA',
+  };
+  t = aliasMap[t] || t;
+
+  // If includes "FONASA", keep only FONASA (tramo goes elsewhere)
+  if (t.includes('FONASA')) return 'FONASA';
+  // If includes any known choice as substring, pick it
+  for (const ch of PREVISION_CHOICES) {
+    if (t === ch) return ch;
+  }
+  // Special: PAD Fonasa PAD
+  if (t.includes('PAD') && t.includes('FONASA')) return 'PAD FONASA PAD';
+  return t;
+}
+
+function extractNameFromWhatsApp(lines) {
+  // First non-empty line with letters and spaces, no @, no digits, not a label line.
+  for (const ln of lines) {
+    const l = ln.trim();
+    if (!l) continue;
+    if (l.includes('@')) continue;
+    if (/[0-9]/.test(l)) continue;
+    if (/^\w+\s*:/i.test(l)) continue;
+    if (l.length < 3) continue;
+    return l;
+  }
+  return '';
+}
+
+function guessAddressAndComuna(lines, rut, email, dob, phone1, phone2, fullName) {
+  const exclude = new Set([normKey(rut), normKey(email), normKey(dob), normKey(phone1), normKey(phone2), normKey(fullName)]);
+  const candidates = lines
+    .map((l) => l.trim())
+    .filter((l) => l && !l.includes('@'))
+    .filter((l) => !exclude.has(normKey(l)));
+
+  // If labels exist, use them
+  let comuna = extractByLabels(lines, ['Comuna', 'Ciudad']);
+  let direccion = extractByLabels(lines, ['Direcci[oó]n', 'Direccion', 'Domicilio']);
+  if (direccion && !comuna) {
+    const mm = direccion.match(/(.+),\s*([A-ZÁÉÍÓÚÑa-záéíóúñ ]{3,})$/);
+    if (mm) {
+      direccion = mm[1].trim();
+      comuna = mm[2].trim();
+    }
+  }
+  if (direccion || comuna) return { direccion, comuna };
+
+  // Guess comuna: last line that is letters only (no digits) and short
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const l = candidates[i];
+    if (/[0-9]/.test(l)) continue;
+    if (l.length > 30) continue;
+    if (!/[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l)) continue;
+    comuna = l;
+    // Guess dirección: nearest previous line with digits (street number)
+    for (let j = i - 1; j >= 0; j--) {
+      const prev = candidates[j];
+      if (/[0-9]/.test(prev) && /[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(prev)) {
+        direccion = prev;
+        break;
+      }
+    }
+    // fallback address: previous line even without digits
+    if (!direccion && i - 1 >= 0) direccion = candidates[i - 1];
+    break;
+  }
+  return { direccion, comuna };
+}
+
+function parseIABox(raw) {
+  const text = cleanText(raw);
+  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+
+  const rut = extractRutFromLines(lines);
+  const { num: rutNum, dv } = rutParts(rut);
+  const rutNumPlusDv = rutNum && dv ? (rutNum + dv) : '';
+
+  const email = extractEmailFromLines(lines);
+  const fecha = parseDobFromLines(lines);
+
+  // Names
+  let nombres = extractByLabels(lines, ['Nombres?', 'Nombre\\s*\\(s\\)', 'First\\s*name']);
+  let apellidos = extractByLabels(lines, ['Apellidos?', 'Last\\s*name']);
+  if (!nombres && !apellidos) {
+    const labeledFull = extractByLabels(lines, ['Nombre\\s*completo', 'Nombre', 'Paciente']);
+    const full = labeledFull || extractNameFromWhatsApp(lines);
+    const split = splitFullName(full);
+    nombres = split.nombres;
+    apellidos = split.apellidos;
+  } else if (nombres && !apellidos) {
+    // If "Nombre:" contains full name, split
+    const split = splitFullName(nombres);
+    if (split.apellidos) {
+      nombres = split.nombres;
+      apellidos = split.apellidos;
+    }
+  }
+
+  // Phones (line-based, excludes RUT)
+  const [telefono1, telefono2] = extractPhonesFromLines(lines, rutNum, rutNumPlusDv);
+
+  // Previsión / Aseguradora
+  let aseguradora = extractByLabels(lines, ['Aseguradora', 'Previsi[oó]n', 'Prevision']);
+  if (!aseguradora) {
+    // Try to detect a line that matches a choice
+    for (const ln of lines) {
+      const k = normKey(ln);
+      if (PREVISION_CHOICES.has(k)) { aseguradora = ln; break; }
+      if (k.includes('FONASA')) { aseguradora = 'FONASA'; break; }
+    }
+  }
+  aseguradora = aseguradora ? normalizePrevision(aseguradora) : '';
+
+  let modalidad = extractByLabels(lines, ['Modalidad']);
+  if (!modalidad) modalidad = ''; // don't guess for now
+
+  const fullNameGuess = normalizeSpaces([nombres, apellidos].filter(Boolean).join(' '));
+  const addr = guessAddressAndComuna(lines, rut, email, fecha, telefono1, telefono2, fullNameGuess);
+
+  let direccion = addr.direccion ? addr.direccion : '';
+  let comuna = addr.comuna ? addr.comuna : '';
+
+  comuna = comuna ? normKey(comuna) : '';
+  // Keep accents? We will keep original if present; but for field, uppercase is ok.
+  // If comuna had accents, normKey removes them; but backend canonicalComuna handles accents.
+  // We'll keep the raw comuna if we can find it in original lines (last match).
+  if (comuna) {
+    // Find best original line matching comuna key
+    const key = comuna;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (normKey(lines[i]) === key) { comuna = lines[i].toUpperCase().trim(); break; }
+    }
+  }
+
+  return {
+    rut,
+    nombres,
+    apellidos,
+    fecha_nacimiento: fecha,
+    telefono1: telefono1 || '',
+    telefono2: telefono2 || '',
+    email,
+    aseguradora,
+    modalidad,
+    direccion,
+    comuna,
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseIABox, normalizePrevision, normKey, rutParts, splitFullName };
+}
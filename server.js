@@ -12,42 +12,91 @@ async function resolvePipelineName(pipelineId) {
 const path = require('path');
 const express = require('express');
 
-const { normalizeRut } = require('./lib/rut');
+const { formatRutHumanFromNoDashLower } = require('./lib/rut');
+const { isPatientIdError, normalizePatientId, parseStoredPatientId, patientIdSearchValues } = require('./lib/patient_id');
 const {
   resolveSearchApiId,
   searchContactsByCustomField,
   searchDealsByCustomField,
   getDealsByIds,
+  getContactsByIds,
   getStagesByIds,
   getPipelinesByIds,
   getPipelines,
+  getUsers,
   getFirstStageIdForPipeline,
   getContactCustomFields,
   getDealCustomFields,
   createContact,
   createDeal,
+  updateContact,
+  updateDeal,
   getDealById,
   getContactById,
-  createNoteForDeal,
+  sellStatus,
 } = require('./lib/sell');
-
+const { rememberLastGood, getLastGood } = require('./lib/last_good');
+
+// Drive (default), local filesystem or S3 según DOCS_STORAGE
+const { getStorage } = require('./lib/storage');
+const { resolveTemplateEngine, readTemplateText, renderDocument } = require('./lib/doc_render');
+const { buildBatchPlaceholders, buildRenderPlaceholders, analyzeTemplateText } = require('./lib/placeholders');
+const { listPackages, getPackage, packageMatchesPipeline } = require('./lib/packages');
+const { createJob, getJob, retryJob, publicJob } = require('./lib/jobs');
+const { buildDossierPdf } = require('./lib/pdf');
+const {
+  verificationEnabled,
+  newVerificationCode,
+  publicBaseUrlFromEnv,
+  requirePublicBaseUrl,
+  verificationUrl,
+  saveVerification,
+  findVerification,
+} = require('./lib/verification');
+const { loadImageConfig, chooseImagesForDeal, resolveImagePlaceholders, verifyImageToken, imageInfo } = require('./lib/signatures');
+const { sha256, recordIssuedDocument, listRegistry, verifyRegistryChain, checkPdfAgainstRegistry } = require('./lib/registry');
+const { duplicateTag, mergeDuplicates, listMerges } = require('./lib/duplicates');
+const { startRutScan, rutScanFixes, applyRutScan } = require('./lib/rut_scan');
 const {
-  listTemplatesInFolder,
-  ensurePatientFolders,
-  copyTemplateToFolder,
-  replacePlaceholdersInDoc,
-  ensureDealAgentHeader,
-  exportDocAsPdfBuffer,
-  uploadPdfToFolder,
-  driveFolderUrl,
-  driveFileUrl,
-  docsEditUrl,
-} = require('./lib/drive_docs');
+  webhookSecret,
+  loadWebhookRules,
+  matchWebhookRule,
+  verifyWebhookSignature,
+  parseWebhookEvents,
+  claimWebhookEvent,
+  recordWebhookEvent,
+  listWebhookEvents,
+} = require('./lib/sell_webhook');
+const {
+  authEnabled,
+  sessionSecret,
+  guestAllowed,
+  allowedDomains,
+  readSession,
+  sessionCookie,
+  clearSessionCookie,
+  safeReturnTo,
+  beginLogin,
+  completeLogin,
+  clearOAuthCookie,
+  sessionActor,
+} = require('./lib/auth');
+const { ROLE_ORDER, loadRolesConfig, resolveRole, requiredRole, roleAllows } = require('./lib/roles');
+const { SCOPES, isProduction, listApiKeys, createApiKey, revokeApiKey, publicApiKey, checkApiKey } = require('./lib/api_keys');
+const { resolveActor } = require('./lib/actor');
+const { buildActionNote, writeNote, listOutbox, retryOutbox, startNoteRetries } = require('./lib/notes');
+const { auditHashSecret, auditEntry, recordAudit, listAudit } = require('./lib/audit');
 
 const { canonicalComuna, ERROR_COMUNA } = require('./lib/comunas');
 
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  // Los webhooks firman el body crudo (lib/sell_webhook.js)
+  verify: (req, _res, buf) => {
+    if (req.url.startsWith('/webhooks/')) req.rawBody = buf;
+  },
+}));
 // Be tolerant to accidental double slashes like "//api/search-rut"
 app.use((req, _res, next) => {
   if (req.url && req.url.includes('//')) req.url = req.url.replace(/\/{2,}/g, '/');
@@ -55,19 +104,235 @@ app.use((req, _res, next) => {
 });
 app.use(express.static(path.join(__dirname, 'public')));
 
-app.get('/health', (_req, res) => res.status(200).send('ok'));
+// --- Sesión del portal (login Google Workspace, lib/auth.js) ---
+// Con login en producción y sin SESSION_SECRET, el portal y /auth responden 503 (como AUTH_NOT_CONFIGURED)
+app.use((req, res, next) => {
+  if (!authEnabled()) {
+    req.user = null;
+    return next();
+  }
+  try {
+    sessionSecret();
+  } catch (e) {
+    req.user = null;
+    if ((!req.path.startsWith('/api/') && !req.path.startsWith('/auth/')) || req.path.startsWith('/api/docs/images/')) return next();
+    return res.status(e.http_status).json({ ok: false, status: e.http_status, error: e.code, message: e.message });
+  }
+  req.user = readSession(req.header('cookie'));
+  return next();
+});
 
-// --- API KEY guard (para Widget) ---
-function requireApiKey(req, res, next) {
-  // Usa BACKEND_API_KEY en Render (recomendado)
-  const expected = String(process.env.BACKEND_API_KEY || process.env.RENDER_API_KEY || '').trim();
-  if (!expected) return next(); // si no hay key configurada, no bloquea (útil en dev)
+// --- Auditoría (lib/audit.js): cada request a una ruta queda en DATA_DIR/audit.jsonl al terminar la respuesta ---
+// Sin AUDIT_HASH_SECRET en producción no se atiende nada (salvo /health): el RUT quedaría con un hash adivinable
+app.use((req, res, next) => {
+  if (req.path !== '/health') {
+    try {
+      auditHashSecret();
+    } catch (e) {
+      return res.status(e.http_status).json({ ok: false, status: e.http_status, error: e.code, message: e.message });
+    }
+  }
+  const startedAt = Date.now();
+  let resBody = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    resBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    let entry;
+    try {
+      entry = auditEntry(req, res, { startedAt, resBody });
+    } catch (e) {
+      console.error('[audit] no se pudo armar la entrada', e.message || e);
+      return;
+    }
+    if (entry) recordAudit(entry).catch(e => console.error('[audit] no se pudo guardar', e.message || e));
+  });
+  next();
+});
 
-  const got = String(req.header('x-api-key') || '').trim();
-  if (got !== expected) {
-    return res.status(403).json({ ok: false, status: 403, error: 'INVALID_API_KEY' });
+// Con login configurado toda la API del portal pide sesión (usuario o invitado); en producción sin login falla cerrado.
+// Fuera: /v1 (x-api-key), /webhooks (firma), /verify (público) y las imágenes firmadas que descarga Google Docs.
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/docs/images/')) return next();
+  if (!authEnabled()) {
+    if (!isProduction()) return next();
+    return res.status(503).json({ ok: false, status: 503, error: 'AUTH_NOT_CONFIGURED', message: 'Login no configurado (falta GOOGLE_OAUTH_CLIENT_ID): la API del portal no se abre sin login en producción.' });
   }
-  return next();
+  if (req.user) return next();
+  return res.status(401).json({ ok: false, status: 401, error: 'LOGIN_REQUIRED', message: 'Inicia sesión con tu cuenta Google del dominio para usar el portal.' });
+});
+
+// pipeline_id del body con todos sus alias (null si no viene). Lo leen igual requirePermission y createDealFlow:
+// un alias que solo entendiera uno de los dos saltaría los permisos por pipeline ("deal.create@1290779").
+function pipelineIdFromBody(body) {
+  const raw = body?.pipeline_id ?? body?.pipelineId ?? body?.pipeline_id_checked ?? body?.pipelineIdChecked ?? null;
+  return raw === '' ? null : raw;
+}
+
+// Rutas que escriben en Sell/Drive: cada una exige un permiso de lib/roles.js (por pipeline si el body trae pipeline_id).
+// En las rutas que soportan ?dry_run=1 ({ dryRun: true } al final) el dry_run no escribe y no exige el rol.
+// El invitado no ve datos de pacientes: ni las lecturas ({ read: true }, permiso patient.read) ni los dry_run (buscan el
+// RUT en Sell). El usuario logueado pasa a ser el actor (notas y headers) aunque el body traiga otro.
+function requirePermission(...args) {
+  const opts = typeof args[args.length - 1] === 'object' ? args.pop() : {};
+  const actions = args;
+  return async (req, res, next) => {
+    if (!authEnabled()) return next();
+    const deny = (status, error, message, extra = {}) => res.status(status).json({ ok: false, status, error, message, ...extra });
+    let config;
+    try {
+      config = loadRolesConfig();
+      Object.assign(req.user, await resolveRole(req.user, config));
+    } catch (e) {
+      return deny(500, e.code || 'ROLES_ERROR', e.message || String(e));
+    }
+
+    const dry = String(req.query.dry_run || '').toLowerCase();
+    const isDryRun = Boolean(opts.dryRun) && (dry === '1' || dry === 'true');
+    if (req.user.guest && (opts.read || isDryRun)) {
+      return deny(403, 'GUEST_NO_PATIENT_DATA', 'Modo invitado: sin acceso a datos de pacientes. Entra con tu cuenta Google del dominio.');
+    }
+    if (!isDryRun) {
+      if (req.user.guest) {
+        return deny(403, 'GUEST_READ_ONLY', 'Modo invitado: solo lectura. Entra con tu cuenta Google del dominio para crear o generar.');
+      }
+      const pipelineId = Number(pipelineIdFromBody(req.body)) || null;
+      for (const action of actions) {
+        const required = requiredRole(action, { pipelineId, config });
+        if (!roleAllows(req.user.role, required)) {
+          return deny(403, 'FORBIDDEN_ROLE', `Tu rol (${req.user.role}) no permite ${action}${pipelineId ? ` en el pipeline ${pipelineId}` : ''}: requiere ${required}.`, {
+            action,
+            role: req.user.role,
+            required_role: required,
+          });
+        }
+      }
+    }
+
+    const actor = sessionActor(req.user);
+    if (actor && req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) req.body.actor = actor;
+    return next();
+  };
+}
+
+// Contrato del actor (lib/actor.js) en las acciones de valor: req.body.actor queda normalizado
+// { sell_user_id, email, name, source } y es el que firma notas, headers y registro.
+// widget: actor con sell_user_id obligatorio y verificado contra Sell (/v1). Portal: el de la sesión (requirePermission)
+// o body.actor; sin actor → 400 MISSING_ACTOR con login o en producción, en dev sin login sigue sin agente (actor null).
+// El dry_run no escribe ni deja nota: no exige actor.
+function requireActor({ widget = false } = {}) {
+  return async (req, res, next) => {
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : null;
+    const dry = String(req.query.dry_run || '').toLowerCase();
+    if (!widget && (dry === '1' || dry === 'true')) return next();
+    if (!widget && !body?.actor && !authEnabled() && !isProduction()) {
+      if (body) body.actor = null;
+      return next();
+    }
+    try {
+      const actor = await resolveActor(body?.actor, { source: body?.source || (widget ? 'sell_widget' : 'portal'), requireSellUser: widget });
+      body.actor = actor;
+      req.actor = actor;
+      return next();
+    } catch (e) {
+      const status = e.http_status || 500;
+      return res.status(status).json({ ok: false, status, error: e.code || 'ACTOR_ERROR', message: e.message || String(e) });
+    }
+  };
+}
+
+// Nada sale del Host del request: la URL pública viene de PUBLIC_BASE_URL / AUTH_REDIRECT_URI
+function authCookieOpts() {
+  return { secure: publicBaseUrlFromEnv().startsWith('https://') || isProduction() };
+}
+
+function authRedirectUri() {
+  return String(process.env.AUTH_REDIRECT_URI || '').trim() || `${requirePublicBaseUrl()}/auth/callback`;
+}
+
+// role + permissions (acción → rol mínimo, ver lib/roles.js) para que el portal oculte lo que el rol no puede hacer
+app.get('/auth/me', async (req, res) => {
+  const auth = { enabled: authEnabled(), guest_allowed: authEnabled() && guestAllowed(), domains: authEnabled() ? allowedDomains() : [] };
+  if (!req.user) return res.status(200).json({ ok: true, auth, user: null });
+  try {
+    const config = loadRolesConfig();
+    const { role, sell_user_id } = await resolveRole(req.user, config);
+    const user = req.user.guest
+      ? { guest: true, role }
+      : { guest: false, email: req.user.email, name: req.user.name, role, sell_user_id };
+    return res.status(200).json({ ok: true, auth, user, roles: ROLE_ORDER, permissions: config.permissions });
+  } catch (e) {
+    return res.status(500).json({ ok: false, status: 500, error: e.code || 'ROLES_ERROR', message: e.message || String(e) });
+  }
+});
+
+app.get('/auth/login', async (req, res) => {
+  if (!authEnabled()) return res.redirect(302, safeReturnTo(req.query.return_to));
+  try {
+    const { url, cookie } = await beginLogin({ redirectUri: authRedirectUri(), returnTo: req.query.return_to, secure: authCookieOpts().secure });
+    res.setHeader('Set-Cookie', cookie);
+    return res.redirect(302, url);
+  } catch (e) {
+    const status = e.http_status || 500;
+    return res.status(status).json({ ok: false, status, error: e.code || 'AUTH_ERROR', message: e.message || String(e) });
+  }
+});
+
+// Errores del login vuelven al portal como ?auth_error=CODE (lo muestra public/auth.js)
+app.get('/auth/callback', async (req, res) => {
+  const opts = authCookieOpts();
+  try {
+    const { user, returnTo } = await completeLogin({
+      redirectUri: authRedirectUri(),
+      code: req.query.code,
+      state: req.query.state,
+      cookieHeaderValue: req.header('cookie'),
+    });
+    res.setHeader('Set-Cookie', [clearOAuthCookie(opts), sessionCookie(user, opts)]);
+    console.log(`[auth] login ${user.email}`);
+    return res.redirect(302, returnTo);
+  } catch (e) {
+    const code = req.query.error ? 'OAUTH_DENIED' : (e.code || 'AUTH_ERROR');
+    console.warn(`[auth] login rechazado (${code}): ${e.message || String(e)}`);
+    res.setHeader('Set-Cookie', clearOAuthCookie(opts));
+    return res.redirect(302, `/?auth_error=${encodeURIComponent(code)}`);
+  }
+});
+
+app.post('/auth/guest', (req, res) => {
+  if (!authEnabled() || !guestAllowed()) {
+    return res.status(403).json({ ok: false, status: 403, error: 'GUEST_DISABLED', message: 'El modo invitado no está habilitado.' });
+  }
+  res.setHeader('Set-Cookie', sessionCookie({ guest: true }, authCookieOpts()));
+  return res.status(200).json({ ok: true, status: 200, user: { guest: true } });
+});
+
+app.post('/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', clearSessionCookie(authCookieOpts()));
+  return res.status(200).json({ ok: true, status: 200 });
+});
+
+app.get('/health', (_req, res) => res.status(200).send('ok'));
+app.get('/api/sell/status', (_req, res) => res.status(200).json({ ok: true, sell: sellStatus() }));
+
+// --- API KEY guard (para Widget) ---
+// Cada ruta /v1 exige un scope de la key (lib/api_keys.js); req.apiKey queda con la key usada (null si no hay keys en dev)
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    let r;
+    try {
+      r = await checkApiKey(req.header('x-api-key'), scope);
+    } catch (e) {
+      return res.status(e.http_status || 500).json({ ok: false, status: e.http_status || 500, error: e.code || 'API_KEYS_ERROR', message: e.message || String(e) });
+    }
+    if (!r.ok) {
+      return res.status(r.status).json({ ok: false, status: r.status, error: r.error, ...(r.error === 'INSUFFICIENT_SCOPE' ? { scope } : {}) });
+    }
+    req.apiKey = r.key ? { id: r.key.id, name: r.key.name } : null;
+    return next();
+  };
 }
 // Build URLs
 function deskContactUrl(id) {
@@ -229,16 +494,91 @@ function mustFieldNameById(cat, id) {
   return f.name;
 }
 
-function formatRutHumanFromNoDashLower(noDashLower) {
-  // input: "16927228k" or "123456789"
-  const raw = String(noDashLower || '').toUpperCase().replace(/[^0-9K]/g, '');
-  if (raw.length < 2) return '';
-  const dv = raw.slice(-1);
-  let num = raw.slice(0, -1);
-  let out = '';
-  while (num.length > 3) { out = '.' + num.slice(-3) + out; num = num.slice(0, -3); }
-  out = num + out;
-  return `${out}-${dv}`;
+const CONTACT_PREV_LIST_FIELD_ID = 6373567;
+const DEAL_PREV_LIST_FIELD_ID = 2761582;
+
+// Custom fields del contacto que escribe el portal (create-contact y PATCH /api/contacts/:id)
+function contactFieldNames(cat) {
+  return {
+    FN_RUT_NORM: mustFieldNameById(cat, 6265931), // RUT_normalizado
+    FN_RUT_HUMAN: mustFieldNameById(cat, 5883525), // RUT o ID
+    FN_DOB: mustFieldNameById(cat, 5863844), // Fecha Nacimiento
+    FN_DOB_1: mustFieldNameById(cat, 6236073), // Fecha Nacimiento#1
+    FN_PREV_LIST: mustFieldNameById(cat, CONTACT_PREV_LIST_FIELD_ID), // Previsión (list)
+    FN_PREV_STR: mustFieldNameById(cat, 5853892), // Previsión##
+    FN_PREV_1: mustFieldNameById(cat, 6235294), // Previsión#1
+    FN_EMAIL_MIRROR: mustFieldNameById(cat, 5862966), // Correo electrónico (custom)
+    FN_PHONE_MIRROR: mustFieldNameById(cat, 5862996), // Teléfono (custom)
+    FN_CITY_MIRROR: mustFieldNameById(cat, 5862997), // Ciudad (custom)
+    FN_AGE: mustFieldNameById(cat, 6244742), // Edad
+  };
+}
+
+// Custom fields del deal (create-deal y PATCH /api/deals/:id); los opcionales son null si no existen en la cuenta
+function dealFieldNames(dcat) {
+  const byNorm = (...names) => findDealFieldNameByNorm(dcat, names.map(normKey));
+  return {
+    DF_RUT_NORM: mustFieldNameById(dcat, 2759433), // RUT_normalizado (deal)
+    DF_PREV_LIST: mustFieldNameById(dcat, DEAL_PREV_LIST_FIELD_ID), // Previsión (deal, list)
+    DF_MODALIDAD: byNorm('Modalidad', 'Tramo/Modalidad', 'Tramo Modalidad'),
+    DF_COMUNA: byNorm('Comuna', 'Ciudad'),
+    DF_RUT_O_ID: byNorm('RUT o ID'),
+    DF_CORREO: byNorm('Correo electrónico', 'Correo electronico'),
+    DF_TELEFONO: byNorm('Teléfono', 'Telefono'),
+    DF_FECHA_NAC: byNorm('Fecha Nacimiento', 'Fecha Nacimiento#1'),
+    DF_CIUDAD: byNorm('Ciudad', 'Comuna'),
+    DF_ESTATURA: byNorm('Estatura'),
+    DF_PESO: byNorm('Peso'),
+    DF_IMC: byNorm('IMC', 'Imc'),
+    DF_EDAD: byNorm('EDAD', 'Edad'),
+    DF_FECHA_INGRESA: byNorm('Fecha Ingresa Formulario'),
+    DF_URL_MEDINET: byNorm('URL-MEDINET'),
+    DF_SUCURSAL: byNorm('SUCURSAL', 'Sucursal'),
+    DF_INTERES: byNorm('Interés', 'Interes', 'INTERES'),
+    DF_CIRUGIAS_PREVIAS: byNorm('Cirugías Previas', 'Cirugias Previas'),
+    DF_WHATSAPP: byNorm('WhatsApp_Contactar_LINK', 'WhatsApp Contactar LINK'),
+    DF_COLAB1: byNorm('Colaborador1'),
+    DF_COLAB2: byNorm('Colaborador2'),
+    DF_COLAB3: byNorm('Colaborador3'),
+    DF_VALIDACION_PAD: byNorm('Validacion PAD'),
+    DF_NUM_FAMILIA: byNorm('Numero familia paciente'),
+    DF_CIR_BARI: byNorm('CIRUJANO BARIÁTRICO', 'CIRUJANO BARIATRICO'),
+    DF_CIR_PLAST: byNorm('CIRUJANO PLASTICO'),
+    DF_CIR_BALON: byNorm('CIRUJANO DE BALON'),
+    DF_CIR_GENERAL: byNorm('CIRUJANO GENERAL'),
+  };
+}
+
+// Identificador del body: RUT por defecto, o id_type = passport (con id_country) / provisional (lib/patient_id.js)
+function patientIdFromBody(body, value) {
+  return normalizePatientId({ type: body?.id_type, value, country: body?.id_country });
+}
+
+// Regla: no puede existir 2 deals con el mismo RUT_normalizado dentro del mismo pipeline (pipeline derivado del stage_id)
+async function findDealsInPipelineByRut({ rutFieldName, norm, pipelineId, excludeDealId = null }) {
+  if (!Number.isFinite(pipelineId) || pipelineId <= 0) return [];
+  const dealSearchApiId = await resolveSearchApiId('deals', rutFieldName);
+  const existingDeals = await searchDealsByCustomField(dealSearchApiId, patientIdSearchValues(norm), 100);
+  const dealIds = existingDeals.map((d) => d.id).filter((id) => id && Number(id) !== Number(excludeDealId)).slice(0, 50);
+  if (!dealIds.length) return [];
+
+  const dealDetails = await getDealsByIds(dealIds);
+  const stageIds = dealDetails.map((d) => d.stage_id).filter(Boolean);
+  const stages = await getStagesByIds(stageIds);
+  const stageById = new Map(stages.map((s) => [s.id, s]));
+  return dealDetails
+    .filter((d) => {
+      const st = stageById.get(d.stage_id);
+      return st && st.pipeline_id === pipelineId;
+    })
+    .map((d) => ({
+      id: d.id,
+      name: d.name,
+      contact_id: d.contact_id,
+      stage_id: d.stage_id,
+      desktop_url: deskDealUrl(d.id),
+      mobile_url: mobileDealUrl(d.id),
+    }));
 }
 
 function cleanValue(v) {
@@ -336,12 +676,9 @@ function pickRutHuman(contact) {
     const val = String(cf[k] || '').trim();
     if (!val) continue;
 
-    try {
-      const n = normalizeRut(val);
-      if (n?.normalized) return n.normalized;
-    } catch (_e) {
-      // fallback below
-    }
+    // RUT válido → 16927228-K; pasaporte / ID provisorio → su forma humana
+    const id = parseStoredPatientId(val);
+    if (id) return id.type === 'rut' ? id.normalized : id.human;
 
     const compact = val.toUpperCase().replace(/[^0-9K]/g, '');
     if (compact.length >= 2) return formatRutHumanFromNoDashLower(compact.toLowerCase());
@@ -376,6 +713,29 @@ function calcAgeFlexible(rawDob) {
 }
 
 
+// Sell caído (timeout, 5xx, 429, circuito abierto): se responde la última lista buena (memoria + DATA_DIR)
+async function sellListFallback(res, { name, key, err }) {
+  const last = await getLastGood(name);
+  if (!last) {
+    const status = 503;
+    return res.status(status).json({
+      ok: false,
+      status,
+      error: err.code || 'SELL_UNAVAILABLE',
+      message: `Sell no disponible y no hay ${name} guardados: ${err.message || String(err)}`,
+      sell: sellStatus(),
+    });
+  }
+  return res.status(200).json({
+    ok: true,
+    [key]: last.value,
+    fallback: true,
+    stale_since: last.saved_at,
+    details: err.message || String(err),
+    sell: sellStatus(),
+  });
+}
+
 app.get('/api/pipelines', async (_req, res) => {
   try {
     const items = await getPipelines();
@@ -383,82 +743,31 @@ app.get('/api/pipelines', async (_req, res) => {
       .map(p => ({ id: p.id, name: p.name, disabled: p.disabled === true }))
       .filter(p => !p.disabled);
 
+    await rememberLastGood('pipelines', pipelines);
     return res.status(200).json({ ok: true, pipelines });
   } catch (err) {
     console.error('pipelines error', err);
-
-    // Fallback hardcoded list (when token/endpoint fails)
-    const pipelines = [
-      { id: 290779, name: "Pipeline Cirugía Bariátricas", disabled: false },
-      { id: 4823817, name: "Pipeline Balones", disabled: false },
-      { id: 4959507, name: "Pipeline Cirugía Plastica", disabled: false },
-      { id: 5049979, name: "Pipeline Cirugía General", disabled: false },
-    ];
-
-    return res.status(200).json({
-      ok: true,
-      pipelines,
-      fallback: true,
-      details: err.message || String(err),
-    });
+    return sellListFallback(res, { name: 'pipelines', key: 'pipelines', err });
   }
 });
 
 app.get('/api/owners', async (_req, res) => {
   try {
-    const token = String(process.env.SELL_ACCESS_TOKEN || '').trim();
-    if (!token) {
-      return res.status(500).json({ ok: false, error: 'MISSING_SELL_ACCESS_TOKEN' });
-    }
-
-    const r = await fetch('https://api.getbase.com/v2/users?status=active&confirmed=true&per_page=100&sort_by=name', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-    });
-
-    const text = await r.text();
-    let data = null;
-    try { data = JSON.parse(text); } catch (_e) {}
-
-    if (!r.ok) {
-      return res.status(500).json({
-        ok: false,
-        error: 'SELL_USERS_FETCH_FAILED',
-        status: r.status,
-        details: data || text,
-      });
-    }
-
-    const owners = (data.items || [])
-      .map(it => it.data)
+    const owners = (await getUsers())
       .filter(u => u && u.status === 'active' && u.confirmed === true)
       .map(u => ({ id: u.id, name: u.name, email: u.email || null }));
 
+    await rememberLastGood('owners', owners);
     return res.status(200).json({ ok: true, owners });
   } catch (err) {
     console.error('owners error', err);
-
-    const fallback = [
-      { id: 8348214, name: "Allison Contreras", email: "allison@clinyco.cl" },
-      { id: 8380563, name: "Camila Alcayaga", email: null },
-      { id: 8380557, name: "Carolin Cornejo", email: null },
-      { id: 9499426, name: "Danitza Olivera", email: null },
-      { id: 2129414, name: "Dr. Villagran", email: null },
-      { id: 9460679, name: "Gabriela Heck", email: null },
-      { id: 8348233, name: "Giselle Santander", email: null },
-      { id: 9460685, name: "Maria Paz Plonka Rosales", email: null },
-      { id: 9522577, name: "Nelson Aros", email: null },
-    ];
-
-    return res.status(200).json({ ok: true, owners: fallback, fallback: true });
+    if (err.code === 'MISSING_SELL_ACCESS_TOKEN') {
+      return res.status(500).json({ ok: false, status: 500, error: err.code, message: err.message });
+    }
+    return sellListFallback(res, { name: 'owners', key: 'owners', err });
   }
 });
 
-
-
 app.get('/api/deal-list-choices', async (req, res) => {
   try {
     const field = String(req.query.field || '').trim();
@@ -482,7 +791,7 @@ app.get('/api/deal-list-choices', async (req, res) => {
   }
 });
 
-app.post('/api/search-rut', async (req, res) => {
+app.post('/api/search-rut', requirePermission('patient.read', { read: true }), async (req, res) => {
   // IMPORTANT: Always respond with the same JSON shape.
   const rutInput = (req.body && req.body.rut) || '';
   const pipelineIdRaw = (req.body && req.body.pipelineId) ?? null;
@@ -492,6 +801,8 @@ app.post('/api/search-rut', async (req, res) => {
       : Number(pipelineIdRaw);
 
   // Response state (filled progressively)
+  let idType = null;
+  let idHuman = null;
   let normalized = null;
   let normalizedNoDash = null;
   let valuesToMatch = [];
@@ -517,6 +828,8 @@ app.post('/api/search-rut', async (req, res) => {
       error,
       message,
       rut_input: rutInput,
+      id_type: idType,
+      id_human: idHuman,
       rut_normalized: normalized,
       rut_normalized_no_dash: normalizedNoDash,
       used_match_values: valuesToMatch,
@@ -543,13 +856,15 @@ app.post('/api/search-rut', async (req, res) => {
       return send(400, 'INVALID_PIPELINE_ID', 'Pipeline ID inválido (debe ser numérico).');
     }
 
-    // Normalize and validate DV
-    const norm = normalizeRut(rutInput);
+    // Normalize and validate (RUT: DV; pasaporte / ID provisorio: formato)
+    const norm = patientIdFromBody(req.body, rutInput);
+    idType = norm.type;
+    idHuman = norm.human || null;
     normalized = norm.normalized;
     normalizedNoDash = norm.normalizedNoDash;
 
     if (!normalized) {
-      return send(400, 'MISSING_RUT', 'Debes ingresar un RUT.');
+      return send(400, 'MISSING_RUT', 'Debes ingresar un RUT (o pasaporte / ID provisorio).');
     }
 
     const contactField = process.env.CONTACT_RUT_NORMALIZED_FIELD || 'RUT_normalizado';
@@ -701,7 +1016,7 @@ app.post('/api/search-rut', async (req, res) => {
     return send(200, null, null);
   } catch (err) {
     const status =
-      err && (err.code === 'INVALID_RUT_DV' || err.code === 'MISSING_RUT_DV')
+      isPatientIdError(err)
         ? 400
         : err && err.http_status
           ? err.http_status
@@ -711,7 +1026,61 @@ app.post('/api/search-rut', async (req, res) => {
 });
 
 
-app.post('/api/create-contact', async (req, res) => {
+// -------------------------
+// Notas de Sell de las acciones de valor (lib/notes.js): una por contacto/deal creado o actualizado, carpeta y render.
+// La respuesta lleva note ({ id } o { queued, outbox_id } si Sell falló y quedó para reintento).
+// -------------------------
+async function noteContactCreated(r, actor) {
+  if (r.status !== 201) return r;
+  r.note = await writeNote({
+    resource: 'contact',
+    id: r.contact.id,
+    action: 'contact.create',
+    content: buildActionNote({
+      title: '👤 Contacto creado',
+      action: 'contact.create',
+      actor,
+      fields: [['Paciente', r.contact.display_name], ['RUT', r.rut_humano]],
+    }),
+  });
+  return r;
+}
+
+async function noteDealCreated(r, actor, pipelineId) {
+  if (r.status !== 201) return r;
+  const pipelineName = await resolvePipelineName(pipelineId);
+  r.note = await writeNote({
+    resource: 'deal',
+    id: r.deal.id,
+    action: 'deal.create',
+    content: buildActionNote({
+      title: '💼 Deal creado',
+      action: 'deal.create',
+      actor,
+      fields: [
+        ['Deal', r.deal.name],
+        ['Pipeline', pipelineName ? `${pipelineName} (${pipelineId})` : pipelineId],
+        ['RUT', r.rut_humano],
+        ['Contacto', r.contact_id ? deskContactUrl(r.contact_id) : null],
+      ],
+    }),
+  });
+  return r;
+}
+
+function noteUpdated(resource, id, diff, actor) {
+  const changes = [...diff.standard, ...diff.custom_fields]
+    .filter(row => row.changed)
+    .map(row => [row.field, `${row.before || '(vacío)'} → ${row.after || '(vacío)'}`]);
+  return writeNote({
+    resource,
+    id,
+    action: `${resource}.update`,
+    content: buildActionNote({ title: resource === 'deal' ? '✏️ Deal actualizado' : '✏️ Contacto actualizado', action: `${resource}.update`, actor, fields: changes }),
+  });
+}
+
+app.post('/api/create-contact', requirePermission('contact.create', { dryRun: true }), requireActor(), async (req, res) => {
   const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
   const debug = String(req.query.debug || '').toLowerCase() === '1' || String(req.query.debug || '').toLowerCase() === 'true';
 
@@ -725,20 +1094,23 @@ app.post('/api/create-contact', async (req, res) => {
     });
   }
 
+  const result = await createContactFlow(req.body || {}, { dryRun, debug });
+  if (!dryRun) await noteContactCreated(result, req.body.actor);
+  return res.status(result.status).json(result);
+});
+
+// Crear contacto (usado por /api/create-contact y /api/intake). Devuelve el JSON de respuesta (con status), nunca lanza.
+async function createContactFlow(body, { dryRun = false, debug = false } = {}) {
   // Always reply with stable shape
-  const out = (status, error = null, message = null, extra = {}) => {
-    return res.status(status).json({
-      ok: status < 400,
-      status,
-      error,
-      message,
-      ...extra,
-    });
-  };
+  const out = (status, error = null, message = null, extra = {}) => ({
+    ok: status < 400,
+    status,
+    error,
+    message,
+    ...extra,
+  });
 
   try {
-    const body = req.body || {};
-
     const rutInput = cleanValue(body.rut || body.run || body.RUN);
     const nombres = cleanValue(body.nombres || body.Nombres);
     const apellidos = cleanValue(body.apellidos || body.Apellidos);
@@ -764,30 +1136,21 @@ app.post('/api/create-contact', async (req, res) => {
     if (!modalidad) return out(400, 'MISSING_MODALIDAD', 'Falta Modalidad.');
     if (!direccion) return out(400, 'MISSING_ADDRESS', 'Falta Dirección.');
 
-    // Normaliza RUT
-    const norm = normalizeRut(rutInput);
-    const rutNoDashUpper = norm.normalizedNoDash;               // 16927228K
-    const rutNoDashLower = String(rutNoDashUpper).toLowerCase(); // 16927228k  <-- CANON write
-    const rutHuman = formatRutHumanFromNoDashLower(rutNoDashLower); // 16.927.228-K
+    // Normaliza RUT (o pasaporte / ID provisorio según id_type)
+    const norm = patientIdFromBody(body, rutInput);
+    const rutNoDashLower = norm.canonical; // 16927228k  <-- CANON write (pas-ar-ab1234567 / prov-12345)
+    const rutHuman = norm.human;           // 16.927.228-K (AB1234567 (Pasaporte AR) / PROV-12345)
 
     // Catálogo
     const cat = await getContactCatalog();
-    const FN_RUT_NORM = mustFieldNameById(cat, 6265931); // RUT_normalizado
-    const FN_RUT_HUMAN = mustFieldNameById(cat, 5883525); // RUT o ID
-    const FN_DOB = mustFieldNameById(cat, 5863844); // Fecha Nacimiento
-    const FN_DOB_1 = mustFieldNameById(cat, 6236073); // Fecha Nacimiento#1
-    const FN_PREV_LIST = mustFieldNameById(cat, 6373567); // Previsión (list)
-    const FN_PREV_STR = mustFieldNameById(cat, 5853892); // Previsión##
-    const FN_PREV_1 = mustFieldNameById(cat, 6235294); // Previsión#1
-    const FN_EMAIL_MIRROR = mustFieldNameById(cat, 5862966); // Correo electrónico (custom)
-    const FN_PHONE_MIRROR = mustFieldNameById(cat, 5862996); // Teléfono (custom)
-    const FN_CITY_MIRROR = mustFieldNameById(cat, 5862997); // Ciudad (custom)
-    const FN_AGE = mustFieldNameById(cat, 6244742); // Edad
+    const {
+      FN_RUT_NORM, FN_RUT_HUMAN, FN_DOB, FN_DOB_1, FN_PREV_LIST, FN_PREV_STR, FN_PREV_1,
+      FN_EMAIL_MIRROR, FN_PHONE_MIRROR, FN_CITY_MIRROR, FN_AGE,
+    } = contactFieldNames(cat);
 
     // Previsión (canon list): match choice
-    const prevKey = normKey(aseguradoraRaw);
-    const choices = cat.listChoicesByFieldId.get(6373567) || new Map();
-    const choice = choices.get(prevKey);
+    const choices = cat.listChoicesByFieldId.get(CONTACT_PREV_LIST_FIELD_ID) || new Map();
+    const choice = choices.get(normKey(aseguradoraRaw));
     if (!choice) {
       return out(400, 'INVALID_ASEGURADORA', `Aseguradora/Previsión inválida: "${aseguradoraRaw}". Debe ser una de las opciones del campo Previsión (list).`, {
         allowed: Array.from(choices.values()).map((c) => c.name),
@@ -819,12 +1182,7 @@ const detalle_tecnico = debug ? { payload: null } : undefined;
 
     // Anti-duplicados por RUT_normalizado
     const contactSearchApiId = await resolveSearchApiId('contacts', FN_RUT_NORM);
-    const valuesToMatch = Array.from(new Set([
-      rutNoDashLower,
-      rutNoDashUpper,
-      norm.normalized,      // legacy with dash
-      norm.normalizedNoDash // legacy without dash (upper)
-    ]));
+    const valuesToMatch = patientIdSearchValues(norm); // canon + legacy con/sin guion
 
     const existing = await searchContactsByCustomField(contactSearchApiId, valuesToMatch, 10);
 
@@ -945,7 +1303,7 @@ const detalle_tecnico = debug ? { payload: null } : undefined;
     }
   } catch (err) {
     const status =
-      err && (err.code === 'INVALID_RUT_DV' || err.code === 'MISSING_RUT_DV')
+      isPatientIdError(err)
         ? 400
         : err && err.http_status
           ? err.http_status
@@ -955,10 +1313,10 @@ const detalle_tecnico = debug ? { payload: null } : undefined;
       details: err.field_id ? { field_id: err.field_id } : undefined,
     });
   }
-});
+}
 
 
-app.post('/api/create-deal', async (req, res) => {
+app.post('/api/create-deal', requirePermission('deal.create', { dryRun: true }), requireActor(), async (req, res) => {
   const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
   const debug = String(req.query.debug || '').toLowerCase() === '1' || String(req.query.debug || '').toLowerCase() === 'true';
 
@@ -972,24 +1330,28 @@ app.post('/api/create-deal', async (req, res) => {
     });
   }
 
-  const out = (status, error = null, message = null, extra = {}) => {
-    return res.status(status).json({
-      ok: status < 400,
-      status,
-      error,
-      message,
-      ...extra,
-    });
-  };
+  const result = await createDealFlow(req.body || {}, { dryRun, debug });
+  if (!dryRun) await noteDealCreated(result, req.body.actor, Number(pipelineIdFromBody(req.body)) || null);
+  return res.status(result.status).json(result);
+});
 
-  try {
-    const body = req.body || {};
+// Crear deal (usado por /api/create-deal y /api/intake). requireContact=false solo para el dry-run de intake,
+// cuando el contacto todavía no existe.
+async function createDealFlow(body, { dryRun = false, debug = false, requireContact = true } = {}) {
+  const out = (status, error = null, message = null, extra = {}) => ({
+    ok: status < 400,
+    status,
+    error,
+    message,
+    ...extra,
+  });
 
+  try {
     const contactId = Number(body.contact_id || body.contactId || body.contact?.id);
     const ownerId = Number(body.owner_id || body.ownerId || body.owner?.id);
-    const pipelineIdRaw = body.pipeline_id ?? body.pipelineId ?? body.pipeline_id_checked ?? body.pipelineIdChecked ?? null;
-    const pipelineId = (pipelineIdRaw === null || pipelineIdRaw === undefined || pipelineIdRaw === '') ? null : Number(pipelineIdRaw);
-    if (pipelineIdRaw !== null && pipelineIdRaw !== undefined && pipelineIdRaw !== '' && !Number.isFinite(pipelineId)) {
+    const pipelineIdRaw = pipelineIdFromBody(body);
+    const pipelineId = pipelineIdRaw === null ? null : Number(pipelineIdRaw);
+    if (pipelineIdRaw !== null && !Number.isFinite(pipelineId)) {
       return out(400, 'INVALID_PIPELINE_ID', 'Pipeline ID inválido (debe ser numérico).');
     }
     if (!Number.isFinite(pipelineId) || pipelineId <= 0) return out(400, 'MISSING_PIPELINE_ID', 'Debes seleccionar un pipeline_id para crear el Deal.');
@@ -1019,64 +1381,28 @@ const cirujanoPlastico = cleanValue(body.cirujano_plastico || body['CIRUJANO PLA
 const cirujanoBalon = cleanValue(body.cirujano_balon || body['CIRUJANO DE BALON']);
 const cirujanoGeneral = cleanValue(body.cirujano_general || body['CIRUJANO GENERAL']);
 
-    if (!Number.isFinite(contactId) || contactId <= 0) return out(400, 'MISSING_CONTACT_ID', 'Falta contact_id para asociar el Deal.');
+    if (requireContact && (!Number.isFinite(contactId) || contactId <= 0)) return out(400, 'MISSING_CONTACT_ID', 'Falta contact_id para asociar el Deal.');
     if (!Number.isFinite(ownerId) || ownerId <= 0) return out(400, 'MISSING_OWNER_ID', 'Debes seleccionar un Dueño para el Deal.');
     if (!rutInput) return out(400, 'MISSING_RUT', 'Debes ingresar un RUN/RUT.');
     if (!aseguradoraRaw) return out(400, 'MISSING_ASEGURADORA', 'Falta Aseguradora/Previsión.');
 
-    const norm = normalizeRut(rutInput);
-    const rutNoDashUpper = norm.normalizedNoDash;
-    const rutNoDashLower = String(rutNoDashUpper).toLowerCase();
-    const rutHuman = formatRutHumanFromNoDashLower(rutNoDashLower);
+    const norm = patientIdFromBody(body, rutInput);
+    const rutNoDashLower = norm.canonical;
+    const rutHuman = norm.human;
 
     // Deal catalog
     const dcat = await getDealCatalog();
 
-    // Canonical required fields (by ID)
-    const DF_RUT_NORM = mustFieldNameById(dcat, 2759433); // RUT_normalizado (deal)
-    const DF_PREV_LIST = mustFieldNameById(dcat, 2761582); // Previsión (deal, list)
-
-    // Optional: modalidad / comuna (by name match)
-    const DF_MODALIDAD = findDealFieldNameByNorm(dcat, [
-      normKey('Modalidad'),
-      normKey('Tramo/Modalidad'),
-      normKey('Tramo Modalidad'),
-    ]);
-    const DF_COMUNA = findDealFieldNameByNorm(dcat, [
-      normKey('Comuna'),
-      normKey('Ciudad'),
-    ]);
-
-const DF_RUT_O_ID = findDealFieldNameByNorm(dcat, [normKey('RUT o ID')]);
-const DF_CORREO = findDealFieldNameByNorm(dcat, [normKey('Correo electrónico'), normKey('Correo electronico')]);
-const DF_TELEFONO = findDealFieldNameByNorm(dcat, [normKey('Teléfono'), normKey('Telefono')]);
-const DF_FECHA_NAC = findDealFieldNameByNorm(dcat, [normKey('Fecha Nacimiento'), normKey('Fecha Nacimiento#1')]);
-const DF_CIUDAD = findDealFieldNameByNorm(dcat, [normKey('Ciudad'), normKey('Comuna')]);
-const DF_ESTATURA = findDealFieldNameByNorm(dcat, [normKey('Estatura')]);
-const DF_PESO = findDealFieldNameByNorm(dcat, [normKey('Peso')]);
-const DF_IMC = findDealFieldNameByNorm(dcat, [normKey('IMC'), normKey('Imc')]);
-const DF_EDAD = findDealFieldNameByNorm(dcat, [normKey('EDAD'), normKey('Edad')]);
-const DF_FECHA_INGRESA = findDealFieldNameByNorm(dcat, [normKey('Fecha Ingresa Formulario')]);
-const DF_URL_MEDINET = findDealFieldNameByNorm(dcat, [normKey('URL-MEDINET')]);
-const DF_SUCURSAL = findDealFieldNameByNorm(dcat, [normKey('SUCURSAL'), normKey('Sucursal')]);
-const DF_INTERES = findDealFieldNameByNorm(dcat, [normKey('Interés'), normKey('Interes'), normKey('INTERES')]);
-const DF_CIRUGIAS_PREVIAS = findDealFieldNameByNorm(dcat, [normKey('Cirugías Previas'), normKey('Cirugias Previas')]);
-const DF_WHATSAPP = findDealFieldNameByNorm(dcat, [normKey('WhatsApp_Contactar_LINK'), normKey('WhatsApp Contactar LINK')]);
-const DF_COLAB1 = findDealFieldNameByNorm(dcat, [normKey('Colaborador1')]);
-const DF_COLAB2 = findDealFieldNameByNorm(dcat, [normKey('Colaborador2')]);
-const DF_COLAB3 = findDealFieldNameByNorm(dcat, [normKey('Colaborador3')]);
-const DF_VALIDACION_PAD = findDealFieldNameByNorm(dcat, [normKey('Validacion PAD')]);
-const DF_NUM_FAMILIA = findDealFieldNameByNorm(dcat, [normKey('Numero familia paciente')]);
-const DF_CIR_BARI = findDealFieldNameByNorm(dcat, [normKey('CIRUJANO BARIÁTRICO'), normKey('CIRUJANO BARIATRICO')]);
-const DF_CIR_PLAST = findDealFieldNameByNorm(dcat, [normKey('CIRUJANO PLASTICO')]);
-const DF_CIR_BALON = findDealFieldNameByNorm(dcat, [normKey('CIRUJANO DE BALON')]);
-const DF_CIR_GENERAL = findDealFieldNameByNorm(dcat, [normKey('CIRUJANO GENERAL')]);
-
+    const {
+      DF_RUT_NORM, DF_PREV_LIST, DF_MODALIDAD, DF_COMUNA, DF_RUT_O_ID, DF_CORREO, DF_TELEFONO, DF_FECHA_NAC, DF_CIUDAD,
+      DF_ESTATURA, DF_PESO, DF_IMC, DF_EDAD, DF_FECHA_INGRESA, DF_URL_MEDINET, DF_SUCURSAL, DF_INTERES, DF_CIRUGIAS_PREVIAS,
+      DF_WHATSAPP, DF_COLAB1, DF_COLAB2, DF_COLAB3, DF_VALIDACION_PAD, DF_NUM_FAMILIA,
+      DF_CIR_BARI, DF_CIR_PLAST, DF_CIR_BALON, DF_CIR_GENERAL,
+    } = dealFieldNames(dcat);
 
     // Match previsión choice
-    const prevKey = normKey(aseguradoraRaw);
-    const dChoices = dcat.listChoicesByFieldId.get(2761582) || new Map();
-    const dChoice = dChoices.get(prevKey);
+    const dChoices = dcat.listChoicesByFieldId.get(DEAL_PREV_LIST_FIELD_ID) || new Map();
+    const dChoice = dChoices.get(normKey(aseguradoraRaw));
     if (!dChoice) {
       return out(400, 'INVALID_ASEGURADORA', `Aseguradora/Previsión inválida para Deal: "${aseguradoraRaw}".`, {
         allowed: Array.from(dChoices.values()).map((c) => c.name),
@@ -1143,7 +1469,7 @@ if (DF_SUCURSAL && sucursal) custom_fields[DF_SUCURSAL] = sucursal;
 
 const vista_previa = {
       deal_name: dealName,
-      contact_id: contactId,
+      contact_id: Number.isFinite(contactId) && contactId > 0 ? contactId : null,
       rut_normalizado: rutNoDashLower,
       rut_humano: rutHuman,
       aseguradora: dChoice.name,
@@ -1177,40 +1503,7 @@ const vista_previa = {
 
     // Anti-duplicados por RUT_normalizado en deals (por pipeline)
     // Regla: no puede existir 2 deals con el mismo RUT_normalizado dentro del mismo pipeline.
-    const dealSearchApiId = await resolveSearchApiId('deals', DF_RUT_NORM);
-    const valuesToMatch = Array.from(new Set([
-      rutNoDashLower,
-      rutNoDashUpper,
-      norm.normalized,
-      norm.normalizedNoDash
-    ]));
-    const existingDeals = await searchDealsByCustomField(dealSearchApiId, valuesToMatch, 100);
-
-    let dealsSamePipeline = [];
-    if (existingDeals.length > 0 && Number.isFinite(pipelineId) && pipelineId > 0) {
-      // Derivar pipeline por stage_id
-      const dealIds = existingDeals.map((d) => d.id).filter(Boolean).slice(0, 50);
-      const dealDetails = await getDealsByIds(dealIds);
-      const stageIds = dealDetails.map((d) => d.stage_id).filter(Boolean);
-      const stages = await getStagesByIds(stageIds);
-      const stageById = new Map(stages.map((s) => [s.id, s]));
-      dealsSamePipeline = dealDetails
-        .filter((d) => {
-          const st = stageById.get(d.stage_id);
-          return st && st.pipeline_id === pipelineId;
-        })
-        .map((d) => ({
-          id: d.id,
-          name: d.name,
-          contact_id: d.contact_id,
-          stage_id: d.stage_id,
-          desktop_url: deskDealUrl(d.id),
-          mobile_url: mobileDealUrl(d.id),
-        }));
-    } else if (existingDeals.length > 0 && !Number.isFinite(pipelineId)) {
-      // Sin pipeline no podemos aplicar la regla por pipeline => avisamos
-      // (pero NO bloqueamos aquí, solo dejamos warning y dejamos que se cree según el stage seleccionado)
-    }
+    const dealsSamePipeline = await findDealsInPipelineByRut({ rutFieldName: DF_RUT_NORM, norm, pipelineId });
 
     if (dealsSamePipeline.length > 0) {
       return out(409, 'DEAL_EXISTS_IN_PIPELINE',
@@ -1297,100 +1590,1045 @@ const vista_previa = {
     }
   } catch (err) {
     const status =
-      err && (err.code === 'INVALID_RUT_DV' || err.code === 'MISSING_RUT_DV')
+      isPatientIdError(err)
         ? 400
         : err && err.http_status
           ? err.http_status
           : 500;
 
-    return res.status(status).json({
-      ok: false,
-      status,
-      error: err.code || 'ERROR',
-      message: err.message || String(err),
+    return out(status, err.code || 'ERROR', err.message || String(err), {
       details: err.field_id ? { field_id: err.field_id } : undefined,
     });
   }
-});
+}
 
 
 // -------------------------
-// Docs generation (Drive templates -> PDFs)
+// Update Contact / Deal (PATCH). Misma normalización que create-contact / create-deal.
+// Campos ausentes o vacíos no se tocan; ?dry_run=1 devuelve el diff antes/después sin escribir en Sell.
 // -------------------------
-function slugifyName(s) {
-  return String(s || '')
-    .normalize('NFD').replace(/\p{Diacritic}/gu, '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_+|_+$/g, '')
-    .slice(0, 80) || 'template';
+function updateError(status, code, message, extra = undefined) {
+  const err = new Error(message);
+  err.code = code;
+  err.http_status = status;
+  err.extra = extra;
+  return err;
 }
 
-function getTemplateFolderId() {
-  const v = String(process.env.TEMPLATE_FOLDER_ID || process.env.DOC_TEMPLATES_FOLDER_ID || '').trim();
-  return v || null;
+// Valor legible de un custom field (listas llegan como string u objeto {id,name}; multi-select como array)
+function fieldDisplayValue(v) {
+  if (v === null || v === undefined) return null;
+  if (Array.isArray(v)) return v.map(fieldDisplayValue).filter(Boolean).join(', ') || null;
+  if (typeof v === 'object') return fieldDisplayValue(v.name ?? v.value ?? null);
+  const s = String(v).trim();
+  return s || null;
 }
 
-// Cache templates listing to avoid hitting Drive too often
-let TEMPLATE_CACHE = null;
-let TEMPLATE_CACHE_AT = 0;
-const TEMPLATE_TTL_MS = 5 * 60 * 1000; // 5 min
-
-async function getTemplatesFromDriveFolder(force = false, folderIdOverride = null) {
-  const folderId = String(folderIdOverride || getTemplateFolderId() || '').trim();
-  if (!folderId) return null;
-
-  const now = Date.now();
-  if (!force && TEMPLATE_CACHE && (now - TEMPLATE_CACHE_AT) < TEMPLATE_TTL_MS && TEMPLATE_CACHE.folder_id === folderId) {
-    return TEMPLATE_CACHE;
+function matchPrevisionChoice(cat, fieldId, raw) {
+  const choices = cat.listChoicesByFieldId.get(fieldId) || new Map();
+  const choice = choices.get(normKey(raw));
+  if (!choice) {
+    throw updateError(400, 'INVALID_ASEGURADORA', `Aseguradora/Previsión inválida: "${raw}".`, {
+      allowed: Array.from(choices.values()).map((c) => c.name),
+    });
   }
+  return choice;
+}
 
-  const items = await listTemplatesInFolder({ folderId });
-  const mapped = items.map(it => ({
-    id: it.id,
-    name: it.name,
-    slug: slugifyName(it.name),
-    docs_url: it.docs_url,
-    modifiedTime: it.modifiedTime,
-  }));
+// Una comuna escrita pero no reconocida no debe pisar la que ya tiene el registro con ERROR-SIN COMUNA
+function updateComuna(input) {
+  const comuna = canonicalComuna(input);
+  if (comuna === ERROR_COMUNA) throw updateError(400, 'INVALID_COMUNA', `Comuna no reconocida: "${input}".`);
+  return comuna;
+}
 
-  TEMPLATE_CACHE = { folder_id: folderId, items: mapped };
-  TEMPLATE_CACHE_AT = now;
-  return TEMPLATE_CACHE;
+function updateDob(input) {
+  if (!isValidDobDDMMYYYY(input)) throw updateError(400, 'INVALID_DOB_FORMAT', 'Fecha de Nacimiento inválida. Debe ser DD/MM/YYYY.');
+  return input;
 }
 
-function parseDocTemplatesEnv() {
-  const raw = String(process.env.DOC_TEMPLATES_JSON || '').trim();
-  if (!raw) {
-    const err = new Error('Falta DOC_TEMPLATES_JSON (map doc_type -> template_file_id)');
-    err.code = 'MISSING_DOC_TEMPLATES_JSON';
-    throw err;
+function rutFields(body, rutInput) {
+  const norm = patientIdFromBody(body, rutInput);
+  return { norm, rutNoDashLower: norm.canonical, rutHuman: norm.human };
+}
+
+/**
+ * Cambios propuestos para un contacto: { data: { first_name, ..., address, custom_fields }, norm, choice }.
+ * Solo incluye lo que viene en el body.
+ */
+function contactUpdateFromBody(body, cat, current) {
+  const F = contactFieldNames(cat);
+  const data = {};
+  const cf = {};
+
+  const rutInput = cleanValue(body.rut || body.run || body.RUN);
+  const nombres = cleanValue(body.nombres || body.Nombres);
+  const apellidos = cleanValue(body.apellidos || body.Apellidos);
+  const fechaNacimiento = cleanValue(body.fecha_nacimiento || body.fechaNacimiento || body['Fecha de Nacimiento'] || body['Fecha Nacimiento']);
+  const telefono1 = cleanValue(body.telefono1 || body.telefono_1 || body['Teléfono 1'] || body['Telefono 1'] || body.phone1);
+  const telefono2 = cleanValue(body.telefono2 || body.telefono_2 || body['Teléfono 2'] || body['Telefono 2'] || body.phone2);
+  const email = cleanValue(body.email || body.correo || body['Correo electrónico'] || body['Correo electronico']);
+  const aseguradoraRaw = normalizeAseguradoraAlias(body.aseguradora || body.prevision || body['Aseguradora'] || body['Previsión'] || body['Prevision']);
+  const direccion = cleanValue(body.direccion || body['Dirección'] || body['Direccion']);
+  const comunaInput = cleanValue(body.comuna || body['Comuna']);
+
+  let norm = null;
+  if (rutInput) {
+    const r = rutFields(body, rutInput);
+    norm = r.norm;
+    cf[F.FN_RUT_NORM] = r.rutNoDashLower;
+    cf[F.FN_RUT_HUMAN] = r.rutHuman;
   }
-  try {
-    const obj = JSON.parse(raw);
-    if (!obj || typeof obj !== 'object') throw new Error('DOC_TEMPLATES_JSON no es objeto');
-    return obj;
-  } catch (e) {
-    const err = new Error(`DOC_TEMPLATES_JSON inválido: ${e.message || String(e)}`);
-    err.code = 'INVALID_DOC_TEMPLATES_JSON';
-    throw err;
+  if (nombres) data.first_name = nombres;
+  if (apellidos) data.last_name = apellidos;
+  if (fechaNacimiento) {
+    updateDob(fechaNacimiento);
+    cf[F.FN_DOB] = fechaNacimiento;
+    cf[F.FN_DOB_1] = fechaNacimiento;
+    const age = calcAgeFromDobDDMMYYYY(fechaNacimiento);
+    if (age !== null) cf[F.FN_AGE] = String(age);
+  }
+  if (telefono1) {
+    data.phone = telefono1;
+    cf[F.FN_PHONE_MIRROR] = telefono1;
+  }
+  if (telefono2) data.mobile = telefono2;
+  if (email) {
+    data.email = email;
+    cf[F.FN_EMAIL_MIRROR] = email;
   }
-}
 
-function parseDocTemplatesEnvOptional() {
-  const raw = String(process.env.DOC_TEMPLATES_JSON || '').trim();
-  if (!raw) return null;
-  try {
-    const obj = JSON.parse(raw);
-    if (!obj || typeof obj !== 'object') return null;
-    return obj;
-  } catch (_e) {
-    return null;
+  let choice = null;
+  if (aseguradoraRaw) {
+    choice = matchPrevisionChoice(cat, CONTACT_PREV_LIST_FIELD_ID, aseguradoraRaw);
+    cf[F.FN_PREV_LIST] = choice.name;
+    cf[F.FN_PREV_STR] = choice.name;
+    cf[F.FN_PREV_1] = choice.name;
   }
-}
 
-function isWriteEnabledForDocs() {
-  return String(process.env.ALLOW_DOCS_WRITE || process.env.ALLOW_WRITE || 'false').toLowerCase() === 'true';
+  // Dirección compuesta "DIRECCION, COMUNA": si solo cambia una parte, la otra sale de lo que ya tiene Sell
+  if (direccion || comunaInput) {
+    const curAddress = current?.address || {};
+    const curCity = curAddress.city && curAddress.city !== ERROR_COMUNA ? curAddress.city : null;
+    const comuna = comunaInput ? updateComuna(comunaInput) : curCity;
+    let street = direccion;
+    if (!street) {
+      street = String(curAddress.line1 || '').trim();
+      if (curCity && street.endsWith(`, ${curCity}`)) street = street.slice(0, -(curCity.length + 2));
+    }
+    data.address = {
+      line1: [street, comuna].filter(Boolean).join(', '),
+      city: comuna || ERROR_COMUNA,
+    };
+    if (comunaInput) cf[F.FN_CITY_MIRROR] = comuna;
+  }
+
+  data.custom_fields = cf;
+  return { data, norm, choice, previsionField: F.FN_PREV_LIST };
+}
+
+/**
+ * Cambios propuestos para un deal (mismos campos que create-deal salvo pipeline/stage/contacto).
+ * Peso o estatura recalculan el IMC con el otro valor tal como está en Sell.
+ */
+function dealUpdateFromBody(body, dcat, current) {
+  const F = dealFieldNames(dcat);
+  const curCf = current?.custom_fields || {};
+  const data = {};
+  const cf = {};
+  const set = (fieldName, value) => {
+    if (fieldName && value !== null && value !== undefined && value !== '') cf[fieldName] = value;
+  };
+
+  const dealName = cleanValue(body.deal_name || body.name);
+  if (dealName) data.name = dealName;
+  const ownerRaw = body.owner_id ?? body.ownerId ?? null;
+  if (ownerRaw !== null && ownerRaw !== '') {
+    const ownerId = Number(ownerRaw);
+    if (!Number.isFinite(ownerId) || ownerId <= 0) throw updateError(400, 'INVALID_OWNER_ID', 'Dueño inválido (owner_id debe ser numérico).');
+    data.owner_id = ownerId;
+  }
+
+  let norm = null;
+  const rutInput = cleanValue(body.rut || body.run || body.RUN || body.rut_o_id || body.rut_humano);
+  if (rutInput) {
+    const r = rutFields(body, rutInput);
+    norm = r.norm;
+    set(F.DF_RUT_NORM, r.rutNoDashLower);
+    set(F.DF_RUT_O_ID, r.rutHuman);
+  }
+
+  let choice = null;
+  const aseguradoraRaw = normalizeAseguradoraAlias(body.aseguradora || body.prevision || body['Aseguradora'] || body['Previsión'] || body['Prevision']);
+  if (aseguradoraRaw) {
+    choice = matchPrevisionChoice(dcat, DEAL_PREV_LIST_FIELD_ID, aseguradoraRaw);
+    set(F.DF_PREV_LIST, choice.name);
+  }
+
+  set(F.DF_MODALIDAD, normalizeModalidadAlias(body.modalidad || body['Modalidad'] || body['Tramo/Modalidad'] || body.tramo_modalidad));
+
+  const comunaInput = cleanValue(body.comuna || body['Comuna']);
+  if (comunaInput) {
+    const comuna = updateComuna(comunaInput);
+    set(F.DF_CIUDAD, comuna);
+    set(F.DF_COMUNA, comuna);
+  }
+
+  set(F.DF_CORREO, cleanValue(body.email));
+  const telefono = cleanValue(body.telefono1 || body.telefono_1 || body['Teléfono 1'] || body['Telefono 1'] || body.phone1 || body.telefono || body['Teléfono']);
+  if (telefono) {
+    set(F.DF_TELEFONO, telefono);
+    set(F.DF_WHATSAPP, waLinkFromPhone(telefono));
+  }
+
+  const fechaNacimiento = cleanValue(body.fecha_nacimiento || body.fechaNacimiento || body['Fecha Nacimiento']);
+  if (fechaNacimiento) {
+    set(F.DF_FECHA_NAC, updateDob(fechaNacimiento));
+    const edad = calcEdadFromDDMMYYYY(fechaNacimiento);
+    if (edad !== null) set(F.DF_EDAD, String(edad));
+  }
+
+  // Estatura en cm (acepta 1.75 → 175), IMC = peso / estatura²
+  const pesoRaw = cleanValue(body.peso || body['Peso']);
+  const estaturaRaw = cleanValue(body.estatura || body['Estatura']);
+  if (pesoRaw || estaturaRaw) {
+    const estParsed = parseNumDot(estaturaRaw || fieldDisplayValue(curCf[F.DF_ESTATURA]));
+    const estaturaCm = Number.isFinite(estParsed) ? (estParsed > 3 ? estParsed : estParsed * 100) : null;
+    if (estaturaRaw) {
+      if (!Number.isFinite(estaturaCm)) throw updateError(400, 'INVALID_ESTATURA', `Estatura inválida: "${estaturaRaw}".`);
+      set(F.DF_ESTATURA, String(Math.round(estaturaCm)));
+    }
+    if (pesoRaw) {
+      if (!Number.isFinite(parseNumDot(pesoRaw))) throw updateError(400, 'INVALID_PESO', `Peso inválido: "${pesoRaw}".`);
+      set(F.DF_PESO, pesoRaw);
+    }
+    const imc = calcImc(parseNumDot(pesoRaw || fieldDisplayValue(curCf[F.DF_PESO])), Number.isFinite(estaturaCm) ? estaturaCm / 100 : null);
+    if (imc !== null) set(F.DF_IMC, imc.toFixed(2));
+  }
+
+  set(F.DF_URL_MEDINET, cleanValue(body.url_medinet || body.urlMedinet || body['URL-MEDINET']));
+  set(F.DF_SUCURSAL, cleanValue(body.sucursal || body['SUCURSAL'] || body['Sucursal']));
+  set(F.DF_INTERES, cleanValue(body.interes || body['Interés'] || body['Interes']));
+  set(F.DF_CIRUGIAS_PREVIAS, cleanValue(body.cirugias_previas || body['Cirugías Previas'] || body['Cirugias Previas']));
+  set(F.DF_COLAB1, cleanValue(body.colaborador1 || body['Colaborador1']));
+  set(F.DF_COLAB2, cleanValue(body.colaborador2 || body['Colaborador2']));
+  set(F.DF_COLAB3, cleanValue(body.colaborador3 || body['Colaborador3']));
+  set(F.DF_VALIDACION_PAD, cleanValue(body.validacion_pad || body['Validacion PAD']));
+  set(F.DF_NUM_FAMILIA, cleanValue(body.numero_familia_paciente || body['Numero familia paciente']));
+  set(F.DF_CIR_BARI, cleanValue(body.cirujano_bariatrico || body['CIRUJANO BARIÁTRICO'] || body['CIRUJANO BARIATRICO']));
+  set(F.DF_CIR_PLAST, cleanValue(body.cirujano_plastico || body['CIRUJANO PLASTICO']));
+  set(F.DF_CIR_BALON, cleanValue(body.cirujano_balon || body['CIRUJANO DE BALON']));
+  set(F.DF_CIR_GENERAL, cleanValue(body.cirujano_general || body['CIRUJANO GENERAL']));
+
+  data.custom_fields = cf;
+  return { data, norm, choice, previsionField: F.DF_PREV_LIST, rutField: F.DF_RUT_NORM };
+}
+
+/**
+ * Diff antes/después: una fila por cada custom field (catálogo + los que ya traiga el registro) y por cada
+ * atributo estándar que viene en el update. { custom_fields: [{ field, before, after, changed }], standard, changed_count }
+ */
+function buildUpdateDiff({ cat, before, data }) {
+  const beforeCf = before?.custom_fields || {};
+  const afterCf = data.custom_fields || {};
+  const names = Array.from(new Set([...cat.fields.map((f) => f.name), ...Object.keys(beforeCf)]));
+  const custom_fields = names.map((field) => {
+    const b = fieldDisplayValue(beforeCf[field]);
+    const a = Object.prototype.hasOwnProperty.call(afterCf, field) ? fieldDisplayValue(afterCf[field]) : b;
+    return { field, before: b, after: a, changed: a !== b };
+  });
+
+  const standard = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'custom_fields') continue;
+    if (key === 'address') {
+      for (const [sub, v] of Object.entries(value)) {
+        const b = fieldDisplayValue(before?.address?.[sub]);
+        const a = fieldDisplayValue(v);
+        standard.push({ field: `address.${sub}`, before: b, after: a, changed: a !== b });
+      }
+      continue;
+    }
+    const b = fieldDisplayValue(before?.[key]);
+    const a = fieldDisplayValue(value);
+    standard.push({ field: key, before: b, after: a, changed: a !== b });
+  }
+
+  const changed_count = custom_fields.filter((r) => r.changed).length + standard.filter((r) => r.changed).length;
+  return { custom_fields, standard, changed_count };
+}
+
+// Payload para PUT: solo lo que realmente cambia (la dirección va completa si cambia alguna parte)
+function changedUpdateData(before, data) {
+  const out = { custom_fields: {} };
+  for (const [name, v] of Object.entries(data.custom_fields || {})) {
+    if (fieldDisplayValue(v) !== fieldDisplayValue(before?.custom_fields?.[name])) out.custom_fields[name] = v;
+  }
+  for (const [key, v] of Object.entries(data)) {
+    if (key === 'custom_fields') continue;
+    if (key === 'address') {
+      if (Object.entries(v).some(([sub, x]) => fieldDisplayValue(x) !== fieldDisplayValue(before?.address?.[sub]))) out.address = v;
+      continue;
+    }
+    if (fieldDisplayValue(v) !== fieldDisplayValue(before?.[key])) out[key] = v;
+  }
+  if (!Object.keys(out.custom_fields).length) delete out.custom_fields;
+  return out;
+}
+
+// Sell a veces rechaza la previsión (list) como string: reintento con {id,name}, igual que en create
+async function putWithPrevisionRetry(update, id, payload, { choice, previsionField }) {
+  try {
+    return await update(id, payload);
+  } catch (e) {
+    const msg = String(e.message || '');
+    const listRejected = msg.includes('422') || msg.includes('schema_validation_failed') || msg.includes('unprocessable');
+    if (!listRejected || !choice || !payload.data.custom_fields?.[previsionField]) throw e;
+    payload.data.custom_fields[previsionField] = { id: choice.id, name: choice.name };
+    return update(id, payload);
+  }
+}
+
+async function getForUpdate(kind, id) {
+  try {
+    return kind === 'contact' ? await getContactById(id) : await getDealById(id);
+  } catch (err) {
+    if (err.http_status === 404) {
+      throw updateError(404, kind === 'contact' ? 'CONTACT_NOT_FOUND' : 'DEAL_NOT_FOUND', `No existe el ${kind === 'contact' ? 'contacto' : 'deal'} ${id} en Sell.`);
+    }
+    throw err;
+  }
+}
+
+function updateErrorStatus(err) {
+  if (isPatientIdError(err)) return 400;
+  return err && err.http_status ? err.http_status : 500;
+}
+
+app.patch('/api/contacts/:id', requirePermission('contact.update', { dryRun: true }), requireActor(), async (req, res) => {
+  const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
+  const debug = String(req.query.debug || '').toLowerCase() === '1' || String(req.query.debug || '').toLowerCase() === 'true';
+
+  if (!dryRun && String(process.env.ALLOW_WRITE || 'false').toLowerCase() !== 'true') {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Actualización deshabilitada en este entorno (ALLOW_WRITE != true).',
+    });
+  }
+
+  const out = (status, error = null, message = null, extra = {}) => {
+    return res.status(status).json({ ok: status < 400, status, error, message, ...extra });
+  };
+
+  try {
+    const contactId = Number(req.params.id);
+    if (!Number.isFinite(contactId) || contactId <= 0) return out(400, 'INVALID_CONTACT_ID', 'contact id inválido.');
+
+    const cat = await getContactCatalog();
+    const current = await getForUpdate('contact', contactId);
+    const proposal = contactUpdateFromBody(req.body || {}, cat, current);
+
+    // El RUT nuevo no puede ser de otro contacto
+    if (proposal.norm) {
+      const contactSearchApiId = await resolveSearchApiId('contacts', contactFieldNames(cat).FN_RUT_NORM);
+      const others = (await searchContactsByCustomField(contactSearchApiId, patientIdSearchValues(proposal.norm), 10))
+        .filter((c) => Number(c.id) !== contactId);
+      if (others.length) {
+        return out(409, 'DUPLICATE_CONTACT_RUT', 'Ese RUT ya pertenece a otro contacto en Sell. No se actualizará.', {
+          contacts: others.map((c) => ({ id: c.id, display_name: c.display_name, desktop_url: deskContactUrl(c.id), mobile_url: mobileContactUrl(c.id) })),
+        });
+      }
+    }
+
+    const diff = buildUpdateDiff({ cat, before: current, data: proposal.data });
+    const payload = { data: changedUpdateData(current, proposal.data) };
+    const extra = {
+      contact: {
+        id: contactId,
+        display_name: current.name || `${current.first_name || ''} ${current.last_name || ''}`.trim(),
+        desktop_url: deskContactUrl(contactId),
+        mobile_url: mobileContactUrl(contactId),
+      },
+      changed: diff.changed_count,
+      diff,
+      detalle_tecnico: debug ? { payload } : undefined,
+    };
+
+    if (!diff.changed_count) return out(200, null, 'Sin cambios respecto de Sell (no se actualizó nada).', extra);
+    if (dryRun) return out(200, null, `DRY_RUN: ${diff.changed_count} campo(s) cambiarían (no se actualizó el contacto).`, extra);
+
+    await putWithPrevisionRetry(updateContact, contactId, payload, proposal);
+    const note = await noteUpdated('contact', contactId, diff, req.body.actor);
+    return out(200, null, `Contacto actualizado (${diff.changed_count} campo(s)).`, { ...extra, note });
+  } catch (err) {
+    return out(updateErrorStatus(err), err.code || 'ERROR', err.message || String(err), {
+      ...(err.extra || {}),
+      details: err.field_id ? { field_id: err.field_id } : undefined,
+    });
+  }
+});
+
+app.patch('/api/deals/:id', requirePermission('deal.update', { dryRun: true }), requireActor(), async (req, res) => {
+  const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
+  const debug = String(req.query.debug || '').toLowerCase() === '1' || String(req.query.debug || '').toLowerCase() === 'true';
+
+  if (!dryRun && String(process.env.ALLOW_WRITE || 'false').toLowerCase() !== 'true') {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Actualización deshabilitada en este entorno (ALLOW_WRITE != true).',
+    });
+  }
+
+  const out = (status, error = null, message = null, extra = {}) => {
+    return res.status(status).json({ ok: status < 400, status, error, message, ...extra });
+  };
+
+  try {
+    const dealId = Number(req.params.id);
+    if (!Number.isFinite(dealId) || dealId <= 0) return out(400, 'INVALID_DEAL_ID', 'deal id inválido.');
+
+    const dcat = await getDealCatalog();
+    const current = await getForUpdate('deal', dealId);
+    const proposal = dealUpdateFromBody(req.body || {}, dcat, current);
+
+    // Cambiar el RUT no puede dejar 2 deals con el mismo RUT en el pipeline de este deal
+    if (proposal.norm && current.stage_id) {
+      const [stage] = await getStagesByIds([current.stage_id]);
+      const dealsSamePipeline = await findDealsInPipelineByRut({
+        rutFieldName: proposal.rutField,
+        norm: proposal.norm,
+        pipelineId: stage ? stage.pipeline_id : null,
+        excludeDealId: dealId,
+      });
+      if (dealsSamePipeline.length) {
+        return out(409, 'DEAL_EXISTS_IN_PIPELINE', 'Ya existe otro deal en el mismo pipeline con ese RUT_normalizado. No se actualizará.', {
+          warning_banner: '🚨 Revisar y Trabajar Zendesk Sell 🚨',
+          deals: dealsSamePipeline,
+        });
+      }
+    }
+
+    const diff = buildUpdateDiff({ cat: dcat, before: current, data: proposal.data });
+    const payload = { data: changedUpdateData(current, proposal.data) };
+    const extra = {
+      deal: {
+        id: dealId,
+        name: current.name || null,
+        contact_id: current.contact_id || null,
+        desktop_url: deskDealUrl(dealId),
+        mobile_url: mobileDealUrl(dealId),
+      },
+      changed: diff.changed_count,
+      diff,
+      detalle_tecnico: debug ? { payload } : undefined,
+    };
+
+    if (!diff.changed_count) return out(200, null, 'Sin cambios respecto de Sell (no se actualizó nada).', extra);
+    if (dryRun) return out(200, null, `DRY_RUN: ${diff.changed_count} campo(s) cambiarían (no se actualizó el deal).`, extra);
+
+    await putWithPrevisionRetry(updateDeal, dealId, payload, proposal);
+    const note = await noteUpdated('deal', dealId, diff, req.body.actor);
+    return out(200, null, `Deal actualizado (${diff.changed_count} campo(s)).`, { ...extra, note });
+  } catch (err) {
+    return out(updateErrorStatus(err), err.code || 'ERROR', err.message || String(err), {
+      ...(err.extra || {}),
+      details: err.field_id ? { field_id: err.field_id } : undefined,
+    });
+  }
+});
+
+
+// -------------------------
+// Intake (upsert en una llamada): contacto por RUT_normalizado (crea o reutiliza) → deal (uno por pipeline, crea o
+// reutiliza) → documentos opcionales. Reusa los mismos flujos que create-contact / create-deal / generate-batch.
+// -------------------------
+function intakeSkipped(reason) {
+  return { outcome: 'skipped', reason };
+}
+
+function intakeDocsRequest(body) {
+  const docs = body.documents;
+  if (docs && typeof docs === 'object' && !Array.isArray(docs)) return docs;
+  if (docs === true || ['1', 'true'].includes(String(body.generate_docs ?? '').toLowerCase())) return {};
+  return null;
+}
+
+app.post('/api/intake', requirePermission('intake', 'contact.create', 'deal.create', { dryRun: true }), requireActor(), async (req, res) => {
+  const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
+  const debug = String(req.query.debug || '').toLowerCase() === '1' || String(req.query.debug || '').toLowerCase() === 'true';
+
+  if (!dryRun && String(process.env.ALLOW_WRITE || 'false').toLowerCase() !== 'true') {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Creación deshabilitada en este entorno (ALLOW_WRITE != true).',
+    });
+  }
+
+  const body = req.body || {};
+  const steps = { contact: null, deal: null, documents: null };
+  let contact = null;
+  let deal = null;
+  let job = null;
+
+  const respond = (status, error, message, extra = {}) => res.status(status).json({
+    ok: status < 400,
+    status,
+    error,
+    message,
+    dry_run: dryRun,
+    contact,
+    deal,
+    job,
+    steps,
+    ...extra,
+  });
+
+  // Lo que el deal exige se valida antes de crear nada: no dejar un contacto nuevo sin su deal por un dato faltante
+  const pipelineId = Number(pipelineIdFromBody(body) ?? '');
+  const ownerId = Number(body.owner_id ?? body.ownerId ?? body.owner?.id ?? '');
+  if (!Number.isFinite(pipelineId) || pipelineId <= 0) return respond(400, 'MISSING_PIPELINE_ID', 'Debes indicar pipeline_id para el Deal.');
+  if (!Number.isFinite(ownerId) || ownerId <= 0) return respond(400, 'MISSING_OWNER_ID', 'Debes indicar owner_id (Dueño) para el Deal.');
+  const docsRequest = intakeDocsRequest(body);
+  if (docsRequest && !dryRun && !isWriteEnabledForDocs()) {
+    return respond(403, 'WRITE_DISABLED', 'Se pidieron documentos pero la generación está deshabilitada (ALLOW_DOCS_WRITE/ALLOW_WRITE != true).');
+  }
+  if (docsRequest && !dryRun && !publicBaseUrlFromEnv()) {
+    return respond(500, 'MISSING_PUBLIC_BASE_URL', 'Se pidieron documentos pero falta PUBLIC_BASE_URL (URL pública del portal).');
+  }
+
+  const stop = (step, r) => {
+    for (const k of Object.keys(steps)) if (!steps[k]) steps[k] = intakeSkipped(`falló el paso ${step}`);
+    return respond(r.status, r.error, `${step === 'contact' ? 'Contacto' : 'Deal'}: ${r.message}`);
+  };
+
+  // 1) Contacto: CONTACT_EXISTS no es error aquí, es el contacto a usar
+  const c = await createContactFlow(body, { dryRun, debug });
+  if (!dryRun) await noteContactCreated(c, body.actor);
+  if (c.status === 201) {
+    steps.contact = { outcome: 'created', ...c };
+    contact = c.contact;
+  } else if (c.error === 'CONTACT_EXISTS') {
+    steps.contact = { outcome: 'existing', ...c };
+    contact = c.contact;
+  } else if (dryRun && c.ok) {
+    steps.contact = { outcome: 'would_create', ...c };
+  } else {
+    steps.contact = { outcome: 'error', ...c };
+    return stop('contact', c);
+  }
+
+  // 2) Deal: si ya hay exactamente uno en el pipeline con este RUT se reutiliza; 2 o más es un conflicto a resolver en Sell
+  const d = await createDealFlow({ ...body, contact_id: contact ? contact.id : null }, { dryRun, debug, requireContact: Boolean(contact) });
+  if (!dryRun) await noteDealCreated(d, body.actor, pipelineId);
+  const existingDeals = Array.isArray(d.deals) ? d.deals : [];
+  if (d.status === 201) {
+    steps.deal = { outcome: 'created', ...d };
+    deal = d.deal;
+  } else if (d.error === 'DEAL_EXISTS_IN_PIPELINE' && existingDeals.length === 1) {
+    steps.deal = { outcome: 'existing', ...d };
+    const x = existingDeals[0];
+    deal = { id: x.id, name: x.name, desktop_url: x.desktop_url, mobile_url: x.mobile_url };
+  } else if (dryRun && d.ok) {
+    steps.deal = { outcome: 'would_create', ...d };
+  } else {
+    steps.deal = { outcome: 'error', ...d };
+    return stop('deal', d);
+  }
+
+  // 3) Documentos (opcional): un fallo aquí no deshace contacto/deal, queda en steps.documents
+  let docsFailed = false;
+  if (!docsRequest) {
+    steps.documents = intakeSkipped('no solicitado');
+  } else if (!deal) {
+    steps.documents = intakeSkipped('el deal aún no existe (dry_run)');
+  } else {
+    const docsBody = { ...docsRequest, deal_id: deal.id, actor: body.actor };
+    const r = await startDocsBatch(docsBody, { dryRun });
+    docsFailed = !r.ok;
+    steps.documents = { outcome: r.ok ? (dryRun ? 'dry_run' : 'queued') : 'error', ...r };
+    if (r.job_id) job = { id: r.job_id, url: r.job_url, status: r.job_status };
+  }
+
+  const created = [steps.contact, steps.deal].some(s => s.outcome === 'created');
+  const summary = [
+    `Contacto ${{ created: 'creado', existing: 'existente', would_create: 'se crearía' }[steps.contact.outcome]}`,
+    `Deal ${{ created: 'creado', existing: 'existente', would_create: 'se crearía' }[steps.deal.outcome]}`,
+    docsRequest ? `Documentos: ${docsFailed ? `error (${steps.documents.message})` : steps.documents.outcome}` : null,
+  ].filter(Boolean).join(' · ');
+
+  return respond(!dryRun && created ? 201 : 200, null, summary, docsFailed ? { partial: true } : {});
+});
+
+
+// -------------------------
+// Duplicados por RUT (workbench): contactos/deals en conflicto lado a lado, el supervisor elige el sobreviviente
+// y POST /api/duplicates/merge mueve deals, copia notas y etiqueta los duplicados (lib/duplicates.js).
+// -------------------------
+function displayCustomFields(customFields) {
+  const out = {};
+  for (const [name, v] of Object.entries(customFields || {})) out[name] = fieldDisplayValue(v);
+  return out;
+}
+
+// Nombres de custom fields con algún valor en los registros (filas de la vista lado a lado)
+function filledFieldNames(records) {
+  const names = new Set();
+  for (const r of records) for (const [name, v] of Object.entries(r.custom_fields || {})) if (v !== null) names.add(name);
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Contactos con el RUT y deals agrupados por pipeline: { contacts, deal_groups } (deal_groups con 2+ deals = conflicto).
+ */
+async function findRutDuplicates(norm) {
+  const cat = await getContactCatalog();
+  const dcat = await getDealCatalog();
+  const values = patientIdSearchValues(norm);
+
+  const contactSearchApiId = await resolveSearchApiId('contacts', contactFieldNames(cat).FN_RUT_NORM);
+  const contactHits = await searchContactsByCustomField(contactSearchApiId, values, 50);
+  const contactDetails = await getContactsByIds(contactHits.map(c => c.id));
+
+  const dealSearchApiId = await resolveSearchApiId('deals', dealFieldNames(dcat).DF_RUT_NORM);
+  const dealHits = await searchDealsByCustomField(dealSearchApiId, values, 100);
+  const dealDetails = await getDealsByIds(dealHits.map(d => d.id).slice(0, 50));
+  const stages = await getStagesByIds(dealDetails.map(d => d.stage_id).filter(Boolean));
+  const stageById = new Map(stages.map(s => [s.id, s]));
+  const pipelines = await getPipelinesByIds(Array.from(new Set(stages.map(s => s.pipeline_id).filter(Boolean))));
+  const pipelineNameById = new Map(pipelines.map(p => [p.id, p.name]));
+
+  const deals = dealDetails.map((d) => {
+    const st = stageById.get(d.stage_id);
+    return {
+      id: d.id,
+      name: d.name || null,
+      contact_id: d.contact_id || null,
+      owner_id: d.owner_id || null,
+      stage_name: st ? st.name : null,
+      pipeline_id: st ? st.pipeline_id : null,
+      created_at: d.created_at || null,
+      updated_at: d.updated_at || null,
+      tags: d.tags || [],
+      custom_fields: displayCustomFields(d.custom_fields),
+      desktop_url: deskDealUrl(d.id),
+      mobile_url: mobileDealUrl(d.id),
+    };
+  });
+
+  const contacts = contactDetails.map(c => ({
+    id: c.id,
+    name: c.name || `${c.first_name || ''} ${c.last_name || ''}`.trim(),
+    owner_id: c.owner_id || null,
+    email: c.email || null,
+    phone: c.phone || null,
+    mobile: c.mobile || null,
+    address: [c.address?.line1, c.address?.city].filter(Boolean).join(' · ') || null,
+    created_at: c.created_at || null,
+    updated_at: c.updated_at || null,
+    tags: c.tags || [],
+    deals_with_rut: deals.filter(d => Number(d.contact_id) === Number(c.id)).length,
+    custom_fields: displayCustomFields(c.custom_fields),
+    desktop_url: deskContactUrl(c.id),
+    mobile_url: mobileContactUrl(c.id),
+  }));
+
+  const groups = new Map();
+  for (const d of deals) {
+    if (!Number.isFinite(d.pipeline_id)) continue;
+    if (!groups.has(d.pipeline_id)) groups.set(d.pipeline_id, { pipeline_id: d.pipeline_id, pipeline_name: pipelineNameById.get(d.pipeline_id) || null, deals: [] });
+    groups.get(d.pipeline_id).deals.push(d);
+  }
+  return { contacts, deal_groups: Array.from(groups.values()) };
+}
+
+app.get('/api/duplicates', requirePermission('patient.read', { read: true }), async (req, res) => {
+  try {
+    const norm = patientIdFromBody(req.query, req.query.rut || '');
+    if (!norm.canonical) return res.status(400).json({ ok: false, status: 400, error: 'MISSING_RUT', message: 'Debes ingresar un RUT (o pasaporte / ID provisorio).' });
+    const rut = norm.canonical;
+
+    const { contacts, deal_groups } = await findRutDuplicates(norm);
+    const dealConflicts = deal_groups.filter(g => g.deals.length > 1);
+    const merges = (await listMerges({ rut })).reverse();
+
+    return res.status(200).json({
+      ok: true,
+      status: 200,
+      rut_normalizado: rut,
+      rut_humano: norm.human,
+      id_type: norm.type,
+      contact_conflict: contacts.length > 1,
+      contacts,
+      deal_conflicts: dealConflicts.map(g => ({ ...g, fields: filledFieldNames(g.deals) })),
+      fields: { contact: filledFieldNames(contacts) },
+      tag: duplicateTag(),
+      merges,
+    });
+  } catch (err) {
+    const status = isPatientIdError(err) ? 400 : (err.http_status || 500);
+    return res.status(status).json({ ok: false, status, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+app.post('/api/duplicates/merge', requirePermission('duplicates.merge', { dryRun: true }), requireActor(), async (req, res) => {
+  const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
+
+  if (!dryRun && String(process.env.ALLOW_WRITE || 'false').toLowerCase() !== 'true') {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Fusión deshabilitada en este entorno (ALLOW_WRITE != true).',
+    });
+  }
+
+  const out = (status, error = null, message = null, extra = {}) => {
+    return res.status(status).json({ ok: status < 400, status, error, message, ...extra });
+  };
+
+  try {
+    const body = req.body || {};
+    const kind = String(body.kind || '').trim();
+    if (!['contact', 'deal'].includes(kind)) return out(400, 'INVALID_KIND', 'kind debe ser "contact" o "deal".');
+
+    // Fusionar exige el rol de duplicates.merge (lib/roles.js). Con login ya lo validó requirePermission con la sesión;
+    // sin login se resuelve el rol del actor validado (requireActor): sin supervisores configurados nadie fusiona.
+    if (!dryRun) {
+      if (!body.actor) return out(400, 'MISSING_ACTOR', 'Indica el supervisor que fusiona (actor.email).');
+      if (!authEnabled()) {
+        const config = loadRolesConfig();
+        const { role } = await resolveRole({ email: body.actor.email }, config);
+        const required = requiredRole('duplicates.merge', { config });
+        if (!roleAllows(role, required)) {
+          return out(403, 'NOT_SUPERVISOR', `Solo un ${required} (ROLES_JSON / SUPERVISOR_EMAILS) puede fusionar duplicados.`, { role, required_role: required });
+        }
+      }
+    }
+
+    const norm = patientIdFromBody(body, body.rut || '');
+    if (!norm.canonical) return out(400, 'MISSING_RUT', 'Debes ingresar un RUT (o pasaporte / ID provisorio).');
+    const rut = norm.canonical;
+
+    // El conflicto se vuelve a buscar en Sell: solo se fusionan registros que hoy comparten el RUT
+    const { contacts, deal_groups } = await findRutDuplicates(norm);
+    let pipelineId = null;
+    let candidates;
+    if (kind === 'contact') {
+      candidates = contacts.map(c => Number(c.id));
+    } else {
+      pipelineId = Number(body.pipeline_id);
+      const group = deal_groups.find(g => g.pipeline_id === pipelineId);
+      candidates = group ? group.deals.map(d => Number(d.id)) : [];
+    }
+    if (candidates.length < 2) {
+      return out(409, 'NO_CONFLICT', `No hay ${kind === 'contact' ? 'contactos' : 'deals en ese pipeline'} duplicados con este RUT.`, { candidates });
+    }
+
+    const survivorId = Number(body.survivor_id);
+    if (!candidates.includes(survivorId)) {
+      return out(400, 'INVALID_SURVIVOR', 'El sobreviviente no está entre los duplicados de este RUT.', { candidates });
+    }
+    const loserIds = Array.isArray(body.loser_ids) && body.loser_ids.length
+      ? Array.from(new Set(body.loser_ids.map(Number)))
+      : candidates.filter(id => id !== survivorId);
+    if (loserIds.includes(survivorId) || loserIds.some(id => !candidates.includes(id))) {
+      return out(400, 'INVALID_LOSERS', 'loser_ids debe contener solo duplicados de este RUT distintos del sobreviviente.', { candidates });
+    }
+
+    const { merge, actions } = await mergeDuplicates({ kind, rut, pipelineId, survivorId, loserIds, actor: body.actor || null, dryRun });
+    const failed = actions.filter(a => a.ok === false).length;
+
+    if (dryRun) {
+      return out(200, null, `DRY_RUN: ${actions.length} acción(es) (no se modificó Sell).`, { kind, survivor_id: survivorId, loser_ids: loserIds, actions });
+    }
+
+    // Nota estructurada en el sobreviviente (por el outbox): quién fusionó qué
+    const note = await writeNote({
+      resource: kind,
+      id: survivorId,
+      action: 'duplicates.merge',
+      content: buildActionNote({
+        title: kind === 'contact' ? '🔀 Contactos duplicados fusionados' : '🔀 Deals duplicados fusionados',
+        action: 'duplicates.merge',
+        actor: body.actor,
+        fields: [
+          ['RUT', rut],
+          ['Pipeline', pipelineId],
+          ['Fusionados en este registro', loserIds.join(', ')],
+          ['Acciones fallidas', failed || null],
+          ['Fusión', merge.id],
+        ],
+      }),
+    });
+    return out(200, null, failed ? `Fusión con ${failed} acción(es) fallida(s); revisa actions.` : 'Fusión completada.', {
+      kind,
+      survivor_id: survivorId,
+      loser_ids: loserIds,
+      merge_id: merge.id,
+      partial: failed > 0,
+      actions,
+      note,
+    });
+  } catch (err) {
+    const status = isPatientIdError(err) ? 400 : (err.http_status || 500);
+    return out(status, err.code || 'ERROR', err.message || String(err));
+  }
+});
+
+app.get('/api/duplicates/merges', requirePermission('patient.read', { read: true }), async (req, res) => {
+  try {
+    let rut = null;
+    if (req.query.rut) rut = patientIdFromBody(req.query, req.query.rut).canonical;
+    const merges = (await listMerges({ rut })).reverse();
+    return res.status(200).json({ ok: true, status: 200, rut, merges });
+  } catch (err) {
+    const status = isPatientIdError(err) ? 400 : 500;
+    return res.status(status).json({ ok: false, status, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+
+// -------------------------
+// Calidad de RUT (lib/rut_scan.js): escaneo de todos los contactos/deals en segundo plano y reescritura de
+// RUT_normalizado a la forma canónica (primero el escaneo, que no escribe; luego apply sobre lo que encontró).
+// -------------------------
+const RUT_SCAN_RESOURCES = ['contacts', 'deals'];
+
+async function rutScanFields() {
+  const fn = contactFieldNames(await getContactCatalog());
+  const df = dealFieldNames(await getDealCatalog());
+  return {
+    contacts: { rutNormField: fn.FN_RUT_NORM, rutHumanField: fn.FN_RUT_HUMAN },
+    deals: { rutNormField: df.DF_RUT_NORM, rutHumanField: df.DF_RUT_O_ID },
+  };
+}
+
+function rutScanJobResponse(job) {
+  const { status: jobStatus, ...pub } = publicJob(job);
+  const out = { ok: true, status: 200, ...pub, job_status: jobStatus };
+  if (job.type === 'rut-scan' && job.status !== 'pending' && job.status !== 'running') {
+    out.fixable = rutScanFixes(job).length;
+    out.apply_url = `/api/rut-scan/${job.id}/apply`;
+  }
+  return out;
+}
+
+function rutScanJobNotFound(res) {
+  return res.status(404).json({ ok: false, status: 404, error: 'JOB_NOT_FOUND', message: 'Job no encontrado (expira a las 24 h o tras reiniciar el servidor).' });
+}
+
+app.post('/api/rut-scan', requirePermission('rut_scan.run'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const resources = Array.isArray(body.resources) && body.resources.length ? Array.from(new Set(body.resources.map(String))) : RUT_SCAN_RESOURCES;
+    if (resources.some(r => !RUT_SCAN_RESOURCES.includes(r))) {
+      return res.status(400).json({ ok: false, status: 400, error: 'INVALID_RESOURCES', message: 'resources debe contener "contacts" y/o "deals".' });
+    }
+    let maxPages = null;
+    if (body.max_pages !== undefined && body.max_pages !== null && body.max_pages !== '') {
+      maxPages = Number(body.max_pages);
+      if (!Number.isInteger(maxPages) || maxPages <= 0) {
+        return res.status(400).json({ ok: false, status: 400, error: 'INVALID_MAX_PAGES', message: 'max_pages debe ser un entero positivo.' });
+      }
+    }
+
+    const job = startRutScan({ fields: await rutScanFields(), resources, maxPages });
+    return res.status(202).json({ ok: true, status: 202, job_id: job.id, job_url: `/api/rut-scan/${job.id}`, job_status: job.status, resources, max_pages: maxPages });
+  } catch (err) {
+    console.error('rut-scan error', err);
+    const status = err.http_status || 500;
+    return res.status(status).json({ ok: false, status, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+app.get('/api/rut-scan/:id', requirePermission('patient.read', { read: true }), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || (job.type !== 'rut-scan' && job.type !== 'rut-scan.apply')) return rutScanJobNotFound(res);
+  return res.status(200).json(rutScanJobResponse(job));
+});
+
+app.post('/api/rut-scan/:id/apply', requirePermission('rut_scan.apply', { dryRun: true }), requireActor(), (req, res) => {
+  const dryRun = String(req.query.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || '').toLowerCase() === 'true';
+
+  if (!dryRun && String(process.env.ALLOW_WRITE || 'false').toLowerCase() !== 'true') {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Reescritura deshabilitada en este entorno (ALLOW_WRITE != true).',
+    });
+  }
+
+  const job = getJob(req.params.id);
+  if (!job || job.type !== 'rut-scan') return rutScanJobNotFound(res);
+  if (job.status === 'pending' || job.status === 'running') {
+    return res.status(409).json({ ok: false, status: 409, error: 'JOB_RUNNING', message: 'El escaneo aún está en curso.' });
+  }
+
+  const fixes = rutScanFixes(job);
+  if (!fixes.length) {
+    return res.status(400).json({ ok: false, status: 400, error: 'NOTHING_TO_FIX', message: 'El escaneo no encontró RUT_normalizado no canónicos.' });
+  }
+  if (dryRun) {
+    return res.status(200).json({ ok: true, status: 200, dry_run: true, scan_job_id: job.id, message: `DRY_RUN: ${fixes.length} registro(s) por reescribir (no se modificó Sell).`, fixes });
+  }
+
+  const applyJob = applyRutScan(job, fixes, { actor: req.body?.actor || null });
+  return res.status(202).json({
+    ok: true,
+    status: 202,
+    dry_run: false,
+    scan_job_id: job.id,
+    job_id: applyJob.id,
+    job_url: `/api/rut-scan/${applyJob.id}`,
+    job_status: applyJob.status,
+    fixes: fixes.length,
+  });
+});
+
+
+// -------------------------
+// Docs generation (Drive templates -> PDFs)
+// -------------------------
+function slugifyName(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80) || 'template';
+}
+
+function getTemplateFolderId() {
+  const v = String(process.env.TEMPLATE_FOLDER_ID || process.env.DOC_TEMPLATES_FOLDER_ID || '').trim();
+  return v || null;
+}
+
+// Cache templates listing to avoid hitting Drive too often
+let TEMPLATE_CACHE = null;
+let TEMPLATE_CACHE_AT = 0;
+const TEMPLATE_TTL_MS = 5 * 60 * 1000; // 5 min
+
+async function getTemplatesFromDriveFolder(force = false, folderIdOverride = null) {
+  const folderId = String(folderIdOverride || getTemplateFolderId() || '').trim();
+  if (!folderId) return null;
+
+  const now = Date.now();
+  if (!force && TEMPLATE_CACHE && (now - TEMPLATE_CACHE_AT) < TEMPLATE_TTL_MS && TEMPLATE_CACHE.folder_id === folderId) {
+    return TEMPLATE_CACHE;
+  }
+
+  const storage = getStorage();
+  const items = await storage.listTemplatesInFolder({ folderId });
+  const mapped = items.map(it => ({
+    id: it.id,
+    name: it.name,
+    slug: slugifyName(it.name),
+    docs_url: it.docs_url,
+    modifiedTime: it.modifiedTime,
+    mimeType: it.mimeType,
+    engine: resolveTemplateEngine({ storage, templateFileId: it.id, slug: slugifyName(it.name), mimeType: it.mimeType }),
+  }));
+
+  TEMPLATE_CACHE = { folder_id: folderId, items: mapped };
+  TEMPLATE_CACHE_AT = now;
+  return TEMPLATE_CACHE;
+}
+
+// Placeholder report per template version (id + modifiedTime): editing the template invalidates it
+const TEMPLATE_HEALTH_CACHE = new Map();
+
+async function getTemplatePlaceholderReport(storage, template, force = false) {
+  const cacheKey = `${storage.kind}:${template.id}@${template.modifiedTime || ''}`;
+  if (!force && template.modifiedTime && TEMPLATE_HEALTH_CACHE.has(cacheKey)) return TEMPLATE_HEALTH_CACHE.get(cacheKey);
+
+  const text = await readTemplateText({ storage, templateFileId: template.id, mimeType: template.mimeType });
+  const report = analyzeTemplateText(text);
+  TEMPLATE_HEALTH_CACHE.set(cacheKey, report);
+  return report;
+}
+
+function parseDocTemplatesEnv() {
+  const raw = String(process.env.DOC_TEMPLATES_JSON || '').trim();
+  if (!raw) {
+    const err = new Error('Falta DOC_TEMPLATES_JSON (map doc_type -> template_file_id)');
+    err.code = 'MISSING_DOC_TEMPLATES_JSON';
+    throw err;
+  }
+  try {
+    const obj = JSON.parse(raw);
+    if (!obj || typeof obj !== 'object') throw new Error('DOC_TEMPLATES_JSON no es objeto');
+    return obj;
+  } catch (e) {
+    const err = new Error(`DOC_TEMPLATES_JSON inválido: ${e.message || String(e)}`);
+    err.code = 'INVALID_DOC_TEMPLATES_JSON';
+    throw err;
+  }
+}
+
+function parseDocTemplatesEnvOptional() {
+  const raw = String(process.env.DOC_TEMPLATES_JSON || '').trim();
+  if (!raw) return null;
+  try {
+    const obj = JSON.parse(raw);
+    if (!obj || typeof obj !== 'object') return null;
+    return obj;
+  } catch (_e) {
+    return null;
+  }
+}
+
+// Package "templates" → template items (by file ID, folder slug or DOC_TEMPLATES_JSON key)
+async function resolvePackageTemplates(pkg) {
+  const fromEnv = parseDocTemplatesEnvOptional() || {};
+  const data = getTemplateFolderId() ? await getTemplatesFromDriveFolder(false, null) : null;
+  const folderItems = data?.items || [];
+  const byId = new Map(folderItems.map(it => [it.id, it]));
+  const bySlug = new Map(folderItems.map(it => [it.slug, it]));
+
+  const items = [];
+  const missing = [];
+  const seen = new Set();
+  for (const ref of pkg.templates) {
+    const hit = byId.get(ref) || bySlug.get(slugifyName(ref)) || bySlug.get(ref);
+    const item = hit
+      ? { label: hit.name, template_file_id: hit.id }
+      : (fromEnv[ref] ? { label: ref, template_file_id: String(fromEnv[ref]) } : null);
+    if (!item) {
+      missing.push(ref);
+      continue;
+    }
+    if (seen.has(item.template_file_id)) continue;
+    seen.add(item.template_file_id);
+    items.push(item);
+  }
+  return { items, missing };
+}
+
+async function packagesForResponse(pipelineId) {
+  const out = [];
+  for (const pkg of listPackages({ pipelineId })) {
+    const { items, missing } = await resolvePackageTemplates(pkg);
+    out.push({
+      id: pkg.id,
+      name: pkg.name,
+      description: pkg.description,
+      pipeline_ids: pkg.pipeline_ids,
+      template_ids: items.map(it => it.template_file_id),
+      missing_templates: missing,
+    });
+  }
+  return out;
+}
+
+function isWriteEnabledForDocs() {
+  return String(process.env.ALLOW_DOCS_WRITE || process.env.ALLOW_WRITE || 'false').toLowerCase() === 'true';
 }
 
 function safeName(s) {
@@ -1403,11 +2641,37 @@ function buildPatientFolderName({ rutHuman, rutNormNoDash, firstName, lastName }
   return safeName(`${rutPart} - ${namePart}`) || `PACIENTE-${Date.now()}`;
 }
 
+// URL base del portal para los QR de verificación (PUBLIC_BASE_URL o el host del request)
+function newDocVerification(baseUrl) {
+  if (!verificationEnabled()) return null;
+  const code = newVerificationCode();
+  return { code, url: verificationUrl(code, baseUrl) };
+}
+
+// modifiedTime del template al momento de generar (para el registro); null si no se puede leer
+async function templateModifiedTime(storage, templateFileId) {
+  try {
+    const meta = await storage.getFileMetadata({ fileId: templateFileId });
+    return meta?.modifiedTime || null;
+  } catch (err) {
+    console.error('template modifiedTime error', templateFileId, err.message || err);
+    return null;
+  }
+}
+
+// {{image.*}}: firma/timbre según el cirujano del deal (SIGNATURE_IMAGES_JSON); sin config no lee el deal
+// La firma sale del deal en Sell: deal solo si ya lo cargó el servidor (jobs), nunca el que manda el cliente
+async function signatureImagesFor({ storage, deal = null, dealId = null, baseUrl }) {
+  if (!Object.keys(loadImageConfig()).length) return { images: null, chosen: {} };
+  const source = deal?.custom_fields ? deal : (dealId ? await getDealById(dealId) : null);
+  return resolveImagePlaceholders({ storage, deal: source, baseUrl });
+}
+
 function isoDateTodayLocal() {
   return new Date().toISOString().slice(0, 10);
 }
 
-app.get('/api/deal-context', async (req, res) => {
+app.get('/api/deal-context', requirePermission('patient.read', { read: true }), async (req, res) => {
   try {
     const dealId = Number(req.query.deal_id || req.query.dealId || '');
     if (!Number.isFinite(dealId) || dealId <= 0) {
@@ -1451,44 +2715,186 @@ app.get('/api/deal-context', async (req, res) => {
   }
 });
 
-app.get('/api/docs/templates', async (req, res) => {
+app.get('/api/docs/templates', async (req, res) => {
+  try {
+    const folderId = String(req.query.folder_id || req.query.folderId || '').trim() || null;
+    const force = String(req.query.force || '').toLowerCase() === '1' || String(req.query.force || '').toLowerCase() === 'true';
+    const data = await getTemplatesFromDriveFolder(force, folderId);
+    if (!data) {
+      return res.status(400).json({ ok: false, status: 400, error: 'MISSING_TEMPLATE_FOLDER_ID', message: 'Falta TEMPLATE_FOLDER_ID (o env DOC_TEMPLATES_FOLDER_ID), o enviar ?folder_id=' });
+    }
+    // Compute defaults from DOC_DEFAULT_TYPES (as slugs or ids)
+const requested = String(process.env.DOC_DEFAULT_TYPES || '').trim()
+  ? String(process.env.DOC_DEFAULT_TYPES).split(',').map(x => x.trim()).filter(Boolean)
+  : [];
+let default_selected_ids = [];
+if (requested.length) {
+  const byId = new Map(data.items.map(it => [it.id, it]));
+  const bySlug = new Map(data.items.map(it => [it.slug, it]));
+  for (const r of requested) {
+    const hit = byId.get(r) || bySlug.get(slugifyName(r)) || bySlug.get(r);
+    if (hit) default_selected_ids.push(hit.id);
+  }
+}
+
+// ?health=1 → placeholder check per template (cached per modifiedTime)
+let items = data.items;
+if (String(req.query.health || '').toLowerCase() === '1' || String(req.query.health || '').toLowerCase() === 'true') {
+  const storage = getStorage();
+  items = [];
+  for (const it of data.items) {
+    try {
+      const report = await getTemplatePlaceholderReport(storage, it, force);
+      items.push({ ...it, health: report.health, placeholders_count: report.placeholders_count, problems: [...report.problems, ...report.malformed.map(m => ({ token: m.fragment, status: 'malformed', suggestion: null }))] });
+    } catch (e) {
+      console.error('docs/templates health error', it.id, e);
+      items.push({ ...it, health: 'unreadable', placeholders_count: null, problems: [], health_error: e.message || String(e) });
+    }
+  }
+}
+
+// Packages (?pipeline_id= filters); a bad DOC_PACKAGES_JSON doesn't break the templates list
+let packages = [];
+let packages_error = null;
+try {
+  packages = await packagesForResponse(req.query.pipeline_id || req.query.pipelineId || null);
+} catch (e) {
+  console.error('docs/templates packages error', e);
+  packages_error = e.message || String(e);
+}
+
+return res.status(200).json({
+  ok: true,
+  status: 200,
+  folder_id: data.folder_id,
+  count: items.length,
+  items,
+  default_selected_ids,
+  packages,
+  ...(packages_error ? { packages_error } : {}),
+});
+  } catch (err) {
+    console.error('docs/templates error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+app.get('/api/docs/templates/:id/placeholders', async (req, res) => {
+  try {
+    const templateFileId = String(req.params.id || '').trim();
+    const storage = getStorage();
+    const cached = (TEMPLATE_CACHE?.items || []).find(t => t.id === templateFileId);
+    const template = cached || await storage.getFileMetadata({ fileId: templateFileId });
+    if (!template) {
+      return res.status(404).json({ ok: false, status: 404, error: 'TEMPLATE_NOT_FOUND', message: 'Template no encontrado' });
+    }
+
+    const force = String(req.query.force || '').toLowerCase() === '1' || String(req.query.force || '').toLowerCase() === 'true';
+    const report = await getTemplatePlaceholderReport(storage, { ...template, id: templateFileId }, force);
+    return res.status(200).json({
+      ok: true,
+      status: 200,
+      template: { id: templateFileId, name: template.name || null, modifiedTime: template.modifiedTime || null },
+      ...report,
+    });
+  } catch (err) {
+    console.error('docs/templates/placeholders error', err);
+    const status = err.code === 'STORAGE_FILE_NOT_FOUND' || err.code === 404 ? 404 : 500;
+    return res.status(status).json({ ok: false, status, error: status === 404 ? 'TEMPLATE_NOT_FOUND' : (err.code || 'ERROR'), message: err.message || String(err) });
+  }
+});
+
+// -------------------------
+// API keys de /v1 (lib/api_keys.js): solo un admin logueado las administra; sin login no se pueden crear
+// (en dev: `node lib/api_keys.js <name>` + API_KEYS_JSON).
+// -------------------------
+function requireLoginForKeys(_req, res, next) {
+  if (authEnabled()) return next();
+  return res.status(403).json({ ok: false, status: 403, error: 'AUTH_REQUIRED', message: 'Administrar API keys requiere el login del portal (GOOGLE_OAUTH_CLIENT_ID).' });
+}
+
+function apiKeysErrorResponse(res, e) {
+  const status = e.http_status || 500;
+  return res.status(status).json({ ok: false, status, error: e.code || 'API_KEYS_ERROR', message: e.message || String(e) });
+}
+
+app.get('/api/api-keys', requireLoginForKeys, requirePermission('api_keys.manage'), async (_req, res) => {
+  try {
+    const items = (await listApiKeys()).map(publicApiKey);
+    return res.status(200).json({ ok: true, status: 200, scopes: SCOPES, items });
+  } catch (e) {
+    return apiKeysErrorResponse(res, e);
+  }
+});
+
+// body: { name, scopes: ["config:read", "drive:write", "render"], expires_at? | expires_in_days? } → la key en texto plano va solo en esta respuesta
+app.post('/api/api-keys', requireLoginForKeys, requirePermission('api_keys.manage'), async (req, res) => {
+  const body = req.body || {};
+  const days = Number(body.expires_in_days);
+  const expiresAt = body.expires_at || (Number.isFinite(days) && days > 0 ? new Date(Date.now() + days * 86400000).toISOString() : null);
+  try {
+    const { key, api_key } = await createApiKey({ name: body.name, scopes: body.scopes, expiresAt, actor: body.actor });
+    return res.status(201).json({ ok: true, status: 201, key, api_key, message: 'Guarda la key ahora: no se vuelve a mostrar.' });
+  } catch (e) {
+    return apiKeysErrorResponse(res, e);
+  }
+});
+
+app.post('/api/api-keys/:id/revoke', requireLoginForKeys, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const api_key = await revokeApiKey(req.params.id, { actor: req.body?.actor });
+    return res.status(200).json({ ok: true, status: 200, api_key });
+  } catch (e) {
+    return apiKeysErrorResponse(res, e);
+  }
+});
+
+// --- Auditoría: quién hizo qué (lib/audit.js) ---
+// ?actor=correo|sell_user_id &deal_id= &contact_id= &rut= &from=YYYY-MM-DD &to=YYYY-MM-DD &route=/api/create-contact &limit=200
+app.get('/api/audit', requirePermission('audit.read'), async (req, res) => {
+  try {
+    const q = req.query;
+    const { total, items, by_actor } = await listAudit({
+      actor: q.actor,
+      dealId: q.deal_id,
+      contactId: q.contact_id,
+      rut: q.rut,
+      from: q.from,
+      to: q.to,
+      route: q.route,
+      limit: q.limit,
+    });
+    return res.status(200).json({ ok: true, status: 200, total, count: items.length, by_actor, items });
+  } catch (e) {
+    const status = e.http_status || 500;
+    return res.status(status).json({ ok: false, status, error: e.code || 'ERROR', message: e.message || String(e) });
+  }
+});
+
+// --- Outbox de notas de Sell (lib/notes.js): las que fallaron y se reintentan solas ---
+app.get('/api/notes/outbox', requirePermission('notes.retry'), async (req, res) => {
   try {
-    const folderId = String(req.query.folder_id || req.query.folderId || '').trim() || null;
-    const force = String(req.query.force || '').toLowerCase() === '1' || String(req.query.force || '').toLowerCase() === 'true';
-    const data = await getTemplatesFromDriveFolder(force, folderId);
-    if (!data) {
-      return res.status(400).json({ ok: false, status: 400, error: 'MISSING_TEMPLATE_FOLDER_ID', message: 'Falta TEMPLATE_FOLDER_ID (o env DOC_TEMPLATES_FOLDER_ID), o enviar ?folder_id=' });
-    }
-    // Compute defaults from DOC_DEFAULT_TYPES (as slugs or ids)
-const requested = String(process.env.DOC_DEFAULT_TYPES || '').trim()
-  ? String(process.env.DOC_DEFAULT_TYPES).split(',').map(x => x.trim()).filter(Boolean)
-  : [];
-let default_selected_ids = [];
-if (requested.length) {
-  const byId = new Map(data.items.map(it => [it.id, it]));
-  const bySlug = new Map(data.items.map(it => [it.slug, it]));
-  for (const r of requested) {
-    const hit = byId.get(r) || bySlug.get(slugifyName(r)) || bySlug.get(r);
-    if (hit) default_selected_ids.push(hit.id);
+    const status = ['pending', 'sent', 'failed'].includes(req.query.status) ? req.query.status : null;
+    const items = await listOutbox({ status });
+    return res.status(200).json({ ok: true, status: 200, count: items.length, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, status: 500, error: e.code || 'ERROR', message: e.message || String(e) });
   }
-}
-
-return res.status(200).json({
-  ok: true,
-  status: 200,
-  folder_id: data.folder_id,
-  count: data.items.length,
-  items: data.items,
-  default_selected_ids,
 });
-  } catch (err) {
-    console.error('docs/templates error', err);
-    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+
+// body: { ids? } → reintenta ya (sin esperar el backoff) las pendientes y las que se dieron por fallidas
+app.post('/api/notes/outbox/retry', requirePermission('notes.retry'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+    const result = await retryOutbox({ force: true, ids });
+    return res.status(200).json({ ok: true, status: 200, ...result });
+  } catch (e) {
+    return res.status(500).json({ ok: false, status: 500, error: e.code || 'ERROR', message: e.message || String(e) });
   }
 });
 
 // --- V1 (compat Widget Sell) ---
-app.get('/v1/config', requireApiKey, async (_req, res) => {
+app.get('/v1/config', requireApiKey('config:read'), async (req, res) => {
   try {
     // Usa la misma fuente que /api/docs/templates
     const data = await getTemplatesFromDriveFolder(false, null);
@@ -1500,19 +2906,36 @@ app.get('/v1/config', requireApiKey, async (_req, res) => {
       name: it.name || it.id,
     }));
 
+    // Paquetes {key,name,templates:[keys]} (?pipeline_id= filtra por pipeline del deal).
+    // Igual que /api/docs/templates: un DOC_PACKAGES_JSON inválido no rompe la lista de templates
+    let packages = [];
+    let packagesError = null;
+    try {
+      packages = (await packagesForResponse(req.query.pipeline_id || null)).map(p => ({
+        key: p.id,
+        name: p.name,
+        templates: p.template_ids,
+        pipeline_ids: p.pipeline_ids,
+      }));
+    } catch (e) {
+      console.error('v1/config packages error', e);
+      packagesError = { error: e.code || 'INVALID_DOC_PACKAGES', message: e.message || String(e) };
+    }
+
     return res.status(200).json({
       ok: true,
       status: 200,
       templates,
-      packages: [], // el widget lo soporta vacío
+      packages,
+      ...(packagesError ? { packages_error: packagesError.message, packages_error_code: packagesError.error } : {}),
     });
   } catch (err) {
     console.error('v1/config error', err);
-    return res.status(500).json({ ok: false, status: 500, error: 'CONFIG_ERROR', message: err.message || String(err) });
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'CONFIG_ERROR', message: err.message || String(err) });
   }
 });
 
-app.post('/v1/drive/folder/ensure', requireApiKey, async (req, res) => {
+app.post('/v1/drive/folder/ensure', requireApiKey('drive:write'), requireActor({ widget: true }), async (req, res) => {
   try {
     const { deal_id, drive_root_folder_id, drive_shared_drive_id } = req.body || {};
     const dealId = Number(deal_id || req.body?.dealId || '');
@@ -1523,7 +2946,9 @@ app.post('/v1/drive/folder/ensure', requireApiKey, async (req, res) => {
       return res.status(400).json({ ok: false, status: 400, error: 'MISSING_DRIVE_ROOT_FOLDER_ID' });
     }
 
-    const rootFolderId = normalizeDriveId(drive_root_folder_id);
+    const storage = getStorage();
+    // Drive acepta URLs pegadas; local/S3 usan rutas tal cual
+    const rootFolderId = storage.kind === 'drive' ? normalizeDriveId(drive_root_folder_id) : String(drive_root_folder_id).trim();
     const sharedDriveId = normalizeDriveId(drive_shared_drive_id || '');
 
     const deal = await getDealById(dealId);
@@ -1534,12 +2959,24 @@ app.post('/v1/drive/folder/ensure', requireApiKey, async (req, res) => {
     const fullName = `${contact?.first_name || ''} ${contact?.last_name || ''}`.trim();
     const folderName = fullName ? `${rutHuman} - ${fullName}` : rutHuman;
 
-    const out = await ensurePatientFolders({
+    const out = await storage.ensurePatientFolders({
       rootFolderId,
       sharedDriveId,
       folderName,
     });
 
+    const note = await writeNote({
+      resource: 'deal',
+      id: dealId,
+      action: 'drive.folder.ensure',
+      content: buildActionNote({
+        title: '📁 Carpeta Drive del paciente',
+        action: 'drive.folder.ensure',
+        actor: req.body.actor,
+        fields: [['Carpeta', folderName], ['URL', out.folder_url]],
+      }),
+    });
+
     return res.status(200).json({
       ok: true,
       status: 200,
@@ -1548,6 +2985,7 @@ app.post('/v1/drive/folder/ensure', requireApiKey, async (req, res) => {
       pdf_folder_id: out.pdf_folder_id,
       web_view_url: out.folder_url,
       folder: out,
+      note,
     });
   } catch (err) {
     console.error('v1/drive/folder/ensure error', err);
@@ -1555,7 +2993,7 @@ app.post('/v1/drive/folder/ensure', requireApiKey, async (req, res) => {
   }
 });
 
-app.post('/v1/render', requireApiKey, async (req, res) => {
+app.post('/v1/render', requireApiKey('render'), requireActor({ widget: true }), async (req, res) => {
   try {
     // Respeta el flag de escritura (igual que /api/docs/generate-batch)
     if (!isWriteEnabledForDocs()) {
@@ -1594,50 +3032,108 @@ app.post('/v1/render', requireApiKey, async (req, res) => {
     const fecha = String(payload.fecha || '').trim() || new Date().toISOString().slice(0, 10);
     const obj = payload.object || {};
     const dob = String(obj.fecha_nacimiento || '').trim();
-    const telefonoMovil = String(obj.telefono_movil || obj.telefono1 || obj.telefono2 || '').trim();
-    const edad = calcAgeFlexible(dob);
 
     // Placeholders estilo {{fecha}}, {{object.*}} y {{object.get_edad()}}
-    const placeholders = { fecha };
-    for (const [k, v] of Object.entries(obj)) {
-      placeholders[`object.${k}`] = (v === null || v === undefined) ? '' : String(v);
-    }
-    placeholders['object.telefono_movil'] = telefonoMovil;
-    placeholders['object.get_edad()'] = edad !== null ? String(edad) : '';
+    const placeholders = buildRenderPlaceholders({ fecha, object: obj, edad: calcAgeFlexible(dob) });
 
     const labelBase = String(payload.template_name || payload.doc_type || payload.template_label || payload.template_key || 'doc').trim();
     const safeDocName = labelBase.slice(0, 60);
     const docName = `${safeDocName} - ${fecha}`;
     const pdfName = `${safeDocName}_${fecha}.pdf`;
 
-    const doc = await copyTemplateToFolder({
+    const dealIdForHeader = String(payload.deal_id || payload.deal?.id || '').trim();
+    const contactIdForRegistry = String(payload.contact_id || payload.contact?.id || '').trim() || null;
+    // La nota del render va al deal (o al contacto si no hay deal): sin ninguno no se genera
+    if (!Number(dealIdForHeader) && !Number(contactIdForRegistry)) {
+      return res.status(400).json({
+        ok: false,
+        status: 400,
+        error: 'MISSING_DEAL_ID',
+        message: 'Indica deal_id (o contact_id) para dejar la nota del documento en Sell.',
+      });
+    }
+    const actor = payload.actor;
+
+    const storage = getStorage();
+    const cachedTemplate = (TEMPLATE_CACHE?.items || []).find(t => t.id === templateFileId);
+    const engine = resolveTemplateEngine({
+      storage,
       templateFileId,
-      newName: docName,
-      parentFolderId: docsFolderId,
+      slug: cachedTemplate?.slug,
+      mimeType: cachedTemplate?.mimeType,
+      requested: payload.engine,
     });
 
-    await replacePlaceholdersInDoc({
-      documentId: doc.id,
+    const baseUrl = requirePublicBaseUrl();
+    const verification = newDocVerification(baseUrl);
+    const templateVersion = await templateModifiedTime(storage, templateFileId);
+    const { images, chosen: imagesChosen } = await signatureImagesFor({
+      storage,
+      dealId: dealIdForHeader || null,
+      baseUrl,
+    });
+    const { doc, pdf, doc_url, pdf_url, pdf_sha256 } = await renderDocument({
+      storage,
+      engine,
+      templateFileId,
+      docName,
+      pdfName,
+      docsFolderId,
+      pdfFolderId,
       placeholders,
       preserveMissingPlaceholders: true,
+      dealId: dealIdForHeader || null,
+      agentEmail: actor.email,
+      verification,
+      images,
     });
 
-    const dealIdForHeader = String(payload.deal_id || payload.deal?.id || '').trim();
-    const actorEmail = String(payload.actor_email || payload.actor?.email || '').trim();
-    if (dealIdForHeader) {
-      await ensureDealAgentHeader({
-        documentId: doc.id,
-        dealId: dealIdForHeader,
-        agentEmail: actorEmail,
+    if (verification) {
+      await saveVerification({
+        code: verification.code,
+        deal_id: dealIdForHeader || null,
+        contact_id: contactIdForRegistry,
+        template_file_id: templateFileId,
+        template_name: labelBase,
+        agent_email: actor.email,
+        doc_file_id: doc.id,
+        pdf_file_id: pdf.id,
+        pdf_name: pdf.name || pdfName,
       });
     }
+    const registryEntry = await recordIssuedDocument({
+      source: 'v1/render',
+      deal_id: dealIdForHeader || null,
+      contact_id: contactIdForRegistry,
+      template_file_id: templateFileId,
+      template_name: labelBase,
+      template_modified_time: templateVersion,
+      engine,
+      doc_file_id: doc.id,
+      pdf_file_id: pdf.id,
+      pdf_name: pdf.name || pdfName,
+      pdf_sha256,
+      placeholders,
+      images: imagesChosen,
+      verification_code: verification?.code || null,
+      actor: { email: actor.email, name: actor.name, id: String(actor.sell_user_id) },
+    });
 
-    const pdfBuffer = await exportDocAsPdfBuffer({ fileId: doc.id });
-
-    const pdf = await uploadPdfToFolder({
-      pdfBuffer,
-      pdfName,
-      parentFolderId: pdfFolderId,
+    const note = await writeNote({
+      resource: Number(dealIdForHeader) ? 'deal' : 'contact',
+      id: Number(dealIdForHeader) || Number(contactIdForRegistry),
+      action: 'render',
+      content: buildActionNote({
+        title: '📄 Documento generado',
+        action: 'render',
+        actor,
+        fields: [
+          ['Documento', labelBase],
+          ['PDF', pdf_url],
+          ['Doc', doc_url],
+          ['Verificación', verification?.url],
+        ],
+      }),
     });
 
     return res.status(200).json({
@@ -1645,19 +3141,272 @@ app.post('/v1/render', requireApiKey, async (req, res) => {
       status: 200,
       docs_folder_id: docsFolderId,
       pdf_folder_id: pdfFolderId,
+      engine,
       doc_file_id: doc.id,
-      doc_url: docsEditUrl(doc.id),
+      doc_url,
       pdf_file_id: pdf.id,
       pdf_name: pdf.name || pdfName,
-      pdf_web_view_url: driveFileUrl(pdf.id),
+      pdf_web_view_url: pdf_url,
+      verification_code: verification?.code || null,
+      verification_url: verification?.url || null,
+      pdf_sha256,
+      registry_seq: registryEntry.seq,
+      images: imagesChosen,
+      note,
     });
   } catch (err) {
     console.error('v1/render error', err);
-    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+    // Errores de sintaxis {{#if}}/{{#each}} del template → 422 (el template hay que corregirlo)
+    const status = err.code === 'TEMPLATE_SYNTAX_ERROR' || err.code === 'TEMPLATE_UNSUPPORTED' ? 422 : 500;
+    return res.status(status).json({ ok: false, status, error: err.code || 'ERROR', message: err.message || String(err) });
   }
 });
 
-app.post('/api/docs/generate-batch', async (req, res) => {
+// --- Docs batch jobs (lib/jobs.js): one item per template ---
+async function runDocsBatchItem(item, job) {
+  const ctx = job.context;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const pdfName = safeName(`${ctx.pdfPrefix}_${item.label}_${stamp}.pdf`);
+
+  // Copy/render template -> Docs folder, placeholders, header gris DEAL.<deal_id> [email] [VERIF.<code>], PDF (+QR) -> 00_PDF
+  const verification = newDocVerification(ctx.baseUrl);
+  const templateVersion = await templateModifiedTime(ctx.storage, item.template_file_id);
+  // Resolved per item: the signed image URLs Google downloads expire (a retry may come much later)
+  const { images, chosen: imagesChosen } = await signatureImagesFor({ storage: ctx.storage, deal: ctx.deal, baseUrl: ctx.baseUrl });
+  const rendered = await renderDocument({
+    storage: ctx.storage,
+    engine: item.engine,
+    templateFileId: item.template_file_id,
+    docName: item.copy_name,
+    pdfName,
+    docsFolderId: ctx.driveInfo.docs_folder_id,
+    pdfFolderId: ctx.driveInfo.pdf_folder_id,
+    placeholders: ctx.placeholders,
+    preserveMissingPlaceholders: true,
+    dealId: ctx.dealId,
+    agentEmail: ctx.agentEmail,
+    verification,
+    images,
+  });
+
+  if (verification) {
+    await saveVerification({
+      code: verification.code,
+      deal_id: ctx.dealId,
+      contact_id: ctx.contactId,
+      template_file_id: item.template_file_id,
+      template_name: item.label,
+      agent_email: ctx.agentEmail || null,
+      doc_file_id: rendered.doc.id,
+      pdf_file_id: rendered.pdf.id,
+      pdf_name: pdfName,
+    });
+  }
+  const registryEntry = await recordIssuedDocument({
+    source: 'generate-batch',
+    deal_id: ctx.dealId,
+    contact_id: ctx.contactId,
+    template_file_id: item.template_file_id,
+    template_name: item.label,
+    template_modified_time: templateVersion,
+    engine: item.engine,
+    doc_file_id: rendered.doc.id,
+    pdf_file_id: rendered.pdf.id,
+    pdf_name: pdfName,
+    pdf_sha256: rendered.pdf_sha256,
+    placeholders: ctx.placeholders,
+    images: imagesChosen,
+    verification_code: verification?.code || null,
+    actor: ctx.actor,
+  });
+
+  return {
+    doc_file_id: rendered.doc.id,
+    doc_name: rendered.doc.name,
+    doc_url: rendered.doc_url,
+    doc_view_url: ctx.storage.fileUrl(rendered.doc.id),
+    pdf_file_id: rendered.pdf.id,
+    pdf_url: rendered.pdf_url,
+    pdf_name: pdfName,
+    verification_code: verification?.code || null,
+    verification_url: verification?.url || null,
+    pdf_sha256: rendered.pdf_sha256,
+    registry_seq: registryEntry.seq,
+    images: imagesChosen,
+  };
+}
+
+// merge_pdf: one PDF with a cover page + every generated PDF (in template order), next to the individual files.
+// Rebuilt after each pass so a retry produces a complete dossier.
+async function buildDocsDossier(job) {
+  const ctx = job.context;
+  const done = job.items.filter(it => it.status === 'done' && it.result?.pdf_file_id);
+  if (!done.length) return null;
+
+  const documents = [];
+  for (const it of done) {
+    documents.push({ title: it.label, buffer: await ctx.storage.downloadFile({ fileId: it.result.pdf_file_id }) });
+  }
+  const pending = job.items.length - done.length;
+  const verification = newDocVerification(ctx.baseUrl);
+  const buffer = await buildDossierPdf({
+    title: 'Dossier de documentos',
+    info: [
+      ['Deal', ctx.dealId],
+      ['Paciente', ctx.patientLabel],
+      ['Agente', ctx.actorInfo || '-'],
+      ['Fecha', isoDateTodayLocal()],
+      ...(job.meta.package ? [['Paquete', job.meta.package.name]] : []),
+      ...(pending ? [['Pendientes', `${pending} documento(s) con error, no incluidos`]] : []),
+    ],
+    documents,
+    verification,
+  });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const pdfName = safeName(`${ctx.pdfPrefix}_DOSSIER_${stamp}.pdf`);
+  const file = await ctx.storage.uploadPdfToFolder({ pdfBuffer: buffer, pdfName, parentFolderId: ctx.driveInfo.pdf_folder_id });
+
+  // Registrado como cualquier otro documento emitido: /verify/<code> y el chequeo de hash lo encuentran
+  const templateName = job.meta.package ? `Dossier: ${job.meta.package.name}` : 'Dossier de documentos';
+  if (verification) {
+    await saveVerification({
+      code: verification.code,
+      deal_id: ctx.dealId,
+      contact_id: ctx.contactId,
+      template_file_id: null,
+      template_name: templateName,
+      agent_email: ctx.agentEmail || null,
+      doc_file_id: null,
+      pdf_file_id: file.id,
+      pdf_name: pdfName,
+    });
+  }
+  const registryEntry = await recordIssuedDocument({
+    source: 'generate-batch.dossier',
+    deal_id: ctx.dealId,
+    contact_id: ctx.contactId,
+    template_file_id: null,
+    template_name: templateName,
+    template_modified_time: null,
+    engine: 'merge_pdf',
+    doc_file_id: null,
+    pdf_file_id: file.id,
+    pdf_name: pdfName,
+    pdf_sha256: sha256(buffer),
+    placeholders: ctx.placeholders,
+    documents: done.map(it => ({ pdf_file_id: it.result.pdf_file_id, registry_seq: it.result.registry_seq })),
+    verification_code: verification?.code || null,
+    actor: ctx.actor,
+  });
+
+  return {
+    pdf_file_id: file.id,
+    pdf_name: pdfName,
+    pdf_url: ctx.storage.fileUrl(file.id),
+    documents: done.length,
+    missing: pending,
+    verification_code: verification?.code || null,
+    verification_url: verification?.url || null,
+    pdf_sha256: registryEntry.pdf_sha256,
+    registry_seq: registryEntry.seq,
+  };
+}
+
+async function finishDocsBatchPass(job, processed) {
+  if (job.context.mergePdf && processed.some(it => it.status === 'done')) {
+    try {
+      job.meta.dossier = await buildDocsDossier(job);
+    } catch (e) {
+      console.error(`job ${job.id} dossier error`, e);
+      job.meta.dossier = { error: e.code || 'DOSSIER_ERROR', message: e.message || String(e) };
+    }
+  }
+  await writeDocsBatchNote(job, processed);
+}
+
+// Nota estructurada en Sell tras cada pasada (la primera y cada reintento) con los PDFs de esa pasada; siempre va por el outbox
+async function writeDocsBatchNote(job, processed) {
+  const ctx = job.context;
+  const okPdfs = processed.filter(it => it.status === 'done' && it.result?.pdf_url);
+  if (!okPdfs.length) return;
+
+  const content = buildActionNote({
+    title: job.meta.notes.length ? '📄 Documentos generados (reintento)' : '📄 Documentos generados',
+    action: 'docs.generate',
+    actor: ctx.noteActor,
+    fields: [
+      ['Paquete', job.meta.package?.name],
+      ['Carpeta Drive', ctx.driveInfo.folder_url],
+      ['PDF único (dossier)', job.meta.dossier?.pdf_url],
+      ['Verificación dossier', job.meta.dossier?.verification_url],
+      ...okPdfs.map(it => [`• ${it.label}`, it.result.pdf_url]),
+    ],
+  });
+  const note = await writeNote({ resource: 'deal', id: ctx.dealId, action: 'docs.generate', content });
+  job.meta.note = note;
+  job.meta.notes.push(note);
+}
+
+function missingTemplateResult(ref) {
+  return { doc_type: ref, ok: false, status: 'error', error: 'TEMPLATE_NOT_FOUND', message: `Template no encontrado: ${ref}` };
+}
+
+// Same shape as the historical synchronous `results` array (+ the requested templates that do not exist)
+function docsJobResults(job) {
+  return (job.meta.missing_templates || []).map(missingTemplateResult).concat(job.items.map(it => ({
+    doc_type: it.label,
+    status: it.status,
+    template_file_id: it.template_file_id,
+    engine: it.engine,
+    attempts: it.attempts,
+    ...(it.result || {}),
+    ...(it.error ? { error: it.error.message, error_code: it.error.code } : {}),
+  })));
+}
+
+// Terminado pero con algún resultado fallido (p. ej. TEMPLATE_NOT_FOUND junto a PDFs generados) → 'partial', no 'done'
+function docsJobStatus(job, results = docsJobResults(job)) {
+  return job.status === 'done' && results.some(r => r.ok === false || r.status === 'error') ? 'partial' : job.status;
+}
+
+function docsJobResponse(job, status = 200) {
+  const pub = publicJob(job);
+  const results = docsJobResults(job);
+  const jobStatus = docsJobStatus(job, results);
+  return {
+    ok: true,
+    status,
+    job_id: pub.job_id,
+    job_status: jobStatus,
+    partial: jobStatus === 'partial',
+    progress: pub.progress,
+    created_at: pub.created_at,
+    updated_at: pub.updated_at,
+    finished_at: pub.finished_at,
+    deal_id: job.meta.deal_id,
+    contact_id: job.meta.contact_id,
+    patient_folder_id: job.meta.folder?.id || null,
+    patient_folder_url: job.meta.folder?.url || null,
+    folder: job.meta.folder,
+    package: job.meta.package || null,
+    dossier: job.meta.dossier || null,
+    results,
+    note: job.meta.note,
+  };
+}
+
+// Qué firma/timbre usaría cada {{image.*}} (sin descargar nada)
+function dryRunImages(deal) {
+  const config = loadImageConfig();
+  if (!Object.keys(config).length) return null;
+  const chosen = chooseImagesForDeal(deal, config);
+  const out = {};
+  for (const [key, c] of Object.entries(chosen)) out[key] = c ? { file_id: c.file_id, field: c.field, value: c.value } : null;
+  return out;
+}
+
+app.post('/api/docs/generate-batch', requirePermission('docs.generate', { dryRun: true }), requireActor(), async (req, res) => {
   const dryRun = String(req.query.dry_run || req.body?.dry_run || '').toLowerCase() === '1' || String(req.query.dry_run || req.body?.dry_run || '').toLowerCase() === 'true';
 
   if (!dryRun && !isWriteEnabledForDocs()) {
@@ -1669,49 +3418,73 @@ app.post('/api/docs/generate-batch', async (req, res) => {
     });
   }
 
+  const result = await startDocsBatch(req.body || {}, { dryRun });
+  return res.status(result.status).json(result);
+});
+
+// Arma el batch de un deal y lo encola como job (o solo la vista previa con dryRun). Usado por generate-batch y /api/intake;
+// devuelve el JSON de respuesta con status (202 con job_id, 200 en dry-run, 4xx/500 en error).
+async function startDocsBatch(body, { dryRun = false } = {}) {
   try {
-    const dealId = Number(req.body?.deal_id || req.body?.dealId || '');
+    const baseUrl = dryRun ? null : requirePublicBaseUrl();
+    const dealId = Number(body?.deal_id || body?.dealId || '');
     if (!Number.isFinite(dealId) || dealId <= 0) {
-      return res.status(400).json({ ok: false, status: 400, error: 'INVALID_DEAL_ID', message: 'deal_id inválido' });
+      return { ok: false, status: 400, error: 'INVALID_DEAL_ID', message: 'deal_id inválido' };
     }
 
 // Templates selection priority:
-// 1) req.body.templates = [{file_id, name}] (best for "folder mode" UI)
-// 2) req.body.template_file_ids = ["1abc...", ...]
-// 3) req.body.doc_types + DOC_TEMPLATES_JSON mapping (legacy mode)
-// 4) TEMPLATE_FOLDER_ID + (DOC_DEFAULT_TYPES as slugs) else all templates in folder
+// 1) body.templates = [{file_id, name}] (best for "folder mode" UI)
+// 2) body.template_file_ids = ["1abc...", ...]
+// 3) body.package_id (DOC_PACKAGES_JSON / DOC_PACKAGES_FILE)
+// 4) body.doc_types + DOC_TEMPLATES_JSON mapping (legacy mode)
+// 5) TEMPLATE_FOLDER_ID + (DOC_DEFAULT_TYPES as slugs) else all templates in folder
 const templatesFromEnv = parseDocTemplatesEnvOptional();
 const templateFolderId = getTemplateFolderId();
 
-const templatesPayload = Array.isArray(req.body?.templates) ? req.body.templates : null;
-const templateFileIdsPayload = Array.isArray(req.body?.template_file_ids) ? req.body.template_file_ids : null;
+const templatesPayload = Array.isArray(body?.templates) ? body.templates : null;
+const templateFileIdsPayload = Array.isArray(body?.template_file_ids) ? body.template_file_ids : null;
+
+const packageId = String(body?.package_id || body?.packageId || '').trim();
+const docPackage = packageId ? getPackage(packageId) : null;
+if (packageId && !docPackage) {
+  return { ok: false, status: 404, error: 'PACKAGE_NOT_FOUND', message: `Paquete no encontrado: ${packageId}` };
+}
+let packageMissing = [];
+// Templates pedidos que no existen: no se generan pero quedan en results como TEMPLATE_NOT_FOUND
+const missingTemplates = [];
 
-let jobs = []; // { label, template_file_id }
+let templateItems = []; // { label, template_file_id, engine }
 
 if (templatesPayload && templatesPayload.length) {
-  jobs = templatesPayload
-    .map(t => ({ label: safeName(t.name || t.label || ''), template_file_id: String(t.file_id || t.id || '').trim() }))
+  templateItems = templatesPayload
+    .map(t => ({ label: safeName(t.name || t.label || ''), template_file_id: String(t.file_id || t.id || '').trim(), engine: t.engine || null }))
     .filter(x => x.template_file_id);
 } else if (templateFileIdsPayload && templateFileIdsPayload.length) {
-  jobs = templateFileIdsPayload
+  templateItems = templateFileIdsPayload
     .map(id => ({ label: null, template_file_id: String(id).trim() }))
     .filter(x => x.template_file_id);
+} else if (docPackage) {
+  const resolved = await resolvePackageTemplates(docPackage);
+  templateItems = resolved.items;
+  packageMissing = resolved.missing;
+  missingTemplates.push(...resolved.missing);
 } else if (templatesFromEnv) {
-  const docTypes = Array.isArray(req.body?.doc_types) && req.body.doc_types.length
-    ? req.body.doc_types.map(String)
+  const docTypes = Array.isArray(body?.doc_types) && body.doc_types.length
+    ? body.doc_types.map(String)
     : (String(process.env.DOC_DEFAULT_TYPES || '').trim()
         ? String(process.env.DOC_DEFAULT_TYPES).split(',').map(x => x.trim()).filter(Boolean)
         : Object.keys(templatesFromEnv));
 
   for (const k of docTypes) {
     const templateFileId = templatesFromEnv[k];
-    if (templateFileId) jobs.push({ label: k, template_file_id: String(templateFileId) });
+    if (templateFileId) templateItems.push({ label: k, template_file_id: String(templateFileId) });
+    else missingTemplates.push(k);
   }
 } else if (templateFolderId) {
   const data = await getTemplatesFromDriveFolder(false, null);
   const items = data?.items || [];
-  const requested = Array.isArray(req.body?.doc_types) && req.body.doc_types.length
-    ? req.body.doc_types.map(String)
+  const requested = Array.isArray(body?.doc_types) && body.doc_types.length
+    ? body.doc_types.map(String)
     : (String(process.env.DOC_DEFAULT_TYPES || '').trim()
         ? String(process.env.DOC_DEFAULT_TYPES).split(',').map(x => x.trim()).filter(Boolean)
         : []);
@@ -1721,28 +3494,40 @@ if (templatesPayload && templatesPayload.length) {
     const bySlug = new Map(items.map(it => [it.slug, it]));
     for (const r of requested) {
       const hit = byId.get(r) || bySlug.get(slugifyName(r)) || bySlug.get(r);
-      if (hit) jobs.push({ label: hit.name, template_file_id: hit.id });
+      if (hit) templateItems.push({ label: hit.name, template_file_id: hit.id });
+      else missingTemplates.push(r);
     }
   } else {
     // default: all templates in folder
-    jobs = items.map(it => ({ label: it.name, template_file_id: it.id }));
+    templateItems = items.map(it => ({ label: it.name, template_file_id: it.id }));
   }
 }
 
-if (!jobs.length) {
-  return res.status(400).json({
+if (!templateItems.length) {
+  return {
     ok: false,
     status: 400,
     error: 'MISSING_TEMPLATES',
-    message: 'No hay templates seleccionados. Configura TEMPLATE_FOLDER_ID o DOC_TEMPLATES_JSON, o envía templates/template_file_ids en el request.',
-  });
+    message: missingTemplates.length
+      ? `Ninguno de los templates pedidos existe: ${missingTemplates.join(', ')}`
+      : 'No hay templates seleccionados. Configura TEMPLATE_FOLDER_ID o DOC_TEMPLATES_JSON, o envía templates/template_file_ids en el request.',
+    results: missingTemplates.map(missingTemplateResult),
+  };
 }
 
     // 1) Fetch deal + contact
     const deal = await getDealById(dealId);
     const contactId = deal?.contact_id || deal?.contact?.id || deal?.primary_contact_id;
     if (!contactId) {
-      return res.status(404).json({ ok: false, status: 404, error: 'MISSING_CONTACT', message: 'Deal no tiene contact_id asociado' });
+      return { ok: false, status: 404, error: 'MISSING_CONTACT', message: 'Deal no tiene contact_id asociado' };
+    }
+    if (docPackage && !packageMatchesPipeline(docPackage, deal?.pipeline_id)) {
+      return {
+        ok: false,
+        status: 400,
+        error: 'PACKAGE_PIPELINE_MISMATCH',
+        message: `El paquete "${docPackage.name}" no aplica al pipeline ${deal?.pipeline_id} del deal.`,
+      };
     }
     const contact = await getContactById(contactId);
 
@@ -1757,7 +3542,7 @@ if (!jobs.length) {
 
     const ccf = contact?.custom_fields || {};
     const rutNormNoDash = ccf[FN_RUT_NORM] || null; // e.g. 16927228k
-    const rutHuman = ccf[FN_RUT_HUMAN] || (rutNormNoDash ? formatRutHumanFromNoDashLower(String(rutNormNoDash).toLowerCase()) : null);
+    const rutHuman = ccf[FN_RUT_HUMAN] || (rutNormNoDash ? (parseStoredPatientId(rutNormNoDash)?.human || formatRutHumanFromNoDashLower(String(rutNormNoDash).toLowerCase())) : null);
     const dob = ccf[FN_DOB] || ccf[FN_DOB_1] || null;
     const prevision = ccf[FN_PREV_LIST] || ccf[FN_PREV_STR] || null;
 
@@ -1769,81 +3554,79 @@ if (!jobs.length) {
     });
 
     // 3) Ensure patient folder
-    const driveInfo = await ensurePatientFolders({ folderName });
-
-    const firstName = contact?.first_name || '';
-    const lastName = contact?.last_name || '';
-    const telefono1 = contact?.phone || '';
-    const telefono2 = contact?.mobile || telefono1;
-    const telefonoMovil = telefono2 || telefono1;
-    const direccion = (typeof contact?.address === 'string' ? contact.address : (contact?.address?.line1 || contact?.address?.line_1 || contact?.address?.line || ''));
-    const comuna = contact?.address?.city || '';
-    const fecha = isoDateTodayLocal();
-    const edad = calcAgeFlexible(dob || '');
+    const storage = getStorage();
+    const driveInfo = await storage.ensurePatientFolders({ folderName });
 
+    // Extra values from the request (e.g. lists for {{#each examenes}}); Sell data wins on conflicts
+    const extraPlaceholders = (body?.placeholders && typeof body.placeholders === 'object' && !Array.isArray(body.placeholders))
+      ? body.placeholders
+      : {};
+
+    const fecha = isoDateTodayLocal();
     const placeholdersBase = {
-      // Legacy placeholders (portal histórico)
-      RUT: rutHuman || '',
-      RUT_NORMALIZADO: rutNormNoDash || '',
-      NOMBRES: firstName,
-      APELLIDOS: lastName,
-      NOMBRE: firstName,
-      APELLIDO: lastName,
-      RUT_O_ID: rutHuman || '',
-      TELEFONO: telefono1,
-      NOMBRE_COMPLETO: safeName(`${firstName} ${lastName}`),
-      FECHA_NACIMIENTO: dob || '',
-      EMAIL: contact?.email || '',
-      TELEFONO1: telefono1,
-      TELEFONO2: telefono2,
-      DIRECCION: direccion,
-      COMUNA: comuna,
-      PREVISION: prevision || '',
-      DEAL_ID: String(dealId),
-      CONTACT_ID: String(contactId),
-      DEAL_NAME: deal?.name || '',
-      DEAL_URL: deskDealUrl(dealId),
-      CONTACT_URL: deskContactUrl(contactId),
-      FECHA_HOY: fecha,
-
-      // Widget-style placeholders (contrato unificado)
-      fecha,
-      'object.nombres': firstName,
-      'object.paterno': lastName,
-      'object.run': rutHuman || '',
-      'object.fecha_nacimiento': dob || '',
-      'object.prevision': prevision || '',
-      'object.telefono_movil': telefonoMovil,
-      'object.email': contact?.email || '',
-      'object.comuna': comuna,
-      'object.direccion': direccion,
-      'object.get_edad()': edad !== null ? String(edad) : '',
-      'object.edad': edad !== null ? String(edad) : '',
+      ...extraPlaceholders,
+      ...buildBatchPlaceholders({
+        dealId,
+        contactId,
+        deal,
+        contact,
+        rutHuman,
+        rutNormNoDash,
+        dob,
+        prevision,
+        dealUrl: deskDealUrl(dealId),
+        contactUrl: deskContactUrl(contactId),
+        fecha,
+        edad: calcAgeFlexible(dob || ''),
+      }),
     };
 
     const agentEmail = String(
-      req.body?.actor?.email ||
-      req.body?.agent_email ||
-      req.body?.agentEmail ||
+      body?.actor?.email ||
+      body?.agent_email ||
+      body?.agentEmail ||
       ''
     ).trim();
 
-    const results = [];
-    for (const job of jobs) {
-      const docType = safeName(job.label || job.doc_type || slugifyName(job.template_file_id));
-      const templateFileId = String(job.template_file_id || '').trim();
-      if (!templateFileId) {
-        results.push({ doc_type: docType, status: 'error', error: 'Missing template_file_id' });
-        continue;
-      }
+    const mergePdf = ['1', 'true'].includes(String(body?.merge_pdf ?? '').toLowerCase());
+    const actorName = String(body?.actor?.name || '').trim();
+    const actorId = String(body?.actor?.sell_user_id ?? body?.actor?.id ?? '').trim();
+    const actorInfo = agentEmail
+      ? (actorName ? `${actorName} <${agentEmail}>` : agentEmail)
+      : (actorName ? `${actorName}${actorId ? ` (${actorId})` : ''}` : (actorId ? actorId : ''));
+
+    const packageInfo = docPackage ? { id: docPackage.id, name: docPackage.name, missing_templates: packageMissing } : null;
+
+    const folder = {
+      name: folderName,
+      id: driveInfo.folder_id,
+      url: driveInfo.folder_url,
+      pdf_folder_id: driveInfo.pdf_folder_id,
+      docs_folder_id: driveInfo.docs_folder_id,
+    };
+
+    const results = missingTemplates.map(missingTemplateResult);
+    const items = [];
+    for (const t of templateItems) {
+      const docType = safeName(t.label || t.doc_type || slugifyName(t.template_file_id));
+      const templateFileId = String(t.template_file_id || '').trim();
 
       const copyName = safeName(`${docType} - ${folderName} - ${isoDateTodayLocal()}`);
+      const cachedTemplate = (TEMPLATE_CACHE?.items || []).find(it => it.id === templateFileId);
+      const engine = resolveTemplateEngine({
+        storage,
+        templateFileId,
+        slug: cachedTemplate?.slug || slugifyName(t.label),
+        mimeType: cachedTemplate?.mimeType,
+        requested: t.engine,
+      });
 
       if (dryRun) {
         results.push({
           doc_type: docType,
           status: 'dry_run',
           template_file_id: templateFileId,
+          engine,
           would_copy_name: copyName,
           would_save_in: driveInfo.docs_folder_id,
           would_export_pdf_to: driveInfo.pdf_folder_id,
@@ -1851,106 +3634,362 @@ if (!jobs.length) {
         continue;
       }
 
-      // 4) Copy template -> Docs folder
-      const copied = await copyTemplateToFolder({
-        templateFileId,
-        newName: copyName,
-        parentFolderId: driveInfo.docs_folder_id,
-      });
+      items.push({ label: docType, template_file_id: templateFileId, engine, copy_name: copyName });
+    }
 
-      // 5) Replace placeholders
-      await replacePlaceholdersInDoc({
-        documentId: copied.id,
-        placeholders: placeholdersBase,
-        preserveMissingPlaceholders: true,
-      });
+    if (dryRun) {
+      return {
+        ok: true,
+        status: 200,
+        dry_run: true,
+        deal_id: dealId,
+        contact_id: contactId,
+        patient_folder_id: driveInfo.folder_id,
+        patient_folder_url: driveInfo.folder_url,
+        folder,
+        package: packageInfo,
+        merge_pdf: mergePdf,
+        images: dryRunImages(deal),
+        results,
+        note: null,
+      };
+    }
 
-      // 5.5) Header gris: DEAL.<deal_id> [email]
-      await ensureDealAgentHeader({
-        documentId: copied.id,
+    // 4-7) Render + note run in background; the client polls GET /api/docs/jobs/:id
+    const job = createJob({
+      type: 'docs.generate-batch',
+      items,
+      meta: { deal_id: dealId, contact_id: contactId, folder, package: packageInfo, missing_templates: missingTemplates, dossier: null, note: null, notes: [] },
+      context: {
+        storage,
         dealId,
+        deal: { custom_fields: deal?.custom_fields || {} },
+        contactId,
         agentEmail,
-      });
-
-      // 6) Export PDF + upload
-      const pdfBuffer = await exportDocAsPdfBuffer({ fileId: copied.id });
-      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const pdfName = safeName(`${rutHuman || rutNormNoDash || 'PACIENTE'}_${docType}_${stamp}.pdf`);
-
-      const pdf = await uploadPdfToFolder({
-        pdfBuffer,
-        pdfName,
-        parentFolderId: driveInfo.pdf_folder_id,
-      });
-
-      results.push({
-        doc_type: docType,
-        status: 'done',
-        template_file_id: templateFileId,
-        doc_file_id: copied.id,
-        doc_name: copied.name,
-        doc_url: docsEditUrl(copied.id),
-        doc_view_url: driveFileUrl(copied.id),
-        pdf_file_id: pdf.id,
-        pdf_url: driveFileUrl(pdf.id),
-        pdf_name: pdfName,
-      });
-    }
-
-    // 7) Note in Sell (optional)
-    const shouldNote = String(req.body?.create_note ?? 'true').toLowerCase() !== 'false';
-    let note = null;
-    if (!dryRun && shouldNote) {
-            const okPdfs = results.filter(r => r.status === 'done' && r.pdf_url);
-      const actorName = String(req.body?.actor?.name || '').trim();
-      const actorId = String(req.body?.actor?.id || '').trim();
-      const actorInfo = agentEmail
-        ? (actorName ? `${actorName} <${agentEmail}>` : agentEmail)
-        : (actorName ? `${actorName}${actorId ? ` (${actorId})` : ''}` : (actorId ? actorId : ''));
-
-      const lines = [
-        `📄 Documentos generados desde Portal`,
-        ...(actorInfo ? [`Agente consignado: ${actorInfo}`] : []),
-        `Carpeta Drive: ${driveInfo.folder_url}`,
-        ...okPdfs.map(r => `• ${r.doc_type}: ${r.pdf_url}`),
-      ];
-      try {
-        note = await createNoteForDeal(dealId, lines.join('\n'));
-      } catch (e) {
-        note = { error: e.code || 'NOTE_ERROR', message: e.message || String(e) };
-      }
-    }
+        actorInfo,
+        actor: { email: agentEmail || null, name: actorName || null, id: actorId || null },
+        baseUrl,
+        noteActor: body?.actor && typeof body.actor === 'object' ? body.actor : (agentEmail ? { email: agentEmail } : null),
+        placeholders: placeholdersBase,
+        pdfPrefix: rutHuman || rutNormNoDash || 'PACIENTE',
+        patientLabel: safeName(`${contact?.first_name || ''} ${contact?.last_name || ''}${rutHuman ? ` (${rutHuman})` : ''}`),
+        mergePdf,
+        driveInfo,
+      },
+      runItem: runDocsBatchItem,
+      onSettled: finishDocsBatchPass,
+    });
 
-    return res.status(200).json({
+    return {
       ok: true,
-      status: 200,
-      dry_run: dryRun,
+      status: 202,
+      dry_run: false,
+      job_id: job.id,
+      job_url: `/api/docs/jobs/${job.id}`,
+      job_status: job.status,
       deal_id: dealId,
       contact_id: contactId,
       patient_folder_id: driveInfo.folder_id,
       patient_folder_url: driveInfo.folder_url,
-      folder: {
-        name: folderName,
-        id: driveInfo.folder_id,
-        url: driveInfo.folder_url,
-        pdf_folder_id: driveInfo.pdf_folder_id,
-        docs_folder_id: driveInfo.docs_folder_id,
-      },
-      results,
-      note,
-    });
+      folder,
+      package: packageInfo,
+      merge_pdf: mergePdf,
+      results: docsJobResults(job),
+      note: null,
+    };
   } catch (err) {
     console.error('docs/generate-batch error', err);
-    return res.status(500).json({
+    return {
       ok: false,
       status: 500,
       error: err.code || 'ERROR',
       message: err.message || String(err),
+    };
+  }
+}
+
+
+
+// -------------------------
+// Webhook de Sell (lib/sell_webhook.js): un deal cambia de etapa → generate-batch del paquete que indica la regla
+// (SELL_WEBHOOK_RULES_JSON), con la nota en Sell como cualquier generación.
+// -------------------------
+async function handleSellStageChange(ev, rules) {
+  const [stage] = await getStagesByIds([ev.stage_id]);
+  const base = {
+    event_id: ev.event_id,
+    deal_id: ev.deal_id,
+    stage_id: ev.stage_id,
+    previous_stage_id: ev.previous_stage_id,
+    pipeline_id: stage?.pipeline_id ?? null,
+    stage_name: stage?.name ?? null,
+  };
+  if (!stage) return { ...base, outcome: 'error', error: 'STAGE_NOT_FOUND', message: `Etapa ${ev.stage_id} no encontrada en Sell.` };
+
+  const rule = matchWebhookRule(rules, stage);
+  if (!rule) return { ...base, outcome: 'no_rule' };
+  if (!isWriteEnabledForDocs()) return { ...base, rule, outcome: 'write_disabled' };
+
+  const result = await startDocsBatch({
+    deal_id: ev.deal_id,
+    package_id: rule.package_id,
+    merge_pdf: rule.merge_pdf,
+    actor: { name: 'Webhook Sell', id: 'sell-webhook', source: 'sell_webhook' },
+  });
+  if (!result.ok) return { ...base, rule, outcome: 'error', error: result.error, message: result.message };
+  return { ...base, rule, outcome: 'queued', job_id: result.job_id, job_url: result.job_url };
+}
+
+app.post('/webhooks/sell', async (req, res) => {
+  if (!webhookSecret()) {
+    return res.status(503).json({ ok: false, status: 503, error: 'WEBHOOK_DISABLED', message: 'Webhook deshabilitado (falta SELL_WEBHOOK_SECRET).' });
+  }
+  const sig = verifyWebhookSignature({ headers: req.headers, rawBody: req.rawBody });
+  if (!sig.ok) {
+    return res.status(401).json({ ok: false, status: 401, error: sig.reason, message: 'Firma del webhook inválida.' });
+  }
+
+  // Sin PUBLIC_BASE_URL se corta antes de reclamar eventos: Sell los reintenta cuando esté configurada
+  let rules;
+  try {
+    rules = loadWebhookRules();
+    requirePublicBaseUrl();
+  } catch (err) {
+    console.error('webhooks/sell rules error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+
+  const results = [];
+  for (const ev of parseWebhookEvents(req.body)) {
+    // Solo cambios de etapa de deals; el resto de los eventos se acepta sin hacer nada
+    if ((ev.resource && ev.resource !== 'deal') || !ev.deal_id || !ev.stage_changed) {
+      results.push({ event_id: ev.event_id, deal_id: ev.deal_id, outcome: 'ignored' });
+      continue;
+    }
+    if (!(await claimWebhookEvent(ev.event_id))) {
+      results.push({ event_id: ev.event_id, deal_id: ev.deal_id, outcome: 'duplicate' });
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = await handleSellStageChange(ev, rules);
+    } catch (err) {
+      console.error('webhooks/sell error', err);
+      entry = { event_id: ev.event_id, deal_id: ev.deal_id, stage_id: ev.stage_id, outcome: 'error', error: err.code || 'ERROR', message: err.message || String(err) };
+    }
+    await recordWebhookEvent(entry);
+    results.push(entry);
+  }
+
+  // Con algún error respondemos 500 para que Sell reintente; los eventos ya procesados salen como "duplicate"
+  const status = results.some(r => r.outcome === 'error') ? 500 : 200;
+  return res.status(status).json({ ok: status === 200, status, events: results });
+});
+
+app.get('/api/webhooks/sell/events', requirePermission('webhooks.read', { read: true }), async (req, res) => {
+  try {
+    const events = (await listWebhookEvents({ dealId: req.query.deal_id || null })).reverse();
+    return res.status(200).json({ ok: true, status: 200, rules: loadWebhookRules(), events });
+  } catch (err) {
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+app.get('/api/docs/jobs/:id', requirePermission('patient.read', { read: true }), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.type !== 'docs.generate-batch') {
+    return res.status(404).json({ ok: false, status: 404, error: 'JOB_NOT_FOUND', message: 'Job no encontrado (expira a las 24 h o tras reiniciar el servidor).' });
+  }
+  return res.status(200).json(docsJobResponse(job));
+});
+
+app.post('/api/docs/jobs/:id/retry', requirePermission('docs.generate'), (req, res) => {
+  if (!isWriteEnabledForDocs()) {
+    return res.status(403).json({
+      ok: false,
+      status: 403,
+      error: 'WRITE_DISABLED',
+      message: 'Generación deshabilitada (ALLOW_DOCS_WRITE/ALLOW_WRITE != true).',
+    });
+  }
+
+  const job = getJob(req.params.id);
+  if (!job || job.type !== 'docs.generate-batch') {
+    return res.status(404).json({ ok: false, status: 404, error: 'JOB_NOT_FOUND', message: 'Job no encontrado (expira a las 24 h o tras reiniciar el servidor).' });
+  }
+  if (job.status === 'pending' || job.status === 'running') {
+    return res.status(409).json({ ok: false, status: 409, error: 'JOB_RUNNING', message: 'El job aún está en curso.' });
+  }
+
+  const { retried } = retryJob(job.id);
+  if (!retried) {
+    return res.status(400).json({ ok: false, status: 400, error: 'NOTHING_TO_RETRY', message: 'No hay templates con error para reintentar.' });
+  }
+  return res.status(202).json({ ...docsJobResponse(job, 202), retried });
+});
+
+// Imágenes de {{image.*}} para Google Docs (insertInlineImage descarga esta URL firmada, válida 15 min)
+app.get('/api/docs/images/:token', async (req, res) => {
+  const fileId = verifyImageToken(req.params.token);
+  if (!fileId) return res.status(403).json({ ok: false, status: 403, error: 'INVALID_IMAGE_TOKEN', message: 'URL de imagen inválida o expirada.' });
+  try {
+    const buffer = await getStorage().downloadFile({ fileId });
+    const info = imageInfo(buffer);
+    if (!info) return res.status(415).json({ ok: false, status: 415, error: 'IMAGE_UNSUPPORTED', message: 'La imagen no es PNG ni JPEG.' });
+    return res.status(200).type(info.mimeType).set('Cache-Control', 'no-store').send(buffer);
+  } catch (err) {
+    console.error('docs/images error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+// --- Registro de documentos emitidos (lib/registry.js) ---
+app.get('/api/docs/registry', requirePermission('patient.read', { read: true }), async (req, res) => {
+  try {
+    const dealId = String(req.query.deal_id || '').trim();
+    const contactId = String(req.query.contact_id || '').trim();
+    if (!dealId && !contactId) {
+      return res.status(400).json({ ok: false, status: 400, error: 'MISSING_DEAL_ID', message: 'Falta deal_id (o contact_id).' });
+    }
+
+    const entries = (await listRegistry({ dealId: dealId || null, contactId: contactId || null })).reverse();
+    const integrity = await verifyRegistryChain();
+    return res.status(200).json({
+      ok: true,
+      status: 200,
+      deal_id: dealId || null,
+      contact_id: contactId || null,
+      count: entries.length,
+      integrity,
+      entries,
     });
+  } catch (err) {
+    console.error('docs/registry error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+// Chequeo de un PDF contra su hash registrado:
+//   GET  ?pdf_file_id=... → descarga el archivo del storage y lo compara con su entrada
+//   POST (Content-Type: application/pdf) → busca el hash del PDF subido en el registro
+async function sendRegistryCheck(res, { buffer, pdfFileId = null }) {
+  const { sha256, match, entry } = await checkPdfAgainstRegistry({ buffer, pdfFileId });
+  let message = 'El PDF coincide con el documento registrado.';
+  if (!entry) message = pdfFileId ? 'El archivo no está en el registro.' : 'Ningún documento registrado tiene este contenido.';
+  else if (!match) message = 'El PDF fue modificado: su hash no coincide con el registrado.';
+  return res.status(200).json({
+    ok: true,
+    status: 200,
+    match,
+    sha256,
+    expected_sha256: entry?.pdf_sha256 || null,
+    entry,
+    message,
+  });
+}
+
+app.get('/api/docs/registry/check', requirePermission('patient.read', { read: true }), async (req, res) => {
+  try {
+    const pdfFileId = String(req.query.pdf_file_id || '').trim();
+    if (!pdfFileId) return res.status(400).json({ ok: false, status: 400, error: 'MISSING_PDF_FILE_ID', message: 'Falta pdf_file_id.' });
+    const buffer = await getStorage().downloadFile({ fileId: pdfFileId });
+    return await sendRegistryCheck(res, { buffer, pdfFileId });
+  } catch (err) {
+    console.error('docs/registry/check error', err);
+    const status = err.code === 'STORAGE_FILE_NOT_FOUND' ? 404 : 500;
+    return res.status(status).json({ ok: false, status, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
+
+app.post('/api/docs/registry/check', requirePermission('patient.read', { read: true }), express.raw({ type: 'application/pdf', limit: '25mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ ok: false, status: 400, error: 'MISSING_PDF', message: 'Envía el PDF como cuerpo con Content-Type: application/pdf.' });
+    }
+    return await sendRegistryCheck(res, { buffer: req.body });
+  } catch (err) {
+    console.error('docs/registry/check error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
   }
 });
 
+// --- Verificación pública de documentos (QR impreso en cada PDF) ---
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatDateTimeCl(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return String(iso || '');
+  return d.toLocaleString('es-CL', { timeZone: 'America/Santiago', dateStyle: 'long', timeStyle: 'short' });
+}
+
+function verifyPage({ title, rows = [], ok }) {
+  const body = rows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('');
+  return `<!doctype html>
+<html lang="es"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:560px;margin:40px auto;padding:0 16px;color:#222}
+h1{font-size:1.3rem;color:${ok ? '#1b7f3b' : '#b3261e'}}table{border-collapse:collapse;width:100%}
+th,td{text-align:left;padding:8px;border-bottom:1px solid #eee}th{color:#666;font-weight:500;width:40%}</style>
+</head><body><h1>${escapeHtml(title)}</h1>${body ? `<table>${body}</table>` : ''}</body></html>`;
+}
+
+app.get('/verify/:code', async (req, res) => {
+  const wantsJson = String(req.query.format || '').toLowerCase() === 'json' || req.accepts(['html', 'json']) === 'json';
+  try {
+    const record = await findVerification(req.params.code);
+    if (!record) {
+      if (wantsJson) return res.status(404).json({ ok: false, status: 404, error: 'VERIFICATION_NOT_FOUND', message: 'Código de verificación no encontrado.' });
+      return res.status(404).type('html').send(verifyPage({
+        ok: false,
+        title: 'Código de verificación no encontrado',
+        rows: [['Código', req.params.code]],
+      }));
+    }
+
+    const info = {
+      code: record.code,
+      deal_id: record.deal_id,
+      generated_at: record.created_at,
+      template_name: record.template_name,
+      template_file_id: record.template_file_id,
+      agent_email: record.agent_email,
+    };
+    if (wantsJson) return res.status(200).json({ ok: true, status: 200, valid: true, document: info });
+    return res.status(200).type('html').send(verifyPage({
+      ok: true,
+      title: 'Documento válido',
+      rows: [
+        ['Código', info.code],
+        ['Deal', info.deal_id || '—'],
+        ['Fecha de emisión', formatDateTimeCl(info.generated_at)],
+        ['Documento', info.template_name || info.template_file_id || '—'],
+        ['Emitido por', info.agent_email || '—'],
+      ],
+    }));
+  } catch (err) {
+    console.error('verify error', err);
+    return res.status(500).json({ ok: false, status: 500, error: err.code || 'ERROR', message: err.message || String(err) });
+  }
+});
 
+if (require.main === module) {
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => console.log(`Portal listo en :${port}`));
+  startNoteRetries();
+}
 
-const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Portal listo en :${port}`));
+// Para los tests (test/): la app sin levantar el puerto y las reglas puras
+module.exports = {
+  app,
+  normalizeAseguradoraAlias,
+  normalizeModalidadAlias,
+  calcImc,
+  classifyImc,
+  calcEdadFromDDMMYYYY,
+  calcAgeFromDobDDMMYYYY,
+  calcAgeFlexible,
+  isValidDobDDMMYYYY,
+};
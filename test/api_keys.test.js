@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startPortal } = require('./helpers');
+const { sessionCookie } = require('../lib/auth');
+const { hashKey } = require('../lib/api_keys');
+
+// API keys de /v1 administradas por un admin logueado; los tests corren en orden y comparten DATA_DIR
+let portal;
+let sell;
+let ADMIN;
+let AGENT;
+
+const cookieOf = user => sessionCookie(user).split(';')[0];
+
+test.before(async () => {
+  portal = await startPortal({
+    AUDIT_HASH_SECRET: 'test-audit-secret',
+    GOOGLE_OAUTH_CLIENT_ID: 'test-client.apps.googleusercontent.com',
+    GOOGLE_OAUTH_CLIENT_SECRET: 'test-secret',
+    SESSION_SECRET: 'test-session-secret',
+    ADMIN_EMAILS: 'ti@clinyco.cl',
+  });
+  ({ sell } = portal);
+  ADMIN = cookieOf({ email: 'ti@clinyco.cl', name: 'TI', hd: 'clinyco.cl' });
+  AGENT = cookieOf({ email: 'agente@clinyco.cl', name: 'Agente', hd: 'clinyco.cl' });
+});
+
+test.after(() => portal.close());
+
+const call = (method, route, opts) => portal.call(method, route, opts);
+
+// Con actor válido y sin deal_id responde 400 MISSING_DEAL_ID: la key ya pasó
+const ensureFolder = key => call('POST', '/v1/drive/folder/ensure', { key, body: { actor: { sell_user_id: 501, email: 'agente@clinyco.cl' } } });
+
+test('sin keys: abierto en dev, 503 API_KEYS_NOT_CONFIGURED en producción', async (t) => {
+  assert.equal((await ensureFolder()).json.error, 'MISSING_DEAL_ID');
+
+  process.env.NODE_ENV = 'production';
+  t.after(() => delete process.env.NODE_ENV);
+  const r = await ensureFolder();
+  assert.equal(r.status, 503);
+  assert.equal(r.json.error, 'API_KEYS_NOT_CONFIGURED');
+});
+
+test('solo un admin crea keys; la key se muestra una vez y no se guarda en claro', async () => {
+  const denied = await call('POST', '/api/api-keys', { cookie: AGENT, body: { name: 'widget', scopes: ['render'] } });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.json.error, 'FORBIDDEN_ROLE');
+
+  const bad = await call('POST', '/api/api-keys', { cookie: ADMIN, body: { name: 'widget', scopes: ['todo'] } });
+  assert.equal(bad.json.error, 'INVALID_SCOPES');
+
+  const r = await call('POST', '/api/api-keys', { cookie: ADMIN, body: { name: 'tampermonkey', scopes: ['config:read'] } });
+  assert.equal(r.status, 201);
+  assert.match(r.json.key, /^ck_/);
+  assert.equal(r.json.api_key.created_by, 'ti@clinyco.cl');
+  assert.equal(r.json.api_key.hash, undefined);
+  const raw = fs.readFileSync(path.join(process.env.DATA_DIR, 'api_keys.jsonl'), 'utf8');
+  assert.ok(!raw.includes(r.json.key));
+  assert.ok(raw.includes(hashKey(r.json.key)));
+});
+
+test('con keys: falta, no existe o sin el scope → 401/403', async () => {
+  assert.equal((await ensureFolder()).json.error, 'MISSING_API_KEY');
+  assert.equal((await ensureFolder('ck_nope')).json.error, 'INVALID_API_KEY');
+
+  const { json } = await call('POST', '/api/api-keys', { cookie: ADMIN, body: { name: 'solo-config', scopes: ['config:read'] } });
+  const r = await ensureFolder(json.key);
+  assert.equal(r.status, 403);
+  assert.equal(r.json.error, 'INSUFFICIENT_SCOPE');
+  assert.equal(r.json.scope, 'drive:write');
+});
+
+test('uso por key y revocación', async () => {
+  const { json } = await call('POST', '/api/api-keys', { cookie: ADMIN, body: { name: 'widget', scopes: ['drive:write', 'render'], expires_in_days: 30 } });
+  assert.equal((await ensureFolder(json.key)).json.error, 'MISSING_DEAL_ID');
+  assert.equal((await ensureFolder(json.key)).json.error, 'MISSING_DEAL_ID');
+
+  const list = await call('GET', '/api/api-keys', { cookie: ADMIN });
+  const item = list.json.items.find(k => k.id === json.api_key.id);
+  assert.equal(item.status, 'active');
+  assert.equal(item.usage.count, 2);
+  assert.equal(item.usage.by_scope['drive:write'], 2);
+
+  const revoked = await call('POST', `/api/api-keys/${json.api_key.id}/revoke`, { cookie: ADMIN });
+  assert.equal(revoked.json.api_key.status, 'revoked');
+  assert.equal((await ensureFolder(json.key)).json.error, 'API_KEY_REVOKED');
+  assert.equal((await call('POST', `/api/api-keys/${json.api_key.id}/revoke`, { cookie: ADMIN })).status, 409);
+
+  // Alta y revocación quedan en la auditoría (no en la consola), sin la key en claro
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const audit = await call('GET', '/api/audit', { cookie: ADMIN });
+  const forKey = audit.json.items.filter(e => e.ids?.api_key_id === json.api_key.id);
+  assert.deepEqual(forKey.map(e => [e.route, e.status]).sort(), [['/api/api-keys', 201], ['/api/api-keys/:id/revoke', 200], ['/api/api-keys/:id/revoke', 409]]);
+  assert.ok(forKey.every(e => e.actor?.email === 'ti@clinyco.cl'));
+  assert.ok(!JSON.stringify(audit.json).includes(json.key));
+});
+
+test('keys de API_KEYS_JSON (expiradas no pasan) y BACKEND_API_KEY legacy con todos los scopes', async (t) => {
+  process.env.API_KEYS_JSON = JSON.stringify([
+    { name: 'automatizacion', sha256: hashKey('ck_old'), scopes: ['drive:write'], expires_at: '2020-01-01' },
+  ]);
+  process.env.BACKEND_API_KEY = 'legacy-key';
+  t.after(() => {
+    delete process.env.API_KEYS_JSON;
+    delete process.env.BACKEND_API_KEY;
+  });
+  assert.equal((await ensureFolder('ck_old')).json.error, 'API_KEY_EXPIRED');
+  assert.equal((await ensureFolder('legacy-key')).json.error, 'MISSING_DEAL_ID');
+});
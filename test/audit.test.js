@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startPortal } = require('./helpers');
+const { maskPatientId, patientIdHash } = require('../lib/audit');
+
+// Bitácora de auditoría (lib/audit.js) contra el mock de Sell, sin login
+let portal;
+let base;
+
+test.before(async () => {
+  portal = await startPortal({ AUDIT_HASH_SECRET: 'test-audit-secret', ALLOW_WRITE: 'true' });
+  ({ base } = portal);
+});
+
+test.after(() => portal.close());
+
+const call = (method, route, body) => portal.call(method, route, { body });
+
+// La entrada se escribe al terminar la respuesta: se espera un momento antes de leerla
+async function audit(qs) {
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return (await call('GET', `/api/audit?${qs}`)).json;
+}
+
+test('maskPatientId deja visibles los últimos 3 dígitos y el DV', () => {
+  assert.equal(maskPatientId('16.927.228-k'), '**.***.228-K');
+  assert.equal(maskPatientId('prov-12345'), '****-**345');
+});
+
+test('search-rut y create-contact quedan con actor, RUT enmascarado, resultado e IDs', async () => {
+  const search = await call('POST', '/api/search-rut', { rut: '13.580.388-K' });
+  assert.equal(search.status, 200);
+  const created = await call('POST', '/api/create-contact', {
+    rut: '16.927.228-K',
+    nombres: 'Luis',
+    apellidos: 'Rojas Díaz',
+    fecha_nacimiento: '02/03/1985',
+    telefono1: '+56922223333',
+    email: 'luis@example.com',
+    aseguradora: 'FONASA',
+    modalidad: 'Tramo B',
+    direccion: 'Calle 2 #45',
+    comuna: 'calama',
+    actor: { email: 'agente@clinyco.cl' },
+  });
+  assert.equal(created.status, 201);
+
+  const byRut = await audit('rut=13580388-k');
+  assert.equal(byRut.total, 1);
+  const s = byRut.items[0];
+  assert.equal(s.route, '/api/search-rut');
+  assert.equal(s.inputs.body.rut, '**.***.388-K');
+  assert.deepEqual(s.ids.contact_ids, [1001]);
+  assert.deepEqual(s.ids.deal_ids, [2001]);
+
+  const c = (await audit('route=/api/create-contact')).items[0];
+  assert.equal(c.status, 201);
+  assert.equal(c.ok, true);
+  assert.deepEqual(c.actor, { email: 'agente@clinyco.cl', name: 'Agente Demo', sell_user_id: 501, source: 'portal', role: null });
+  assert.deepEqual(c.ids.contact_ids, [created.json.contact.id]);
+  assert.equal(c.ids.note_id, created.json.note.id);
+  assert.equal(c.inputs.body.actor, undefined);
+  const raw = fs.readFileSync(path.join(process.env.DATA_DIR, 'audit.jsonl'), 'utf8');
+  assert.ok(!raw.includes('16.927.228') && !raw.includes('16927228'));
+});
+
+test('filtros por actor, deal y fecha; errores también quedan', async () => {
+  const denied = await call('POST', '/v1/drive/folder/ensure', { deal_id: 2001, actor: { sell_user_id: 501, email: 'supervisora@clinyco.cl' } });
+  assert.equal(denied.json.error, 'ACTOR_MISMATCH');
+
+  const byDeal = await audit('deal_id=2001&route=/v1/drive/folder/ensure');
+  assert.equal(byDeal.items[0].error, 'ACTOR_MISMATCH');
+  assert.equal(byDeal.items[0].actor.claimed, true);
+
+  const mine = await audit('actor=501');
+  assert.ok(mine.items.length >= 1);
+  assert.ok(mine.items.every(e => e.actor.sell_user_id === 501));
+  assert.equal(mine.by_actor.find(r => r.actor === 'agente@clinyco.cl').writes, 1);
+
+  assert.equal((await audit('from=2000-01-01&to=2000-12-31')).total, 0);
+  assert.equal((await audit('rut=1-2')).error, 'INVALID_RUT');
+});
+
+test('rut_hash: HMAC con AUDIT_HASH_SECRET (cambia con el secreto) y en producción sin secreto falla cerrado', async (t) => {
+  const h = patientIdHash('13.580.388-K');
+  assert.equal(patientIdHash('13580388k'), h);
+  t.after(() => {
+    process.env.AUDIT_HASH_SECRET = 'test-audit-secret';
+    delete process.env.NODE_ENV;
+  });
+  process.env.AUDIT_HASH_SECRET = 'otro-secreto';
+  assert.notEqual(patientIdHash('13.580.388-K'), h);
+
+  delete process.env.AUDIT_HASH_SECRET;
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => patientIdHash('13.580.388-K'), { code: 'MISSING_AUDIT_HASH_SECRET' });
+  const r = await call('POST', '/api/search-rut', { rut: '13.580.388-K' });
+  assert.equal(r.status, 503);
+  assert.equal(r.json.error, 'MISSING_AUDIT_HASH_SECRET');
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+});
+
+test('el RUT se enmascara con cualquier nombre de campo (RUN) o por su forma', async () => {
+  await call('POST', '/api/search-rut', { RUN: '12.345.678-5', paciente: { documento: '16927228-k' } });
+  const e = (await audit('route=/api/search-rut')).items[0];
+  assert.equal(e.inputs.body.RUN, '**.***.678-5');
+  assert.equal(e.inputs.body.paciente.documento, '**.***.228-K');
+  const raw = fs.readFileSync(path.join(process.env.DATA_DIR, 'audit.jsonl'), 'utf8');
+  assert.ok(!raw.includes('12.345.678') && !raw.includes('12345678'));
+});
+
+test('/auth/callback: el code y el state de OAuth no quedan en la bitácora', async () => {
+  await call('GET', '/auth/callback?code=4%2F0AQSTgQ-codigo-vivo&state=estado-pkce-123&scope=email');
+  const e = (await audit('route=/auth/callback')).items[0];
+  assert.equal(e.inputs.query.code, '[redactado]');
+  assert.equal(e.inputs.query.state, '[redactado]');
+  assert.equal(e.inputs.query.scope, 'email');
+  const raw = fs.readFileSync(path.join(process.env.DATA_DIR, 'audit.jsonl'), 'utf8');
+  assert.ok(!raw.includes('codigo-vivo') && !raw.includes('estado-pkce'));
+});
+
+test('la bitácora se lee del disco (sin cache en memoria): total y las últimas `limit` coincidencias', async () => {
+  const file = path.join(process.env.DATA_DIR, 'audit.jsonl');
+  for (let i = 1; i <= 3; i++) {
+    fs.appendFileSync(file, `${JSON.stringify({ at: new Date().toISOString(), method: 'POST', route: '/api/externa', status: 200, ok: true, actor: { email: 'ti@clinyco.cl' }, n: i })}\n`);
+  }
+  fs.appendFileSync(file, 'no es json\n');
+  const r = await audit('route=/api/externa&limit=2');
+  assert.equal(r.total, 3);
+  assert.deepEqual(r.items.map(e => e.n), [3, 2]);
+  assert.deepEqual(r.by_actor, [{ actor: 'ti@clinyco.cl', total: 3, ok: 3, writes: 3 }]);
+});
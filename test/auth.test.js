@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startPortal } = require('./helpers');
+const { userFromIdTokenPayload, readSession, sessionCookie, safeReturnTo } = require('../lib/auth');
+
+// Portal con login activo (GOOGLE_OAUTH_CLIENT_ID); las sesiones se firman aquí mismo con sessionCookie
+let portal;
+let sell;
+let AGENT;
+let GUEST;
+
+const cookieOf = user => sessionCookie(user).split(';')[0];
+
+test.before(async () => {
+  portal = await startPortal({
+    ALLOW_WRITE: 'true',
+    GOOGLE_OAUTH_CLIENT_ID: 'test-client.apps.googleusercontent.com',
+    GOOGLE_OAUTH_CLIENT_SECRET: 'test-secret',
+    SESSION_SECRET: 'test-session-secret',
+    PUBLIC_BASE_URL: 'https://portal.test',
+    SUPERVISOR_EMAILS: 'jefa@clinyco.cl',
+  });
+  ({ sell } = portal);
+  // Después del env: sessionCookie firma con SESSION_SECRET
+  AGENT = cookieOf({ email: 'agente@clinyco.cl', name: 'Agente Uno', sub: '1', hd: 'clinyco.cl' });
+  GUEST = cookieOf({ guest: true });
+});
+
+test.after(() => portal.close());
+
+test.beforeEach(() => sell.reset());
+
+const call = (method, route, opts) => portal.call(method, route, opts);
+
+const sellWrites = () => sell.requests.filter(r => r.method !== 'GET' && !r.path.endsWith('/search'));
+
+const contactBody = {
+  rut: '16.927.228-K',
+  nombres: 'Luis',
+  apellidos: 'Rojas Díaz',
+  fecha_nacimiento: '02/03/1985',
+  telefono1: '+56922223333',
+  email: 'luis@example.com',
+  aseguradora: 'Isapre Cruz Blanca',
+  modalidad: 'Cruz Blanca',
+  direccion: 'Calle 2 #45',
+  comuna: 'calama',
+};
+
+test('id_token: solo cuentas Workspace del dominio permitido', () => {
+  const ok = userFromIdTokenPayload({ email: 'Agente@Clinyco.cl', email_verified: true, hd: 'clinyco.cl', name: 'Agente', sub: '9' });
+  assert.deepEqual(ok, { email: 'agente@clinyco.cl', name: 'Agente', sub: '9', hd: 'clinyco.cl' });
+
+  assert.throws(() => userFromIdTokenPayload({ email: 'x@gmail.com', email_verified: true }), { code: 'DOMAIN_NOT_ALLOWED' });
+  assert.throws(() => userFromIdTokenPayload({ email: 'x@clinyco.cl', email_verified: true }), { code: 'DOMAIN_NOT_ALLOWED' });
+  assert.throws(() => userFromIdTokenPayload({ email: 'x@clinyco.cl', email_verified: false, hd: 'clinyco.cl' }), { code: 'EMAIL_NOT_VERIFIED' });
+});
+
+test('sesión: cookie firmada, alterada → sin sesión', () => {
+  assert.equal(readSession(AGENT).email, 'agente@clinyco.cl');
+  assert.equal(readSession(GUEST).guest, true);
+  const [name, value] = AGENT.split('=');
+  const [body, sig] = decodeURIComponent(value).split('.');
+  const forged = Buffer.from(JSON.stringify({ email: 'jefa@clinyco.cl', exp: Date.now() + 60000 })).toString('base64url');
+  assert.equal(readSession(`${name}=${forged}.${sig}`), null);
+  assert.equal(readSession(`${name}=${body}.x${sig.slice(1)}`), null);
+});
+
+test('return_to solo acepta paths del portal', () => {
+  assert.equal(safeReturnTo('/#docs'), '/#docs');
+  assert.equal(safeReturnTo('//evil.example'), '/');
+  assert.equal(safeReturnTo('https://evil.example'), '/');
+});
+
+test('sin sesión la API responde 401 LOGIN_REQUIRED; /auth/me sí responde', async () => {
+  const r = await call('GET', '/api/pipelines');
+  assert.equal(r.status, 401);
+  assert.equal(r.json.error, 'LOGIN_REQUIRED');
+
+  const me = await call('GET', '/auth/me');
+  assert.equal(me.status, 200);
+  assert.deepEqual(me.json.auth, { enabled: true, guest_allowed: true, domains: ['clinyco.cl'] });
+  assert.equal(me.json.user, null);
+});
+
+test('/auth/login redirige a Google con hd, nonce y PKCE', async () => {
+  const r = await call('GET', '/auth/login?return_to=/');
+  assert.equal(r.status, 302);
+  const url = new URL(r.headers.get('location'));
+  assert.equal(url.hostname, 'accounts.google.com');
+  assert.equal(url.searchParams.get('hd'), 'clinyco.cl');
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.ok(url.searchParams.get('nonce'));
+  assert.match(r.headers.get('set-cookie'), /portal_oauth=.*HttpOnly; SameSite=Lax/);
+});
+
+test('callback sin el state de este navegador → vuelve al portal con auth_error', async () => {
+  const r = await call('GET', '/auth/callback?code=abc&state=otro');
+  assert.equal(r.status, 302);
+  assert.equal(r.headers.get('location'), '/?auth_error=INVALID_OAUTH_STATE');
+});
+
+test('invitado: no ve datos de pacientes (lecturas ni dry_run) y no escribe (403 GUEST_READ_ONLY)', async () => {
+  const reads = [
+    ['POST', '/api/search-rut', { rut: '13.580.388-K' }],
+    ['GET', '/api/duplicates?rut=13.580.388-K'],
+    ['GET', '/api/duplicates/merges'],
+    ['GET', '/api/deal-context?deal_id=2001'],
+    ['GET', '/api/docs/registry'],
+    ['GET', '/api/docs/jobs/job_x'],
+    ['GET', '/api/webhooks/sell/events'],
+    ['POST', '/api/create-contact?dry_run=1', contactBody],
+  ];
+  for (const [method, route, body] of reads) {
+    const r = await call(method, route, { cookie: GUEST, body });
+    assert.equal(r.status, 403, route);
+    assert.equal(r.json.error, 'GUEST_NO_PATIENT_DATA', route);
+  }
+  assert.equal(sell.requests.filter(r => r.path !== '/v2/users').length, 0);
+
+  // El agente sí
+  assert.equal((await call('POST', '/api/search-rut', { cookie: AGENT, body: { rut: '13.580.388-K' } })).status, 200);
+  assert.equal((await call('POST', '/api/create-contact?dry_run=1', { cookie: AGENT, body: contactBody })).status, 200);
+
+  const write = await call('POST', '/api/create-contact', { cookie: GUEST, body: contactBody });
+  assert.equal(write.status, 403);
+  assert.equal(write.json.error, 'GUEST_READ_ONLY');
+  assert.equal(sellWrites().length, 0);
+});
+
+test('invitado: ?dry_run=1 no abre las rutas sin modo dry_run', async () => {
+  const retry = await call('POST', '/api/docs/jobs/job_x/retry?dry_run=1', { cookie: GUEST });
+  assert.equal(retry.status, 403);
+  assert.equal(retry.json.error, 'GUEST_READ_ONLY');
+
+  const scan = await call('POST', '/api/rut-scan?dry_run=true', { cookie: GUEST, body: {} });
+  assert.equal(scan.status, 403);
+  assert.equal(scan.json.error, 'GUEST_READ_ONLY');
+});
+
+test('usuario logueado: crea, y es el actor aunque el body diga otro', async () => {
+  const created = await call('POST', '/api/create-contact', { cookie: AGENT, body: contactBody });
+  assert.equal(created.status, 201);
+
+  const merge = await call('POST', '/api/duplicates/merge', {
+    cookie: AGENT,
+    body: { kind: 'contact', rut: '13.580.388-K', survivor_id: 1001, actor: { email: 'jefa@clinyco.cl' } },
+  });
+  assert.equal(merge.status, 403);
+  assert.equal(merge.json.error, 'FORBIDDEN_ROLE');
+  assert.equal(merge.json.required_role, 'supervisor');
+  // El contacto y su nota, firmada por la sesión
+  assert.equal(sellWrites().length, 2);
+  assert.match(sell.state.notes.at(-1).content, /Agente: Agente Uno <agente@clinyco\.cl> \(Sell #501\)/);
+});
+
+const dealBody = {
+  rut: '13.580.388-K',
+  contact_id: 1001,
+  owner_id: 501,
+  nombres: 'Ana',
+  apellidos: 'Pérez',
+  aseguradora: 'Fonasa',
+  modalidad: 'Fonasa',
+};
+
+test('roles: el permiso por pipeline aplica con cualquier alias de pipeline_id', async () => {
+  for (const alias of ['pipeline_id', 'pipelineId', 'pipeline_id_checked', 'pipelineIdChecked']) {
+    for (const [who, cookie, error] of [['agente', AGENT, 'FORBIDDEN_ROLE'], ['invitado', GUEST, 'GUEST_READ_ONLY']]) {
+      for (const route of ['/api/create-deal', '/api/intake']) {
+        const r = await call('POST', route, { cookie, body: { ...dealBody, owner_id: 501, [alias]: 1290779 } });
+        assert.equal(r.status, 403, `${who} ${route} ${alias}`);
+        assert.equal(r.json.error, error, `${who} ${route} ${alias}`);
+      }
+    }
+  }
+  assert.equal(sellWrites().length, 0);
+});
+
+test('roles: agente no crea deals en Bariátrica (supervisor), sí en otro pipeline', async () => {
+  const bari = await call('POST', '/api/create-deal', { cookie: AGENT, body: { ...dealBody, pipeline_id: 1290779 } });
+  assert.equal(bari.status, 403);
+  assert.equal(bari.json.error, 'FORBIDDEN_ROLE');
+
+  const dry = await call('POST', '/api/create-deal?dry_run=1', { cookie: AGENT, body: { ...dealBody, pipeline_id: 1290779 } });
+  assert.notEqual(dry.json.error, 'FORBIDDEN_ROLE');
+
+  const other = await call('POST', '/api/create-deal', { cookie: AGENT, body: { ...dealBody, pipeline_id: 4823817 } });
+  assert.equal(other.status, 201);
+});
+
+test('roles: supervisor por usuario de Sell (ROLES_JSON) y por SUPERVISOR_EMAILS', async (t) => {
+  process.env.ROLES_JSON = JSON.stringify({ roles: { supervisor: { sell_user_ids: [502] } } });
+  t.after(() => delete process.env.ROLES_JSON);
+  const SUPERVISORA = cookieOf({ email: 'supervisora@clinyco.cl', name: 'Supervisora', sub: '2', hd: 'clinyco.cl' });
+
+  const me = await call('GET', '/auth/me', { cookie: SUPERVISORA });
+  assert.equal(me.json.user.role, 'supervisor');
+  assert.equal(me.json.user.sell_user_id, 502);
+  assert.equal(me.json.permissions['deal.create@1290779'], 'supervisor');
+
+  // Pasa el permiso y llega a la regla de negocio: ya hay un deal con ese RUT en Bariátrica
+  const bari = await call('POST', '/api/create-deal', { cookie: SUPERVISORA, body: { ...dealBody, pipeline_id: 1290779 } });
+  assert.equal(bari.status, 409);
+  assert.equal(bari.json.error, 'DEAL_EXISTS_IN_PIPELINE');
+
+  const jefa = await call('GET', '/auth/me', { cookie: cookieOf({ email: 'jefa@clinyco.cl', hd: 'clinyco.cl' }) });
+  assert.equal(jefa.json.user.role, 'supervisor');
+  assert.equal((await call('GET', '/auth/me', { cookie: GUEST })).json.user.role, 'guest');
+});
+
+test('eventos del webhook de Sell y su tabla de reglas: solo admin', async (t) => {
+  process.env.ADMIN_EMAILS = 'ti@clinyco.cl';
+  t.after(() => delete process.env.ADMIN_EMAILS);
+  const jefa = await call('GET', '/api/webhooks/sell/events', { cookie: cookieOf({ email: 'jefa@clinyco.cl', hd: 'clinyco.cl' }) });
+  assert.equal(jefa.status, 403);
+  assert.equal(jefa.json.error, 'FORBIDDEN_ROLE');
+  assert.equal(jefa.json.required_role, 'admin');
+
+  const ti = await call('GET', '/api/webhooks/sell/events', { cookie: cookieOf({ email: 'ti@clinyco.cl', hd: 'clinyco.cl' }) });
+  assert.equal(ti.status, 200);
+  assert.deepEqual(ti.json.rules, []);
+});
+
+test('con login en producción y sin SESSION_SECRET falla cerrado (503), no con un secreto por proceso', async (t) => {
+  process.env.NODE_ENV = 'production';
+  delete process.env.SESSION_SECRET;
+  t.after(() => {
+    delete process.env.NODE_ENV;
+    process.env.SESSION_SECRET = 'test-session-secret';
+  });
+  const search = await call('POST', '/api/search-rut', { cookie: AGENT, body: { rut: '13.580.388-K' } });
+  assert.equal(search.status, 503);
+  assert.equal(search.json.error, 'SESSION_SECRET_MISSING');
+  assert.equal((await call('GET', '/auth/login')).json.error, 'SESSION_SECRET_MISSING');
+  assert.equal((await call('GET', '/health')).status, 200);
+  assert.equal(sell.requests.length, 0);
+});
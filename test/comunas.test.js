@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalComuna, ERROR_COMUNA } = require('../lib/comunas');
+
+test('canonicalComuna ignora mayúsculas, tildes y espacios', () => {
+  assert.equal(canonicalComuna('calama'), 'CALAMA');
+  assert.equal(canonicalComuna('  Viña   del Mar '), 'VIÑA DEL MAR');
+  assert.equal(canonicalComuna('NUNOA'), 'ÑUÑOA');
+  assert.equal(canonicalComuna('alto biobio'), 'ALTO BIOBÍO');
+});
+
+test('canonicalComuna: vacío o desconocido → ERROR-SIN COMUNA', () => {
+  assert.equal(canonicalComuna(''), ERROR_COMUNA);
+  assert.equal(canonicalComuna(null), ERROR_COMUNA);
+  assert.equal(canonicalComuna('Springfield'), ERROR_COMUNA);
+  assert.equal(canonicalComuna(ERROR_COMUNA), ERROR_COMUNA);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startPortal } = require('./helpers');
+
+// /api/docs/generate-batch contra el mock de Sell con storage local (sin Google)
+let portal;
+let sell;
+let base;
+
+const PNG_1X1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+test.before(async () => {
+  portal = await startPortal(tmp => ({
+    DOCS_STORAGE: 'local',
+    DOCS_LOCAL_ROOT: path.join(tmp, 'storage'),
+    ALLOW_DOCS_WRITE: 'true',
+    PUBLIC_BASE_URL: 'https://portal.test',
+    SIGNATURE_IMAGES_JSON: JSON.stringify({
+      firma_cirujano: { by_value: { 'Dr. Juan Soto': 'firmas/soto.png', 'Dra. María Rojas': 'firmas/rojas.png' }, width: 40 },
+    }),
+    DOC_TEMPLATES_JSON: JSON.stringify({ orden: 'orden.docx', consentimiento: 'templates/consentimiento.txt' }),
+  }));
+  ({ sell, base } = portal);
+  const storage = path.join(portal.dataDir, 'storage');
+  fs.mkdirSync(path.join(storage, 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(storage, 'templates', 'consentimiento.txt'), 'Consentimiento de {{contact.first_name}}\n');
+  fs.writeFileSync(path.join(storage, 'templates', 'protocolo.txt'), 'Protocolo {{object.nombre}}\n{{image.firma_cirujano}}\n');
+  fs.mkdirSync(path.join(storage, 'firmas'));
+  for (const f of ['soto.png', 'rojas.png']) fs.writeFileSync(path.join(storage, 'firmas', f), Buffer.from(PNG_1X1, 'base64'));
+});
+
+test.after(() => portal.close());
+
+const post = (route, body) => portal.post(route, body);
+
+test('template pedido que no existe → su propio resultado TEMPLATE_NOT_FOUND', async () => {
+  const r = await post('/api/docs/generate-batch?dry_run=1', { deal_id: 2001, doc_types: ['orden', 'receta'] });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.json.results.map(x => [x.doc_type, x.status]), [['receta', 'error'], ['orden', 'dry_run']]);
+  assert.equal(r.json.results[0].ok, false);
+  assert.equal(r.json.results[0].error, 'TEMPLATE_NOT_FOUND');
+
+  const none = await post('/api/docs/generate-batch?dry_run=1', { deal_id: 2001, doc_types: ['receta'] });
+  assert.equal(none.status, 400);
+  assert.equal(none.json.results[0].error, 'TEMPLATE_NOT_FOUND');
+});
+
+test('/v1/config: DOC_PACKAGES_JSON inválido → packages_error, la lista de templates sigue', async (t) => {
+  process.env.DOC_PACKAGES_JSON = '[{"id": ';
+  t.after(() => delete process.env.DOC_PACKAGES_JSON);
+  const res = await fetch(`${base}/v1/config`);
+  const json = await res.json();
+  assert.equal(res.status, 200);
+  assert.deepEqual(json.packages, []);
+  assert.equal(json.packages_error_code, 'INVALID_DOC_PACKAGES');
+  assert.match(json.packages_error, /^DOC_PACKAGES_JSON inválido/);
+  assert.ok(Array.isArray(json.templates));
+});
+
+async function waitJob(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = await (await fetch(`${base}/api/docs/jobs/${jobId}`)).json();
+    if (job.finished_at) return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`job ${jobId} no terminó`);
+}
+
+test('job con un template inexistente y PDFs generados termina partial, no done', async () => {
+  const r = await post('/api/docs/generate-batch', { deal_id: 2001, doc_types: ['consentimiento', 'receta'] });
+  assert.equal(r.status, 202);
+  const job = await waitJob(r.json.job_id);
+  assert.equal(job.job_status, 'partial');
+  assert.equal(job.partial, true);
+  assert.deepEqual(job.results.map(x => [x.doc_type, x.status]), [['receta', 'error'], ['consentimiento', 'done']]);
+});
+
+test('merge_pdf: el dossier queda en el registro y se verifica con su propio código', async () => {
+  const r = await post('/api/docs/generate-batch', { deal_id: 2001, doc_types: ['consentimiento'], merge_pdf: true });
+  assert.equal(r.status, 202);
+  const job = await waitJob(r.json.job_id);
+  const { dossier } = job;
+  assert.ok(dossier.pdf_file_id, JSON.stringify(dossier));
+  assert.match(dossier.verification_code, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+  assert.notEqual(dossier.verification_code, job.results[0].verification_code);
+
+  const verify = await (await fetch(`${base}/verify/${dossier.verification_code}?format=json`)).json();
+  assert.equal(verify.valid, true);
+  assert.equal(verify.document.deal_id, 2001);
+  assert.equal(verify.document.template_name, 'Dossier de documentos');
+
+  const check = await (await fetch(`${base}/api/docs/registry/check?pdf_file_id=${encodeURIComponent(dossier.pdf_file_id)}`)).json();
+  assert.equal(check.match, true);
+  assert.equal(check.entry.source, 'generate-batch.dossier');
+  assert.equal(check.entry.seq, dossier.registry_seq);
+  assert.deepEqual(check.entry.documents.map(d => d.pdf_file_id), [job.results[0].pdf_file_id]);
+});
+
+test('la nota del batch es estructurada y no se puede omitir (create_note se ignora)', async () => {
+  const r = await post('/api/docs/generate-batch', { deal_id: 2001, doc_types: ['consentimiento'], create_note: false });
+  assert.equal(r.status, 202);
+  const job = await waitJob(r.json.job_id);
+  assert.equal(job.note.queued, false);
+
+  const note = sell.state.notes.find(n => n.id === job.note.id);
+  assert.equal(note.resource_type, 'deal');
+  assert.equal(note.resource_id, 2001);
+  assert.match(note.content, /^📄 Documentos generados$/m);
+  assert.match(note.content, /^Acción: docs\.generate$/m);
+  assert.match(note.content, /^Origen: portal$/m);
+  assert.match(note.content, /^• consentimiento: \S+/m);
+});
+
+test('sin PUBLIC_BASE_URL no se genera (nunca se usa el Host del request)', async (t) => {
+  delete process.env.PUBLIC_BASE_URL;
+  t.after(() => { process.env.PUBLIC_BASE_URL = 'https://portal.test'; });
+  const res = await fetch(`${base}/api/docs/generate-batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'evil.example' },
+    body: JSON.stringify({ deal_id: 2001, doc_types: ['consentimiento'] }),
+  });
+  const json = await res.json();
+  assert.equal(res.status, 500);
+  assert.equal(json.error, 'MISSING_PUBLIC_BASE_URL');
+
+  // La vista previa no imprime URLs: sigue funcionando
+  assert.equal((await post('/api/docs/generate-batch?dry_run=1', { deal_id: 2001, doc_types: ['consentimiento'] })).status, 200);
+});
+
+test('/v1/render: la firma sale del deal en Sell, no del deal que manda el widget', async () => {
+  const r = await post('/v1/render', {
+    template_key: 'templates/protocolo.txt',
+    template_name: 'Protocolo',
+    deal_id: 2001,
+    deal: { folder_id: 'pacientes/2001', custom_fields: { 'CIRUJANO BARIÁTRICO': 'Dra. María Rojas' } },
+    object: { nombre: 'Ana' },
+    actor: { sell_user_id: 501, email: 'agente@clinyco.cl' },
+  });
+  assert.equal(r.status, 200, JSON.stringify(r.json));
+  assert.deepEqual(r.json.images.firma_cirujano, { file_id: 'firmas/soto.png', field: 'CIRUJANO BARIÁTRICO', value: 'Dr. Juan Soto' });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startSellMock } = require('../lib/sell_mock');
+
+// Fusión de duplicados (lib/duplicates.js) contra el mock de Sell: los deals y notas del duplicado se leen paginados
+let sell;
+let duplicates;
+
+test.before(async () => {
+  sell = await startSellMock({ token: 'test-token' });
+  Object.assign(process.env, {
+    SELL_API_BASE: sell.url,
+    SELL_ACCESS_TOKEN: 'test-token',
+    SELL_MAX_RETRIES: '0',
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'portal-test-')),
+  });
+  duplicates = require('../lib/duplicates');
+});
+
+test.after(() => sell.close());
+
+test('contacto duplicado con más de 100 notas y deals: el plan y la fusión los cubren todos', async () => {
+  sell.state.contacts.push({ id: 1002, first_name: 'Ana', last_name: 'Pérez', custom_fields: { RUT_normalizado: '13580388k' } });
+  for (let i = 0; i < 230; i++) {
+    sell.state.notes.push({ id: 70000 + i, resource_type: 'contact', resource_id: 1002, content: `nota ${i}`, created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString() });
+  }
+  for (let i = 0; i < 120; i++) sell.state.deals.push({ id: 80000 + i, name: `Deal ${i}`, contact_id: 1002, custom_fields: {} });
+
+  const plan = await duplicates.planMerge({ kind: 'contact', survivorId: 1001, loserIds: [1002] });
+  assert.equal(plan.filter(a => a.type === 'move_deal').length, 120);
+  const copies = plan.filter(a => a.type === 'copy_note');
+  assert.equal(copies.length, 230);
+  assert.equal(copies.at(-1).note_id, 70229);
+  assert.ok(sell.requests.some(r => r.path === '/v2/notes' && r.query.page === '3'));
+
+  const { merge } = await duplicates.mergeDuplicates({ kind: 'contact', rut: '13580388k', survivorId: 1001, loserIds: [1002], actor: null });
+  assert.equal(merge.ok, true);
+  assert.equal(sell.state.deals.filter(d => d.contact_id === 1002).length, 0);
+  assert.equal(sell.state.notes.filter(n => n.resource_type === 'contact' && n.resource_id === 1001).length, 230);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeGoogle } = require('../lib/google_fake');
+const { setGoogleClients } = require('../lib/google');
+const driveDocs = require('../lib/drive_docs');
+
+// lib/drive_docs.js de punta a punta contra el Drive/Docs en memoria de lib/google_fake.js (sin credenciales Google)
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+let fake;
+
+test.before(() => {
+  fake = createFakeGoogle({
+    files: [
+      { id: 'pacientes', name: 'Pacientes', mimeType: FOLDER_MIME, parents: ['root'] },
+      { id: 'templates', name: 'Templates', mimeType: FOLDER_MIME, parents: ['root'] },
+      {
+        id: 'tpl-consentimiento',
+        name: 'Consentimiento',
+        parents: ['templates'],
+        text: 'Paciente: {{object.nombre}} ({{object.rut}})\n{{#if object.prevision == "FONASA"}}Bono Fonasa{{else}}Reembolso{{/if}}\nFirma: {{object.firma}}\n',
+      },
+    ],
+  });
+  setGoogleClients(fake);
+  process.env.GOOGLE_ROOT_FOLDER_ID = 'pacientes';
+});
+
+test.after(() => {
+  setGoogleClients(null);
+  delete process.env.GOOGLE_ROOT_FOLDER_ID;
+});
+
+test('carpeta del paciente, copia del template, placeholders, header y PDF', async () => {
+  const folders = await driveDocs.ensurePatientFolders({ folderName: 'PÉREZ ANA 13580388-K' });
+  const main = fake.files.get(folders.folder_id);
+  assert.equal(main.name, 'PÉREZ ANA 13580388-K');
+  assert.deepEqual(main.parents, ['pacientes']);
+  assert.equal(fake.files.get(folders.pdf_folder_id).name, '00_PDF');
+  assert.deepEqual(fake.files.get(folders.docs_folder_id).parents, [folders.folder_id]);
+  assert.equal(folders.folder_url, `https://drive.google.com/drive/folders/${folders.folder_id}`);
+  // Idempotente: la segunda vez encuentra las mismas carpetas
+  assert.deepEqual(await driveDocs.ensurePatientFolders({ folderName: 'PÉREZ ANA 13580388-K' }), folders);
+
+  const doc = await driveDocs.copyTemplateToFolder({ templateFileId: 'tpl-consentimiento', newName: 'Consentimiento - 2026-10-19', parentFolderId: folders.docs_folder_id });
+  assert.deepEqual(fake.files.get(doc.id).parents, [folders.docs_folder_id]);
+  assert.match(fake.readDoc('tpl-consentimiento').body, /\{\{object\.nombre\}\}/);
+
+  await driveDocs.replacePlaceholdersInDoc({
+    documentId: doc.id,
+    placeholders: { 'object.nombre': 'Ana Pérez', 'object.rut': '13.580.388-K', 'object.prevision': 'FONASA', 'object.firma': '' },
+    preserveMissingPlaceholders: true,
+  });
+  assert.equal(fake.readDoc(doc.id).body, 'Paciente: Ana Pérez (13.580.388-K)\nBono Fonasa\nFirma: {{object.firma}}\n');
+
+  await driveDocs.ensureDealAgentHeader({ documentId: doc.id, dealId: 2001, agentEmail: 'agente@clinyco.cl', verificationCode: 'K7QX-3M9P-2T4A' });
+  // El header nuevo trae su propio salto final (igual que Docs)
+  assert.deepEqual(fake.readDoc(doc.id).headers, ['DEAL.2001 agente@clinyco.cl VERIF.K7QX-3M9P-2T4A\n\n']);
+  assert.equal((await driveDocs.ensureDealAgentHeader({ documentId: doc.id, dealId: 2001, agentEmail: 'agente@clinyco.cl' })).skipped, true);
+  assert.match(await driveDocs.getDocumentText({ documentId: doc.id }), /DEAL\.2001 agente@clinyco\.cl/);
+
+  const pdf = await driveDocs.exportDocAsPdfBuffer({ fileId: doc.id });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(fake.calls.some(c => c.api === 'drive.files.export' && c.params.fileId === doc.id));
+});
+
+test('template inexistente → 404 como googleapis', async () => {
+  await assert.rejects(
+    driveDocs.copyTemplateToFolder({ templateFileId: 'no-existe', newName: 'X', parentFolderId: 'pacientes' }),
+    err => err.code === 404 && err.response.status === 404,
+  );
+});
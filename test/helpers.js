@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startSellMock } = require('../lib/sell_mock');
+
+// Portal de pruebas: mock de Sell + server.js en un puerto libre, con DATA_DIR temporal y sin login.
+// server.js lee el env al cargarse: una sola llamada por archivo de test (cada archivo corre en su propio proceso).
+
+/**
+ * env: variables extra, o (dataDir) => variables cuando dependen del DATA_DIR (p. ej. DOCS_LOCAL_ROOT).
+ * Returns { base, sell, dataDir, call, post, close }.
+ */
+async function startPortal(env = {}) {
+  const sell = await startSellMock({ token: 'test-token' });
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-test-'));
+  Object.assign(process.env, {
+    SELL_API_BASE: sell.url,
+    SELL_ACCESS_TOKEN: 'test-token',
+    SELL_MAX_RETRIES: '0',
+    DATA_DIR: dataDir,
+    ...(typeof env === 'function' ? env(dataDir) : env),
+  });
+  const { app } = require('../server');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // json es null si la respuesta no es JSON (p. ej. un redirect de /auth)
+  async function call(method, route, { body, cookie, key, headers = {} } = {}) {
+    const res = await fetch(`${base}${route}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...(key ? { 'x-api-key': key } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, json: text.startsWith('{') ? JSON.parse(text) : null };
+  }
+
+  const post = (route, body, opts = {}) => call('POST', route, { ...opts, body });
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await sell.close();
+  }
+
+  return { base, sell, dataDir, call, post, close };
+}
+
+module.exports = { startPortal };
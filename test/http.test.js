@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startPortal } = require('./helpers');
+
+// El portal completo contra el mock de Sell (lib/sell.js lee SELL_API_BASE al cargarse: el env va antes del require)
+let portal;
+let sell;
+let base;
+
+test.before(async () => {
+  portal = await startPortal({ AUDIT_HASH_SECRET: 'test-audit-secret', ALLOW_WRITE: 'true' });
+  ({ sell, base } = portal);
+});
+
+test.after(() => portal.close());
+
+test.beforeEach(() => sell.reset());
+
+const post = (route, body) => portal.post(route, body);
+
+const sellWrites = () => sell.requests.filter(r => r.method !== 'GET' && !r.path.endsWith('/search'));
+
+function contactBody(extra = {}) {
+  return {
+    rut: '16.927.228-K',
+    nombres: 'Luis',
+    apellidos: 'Rojas Díaz',
+    fecha_nacimiento: '02/03/1985',
+    telefono1: '+56922223333',
+    email: 'luis@example.com',
+    aseguradora: 'Isapre Cruz Blanca',
+    modalidad: 'Cruz Blanca',
+    direccion: 'Calle 2 #45',
+    comuna: 'calama',
+    ...extra,
+  };
+}
+
+function dealBody(extra = {}) {
+  return {
+    rut: '13.580.388-K',
+    contact_id: 1001,
+    owner_id: 501,
+    pipeline_id: 1290779,
+    nombres: 'Ana',
+    apellidos: 'Pérez',
+    aseguradora: 'FONASA',
+    modalidad: 'Tramo B',
+    comuna: 'Antofagasta',
+    ...extra,
+  };
+}
+
+test('search-rut encuentra contacto y deals aunque el RUT esté guardado en el canon', async () => {
+  const { status, json } = await post('/api/search-rut', { rut: '13.580.388-k' });
+  assert.equal(status, 200);
+  assert.equal(json.rut_normalized, '13580388-K');
+  assert.deepEqual(json.contacts.map(c => c.id), [1001]);
+  assert.deepEqual(json.deals.map(d => [d.id, d.pipeline_id, d.stage_name]), [[2001, 1290779, 'CANDIDATO']]);
+  assert.equal(json.rules.rut_unique_in_contacts, true);
+});
+
+test('search-rut: DV inválido → 400', async () => {
+  const { status, json } = await post('/api/search-rut', { rut: '13.580.388-1' });
+  assert.equal(status, 400);
+  assert.equal(json.error, 'INVALID_RUT_DV');
+});
+
+test('search-rut: 2 contactos con el mismo RUT → 409 DUPLICATE_CONTACT_RUT', async () => {
+  sell.state.contacts.push({ id: 1002, first_name: 'Ana', last_name: 'Pérez (copia)', custom_fields: { RUT_normalizado: '13580388-K' } });
+  const { status, json } = await post('/api/search-rut', { rut: '13580388K' });
+  assert.equal(status, 409);
+  assert.equal(json.error, 'DUPLICATE_CONTACT_RUT');
+  assert.equal(json.rules.rut_unique_in_contacts, false);
+});
+
+test('search-rut: deal en el pipeline pedido → 409 DUPLICATE_DEAL_RUT_IN_PIPELINE', async () => {
+  const { status, json } = await post('/api/search-rut', { rut: '13580388-K', pipelineId: 1290779 });
+  assert.equal(status, 409);
+  assert.equal(json.error, 'DUPLICATE_DEAL_RUT_IN_PIPELINE');
+  assert.equal(json.rules.rut_unique_in_pipeline, false);
+
+  const other = await post('/api/search-rut', { rut: '13580388-K', pipelineId: 4823817 });
+  assert.equal(other.status, 200);
+  assert.equal(other.json.rules.rut_unique_in_pipeline, true);
+});
+
+test('create-contact: RUT que ya existe → 409 CONTACT_EXISTS sin escribir en Sell', async () => {
+  const { status, json } = await post('/api/create-contact', contactBody({ rut: '13.580.388-K' }));
+  assert.equal(status, 409);
+  assert.equal(json.error, 'CONTACT_EXISTS');
+  assert.equal(json.contact.id, 1001);
+  assert.deepEqual(sellWrites(), []);
+});
+
+test('create-contact: RUT duplicado en Sell → 409 DUPLICATE_CONTACT_RUT', async () => {
+  sell.state.contacts.push({ id: 1002, first_name: 'Ana', last_name: 'Pérez', custom_fields: { RUT_normalizado: '13580388K' } });
+  const { status, json } = await post('/api/create-contact', contactBody({ rut: '13580388-k' }));
+  assert.equal(status, 409);
+  assert.equal(json.error, 'DUPLICATE_CONTACT_RUT');
+  assert.deepEqual(json.contacts.map(c => c.id).sort(), [1001, 1002]);
+  assert.deepEqual(sellWrites(), []);
+});
+
+test('create-contact: RUT nuevo → 201 con RUT canónico, previsión y comuna normalizadas', async () => {
+  const { status, json } = await post('/api/create-contact', contactBody());
+  assert.equal(status, 201);
+  assert.equal(json.rut_normalizado, '16927228k');
+
+  const created = sell.state.contacts.find(c => c.id === json.contact.id);
+  assert.equal(created.custom_fields.RUT_normalizado, '16927228k');
+  assert.equal(created.custom_fields['RUT o ID'], '16.927.228-K');
+  assert.equal(created.custom_fields['Previsión'], 'CRUZ BLANCA');
+  assert.equal(created.custom_fields.Ciudad, 'CALAMA');
+});
+
+test('create-contact: aseguradora fuera de la lista → 400', async () => {
+  const { status, json } = await post('/api/create-contact', contactBody({ aseguradora: 'Seguro Lunar' }));
+  assert.equal(status, 400);
+  assert.equal(json.error, 'INVALID_ASEGURADORA');
+  assert.ok(json.allowed.includes('FONASA'));
+});
+
+test('create-deal: ya hay un deal con ese RUT en el pipeline → 409 DEAL_EXISTS_IN_PIPELINE', async () => {
+  const { status, json } = await post('/api/create-deal', dealBody());
+  assert.equal(status, 409);
+  assert.equal(json.error, 'DEAL_EXISTS_IN_PIPELINE');
+  assert.deepEqual(json.deals.map(d => d.id), [2001]);
+  assert.deepEqual(sellWrites(), []);
+});
+
+test('create-deal: el mismo RUT en otro pipeline sí se crea (primera etapa activa)', async () => {
+  const { status, json } = await post('/api/create-deal', dealBody({ pipeline_id: 4823817 }));
+  assert.equal(status, 201);
+
+  const created = sell.state.deals.find(d => d.id === json.deal.id);
+  assert.equal(created.stage_id, 20000001);
+  assert.equal(created.contact_id, 1001);
+  assert.equal(created.custom_fields.RUT_normalizado, '13580388k');
+});
+
+test('sin login en producción la API del portal falla cerrado (503 AUTH_NOT_CONFIGURED)', async (t) => {
+  process.env.NODE_ENV = 'production';
+  t.after(() => delete process.env.NODE_ENV);
+  const r = await post('/api/search-rut', { rut: '13.580.388-K' });
+  assert.equal(r.status, 503);
+  assert.equal(r.json.error, 'AUTH_NOT_CONFIGURED');
+  assert.equal((await fetch(`${base}/api/pipelines`)).status, 503);
+  assert.equal(sell.requests.length, 0);
+});
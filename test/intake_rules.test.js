@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeAseguradoraAlias,
+  normalizeModalidadAlias,
+  calcImc,
+  classifyImc,
+  calcAgeFromDobDDMMYYYY,
+  calcAgeFlexible,
+  isValidDobDDMMYYYY,
+} = require('../server');
+const { parseIABox, normalizePrevision } = require('../public/ia_box');
+
+// DD/MM/YYYY de hoy hace `years` años, corrido `days` días
+function dobYearsAgo(years, days = 0) {
+  const d = new Date();
+  d.setUTCFullYear(d.getUTCFullYear() - years);
+  d.setUTCDate(d.getUTCDate() + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`;
+}
+
+test('alias de aseguradora (Previsión)', () => {
+  assert.equal(normalizeAseguradoraAlias('Isapre CruzBlanca'), 'CRUZ BLANCA');
+  assert.equal(normalizeAseguradoraAlias('isapre nueva masvida'), 'NUEVA MAS VIDA');
+  assert.equal(normalizeAseguradoraAlias('Más Vida'), 'NUEVA MAS VIDA');
+  assert.equal(normalizeAseguradoraAlias('*FONASA*'), 'FONASA');
+  assert.equal(normalizeAseguradoraAlias(''), '');
+});
+
+test('alias de modalidad (Tramo/Modalidad)', () => {
+  assert.equal(normalizeModalidadAlias('tramo b'), 'Tramo B');
+  assert.equal(normalizeModalidadAlias('TRAMOD'), 'Tramo D');
+  assert.equal(normalizeModalidadAlias('Banmédica Preferente'), 'Banmédica');
+  assert.equal(normalizeModalidadAlias('isapre cruz blanca'), 'Cruz Blanca');
+  assert.equal(normalizeModalidadAlias('Fuerza Armadas'), 'Fuerza Armadas');
+  assert.equal(normalizeModalidadAlias('Otra cosa'), 'Otra cosa');
+});
+
+test('IMC y su clasificación', () => {
+  assert.equal(calcImc(80, 1.6).toFixed(2), '31.25');
+  assert.equal(calcImc(80, 0), null);
+  assert.equal(calcImc(NaN, 1.7), null);
+  assert.equal(classifyImc(18.4), 'Bajo peso');
+  assert.equal(classifyImc(24.9), 'Normal');
+  assert.equal(classifyImc(25), 'Sobrepeso');
+  assert.equal(classifyImc(31.25), 'Obesidad');
+  assert.equal(classifyImc(null), null);
+});
+
+test('edad desde la fecha de nacimiento (cumpleaños hoy / mañana)', () => {
+  assert.equal(calcAgeFromDobDDMMYYYY(dobYearsAgo(30)), 30);
+  assert.equal(calcAgeFromDobDDMMYYYY(dobYearsAgo(30, 1)), 29);
+  assert.equal(calcAgeFromDobDDMMYYYY('1990-01-01'), null);
+  assert.equal(calcAgeFlexible(dobYearsAgo(45)), 45);
+  const [dd, mm, yyyy] = dobYearsAgo(45).split('/');
+  assert.equal(calcAgeFlexible(`${yyyy}-${mm}-${dd}`), 45);
+  assert.equal(calcAgeFlexible('ayer'), null);
+});
+
+test('isValidDobDDMMYYYY', () => {
+  assert.equal(isValidDobDDMMYYYY('22/11/1980'), true);
+  assert.equal(isValidDobDDMMYYYY('1980-11-22'), false);
+  assert.equal(isValidDobDDMMYYYY('22/13/1980'), false);
+  assert.equal(isValidDobDDMMYYYY('22/11/1850'), false);
+});
+
+test('parseIABox: ficha con etiquetas', () => {
+  const parsed = parseIABox([
+    '*Nombre completo:* María José Soto Rivas',
+    'RUT: 16.927.228-K',
+    'Fecha de nacimiento: 22nov1980',
+    'Celular: +56 9 1234 5678',
+    'Correo: maria@example.com',
+    'Previsión: Isapre Cruz Blanca',
+    'Modalidad: Tramo B',
+    'Dirección: Av. Brasil 123',
+    'Comuna: Calama',
+  ].join('\n'));
+
+  assert.deepEqual(parsed, {
+    rut: '16.927.228-K',
+    nombres: 'María José',
+    apellidos: 'Soto Rivas',
+    fecha_nacimiento: '22/11/1980',
+    telefono1: '+56912345678',
+    telefono2: '',
+    email: 'maria@example.com',
+    aseguradora: 'CRUZ BLANCA',
+    modalidad: 'Tramo B',
+    direccion: 'Av. Brasil 123',
+    comuna: 'CALAMA',
+  });
+});
+
+test('parseIABox: mensaje de WhatsApp sin etiquetas', () => {
+  const parsed = parseIABox('Pedro Pérez\n13580388-K\n05/03/1980\n+56987654321\np@x.cl\nFONASA\nCalle Uno 45\nAntofagasta');
+  assert.equal(parsed.rut, '13580388-K');
+  assert.equal(parsed.nombres, 'Pedro');
+  assert.equal(parsed.apellidos, 'Pérez');
+  assert.equal(parsed.fecha_nacimiento, '05/03/1980');
+  assert.equal(parsed.telefono1, '+56987654321');
+  assert.equal(parsed.email, 'p@x.cl');
+  assert.equal(parsed.aseguradora, 'FONASA');
+  assert.equal(parsed.direccion, 'Calle Uno 45');
+  assert.equal(parsed.comuna, 'ANTOFAGASTA');
+});
+
+test('normalizePrevision (IA box)', () => {
+  assert.equal(normalizePrevision('Fonasa tramo B'), 'FONASA');
+  assert.equal(normalizePrevision('isapre cruzblanca'), 'CRUZ BLANCA');
+  assert.equal(normalizePrevision('Vida Tres'), 'VIDA TRES');
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startPortal } = require('./helpers');
+
+// Contrato del actor (lib/actor.js) y notas de Sell con outbox (lib/notes.js), sin login y con storage local
+let portal;
+let sell;
+
+test.before(async () => {
+  portal = await startPortal(tmp => ({
+    ALLOW_WRITE: 'true',
+    DOCS_STORAGE: 'local',
+    DOCS_LOCAL_ROOT: path.join(tmp, 'storage'),
+  }));
+  ({ sell } = portal);
+});
+
+test.after(() => portal.close());
+
+test.beforeEach(() => sell.reset());
+
+const call = (method, route, body) => portal.call(method, route, { body });
+
+const ensureFolder = actor => call('POST', '/v1/drive/folder/ensure', { deal_id: 2001, drive_root_folder_id: 'pacientes', actor, source: 'sell_widget' });
+
+test('/v1: el actor es obligatorio y tiene que ser el usuario de Sell que dice ser', async () => {
+  assert.equal((await ensureFolder(undefined)).json.error, 'MISSING_ACTOR');
+  assert.equal((await ensureFolder({ email: 'agente@clinyco.cl' })).json.error, 'MISSING_SELL_USER_ID');
+  assert.equal((await ensureFolder({ sell_user_id: 501, email: 'agente@gmail.com' })).json.error, 'ACTOR_DOMAIN_NOT_ALLOWED');
+
+  const mismatch = await ensureFolder({ sell_user_id: 501, email: 'supervisora@clinyco.cl' });
+  assert.equal(mismatch.status, 403);
+  assert.equal(mismatch.json.error, 'ACTOR_MISMATCH');
+  assert.equal((await ensureFolder({ sell_user_id: 999, email: 'agente@clinyco.cl' })).json.error, 'UNKNOWN_SELL_USER');
+  assert.equal(sell.state.notes.length, 0);
+});
+
+test('/v1/drive/folder/ensure deja una nota estructurada en el deal', async () => {
+  const r = await ensureFolder({ sell_user_id: 501, email: 'agente@clinyco.cl' });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.note.queued, false);
+
+  const note = sell.state.notes.find(n => n.id === r.json.note.id);
+  assert.equal(note.resource_type, 'deal');
+  assert.equal(note.resource_id, 2001);
+  assert.match(note.content, /^Acción: drive\.folder\.ensure$/m);
+  assert.match(note.content, /^Agente: Agente Demo <agente@clinyco\.cl> \(Sell #501\)$/m);
+  assert.match(note.content, /^Origen: sell_widget$/m);
+});
+
+test('create-contact: nota en el contacto creado (actor completado desde Sell)', async () => {
+  const r = await call('POST', '/api/create-contact', {
+    rut: '16.927.228-K',
+    nombres: 'Luis',
+    apellidos: 'Rojas Díaz',
+    fecha_nacimiento: '02/03/1985',
+    telefono1: '+56922223333',
+    email: 'luis@example.com',
+    aseguradora: 'FONASA',
+    modalidad: 'Tramo B',
+    direccion: 'Calle 2 #45',
+    comuna: 'calama',
+    actor: { email: 'supervisora@clinyco.cl', name: 'Supervisora' },
+  });
+  assert.equal(r.status, 201);
+  const note = sell.state.notes.find(n => n.id === r.json.note.id);
+  assert.equal(note.resource_type, 'contact');
+  assert.equal(note.resource_id, r.json.contact.id);
+  assert.match(note.content, /^Agente: Supervisora <supervisora@clinyco\.cl> \(Sell #502\)$/m);
+  assert.match(note.content, /^RUT: 16\.927\.228-K$/m);
+});
+
+test('nota que Sell rechaza queda en el outbox y se envía al reintentar', async () => {
+  const { writeNote } = require('../lib/notes');
+  const queued = await writeNote({ resource: 'contact', id: 4242, action: 'contact.create', content: 'Contacto creado' });
+  assert.equal(queued.queued, true);
+
+  const pending = await call('GET', '/api/notes/outbox?status=pending');
+  const item = pending.json.items.find(it => it.id === queued.outbox_id);
+  assert.equal(item.attempts, 1);
+  assert.ok(Date.parse(item.next_attempt_at) > Date.now());
+
+  sell.state.contacts.push({ id: 4242, first_name: 'Rosa', last_name: 'Díaz', custom_fields: {} });
+  const retry = await call('POST', '/api/notes/outbox/retry', { ids: [queued.outbox_id] });
+  assert.deepEqual(retry.json, { ok: true, status: 200, attempted: 1, sent: 1, failed: 0 });
+
+  const sent = (await call('GET', '/api/notes/outbox?status=sent')).json.items.find(it => it.id === queued.outbox_id);
+  assert.equal(sell.state.notes.find(n => n.id === sent.note_id).resource_id, 4242);
+});
+
+test('merge sin login: falla cerrado sin supervisores y decide por el rol del actor, no por el body', async (t) => {
+  const merge = actor => call('POST', '/api/duplicates/merge', { kind: 'contact', rut: '13.580.388-K', survivor_id: 1001, actor });
+  assert.equal((await merge(undefined)).json.error, 'MISSING_ACTOR');
+
+  const closed = await merge({ email: 'supervisora@clinyco.cl', role: 'supervisor' });
+  assert.equal(closed.status, 403);
+  assert.equal(closed.json.error, 'NOT_SUPERVISOR');
+  assert.equal(closed.json.role, 'agent');
+
+  process.env.SUPERVISOR_EMAILS = 'supervisora@clinyco.cl';
+  t.after(() => delete process.env.SUPERVISOR_EMAILS);
+  assert.equal((await merge({ email: 'agente@clinyco.cl', role: 'supervisor' })).json.error, 'NOT_SUPERVISOR');
+  // Pasa el control de rol: el RUT del mock no tiene duplicados
+  assert.equal((await merge({ email: 'supervisora@clinyco.cl' })).json.error, 'NO_CONFLICT');
+  assert.equal(sell.state.notes.length, 0);
+});
+
+test('merge: nota estructurada en el sobreviviente con el supervisor que fusionó', async (t) => {
+  process.env.SUPERVISOR_EMAILS = 'supervisora@clinyco.cl';
+  t.after(() => delete process.env.SUPERVISOR_EMAILS);
+  sell.state.contacts.push({ id: 1002, first_name: 'Ana', last_name: 'Pérez', owner_id: 501, custom_fields: { RUT_normalizado: '13580388k' } });
+
+  const r = await call('POST', '/api/duplicates/merge', { kind: 'contact', rut: '13.580.388-K', survivor_id: 1001, actor: { email: 'supervisora@clinyco.cl' } });
+  assert.equal(r.status, 200, JSON.stringify(r.json));
+  assert.equal(r.json.note.queued, false);
+  const note = sell.state.notes.find(n => n.id === r.json.note.id);
+  assert.equal(note.resource_type, 'contact');
+  assert.equal(note.resource_id, 1001);
+  assert.match(note.content, /^Acción: duplicates\.merge$/m);
+  assert.match(note.content, /^Agente: .*supervisora@clinyco\.cl.* \(Sell #502\)$/m);
+  assert.match(note.content, /^Fusionados en este registro: 1002$/m);
+  assert.match(note.content, new RegExp(`^Fusión: ${r.json.merge_id}$`, 'm'));
+});
+
+test('rut-scan apply: valida el actor y deja una nota estructurada por registro reescrito', async () => {
+  sell.state.contacts[0].custom_fields.RUT_normalizado = '13580388-K';
+  const scan = await call('POST', '/api/rut-scan', { resources: ['contacts'] });
+  assert.equal(scan.status, 202);
+  const waitJob = async (id) => {
+    for (let i = 0; i < 100; i++) {
+      const j = (await call('GET', `/api/rut-scan/${id}`)).json;
+      if (!['pending', 'running'].includes(j.job_status ?? j.status)) return j;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`job ${id} no terminó`);
+  };
+  await waitJob(scan.json.job_id);
+
+  const foreign = await call('POST', `/api/rut-scan/${scan.json.job_id}/apply`, { actor: { email: 'agente@gmail.com' } });
+  assert.equal(foreign.json.error, 'ACTOR_DOMAIN_NOT_ALLOWED');
+  const apply = await call('POST', `/api/rut-scan/${scan.json.job_id}/apply`, { actor: { email: 'agente@clinyco.cl' } });
+  assert.equal(apply.status, 202, JSON.stringify(apply.json));
+  const done = await waitJob(apply.json.job_id);
+  assert.equal(sell.state.contacts[0].custom_fields.RUT_normalizado, '13580388k', JSON.stringify(done));
+
+  const note = sell.state.notes.find(n => n.resource_type === 'contact' && n.resource_id === 1001);
+  assert.match(note.content, /^Acción: rut_scan\.apply$/m);
+  assert.match(note.content, /^Agente: Agente Demo <agente@clinyco\.cl> \(Sell #501\)$/m);
+  assert.match(note.content, /^Antes: 13580388-K$/m);
+  assert.match(note.content, /^Ahora: 13580388k$/m);
+});
+
+test('si Sell rechaza la nota y el outbox no se puede escribir, writeNote no lanza', async (t) => {
+  const { writeNote } = require('../lib/notes');
+  // Un directorio donde va el archivo del outbox: appendFile falla con EISDIR
+  const outbox = path.join(portal.dataDir, 'notes_outbox.jsonl');
+  const saved = fs.existsSync(outbox) ? fs.readFileSync(outbox) : null;
+  fs.rmSync(outbox, { force: true });
+  fs.mkdirSync(outbox);
+  t.after(() => {
+    fs.rmSync(outbox, { recursive: true, force: true });
+    if (saved) fs.writeFileSync(outbox, saved);
+  });
+
+  const r = await writeNote({ resource: 'contact', id: 4343, action: 'contact.create', content: 'Contacto creado' });
+  assert.equal(r.queued, false);
+  assert.equal(r.id, null);
+  assert.match(r.error, /contact 4343 no existe/);
+});
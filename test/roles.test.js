@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadRolesConfig, resolveRole, requiredRole, roleAllows } = require('../lib/roles');
+
+// Solo reglas por correo: resolveRole no consulta Sell
+function withRoles(json, fn) {
+  process.env.ROLES_JSON = JSON.stringify(json);
+  try {
+    return fn();
+  } finally {
+    delete process.env.ROLES_JSON;
+  }
+}
+
+test('requiredRole: permiso por pipeline antes que el general; acción desconocida solo admin', () => {
+  assert.equal(requiredRole('deal.create'), 'agent');
+  assert.equal(requiredRole('deal.create', { pipelineId: 1290779 }), 'supervisor');
+  assert.equal(requiredRole('deal.create', { pipelineId: '4823817' }), 'agent');
+  assert.equal(requiredRole('algo.nuevo'), 'admin');
+  withRoles({ permissions: { 'docs.generate': 'supervisor' } }, () => {
+    assert.equal(requiredRole('docs.generate'), 'supervisor');
+  });
+});
+
+test('roleAllows sigue el orden guest < agent < supervisor < admin', () => {
+  assert.equal(roleAllows('admin', 'supervisor'), true);
+  assert.equal(roleAllows('supervisor', 'supervisor'), true);
+  assert.equal(roleAllows('agent', 'supervisor'), false);
+  assert.equal(roleAllows('guest', 'agent'), false);
+});
+
+test('resolveRole por correo: el rol más alto gana; sin calce, default_role', async () => {
+  const config = withRoles({ roles: { admin: { emails: ['ti@clinyco.cl'] }, supervisor: { emails: ['TI@clinyco.cl', 'jefa@clinyco.cl'] } }, default_role: 'guest' }, loadRolesConfig);
+  assert.equal((await resolveRole({ email: 'ti@clinyco.cl' }, config)).role, 'admin');
+  assert.equal((await resolveRole({ email: 'jefa@clinyco.cl' }, config)).role, 'supervisor');
+  assert.equal((await resolveRole({ email: 'otro@clinyco.cl' }, config)).role, 'guest');
+  assert.equal((await resolveRole({ guest: true }, config)).role, 'guest');
+});
+
+test('config inválida → INVALID_ROLES_CONFIG', () => {
+  assert.throws(() => withRoles({ permissions: { 'deal.create': 'jefe' } }, loadRolesConfig), { code: 'INVALID_ROLES_CONFIG' });
+  assert.throws(() => withRoles({ roles: { guest: { emails: ['x@clinyco.cl'] } } }, loadRolesConfig), { code: 'INVALID_ROLES_CONFIG' });
+  process.env.ROLES_JSON = '{';
+  try {
+    assert.throws(() => loadRolesConfig(), { code: 'INVALID_ROLES_CONFIG' });
+  } finally {
+    delete process.env.ROLES_JSON;
+  }
+});
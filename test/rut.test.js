@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeDv, normalizeRut, formatRutHumanFromNoDashLower } = require('../lib/rut');
+const { normalizePatientId, patientIdSearchValues } = require('../lib/patient_id');
+
+test('computeDv: módulo 11 con 0 y K', () => {
+  assert.equal(computeDv('16927228'), 'K');
+  assert.equal(computeDv('13580388'), 'K');
+  assert.equal(computeDv('12345678'), '5');
+  assert.equal(computeDv('7654321'), '6');
+});
+
+test('normalizeRut acepta puntos, guion, espacios y dv en minúscula', () => {
+  for (const input of ['16.927.228-K', '16927228-k', '16927228K', ' 16 927 228 k ', '016927228K']) {
+    assert.deepEqual(normalizeRut(input), { normalized: '16927228-K', normalizedNoDash: '16927228K', number: '16927228', dv: 'K' });
+  }
+});
+
+test('normalizeRut: vacío o demasiado corto no es error', () => {
+  assert.equal(normalizeRut('').normalized, '');
+  assert.equal(normalizeRut('K').normalized, '');
+});
+
+test('normalizeRut: dv que no coincide → INVALID_RUT_DV', () => {
+  assert.throws(() => normalizeRut('16.927.228-1'), { code: 'INVALID_RUT_DV' });
+});
+
+test('normalizeRut: guion sin dv → MISSING_RUT_DV', () => {
+  assert.throws(() => normalizeRut('13.580.388-'), { code: 'MISSING_RUT_DV' });
+});
+
+test('formatRutHumanFromNoDashLower', () => {
+  assert.equal(formatRutHumanFromNoDashLower('16927228k'), '16.927.228-K');
+  assert.equal(formatRutHumanFromNoDashLower('7654321-6'), '7.654.321-6');
+  assert.equal(formatRutHumanFromNoDashLower(''), '');
+});
+
+test('normalizePatientId: canon en minúscula y búsqueda con las variantes legacy', () => {
+  const id = normalizePatientId({ value: '16.927.228-K' });
+  assert.equal(id.type, 'rut');
+  assert.equal(id.canonical, '16927228k');
+  assert.equal(id.human, '16.927.228-K');
+  assert.deepEqual(patientIdSearchValues(id), ['16927228k', '16927228K', '16927228-K']);
+});
+
+test('normalizePatientId: pasaporte e ID provisorio', () => {
+  const pas = normalizePatientId({ type: 'passport', value: 'ab 123-4567', country: 'ar' });
+  assert.equal(pas.canonical, 'pas-ar-ab1234567');
+  assert.equal(pas.human, 'AB1234567 (Pasaporte AR)');
+  assert.equal(normalizePatientId({ value: pas.human }).canonical, pas.canonical);
+  assert.throws(() => normalizePatientId({ type: 'passport', value: 'AB1234567' }), { code: 'MISSING_ID_COUNTRY' });
+
+  const prov = normalizePatientId({ type: 'provisional', value: '12345' });
+  assert.equal(prov.canonical, 'prov-12345');
+  assert.equal(normalizePatientId({ value: 'PROV-12345' }).type, 'provisional');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Circuit breaker de lib/sell.js contra un Sell que se cae y vuelve lento: en half_open pasa una sola llamada de prueba
+let server;
+let mode = 'down';
+let hits = 0;
+let release = null;
+let probeArrived = null;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    hits += 1;
+    const reply = () => {
+      res.writeHead(mode === 'down' ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(mode === 'down' ? { errors: ['down'] } : { data: { id: 2001 } }));
+    };
+    if (mode !== 'slow') return reply();
+    release = reply;
+    return probeArrived?.();
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  Object.assign(process.env, {
+    SELL_API_BASE: `http://127.0.0.1:${server.address().port}`,
+    SELL_ACCESS_TOKEN: 'test-token',
+    SELL_MAX_RETRIES: '0',
+    SELL_BREAKER_THRESHOLD: '1',
+    SELL_BREAKER_COOLDOWN_MS: '30',
+  });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('half_open: una sola llamada de prueba en vuelo, las demás fallan rápido hasta que se resuelve', async () => {
+  const { getDealById, sellStatus } = require('../lib/sell');
+
+  await assert.rejects(getDealById(2001), { code: 'SELL_API_ERROR' });
+  assert.equal(sellStatus().circuit, 'open');
+  await assert.rejects(getDealById(2001), { code: 'SELL_UNAVAILABLE' });
+  assert.equal(hits, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  mode = 'slow';
+  const arrived = new Promise((resolve) => { probeArrived = resolve; });
+  const probe = getDealById(2001);
+  await arrived;
+  assert.equal(sellStatus().circuit, 'half_open');
+
+  const others = await Promise.allSettled([getDealById(2001), getDealById(2001), getDealById(2001)]);
+  assert.deepEqual(others.map(r => r.reason?.code), ['SELL_UNAVAILABLE', 'SELL_UNAVAILABLE', 'SELL_UNAVAILABLE']);
+  assert.equal(hits, 2);
+
+  release();
+  assert.deepEqual(await probe, { id: 2001 });
+  assert.equal(sellStatus().circuit, 'closed');
+
+  mode = 'up';
+  assert.deepEqual(await getDealById(2001), { id: 2001 });
+  assert.equal(hits, 3);
+});
+
+test('half_open: si la prueba falla el circuito vuelve a abrirse y la siguiente prueba espera otro cooldown', async () => {
+  const { getDealById, sellStatus } = require('../lib/sell');
+
+  mode = 'down';
+  await assert.rejects(getDealById(2001), { code: 'SELL_API_ERROR' });
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await assert.rejects(getDealById(2001), { code: 'SELL_API_ERROR' });
+  assert.equal(sellStatus().circuit, 'open');
+  await assert.rejects(getDealById(2001), { code: 'SELL_UNAVAILABLE' });
+
+  mode = 'up';
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.deepEqual(await getDealById(2001), { id: 2001 });
+  assert.equal(sellStatus().circuit, 'closed');
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { startPortal } = require('./helpers');
+const {
+  loadWebhookRules,
+  matchWebhookRule,
+  verifyWebhookSignature,
+  parseWebhookEvents,
+} = require('../lib/sell_webhook');
+
+// Webhook de Sell (lib/sell_webhook.js): firma, reglas y eventos; y POST /webhooks/sell contra el mock con storage local
+const SECRET = 'test-webhook-secret';
+let portal;
+let sell;
+
+test.before(async () => {
+  portal = await startPortal(tmp => ({
+    SELL_WEBHOOK_SECRET: SECRET,
+    ALLOW_DOCS_WRITE: 'true',
+    PUBLIC_BASE_URL: 'https://portal.test',
+    DOCS_STORAGE: 'local',
+    DOCS_LOCAL_ROOT: path.join(tmp, 'storage'),
+    DOC_TEMPLATES_JSON: JSON.stringify({ consentimiento: 'templates/consentimiento.txt' }),
+    DOC_PACKAGES_JSON: JSON.stringify([{ id: 'preop_bariatrica', name: 'Pre-op Bariátrica', pipeline_ids: [1290779], templates: ['consentimiento'] }]),
+    SELL_WEBHOOK_RULES_JSON: JSON.stringify([{ pipeline_id: 1290779, stage_name: 'pre-operatorio', package_id: 'preop_bariatrica' }]),
+  }));
+  ({ sell } = portal);
+  fs.mkdirSync(path.join(portal.dataDir, 'storage', 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(portal.dataDir, 'storage', 'templates', 'consentimiento.txt'), 'Consentimiento de {{contact.first_name}}\n');
+});
+
+test.after(() => portal.close());
+
+function sign(raw, timestamp = String(Math.floor(Date.now() / 1000)), secret = SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(timestamp).update(raw).digest('base64');
+  return { 'x-zendesk-webhook-signature': signature, 'x-zendesk-webhook-signature-timestamp': timestamp };
+}
+
+function stageEvent(eventId, stageId, previousStageId = 10693252) {
+  return { meta: { event_id: eventId, type: 'deal', event_type: 'updated', previous: { stage_id: previousStageId } }, data: { id: 2001, stage_id: stageId } };
+}
+
+test('verifyWebhookSignature: sin firma, firma ajena, timestamp viejo y firma válida', () => {
+  const raw = Buffer.from(JSON.stringify(stageEvent('e1', 10693253)));
+  const now = Date.now();
+  assert.equal(verifyWebhookSignature({ headers: {}, rawBody: raw, secret: SECRET }).reason, 'MISSING_SIGNATURE');
+  assert.equal(verifyWebhookSignature({ headers: sign(raw, undefined, 'otro-secreto'), rawBody: raw, secret: SECRET }).reason, 'INVALID_SIGNATURE');
+  assert.equal(verifyWebhookSignature({ headers: sign(Buffer.from('{}')), rawBody: raw, secret: SECRET }).reason, 'INVALID_SIGNATURE');
+  const old = String(Math.floor(now / 1000) - 3600);
+  assert.equal(verifyWebhookSignature({ headers: sign(raw, old), rawBody: raw, secret: SECRET, now }).reason, 'STALE_TIMESTAMP');
+  assert.deepEqual(verifyWebhookSignature({ headers: sign(raw), rawBody: raw, secret: SECRET, now }), { ok: true, reason: null });
+});
+
+test('reglas: por stage_id o por nombre de etapa (sin tildes ni mayúsculas), y solo en su pipeline', (t) => {
+  const before = process.env.SELL_WEBHOOK_RULES_JSON;
+  t.after(() => { process.env.SELL_WEBHOOK_RULES_JSON = before; });
+  process.env.SELL_WEBHOOK_RULES_JSON = JSON.stringify([
+    { stage_id: 20000001, package_id: 'evaluacion' },
+    { pipeline_id: '1290779', stage_name: 'PRE-OPERATORIO', package_id: 'preop_bariatrica', merge_pdf: true },
+  ]);
+  const rules = loadWebhookRules();
+  assert.deepEqual(rules[1], { pipeline_id: 1290779, stage_id: null, stage_name: 'PRE-OPERATORIO', package_id: 'preop_bariatrica', merge_pdf: true });
+
+  assert.equal(matchWebhookRule(rules, { id: 10693253, name: 'Pre-operatorio', pipeline_id: 1290779 }).package_id, 'preop_bariatrica');
+  assert.equal(matchWebhookRule(rules, { id: 20000001, name: 'Evaluación', pipeline_id: 4823817 }).package_id, 'evaluacion');
+  assert.equal(matchWebhookRule(rules, { id: 999, name: 'Pre-operatorio', pipeline_id: 4823817 }), null);
+  assert.equal(matchWebhookRule(rules, { id: 10693254, name: 'Operado', pipeline_id: 1290779 }), null);
+
+  process.env.SELL_WEBHOOK_RULES_JSON = JSON.stringify([{ stage_name: 'Operado' }]);
+  assert.throws(() => loadWebhookRules(), { code: 'INVALID_WEBHOOK_RULES', message: /sin package_id/ });
+  process.env.SELL_WEBHOOK_RULES_JSON = '{"stage_id": 1}';
+  assert.throws(() => loadWebhookRules(), { code: 'INVALID_WEBHOOK_RULES' });
+});
+
+test('parseWebhookEvents: solo un cambio real de etapa cuenta como stage_changed', () => {
+  const [changed, same, other] = parseWebhookEvents({
+    items: [stageEvent('e1', 10693253), stageEvent('e2', 10693252), { meta: { event_id: 'e3', type: 'contact' }, data: { id: 1001 } }],
+  });
+  assert.deepEqual(changed, { event_id: 'e1', resource: 'deal', event_type: 'updated', deal_id: 2001, stage_id: 10693253, previous_stage_id: 10693252, stage_changed: true });
+  assert.equal(same.stage_changed, false);
+  assert.equal(other.resource, 'contact');
+});
+
+test('POST /webhooks/sell: 401 sin firma o con firma inválida, sin tocar Sell', async () => {
+  const body = stageEvent('e-401', 10693253);
+  const missing = await portal.post('/webhooks/sell', body);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.json.error, 'MISSING_SIGNATURE');
+
+  const forged = await portal.post('/webhooks/sell', body, { headers: sign(JSON.stringify(body), undefined, 'otro-secreto') });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.json.error, 'INVALID_SIGNATURE');
+  assert.equal(sell.requests.length, 0);
+});
+
+test('POST /webhooks/sell firmado: la regla que calza encola el paquete; otra etapa queda no_rule; el reintento es duplicate', async () => {
+  const body = { items: [stageEvent('e-match', 10693253), stageEvent('e-other', 10693254)] };
+  const r = await portal.post('/webhooks/sell', body, { headers: sign(JSON.stringify(body)) });
+  assert.equal(r.status, 200, JSON.stringify(r.json));
+  const [match, other] = r.json.events;
+  assert.equal(match.outcome, 'queued');
+  assert.equal(match.rule.package_id, 'preop_bariatrica');
+  assert.match(match.job_id, /\S/);
+  assert.equal(other.outcome, 'no_rule');
+  assert.equal(other.stage_name, 'Operado');
+
+  const job = (await portal.call('GET', match.job_url)).json;
+  assert.equal(job.deal_id, 2001);
+  assert.equal(job.package.id, 'preop_bariatrica');
+
+  const again = await portal.post('/webhooks/sell', body, { headers: sign(JSON.stringify(body)) });
+  assert.deepEqual(again.json.events.map(e => e.outcome), ['duplicate', 'duplicate']);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCondition, renderTextBlocks } = require('../lib/template_blocks');
+
+test('{{#if}} con comillas tipográficas de Google Docs', () => {
+  assert.deepEqual(parseCondition('object.prevision == “FONASA”'), { key: 'object.prevision', op: '==', value: 'FONASA' });
+  assert.deepEqual(parseCondition('object.prevision != ‘Isapre’'), { key: 'object.prevision', op: '!=', value: 'Isapre' });
+
+  const tpl = '{{#if object.prevision == “FONASA”}}Bono Fonasa{{else}}Reembolso{{/if}}';
+  assert.equal(renderTextBlocks(tpl, { object: { prevision: 'fonasa' } }), 'Bono Fonasa');
+  assert.equal(renderTextBlocks(tpl, { object: { prevision: 'CRUZ BLANCA' } }), 'Reembolso');
+});